@@ -0,0 +1,406 @@
+/**
+ * ROM archives (.zip and .7z)
+ *
+ * Dumps are often kept compressed, and a .zip holding a GDI set, a CDI or a
+ * readme looks the same in a directory listing. Archives are opened on the
+ * server instead: their contents are listed, the playable disc image inside
+ * is picked out (with every track a GDI/CUE sheet references), and the
+ * emulator is sent the inner files one by one, decompressed on the fly, so
+ * nobody has to extract multi-gigabyte archives by hand.
+ *
+ * Zip archives are read directly (central directory, stored and deflated
+ * entries via zlib, Zip64). 7z archives go through the 7-Zip command line
+ * tool (7z, 7zz or 7za on the PATH), which must be installed to play them.
+ * 7-Zip runs as a child process the server does not wait on, so listing a
+ * large archive never stalls other requests; inspectArchive and openEntry
+ * are async for that reason.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const zlib = require('zlib')
+const { spawn } = require('child_process')
+const discSheets = require('./disc-sheets')
+
+const ARCHIVE_EXTENSIONS = ['.zip', '.7z']
+
+// Disc image types that can be played from an archive, most preferred first
+const IMAGE_EXTENSIONS = ['.chd', '.gdi', '.cdi', '.cue', '.iso']
+
+const SEVEN_ZIP_COMMANDS = ['7z', '7zz', '7za']
+const SEVEN_ZIP_TIMEOUT_MS = 30000
+const MAX_SHEET_BYTES = 1024 * 1024
+// Inspections kept in memory; the least recently used go first
+const MAX_INSPECTIONS = 256
+
+const ZIP_STORED = 0
+const ZIP_DEFLATED = 8
+
+const EOCD_SIGNATURE = 0x06054b50
+const ZIP64_LOCATOR_SIGNATURE = 0x07064b50
+const ZIP64_EOCD_SIGNATURE = 0x06064b50
+const CENTRAL_SIGNATURE = 0x02014b50
+const LOCAL_SIGNATURE = 0x04034b50
+
+function isArchive(filePath) {
+  return ARCHIVE_EXTENSIONS.includes(path.extname(filePath).toLowerCase())
+}
+
+function readAt(fd, position, length) {
+  const buf = Buffer.alloc(length)
+  const read = fs.readSync(fd, buf, 0, length, position)
+  return buf.subarray(0, read)
+}
+
+// --- Zip ---
+
+// Central directory location, following the Zip64 records when present
+function findCentralDirectory(fd, fileSize) {
+  const tailSize = Math.min(fileSize, 22 + 0xffff)
+  const tail = readAt(fd, fileSize - tailSize, tailSize)
+  let eocd = -1
+  for (let i = tail.length - 22; i >= 0; i--) {
+    if (tail.readUInt32LE(i) === EOCD_SIGNATURE) {
+      eocd = i
+      break
+    }
+  }
+  if (eocd < 0) throw new Error('not a zip archive (no end of central directory record)')
+
+  let count = tail.readUInt16LE(eocd + 10)
+  let size = tail.readUInt32LE(eocd + 12)
+  let offset = tail.readUInt32LE(eocd + 16)
+  if (count === 0xffff || size === 0xffffffff || offset === 0xffffffff) {
+    const locatorAt = eocd - 20
+    if (locatorAt < 0 || tail.readUInt32LE(locatorAt) !== ZIP64_LOCATOR_SIGNATURE) {
+      throw new Error('Zip64 archive without a Zip64 locator')
+    }
+    const zip64 = readAt(fd, Number(tail.readBigUInt64LE(locatorAt + 8)), 56)
+    if (zip64.length < 56 || zip64.readUInt32LE(0) !== ZIP64_EOCD_SIGNATURE) throw new Error('Zip64 end of central directory is missing')
+    count = Number(zip64.readBigUInt64LE(32))
+    size = Number(zip64.readBigUInt64LE(40))
+    offset = Number(zip64.readBigUInt64LE(48))
+  }
+  if (offset + size > fileSize) throw new Error('central directory lies beyond the end of the file (truncated?)')
+  return { count, size, offset }
+}
+
+// Sizes and offset that did not fit in 32 bits are in the Zip64 extra field
+function applyZip64Extra(entry, extra) {
+  for (let i = 0; i + 4 <= extra.length;) {
+    const id = extra.readUInt16LE(i)
+    const length = extra.readUInt16LE(i + 2)
+    if (id === 0x0001) {
+      let at = i + 4
+      for (const field of ['size', 'compressedSize', 'localOffset']) {
+        if (entry[field] === 0xffffffff && at + 8 <= i + 4 + length) {
+          entry[field] = Number(extra.readBigUInt64LE(at))
+          at += 8
+        }
+      }
+    }
+    i += 4 + length
+  }
+}
+
+function listZip(archivePath) {
+  const fd = fs.openSync(archivePath, 'r')
+  try {
+    const fileSize = fs.fstatSync(fd).size
+    const dir = findCentralDirectory(fd, fileSize)
+    const buf = readAt(fd, dir.offset, dir.size)
+    const entries = []
+    let at = 0
+    for (let n = 0; n < dir.count; n++) {
+      if (at + 46 > buf.length || buf.readUInt32LE(at) !== CENTRAL_SIGNATURE) throw new Error('central directory is damaged')
+      const flags = buf.readUInt16LE(at + 8)
+      const nameLength = buf.readUInt16LE(at + 28)
+      const extraLength = buf.readUInt16LE(at + 30)
+      const commentLength = buf.readUInt16LE(at + 32)
+      const name = buf.toString(flags & 0x800 ? 'utf8' : 'latin1', at + 46, at + 46 + nameLength)
+      const entry = {
+        name,
+        size: buf.readUInt32LE(at + 24),
+        compressedSize: buf.readUInt32LE(at + 20),
+        method: buf.readUInt16LE(at + 10),
+        encrypted: Boolean(flags & 0x1),
+        localOffset: buf.readUInt32LE(at + 42),
+      }
+      applyZip64Extra(entry, buf.subarray(at + 46 + nameLength, at + 46 + nameLength + extraLength))
+      if (!name.endsWith('/')) entries.push(entry)
+      at += 46 + nameLength + extraLength + commentLength
+    }
+    return entries
+  } finally {
+    fs.closeSync(fd)
+  }
+}
+
+// Where an entry's data starts: after its local header, whose name and
+// extra field lengths can differ from the central directory's
+function zipDataOffset(fd, entry) {
+  const header = readAt(fd, entry.localOffset, 30)
+  if (header.length < 30 || header.readUInt32LE(0) !== LOCAL_SIGNATURE) throw new Error(`local header of ${entry.name} is damaged`)
+  return entry.localOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28)
+}
+
+function zipMethodProblem(entry) {
+  if (entry.encrypted) return `${entry.name} is encrypted`
+  if (entry.method !== ZIP_STORED && entry.method !== ZIP_DEFLATED) {
+    return `${entry.name} uses zip compression method ${entry.method}; only stored and deflate are supported`
+  }
+  return null
+}
+
+function openZipEntry(archivePath, entry) {
+  const fd = fs.openSync(archivePath, 'r')
+  let start
+  try {
+    start = zipDataOffset(fd, entry)
+  } finally {
+    fs.closeSync(fd)
+  }
+  const raw = fs.createReadStream(archivePath, { start, end: start + entry.compressedSize - 1 })
+  if (entry.method === ZIP_STORED) return raw
+  const inflate = zlib.createInflateRaw()
+  raw.on('error', (e) => inflate.destroy(e))
+  inflate.on('close', () => raw.destroy())
+  return raw.pipe(inflate)
+}
+
+function readZipEntry(archivePath, entry) {
+  if (entry.compressedSize > MAX_SHEET_BYTES) throw new Error(`${entry.name} is too large for a cue sheet or GDI`)
+  const fd = fs.openSync(archivePath, 'r')
+  try {
+    const data = readAt(fd, zipDataOffset(fd, entry), entry.compressedSize)
+    return entry.method === ZIP_STORED ? data : zlib.inflateRawSync(data, { maxOutputLength: MAX_SHEET_BYTES })
+  } finally {
+    fs.closeSync(fd)
+  }
+}
+
+// --- 7z (external tool) ---
+
+let sevenZip
+
+// Run a command to completion, collecting at most `maxBuffer` bytes of
+// stdout. Resolves { error } when it cannot be started, was killed (timeout,
+// too much output) or failed, with stderr's last line as the reason.
+function run(cmd, args, maxBuffer) {
+  return new Promise((resolve) => {
+    const child = spawn(cmd, args, { stdio: ['ignore', 'pipe', 'pipe'], timeout: SEVEN_ZIP_TIMEOUT_MS, killSignal: 'SIGKILL' })
+    const stdout = []
+    const stderr = []
+    let size = 0
+    let overflow = false
+    child.stdout.on('data', (chunk) => {
+      size += chunk.length
+      if (size > maxBuffer) {
+        overflow = true
+        child.kill('SIGKILL')
+        return
+      }
+      stdout.push(chunk)
+    })
+    child.stderr.on('data', (chunk) => stderr.push(chunk))
+    child.on('error', (e) => resolve({ error: e.message, missing: e.code === 'ENOENT' }))
+    child.on('close', (code, signal) => {
+      if (overflow) return resolve({ error: `output exceeds ${maxBuffer} bytes` })
+      if (signal) return resolve({ error: `killed by ${signal} after ${SEVEN_ZIP_TIMEOUT_MS / 1000}s` })
+      if (code !== 0) {
+        const message = Buffer.concat(stderr).toString('utf8').trim().split('\n').filter(Boolean).pop()
+        return resolve({ error: message || `exit code ${code}` })
+      }
+      resolve({ stdout: Buffer.concat(stdout) })
+    })
+  })
+}
+
+// The first 7-Zip command on the PATH, or null
+function findSevenZip() {
+  if (sevenZip === undefined) {
+    sevenZip = (async () => {
+      for (const cmd of SEVEN_ZIP_COMMANDS) {
+        if (!(await run(cmd, ['i'], 1024 * 1024)).missing) return cmd
+      }
+      return null
+    })()
+  }
+  return sevenZip
+}
+
+async function runSevenZip(args, maxBuffer) {
+  const cmd = await findSevenZip()
+  if (!cmd) throw new Error('7-Zip is not installed (7z, 7zz or 7za must be on the PATH to play .7z archives)')
+  const result = await run(cmd, args, maxBuffer)
+  if (result.error) throw new Error(`7-Zip failed: ${result.error}`)
+  return result.stdout
+}
+
+// Parse "7z l -slt" output: one "Key = Value" block per entry
+async function listSevenZip(archivePath) {
+  const text = (await runSevenZip(['l', '-slt', '-ba', '-sccUTF-8', '--', archivePath], 64 * 1024 * 1024)).toString('utf8')
+  const entries = []
+  for (const block of text.split(/\r?\n\r?\n/)) {
+    const fields = {}
+    for (const line of block.split(/\r?\n/)) {
+      const m = /^([^=]+?) = (.*)$/.exec(line)
+      if (m) fields[m[1]] = m[2]
+    }
+    if (!fields.Path) continue
+    if (fields.Folder === '+' || (fields.Attributes || '').startsWith('D')) continue
+    entries.push({
+      name: fields.Path.split(path.sep).join('/'),
+      size: parseInt(fields.Size, 10) || 0,
+      method: fields.Method || null,
+      encrypted: fields.Encrypted === '+',
+    })
+  }
+  return entries
+}
+
+// Entry names are passed with -spd, so 7-Zip matches them literally instead
+// of as wildcards ("Game*.gdi" would extract every matching sheet)
+function readSevenZipEntry(archivePath, entry) {
+  return runSevenZip(['e', '-so', '-sccUTF-8', '-spd', '--', archivePath, entry.name], MAX_SHEET_BYTES)
+}
+
+async function openSevenZipEntry(archivePath, entry) {
+  const cmd = await findSevenZip()
+  if (!cmd) throw new Error('7-Zip is not installed (7z, 7zz or 7za must be on the PATH to play .7z archives)')
+  const child = spawn(cmd, ['e', '-so', '-sccUTF-8', '-spd', '--', archivePath, entry.name], { stdio: ['ignore', 'pipe', 'ignore'] })
+  child.stdout.on('close', () => {
+    if (child.exitCode === null) child.kill()
+  })
+  child.on('exit', (code) => {
+    if (code) child.stdout.destroy(new Error(`7-Zip exited with code ${code}`))
+  })
+  return child.stdout
+}
+
+// --- Inspection ---
+
+function entryProblem(format, entry) {
+  if (format === 'zip') return zipMethodProblem(entry)
+  return entry.encrypted ? `${entry.name} is encrypted` : null
+}
+
+// Resolve a GDI/CUE sheet inside the archive against the entries beside it
+async function inspectInnerSheet(archivePath, format, entries, sheetEntry) {
+  const sheetFormat = path.extname(sheetEntry.name).slice(1).toLowerCase()
+  const dir = path.posix.dirname(sheetEntry.name)
+  let text
+  try {
+    const data = format === 'zip' ? readZipEntry(archivePath, sheetEntry) : await readSevenZipEntry(archivePath, sheetEntry)
+    text = data.toString('utf8')
+  } catch (e) {
+    return { format: sheetFormat, sheet: sheetEntry.name, tracks: [], files: [], problems: [`cannot read sheet: ${e.message}`], ok: false }
+  }
+  return discSheets.resolveSheet(sheetFormat, sheetEntry.name, text, (file) => {
+    const wanted = path.posix.join(dir === '.' ? '' : dir, file.replace(/\\/g, '/'))
+    if (wanted.startsWith('../') || path.posix.dirname(wanted) !== dir) return { error: 'points outside the sheet directory' }
+    const entry = entries.find((e) => e.name === wanted) || entries.find((e) => e.name.toLowerCase() === wanted.toLowerCase())
+    return entry ? { path: entry.name, name: file, size: entry.size } : null
+  })
+}
+
+// Pick the playable image: the most preferred image type present, the first
+// by name when there are several (a multi-disc set)
+function pickImage(entries) {
+  for (const ext of IMAGE_EXTENSIONS) {
+    const matches = entries
+      .filter((e) => path.posix.extname(e.name).toLowerCase() === ext)
+      .sort((a, b) => a.name.localeCompare(b.name))
+    if (matches.length) return { entry: matches[0], others: matches.slice(1) }
+  }
+  return null
+}
+
+// Resolved path -> { stamp: size and mtime, result: promise }, oldest use first
+const inspections = new Map()
+
+// List an archive and find the disc image in it. Results are cached per
+// path, size and mtime, for the MAX_INSPECTIONS archives used last.
+//
+// Resolves { format, entries: [{ name, size }], image: { entry, format, disc }
+//            | null, ignored: [names], problems: [], warnings: [] }
+// `disc` is the resolved sheet for GDI/CUE images, with entry names as paths.
+function inspectArchive(archivePath) {
+  const format = path.extname(archivePath).slice(1).toLowerCase()
+  let stat
+  try {
+    stat = fs.statSync(archivePath)
+  } catch (e) {
+    return Promise.resolve({ format, entries: [], image: null, ignored: [], problems: [`cannot read archive: ${e.message}`], warnings: [] })
+  }
+  const key = path.resolve(archivePath)
+  const stamp = `${stat.size}:${stat.mtimeMs}`
+  const cached = inspections.get(key)
+  inspections.delete(key)
+  if (cached && cached.stamp === stamp) {
+    inspections.set(key, cached)
+    return cached.result
+  }
+
+  const result = listArchive(archivePath, format)
+  inspections.set(key, { stamp, result })
+  result.catch(() => {
+    if (inspections.has(key) && inspections.get(key).result === result) inspections.delete(key)
+  })
+  while (inspections.size > MAX_INSPECTIONS) inspections.delete(inspections.keys().next().value)
+  return result
+}
+
+async function listArchive(archivePath, format) {
+  const result = { format, entries: [], image: null, ignored: [], problems: [], warnings: [] }
+  try {
+    result.entries = format === 'zip' ? listZip(archivePath) : await listSevenZip(archivePath)
+  } catch (e) {
+    result.problems.push(e.message)
+  }
+
+  if (result.problems.length === 0) {
+    const picked = pickImage(result.entries)
+    if (!picked) {
+      const names = result.entries.slice(0, 5).map((e) => e.name)
+      result.problems.push(result.entries.length
+        ? `no playable disc image inside (found ${names.join(', ')}${result.entries.length > names.length ? ', ...' : ''})`
+        : 'archive is empty')
+    } else {
+      const imageFormat = path.posix.extname(picked.entry.name).slice(1).toLowerCase()
+      const disc = discSheets.SHEET_EXTENSIONS.includes(`.${imageFormat}`)
+        ? await inspectInnerSheet(archivePath, format, result.entries, picked.entry)
+        : null
+      const used = new Set([picked.entry.name, ...(disc ? disc.files.map((f) => f.path) : [])])
+      result.image = { entry: picked.entry.name, format: imageFormat, disc }
+      if (disc) result.problems.push(...disc.problems)
+      for (const entry of result.entries.filter((e) => used.has(e.name))) {
+        const problem = entryProblem(format, entry)
+        if (problem) result.problems.push(problem)
+      }
+      result.ignored = result.entries.filter((e) => !used.has(e.name)).map((e) => e.name)
+      if (picked.others.length) {
+        result.warnings.push(`${picked.others.length + 1} ${imageFormat.toUpperCase()} images inside; using ${picked.entry.name}`)
+      }
+    }
+  }
+
+  return result
+}
+
+// Readable stream of one entry's decompressed bytes
+async function openEntry(archivePath, name) {
+  const format = path.extname(archivePath).slice(1).toLowerCase()
+  const entry = (await inspectArchive(archivePath)).entries.find((e) => e.name === name)
+  if (!entry) throw new Error(`${name} is not in ${path.basename(archivePath)}`)
+  return format === 'zip' ? openZipEntry(archivePath, entry) : openSevenZipEntry(archivePath, entry)
+}
+
+module.exports = {
+  ARCHIVE_EXTENSIONS,
+  IMAGE_EXTENSIONS,
+  isArchive,
+  findSevenZip,
+  inspectArchive,
+  openEntry,
+}
@@ -0,0 +1,200 @@
+/**
+ * Recorded benchmark sessions
+ *
+ * The emulator page's performance overlay can record a fixed-length session
+ * (emulated FPS, host frame time, frames within budget) and POST it here.
+ * Sessions are stored as JSON, grouped by what they measured:
+ *
+ *   <benchmarks-dir>/<game>/<core-build>/<options-hash>/<id>.json
+ *
+ * The options hash covers the resolved core options and runtime patch
+ * toggles, so runs are only compared like for like unless asked otherwise.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const saves = require('./saves')
+
+const MAX_DURATION_MS = 10 * 60 * 1000
+const MAX_SAMPLES = 600
+
+const SESSION_ID = /^[0-9a-z]{8,12}-[0-9a-f]{6}$/
+const BUILD_ID = /^[A-Za-z0-9][A-Za-z0-9._+-]{0,63}$/
+
+class BenchmarkError extends Error {
+  constructor(problems) {
+    super(`invalid benchmark session: ${problems.join('; ')}`)
+    this.name = 'BenchmarkError'
+    this.problems = problems
+  }
+}
+
+// Short stable hash of the settings a run was made with
+function optionsHash(options, patches) {
+  const sorted = (obj) => Object.keys(obj || {}).sort().map((k) => [k, obj[k]])
+  return crypto.createHash('sha256')
+    .update(JSON.stringify({ options: sorted(options), patches: sorted(patches) }))
+    .digest('hex')
+    .slice(0, 12)
+}
+
+function newSessionId(now = Date.now()) {
+  return `${now.toString(36)}-${crypto.randomBytes(3).toString('hex')}`
+}
+
+function isValidSessionId(id) {
+  return typeof id === 'string' && SESSION_ID.test(id)
+}
+
+function isValidBuildId(id) {
+  return typeof id === 'string' && BUILD_ID.test(id)
+}
+
+function isNumber(value, max = Infinity) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= max
+}
+
+// Check the measured part of a POSTed session; returns a list of problems
+function validateMeasurements(body) {
+  const problems = []
+  if (!isNumber(body.durationMs, MAX_DURATION_MS) || body.durationMs < 1000) {
+    problems.push(`durationMs must be between 1000 and ${MAX_DURATION_MS}`)
+  }
+  if (!isNumber(body.budgetMs, 1000) || body.budgetMs === 0) problems.push('budgetMs must be a positive number of milliseconds')
+
+  const summary = body.summary
+  if (!summary || typeof summary !== 'object') {
+    problems.push('summary is missing')
+  } else {
+    for (const group of ['emuFps', 'frameMs']) {
+      const stats = summary[group]
+      const keys = group === 'emuFps' ? ['avg', 'min', 'max'] : ['avg', 'p50', 'p95', 'p99', 'max']
+      if (!stats || keys.some((k) => !isNumber(stats[k], 1e6))) problems.push(`summary.${group} needs ${keys.join(', ')}`)
+    }
+    if (!isNumber(summary.inBudget, 100)) problems.push('summary.inBudget must be a percentage')
+    if (!Number.isInteger(summary.hostFrames) || summary.hostFrames < 0) problems.push('summary.hostFrames must be a frame count')
+    if (!Number.isInteger(summary.emuFrames) || summary.emuFrames < 0) problems.push('summary.emuFrames must be a frame count')
+  }
+
+  if (!Array.isArray(body.samples) || body.samples.length > MAX_SAMPLES) {
+    problems.push(`samples must be an array of at most ${MAX_SAMPLES} entries`)
+  } else if (body.samples.some((s) => !s || !isNumber(s.t, MAX_DURATION_MS) || !isNumber(s.emuFps, 1e6)
+    || !isNumber(s.frameMs, 1e6) || !isNumber(s.inBudget, 100))) {
+    problems.push('every sample needs t, emuFps, frameMs and inBudget')
+  }
+  return problems
+}
+
+// Build the stored record from a POSTed session and the launch context the
+// server resolved for it. Throws BenchmarkError.
+function createSession(body, context, now = Date.now()) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) throw new BenchmarkError(['expected a JSON object'])
+  const problems = validateMeasurements(body)
+  if (!saves.isValidName(context.game.key)) problems.push('invalid game key')
+  if (!isValidBuildId(context.coreBuild)) problems.push('invalid core build')
+  if (problems.length > 0) throw new BenchmarkError(problems)
+
+  const round = (n) => Math.round(n * 100) / 100
+  const stats = (obj) => Object.fromEntries(Object.entries(obj).map(([k, v]) => [k, round(v)]))
+  return {
+    id: newSessionId(now),
+    recordedAt: new Date(now).toISOString(),
+    game: context.game,
+    coreBuild: context.coreBuild,
+    options: context.options,
+    patches: context.patches,
+    optionsHash: optionsHash(context.options, context.patches),
+    durationMs: Math.round(body.durationMs),
+    budgetMs: round(body.budgetMs),
+    summary: {
+      emuFps: stats({ avg: body.summary.emuFps.avg, min: body.summary.emuFps.min, max: body.summary.emuFps.max }),
+      frameMs: stats({
+        avg: body.summary.frameMs.avg,
+        p50: body.summary.frameMs.p50,
+        p95: body.summary.frameMs.p95,
+        p99: body.summary.frameMs.p99,
+        max: body.summary.frameMs.max,
+      }),
+      inBudget: round(body.summary.inBudget),
+      hostFrames: body.summary.hostFrames,
+      emuFrames: body.summary.emuFrames,
+    },
+    samples: body.samples.map((s) => ({ t: Math.round(s.t), emuFps: round(s.emuFps), frameMs: round(s.frameMs), inBudget: round(s.inBudget) })),
+    userAgent: typeof body.userAgent === 'string' ? body.userAgent.slice(0, 256) : null,
+  }
+}
+
+function sessionDir(benchmarksDir, session) {
+  return path.join(benchmarksDir, session.game.key, session.coreBuild, session.optionsHash)
+}
+
+function saveSession(benchmarksDir, session) {
+  const dir = sessionDir(benchmarksDir, session)
+  fs.mkdirSync(dir, { recursive: true })
+  const file = path.join(dir, `${session.id}.json`)
+  const tmp = `${file}.tmp`
+  fs.writeFileSync(tmp, JSON.stringify(session, null, 2) + '\n')
+  fs.renameSync(tmp, file)
+}
+
+// Every stored session file: [{ id, file }]
+function sessionFiles(benchmarksDir) {
+  const files = []
+  const walk = (dir, depth) => {
+    let entries
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true })
+    } catch {
+      return
+    }
+    for (const entry of entries) {
+      const full = path.join(dir, entry.name)
+      if (depth < 3 && entry.isDirectory()) walk(full, depth + 1)
+      else if (depth === 3 && entry.isFile() && entry.name.endsWith('.json')) {
+        const id = entry.name.slice(0, -5)
+        if (isValidSessionId(id)) files.push({ id, file: full })
+      }
+    }
+  }
+  walk(benchmarksDir, 0)
+  return files
+}
+
+function readSession(benchmarksDir, id) {
+  if (!isValidSessionId(id)) return null
+  const found = sessionFiles(benchmarksDir).find((f) => f.id === id)
+  if (!found) return null
+  try {
+    return JSON.parse(fs.readFileSync(found.file, 'utf8'))
+  } catch {
+    return null
+  }
+}
+
+// Session summaries (no samples), newest first, optionally for one game
+function listSessions(benchmarksDir, { game } = {}) {
+  return sessionFiles(benchmarksDir)
+    .map(({ file }) => {
+      try {
+        const { samples, ...rest } = JSON.parse(fs.readFileSync(file, 'utf8'))
+        return rest
+      } catch {
+        return null
+      }
+    })
+    .filter((s) => s && (!game || s.game.key === game))
+    .sort((a, b) => b.recordedAt.localeCompare(a.recordedAt))
+}
+
+module.exports = {
+  MAX_DURATION_MS,
+  BenchmarkError,
+  optionsHash,
+  isValidSessionId,
+  isValidBuildId,
+  createSession,
+  saveSession,
+  readSession,
+  listSessions,
+}
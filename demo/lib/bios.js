@@ -0,0 +1,184 @@
+/**
+ * Dreamcast BIOS identification
+ *
+ * Hashes dc_boot.bin and dc_flash.bin and matches them against known-good
+ * dumps, so bad dumps, wrong sizes and region mismatches are reported in the
+ * launcher instead of booting to a black screen.
+ *
+ * A BIOS set is a directory holding dc_boot.bin + dc_flash.bin. The files
+ * directly in demo/bios/ form the "default" set; every subdirectory of
+ * demo/bios/ holding both files is another set that can be picked at launch.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+
+const BOOT_FILE = 'dc_boot.bin'
+const FLASH_FILE = 'dc_flash.bin'
+const BOOT_SIZE = 2 * 1024 * 1024
+const FLASH_SIZE = 128 * 1024
+const DEFAULT_SET = 'default'
+
+// Known-good boot ROM dumps, matched by MD5 or SHA-1. `region: null` means
+// the boot ROM is region-free and takes its region from the flash; a
+// revision only shipped in one region's consoles names that region, and the
+// set is then checked against the flash. Add a revision here only with hashes
+// taken from a verified dump list.
+const KNOWN_BOOT_ROMS = [
+  {
+    md5: 'e10c53c2f8b90bab96ead2d368858623',
+    sha1: '8951d1bb219ab2ff8583033d2119c899cc81f18c',
+    version: 'v1.01d',
+    region: null,
+    name: 'Dreamcast BIOS v1.01d (World)',
+  },
+]
+
+// Factory-fresh flash dumps. Flash is rewritten by the system (clock, language,
+// save settings), so a flash that does not match here is still fine as long as
+// its size and factory region are valid.
+const KNOWN_FLASH = {
+  '0a93f7940c455905bea6e392dfde92a4': { name: 'Dreamcast flash (factory)' },
+}
+
+// Factory settings in the flash: region, language and broadcast format are
+// ASCII digits at 0x1A002..0x1A004 (mirrored at 0x1A0A2)
+const FLASH_REGION_OFFSET = 0x1A002
+const REGIONS = { '0': 'Japan', '1': 'USA', '2': 'Europe' }
+const LANGUAGES = { '0': 'Japanese', '1': 'English', '2': 'German', '3': 'French', '4': 'Spanish', '5': 'Italian' }
+const BROADCASTS = { '0': 'NTSC', '1': 'PAL', '2': 'PAL-M', '3': 'PAL-N' }
+
+function hashFile(filePath) {
+  const data = fs.readFileSync(filePath)
+  return {
+    data,
+    md5: crypto.createHash('md5').update(data).digest('hex'),
+    sha1: crypto.createHash('sha1').update(data).digest('hex'),
+  }
+}
+
+function identifyBoot(filePath) {
+  const { data, md5, sha1 } = hashFile(filePath)
+  const result = { file: filePath, size: data.length, md5, sha1, version: null, region: null, name: null }
+  if (data.length !== BOOT_SIZE) {
+    return { ...result, status: 'bad-size', message: `${data.length} bytes, expected ${BOOT_SIZE}` }
+  }
+  const known = KNOWN_BOOT_ROMS.find((rom) => rom.md5 === md5 || rom.sha1 === sha1)
+  if (!known) {
+    // Only the revisions in KNOWN_BOOT_ROMS are recognised; say so, since other
+    // genuine revisions land here too and usually boot fine
+    const recognised = KNOWN_BOOT_ROMS.map((rom) => rom.version).join(', ')
+    return { ...result, status: 'unknown', message: `not a recognised dump (only ${recognised} is known; MD5 ${md5})` }
+  }
+  return { ...result, version: known.version, region: known.region, name: known.name, status: 'ok', message: known.name }
+}
+
+function identifyFlash(filePath) {
+  const { data, md5, sha1 } = hashFile(filePath)
+  const result = { file: filePath, size: data.length, md5, sha1, region: null, language: null, broadcast: null, factory: false }
+  if (data.length !== FLASH_SIZE) {
+    return { ...result, status: 'bad-size', message: `${data.length} bytes, expected ${FLASH_SIZE}` }
+  }
+
+  const settings = data.toString('latin1', FLASH_REGION_OFFSET, FLASH_REGION_OFFSET + 3)
+  const region = REGIONS[settings[0]] || null
+  Object.assign(result, {
+    region,
+    language: LANGUAGES[settings[1]] || null,
+    broadcast: BROADCASTS[settings[2]] || null,
+    factory: Boolean(KNOWN_FLASH[md5]),
+  })
+  if (!region) return { ...result, status: 'unknown', message: 'no factory region found; not a Dreamcast flash dump?' }
+  return {
+    ...result,
+    status: 'ok',
+    message: `${region} ${result.broadcast || ''}`.trim() + (result.factory ? ' (factory)' : ''),
+  }
+}
+
+// Hashing is cached per file by size and mtime
+const cache = new Map()
+
+function cached(filePath, identify) {
+  const stat = fs.statSync(filePath)
+  const hit = cache.get(filePath)
+  if (hit && hit.size === stat.size && hit.mtimeMs === stat.mtimeMs) return hit.info
+  const info = identify(filePath)
+  cache.set(filePath, { size: stat.size, mtimeMs: stat.mtimeMs, info })
+  return info
+}
+
+// Case-insensitive lookup of a BIOS file in a directory
+function findFile(dir, name) {
+  try {
+    const match = fs.readdirSync(dir).find((f) => f.toLowerCase() === name)
+    return match ? path.join(dir, match) : null
+  } catch {
+    return null
+  }
+}
+
+// Identify the boot ROM and flash in one directory
+function inspectSet(name, dir) {
+  const bootPath = findFile(dir, BOOT_FILE)
+  const flashPath = findFile(dir, FLASH_FILE)
+  const boot = bootPath ? cached(bootPath, identifyBoot) : { status: 'missing', message: 'missing' }
+  const flash = flashPath ? cached(flashPath, identifyFlash) : { status: 'missing', message: 'missing' }
+
+  const warnings = []
+  if (boot.status !== 'ok') warnings.push(`${BOOT_FILE}: ${boot.message}`)
+  if (flash.status !== 'ok') warnings.push(`${FLASH_FILE}: ${flash.message}`)
+  if (boot.region && flash.region && boot.region !== flash.region) {
+    warnings.push(`${boot.region} boot ROM with a ${flash.region} flash; expect a black screen`)
+  }
+
+  return {
+    name,
+    dir,
+    boot,
+    flash,
+    region: boot.region || flash.region || null,
+    // Launchable as long as both files exist with the right sizes; unknown
+    // dumps only warn, since homebrew and modded BIOSes are legitimate
+    usable: !['missing', 'bad-size'].includes(boot.status) && !['missing', 'bad-size'].includes(flash.status),
+    verified: boot.status === 'ok' && flash.status === 'ok' && warnings.length === 0,
+    warnings,
+  }
+}
+
+// All BIOS sets under biosDir: the top-level files, then each subdirectory
+// that contains at least one BIOS file
+function scanBiosSets(biosDir) {
+  if (!fs.existsSync(biosDir)) return []
+  const sets = []
+  if (findFile(biosDir, BOOT_FILE) || findFile(biosDir, FLASH_FILE)) {
+    sets.push(inspectSet(DEFAULT_SET, biosDir))
+  }
+  fs.readdirSync(biosDir, { withFileTypes: true })
+    .filter((d) => d.isDirectory())
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .forEach((d) => {
+      const dir = path.join(biosDir, d.name)
+      if (findFile(dir, BOOT_FILE) || findFile(dir, FLASH_FILE)) sets.push(inspectSet(d.name, dir))
+    })
+  return sets
+}
+
+// The set used when none is picked: the default set if usable, else the first usable one
+function pickDefaultSet(sets) {
+  return sets.find((s) => s.name === DEFAULT_SET && s.usable) || sets.find((s) => s.usable) || null
+}
+
+module.exports = {
+  BOOT_FILE,
+  FLASH_FILE,
+  BOOT_SIZE,
+  FLASH_SIZE,
+  KNOWN_BOOT_ROMS,
+  identifyBoot,
+  identifyFlash,
+  inspectSet,
+  scanBiosSets,
+  pickDefaultSet,
+}
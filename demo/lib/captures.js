@@ -0,0 +1,167 @@
+/**
+ * In-game screenshots and launcher thumbnails
+ *
+ * The emulator page captures frames with the core's screenshot command and
+ * uploads the PNG here. Each one is kept per game next to a downsized
+ * thumbnail for the launcher cards and a small metadata file:
+ *
+ *   <captures-dir>/<game>/<id>.png          as captured
+ *   <captures-dir>/<game>/<id>.thumb.png    THUMB_WIDTH pixels wide
+ *   <captures-dir>/<game>/<id>.json         { id, takenAt, width, height, size, auto }
+ *
+ * Shots taken automatically after boot replace the game's previous automatic
+ * one, so launching a game many times does not fill the gallery; shots taken
+ * on demand are kept until deleted.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const png = require('./png')
+const saves = require('./saves')
+
+const MAX_SHOT_BYTES = 8 * 1024 * 1024
+const MAX_DIMENSION = 4096
+const THUMB_WIDTH = 320
+
+const SHOT_ID = /^[0-9a-z]{8,12}-[0-9a-f]{6}$/
+const SHOT_FILE = /^([0-9a-z]{8,12}-[0-9a-f]{6})(\.thumb)?\.png$/
+
+class CaptureError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'CaptureError'
+  }
+}
+
+function isValidShotId(id) {
+  return typeof id === 'string' && SHOT_ID.test(id)
+}
+
+// Average each box of source pixels into one thumbnail pixel
+function downscale({ width, height, rgba }, maxWidth) {
+  if (width <= maxWidth) return { width, height, rgba }
+  const w = maxWidth
+  const h = Math.max(1, Math.round(height * maxWidth / width))
+  const out = Buffer.alloc(w * h * 4)
+  for (let y = 0; y < h; y++) {
+    const y0 = Math.floor(y * height / h)
+    const y1 = Math.max(y0 + 1, Math.floor((y + 1) * height / h))
+    for (let x = 0; x < w; x++) {
+      const x0 = Math.floor(x * width / w)
+      const x1 = Math.max(x0 + 1, Math.floor((x + 1) * width / w))
+      const sum = [0, 0, 0, 0]
+      for (let sy = y0; sy < y1; sy++) {
+        for (let sx = x0; sx < x1; sx++) {
+          const i = (sy * width + sx) * 4
+          sum[0] += rgba[i]
+          sum[1] += rgba[i + 1]
+          sum[2] += rgba[i + 2]
+          sum[3] += rgba[i + 3]
+        }
+      }
+      const count = (y1 - y0) * (x1 - x0)
+      const o = (y * w + x) * 4
+      for (let c = 0; c < 4; c++) out[o + c] = Math.round(sum[c] / count)
+    }
+  }
+  return { width: w, height: h, rgba: out }
+}
+
+function gameDir(capturesDir, game) {
+  if (!saves.isValidName(game)) throw new CaptureError('invalid game key')
+  return path.join(capturesDir, game)
+}
+
+function writeAtomic(file, data) {
+  const tmp = `${file}.tmp`
+  fs.writeFileSync(tmp, data)
+  fs.renameSync(tmp, file)
+}
+
+function readShot(dir, id) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(dir, `${id}.json`), 'utf8'))
+  } catch {
+    return null
+  }
+}
+
+// A game's shots, newest first
+function listShots(capturesDir, game) {
+  const dir = gameDir(capturesDir, game)
+  let files = []
+  try {
+    files = fs.readdirSync(dir)
+  } catch {}
+  return files
+    .filter((f) => f.endsWith('.json') && isValidShotId(f.slice(0, -5)))
+    .map((f) => readShot(dir, f.slice(0, -5)))
+    .filter(Boolean)
+    .sort((a, b) => b.takenAt.localeCompare(a.takenAt))
+}
+
+function deleteShot(capturesDir, game, id) {
+  if (!isValidShotId(id)) return false
+  const dir = gameDir(capturesDir, game)
+  if (!readShot(dir, id)) return false
+  for (const suffix of ['.json', '.png', '.thumb.png']) fs.rmSync(path.join(dir, id + suffix), { force: true })
+  return true
+}
+
+// Check an uploaded PNG, store it with its thumbnail and return its metadata
+function saveShot(capturesDir, game, data, { auto = false, now = Date.now() } = {}) {
+  const dir = gameDir(capturesDir, game)
+  let image
+  try {
+    image = png.decodePng(data)
+  } catch (e) {
+    if (e instanceof png.PngError) throw new CaptureError(`not a usable screenshot: ${e.message}`)
+    throw e
+  }
+  if (image.width > MAX_DIMENSION || image.height > MAX_DIMENSION) {
+    throw new CaptureError(`screenshot is ${image.width}x${image.height}; at most ${MAX_DIMENSION} pixels a side`)
+  }
+
+  const thumb = downscale(image, THUMB_WIDTH)
+  const shot = {
+    id: `${now.toString(36)}-${crypto.randomBytes(3).toString('hex')}`,
+    takenAt: new Date(now).toISOString(),
+    width: image.width,
+    height: image.height,
+    size: data.length,
+    auto,
+  }
+  const previous = auto ? listShots(capturesDir, game).filter((s) => s.auto) : []
+  fs.mkdirSync(dir, { recursive: true })
+  writeAtomic(path.join(dir, `${shot.id}.png`), data)
+  writeAtomic(path.join(dir, `${shot.id}.thumb.png`), png.encodePng(thumb.width, thumb.height, thumb.rgba))
+  writeAtomic(path.join(dir, `${shot.id}.json`), JSON.stringify(shot, null, 2) + '\n')
+  previous.forEach((s) => deleteShot(capturesDir, game, s.id))
+  return shot
+}
+
+// The shot shown as card art: the newest one taken on demand, else the
+// automatic one
+function coverShot(shots) {
+  return shots.find((s) => !s.auto) || shots[0] || null
+}
+
+// Path of a stored image for "<id>.png" or "<id>.thumb.png", or null
+function resolveImage(capturesDir, game, file) {
+  if (!saves.isValidName(game) || !SHOT_FILE.test(file || '')) return null
+  return path.join(capturesDir, game, file)
+}
+
+module.exports = {
+  MAX_SHOT_BYTES,
+  THUMB_WIDTH,
+  CaptureError,
+  isValidShotId,
+  downscale,
+  listShots,
+  saveShot,
+  deleteShot,
+  coverShot,
+  resolveImage,
+}
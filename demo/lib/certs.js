@@ -0,0 +1,82 @@
+/**
+ * HTTPS certificates for LAN use
+ *
+ * Browsers only grant cross-origin isolation (and so SharedArrayBuffer) in a
+ * secure context, which on anything but localhost means HTTPS. Without a
+ * provided certificate a self-signed one is generated with the openssl CLI,
+ * covering localhost and this machine's LAN addresses, and regenerated when
+ * those addresses change.
+ */
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { execFileSync } = require('child_process')
+
+const CERT_FILE = 'server.crt'
+const KEY_FILE = 'server.key'
+const NAMES_FILE = 'names.json'
+
+// Names the certificate must cover: localhost, the listen host, LAN addresses
+function certificateNames(host) {
+  const names = new Set(['DNS:localhost', 'IP:127.0.0.1', `DNS:${os.hostname()}`])
+  const wildcard = host === '0.0.0.0' || host === '::'
+  if (!wildcard) names.add(/^[\d.]+$|:/.test(host) ? `IP:${host}` : `DNS:${host}`)
+  for (const addresses of Object.values(os.networkInterfaces())) {
+    for (const a of addresses || []) {
+      if (!a.internal && a.family === 'IPv4' && (wildcard || a.address === host)) names.add(`IP:${a.address}`)
+    }
+  }
+  return [...names].sort()
+}
+
+function generate(certDir, names) {
+  fs.mkdirSync(certDir, { recursive: true })
+  const certFile = path.join(certDir, CERT_FILE)
+  const keyFile = path.join(certDir, KEY_FILE)
+  try {
+    execFileSync('openssl', [
+      'req', '-x509', '-newkey', 'rsa:2048', '-nodes', '-sha256', '-days', '825',
+      '-keyout', keyFile, '-out', certFile,
+      '-subj', '/CN=Flycast WASM demo server',
+      '-addext', `subjectAltName=${names.join(',')}`,
+    ], { stdio: 'pipe' })
+  } catch (e) {
+    const reason = e.code === 'ENOENT' ? 'openssl was not found on PATH' : String(e.stderr || e.message).trim()
+    throw new Error(`could not generate a self-signed certificate: ${reason}. Install openssl or pass --cert and --key.`)
+  }
+  fs.chmodSync(keyFile, 0o600)
+  fs.writeFileSync(path.join(certDir, NAMES_FILE), JSON.stringify(names) + '\n')
+}
+
+// TLS options for https.createServer: the provided cert/key, or a generated
+// self-signed pair in certDir. `generated` is true when openssl just ran.
+function loadTls({ cert, key, certDir, host }) {
+  if (cert && key) {
+    return { cert: fs.readFileSync(cert), key: fs.readFileSync(key), certFile: cert, selfSigned: false, generated: false }
+  }
+
+  const names = certificateNames(host)
+  const certFile = path.join(certDir, CERT_FILE)
+  const keyFile = path.join(certDir, KEY_FILE)
+  let current = null
+  try {
+    current = JSON.parse(fs.readFileSync(path.join(certDir, NAMES_FILE), 'utf8'))
+  } catch {}
+  const stale = !fs.existsSync(certFile) || !fs.existsSync(keyFile) || JSON.stringify(current) !== JSON.stringify(names)
+  if (stale) generate(certDir, names)
+
+  return {
+    cert: fs.readFileSync(certFile),
+    key: fs.readFileSync(keyFile),
+    certFile,
+    names,
+    selfSigned: true,
+    generated: stale,
+  }
+}
+
+module.exports = {
+  certificateNames,
+  loadTls,
+}
@@ -0,0 +1,600 @@
+/**
+ * CHD (MAME Compressed Hunks of Data) inspection
+ *
+ * Reads the v5 header, the CD/GD-ROM track metadata (CHT2/CHGD) and the hunk
+ * map, which is enough to list tracks and to catch truncated or corrupt files
+ * before the core hangs on them. A full SHA-1 verification of the raw data
+ * against the header checksum runs on demand.
+ *
+ * Hunks stored uncompressed, with zlib or with the CD zlib codec (cdzl) are
+ * decoded natively. CHDs that also use LZMA, FLAC or zstd hunks are verified
+ * through `chdman verify` when chdman is on the PATH.
+ */
+
+const fs = require('fs')
+const zlib = require('zlib')
+const crypto = require('crypto')
+const { execFile } = require('child_process')
+const { promisify } = require('util')
+
+const inflateRaw = promisify(zlib.inflateRaw)
+
+const MAGIC = 'MComprHD'
+const V5_HEADER_SIZE = 124
+const METADATA_HEADER_SIZE = 16
+
+const CD_MAX_SECTOR_DATA = 2352
+const CD_MAX_SUBCODE_DATA = 96
+const CD_FRAME_SIZE = CD_MAX_SECTOR_DATA + CD_MAX_SUBCODE_DATA
+const CD_SYNC_HEADER = Buffer.from([0x00, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0x00])
+
+// Map entry types (v5)
+const COMPRESSION_TYPE_3 = 3
+const COMPRESSION_NONE = 4
+const COMPRESSION_SELF = 5
+const COMPRESSION_PARENT = 6
+const COMPRESSION_RLE_SMALL = 7
+const COMPRESSION_RLE_LARGE = 8
+const COMPRESSION_SELF_0 = 9
+const COMPRESSION_SELF_1 = 10
+const COMPRESSION_PARENT_SELF = 11
+const COMPRESSION_PARENT_0 = 12
+const COMPRESSION_PARENT_1 = 13
+
+// Track metadata tags
+const TRACK_TAGS = ['CHT2', 'CHTR', 'CHGD']
+
+const NATIVE_CODECS = ['zlib', 'cdzl']
+
+// A full GD-ROM takes chdman a few minutes; past this it is assumed stuck
+const CHDMAN_TIMEOUT_MS = 30 * 60 * 1000
+// How chdman reports a checksum that does not match, as opposed to a file
+// it could not read or a codec it does not know
+const CHDMAN_MISMATCH = /SHA-?1.*(mismatch|does not match|verification failed)|verification failed|actual SHA-?1/i
+
+// CRC-16/CCITT as used by CHD map and hunk checksums
+const CRC16_TABLE = (() => {
+  const table = new Uint16Array(256)
+  for (let i = 0; i < 256; i++) {
+    let crc = i << 8
+    for (let b = 0; b < 8; b++) crc = crc & 0x8000 ? (crc << 1) ^ 0x1021 : crc << 1
+    table[i] = crc & 0xFFFF
+  }
+  return table
+})()
+
+function crc16(buf) {
+  let crc = 0xFFFF
+  for (let i = 0; i < buf.length; i++) {
+    crc = ((crc << 8) ^ CRC16_TABLE[((crc >> 8) ^ buf[i]) & 0xFF]) & 0xFFFF
+  }
+  return crc
+}
+
+function readAt(fd, position, length) {
+  const buf = Buffer.alloc(length)
+  const n = fs.readSync(fd, buf, 0, length, position)
+  if (n < length) throw new Error(`unexpected end of file at offset ${position + n}`)
+  return buf
+}
+
+function readUInt48BE(buf, offset) {
+  return buf.readUInt16BE(offset) * 0x100000000 + buf.readUInt32BE(offset + 2)
+}
+
+function fourcc(value) {
+  if (value === 0) return null
+  return Buffer.from([value >>> 24, (value >>> 16) & 0xFF, (value >>> 8) & 0xFF, value & 0xFF]).toString('latin1')
+}
+
+function parseHeader(buf) {
+  if (buf.toString('latin1', 0, 8) !== MAGIC) throw new Error('not a CHD file (bad signature)')
+  const length = buf.readUInt32BE(8)
+  const version = buf.readUInt32BE(12)
+  if (version !== 5) return { version, length }
+  if (length !== V5_HEADER_SIZE) throw new Error(`bad v5 header length ${length}`)
+
+  const header = {
+    version,
+    length,
+    compressors: [0, 1, 2, 3].map((i) => fourcc(buf.readUInt32BE(16 + i * 4))),
+    logicalBytes: Number(buf.readBigUInt64BE(32)),
+    mapOffset: Number(buf.readBigUInt64BE(40)),
+    metaOffset: Number(buf.readBigUInt64BE(48)),
+    hunkBytes: buf.readUInt32BE(56),
+    unitBytes: buf.readUInt32BE(60),
+    rawSha1: buf.toString('hex', 64, 84),
+    sha1: buf.toString('hex', 84, 104),
+    parentSha1: buf.toString('hex', 104, 124),
+  }
+  if (!header.hunkBytes || !header.unitBytes || header.hunkBytes % header.unitBytes !== 0) {
+    throw new Error(`bad hunk size ${header.hunkBytes} / unit size ${header.unitBytes}`)
+  }
+  header.hunkCount = Math.ceil(header.logicalBytes / header.hunkBytes)
+  header.compressed = header.compressors[0] !== null
+  header.hasParent = /[^0]/.test(header.parentSha1)
+  return header
+}
+
+// Walk the metadata chain
+function readMetadata(fd, header, fileSize) {
+  const entries = []
+  let offset = header.metaOffset
+  const seen = new Set()
+  while (offset !== 0) {
+    if (seen.has(offset)) throw new Error('metadata chain loops')
+    if (offset + METADATA_HEADER_SIZE > fileSize) throw new Error('metadata entry beyond end of file')
+    seen.add(offset)
+    const raw = readAt(fd, offset, METADATA_HEADER_SIZE)
+    const length = raw.readUIntBE(5, 3)
+    if (offset + METADATA_HEADER_SIZE + length > fileSize) throw new Error('metadata entry beyond end of file')
+    entries.push({
+      tag: raw.toString('latin1', 0, 4),
+      flags: raw[4],
+      data: readAt(fd, offset + METADATA_HEADER_SIZE, length),
+    })
+    offset = Number(raw.readBigUInt64BE(8))
+  }
+  return entries
+}
+
+// "TRACK:1 TYPE:MODE1_RAW SUBTYPE:NONE FRAMES:1185 ..." -> track object
+function parseTrackMetadata(tag, text) {
+  const fields = {}
+  for (const m of text.replace(/\0+$/, '').matchAll(/([A-Z]+):(\S+)/g)) fields[m[1]] = m[2]
+  const int = (key) => (fields[key] !== undefined ? parseInt(fields[key], 10) : 0)
+  return {
+    number: int('TRACK'),
+    type: fields.TYPE || 'UNKNOWN',
+    subtype: fields.SUBTYPE || 'NONE',
+    frames: int('FRAMES'),
+    pregap: int('PREGAP'),
+    postgap: int('POSTGAP'),
+    pad: int('PAD'),
+    gdrom: tag === 'CHGD',
+  }
+}
+
+// MSB-first bit reader; reads past the end return zero bits
+class BitReader {
+  constructor(buf) {
+    this.buf = buf
+    this.pos = 0
+  }
+
+  read(count) {
+    let value = 0
+    for (let i = 0; i < count; i++) {
+      const byte = this.buf[this.pos >> 3] || 0
+      value = value * 2 + ((byte >> (7 - (this.pos & 7))) & 1)
+      this.pos++
+    }
+    return value
+  }
+
+  peek(count) {
+    const saved = this.pos
+    const value = this.read(count)
+    this.pos = saved
+    return value
+  }
+}
+
+// Canonical Huffman decoder with an RLE-encoded tree, as used by the v5 map
+function importHuffmanTree(reader, numCodes, maxBits) {
+  const numBits = maxBits >= 16 ? 5 : maxBits >= 8 ? 4 : 3
+  const lengths = []
+  while (lengths.length < numCodes) {
+    let nodeBits = reader.read(numBits)
+    if (nodeBits !== 1) {
+      lengths.push(nodeBits)
+      continue
+    }
+    nodeBits = reader.read(numBits)
+    if (nodeBits === 1) {
+      lengths.push(1)
+      continue
+    }
+    const repeat = reader.read(numBits) + 3
+    if (lengths.length + repeat > numCodes) throw new Error('bad Huffman tree in map')
+    for (let i = 0; i < repeat; i++) lengths.push(nodeBits)
+  }
+
+  // Assign canonical codes
+  const histogram = new Array(33).fill(0)
+  for (const len of lengths) {
+    if (len > maxBits) throw new Error('bad Huffman tree in map')
+    histogram[len]++
+  }
+  let start = 0
+  for (let len = 32; len > 0; len--) {
+    const next = (start + histogram[len]) >> 1
+    if (len !== 1 && next * 2 !== start + histogram[len]) throw new Error('bad Huffman tree in map')
+    histogram[len] = start
+    start = next
+  }
+
+  const lookup = new Array(1 << maxBits).fill(null)
+  lengths.forEach((len, code) => {
+    if (len === 0) return
+    const bits = histogram[len]++
+    const shift = maxBits - len
+    for (let i = bits << shift; i < (bits + 1) << shift; i++) lookup[i] = { code, len }
+  })
+
+  return () => {
+    const entry = lookup[reader.peek(maxBits)]
+    if (!entry) throw new Error('bad Huffman code in map')
+    reader.pos += entry.len
+    return entry.code
+  }
+}
+
+// Decode the hunk map into [{ type, length, offset, crc }]
+function readMap(fd, header) {
+  const { hunkCount, hunkBytes, unitBytes } = header
+
+  if (!header.compressed) {
+    const raw = readAt(fd, header.mapOffset, hunkCount * 4)
+    const map = []
+    for (let i = 0; i < hunkCount; i++) {
+      const offset = raw.readUInt32BE(i * 4) * hunkBytes
+      map.push({ type: offset ? COMPRESSION_NONE : COMPRESSION_PARENT, length: offset ? hunkBytes : 0, offset, crc: null })
+    }
+    return map
+  }
+
+  const mapHeader = readAt(fd, header.mapOffset, 16)
+  const mapBytes = mapHeader.readUInt32BE(0)
+  const firstOffset = readUInt48BE(mapHeader, 4)
+  const mapCrc = mapHeader.readUInt16BE(10)
+  const lengthBits = mapHeader[12]
+  const selfBits = mapHeader[13]
+  const parentBits = mapHeader[14]
+
+  const reader = new BitReader(readAt(fd, header.mapOffset + 16, mapBytes))
+  const decode = importHuffmanTree(reader, 16, 8)
+
+  // Compression types, with run-length repeats
+  const types = []
+  let lastType = 0
+  let repeat = 0
+  for (let hunk = 0; hunk < hunkCount; hunk++) {
+    if (repeat > 0) {
+      types.push(lastType)
+      repeat--
+      continue
+    }
+    const val = decode()
+    if (val === COMPRESSION_RLE_SMALL) {
+      types.push(lastType)
+      repeat = 2 + decode()
+    } else if (val === COMPRESSION_RLE_LARGE) {
+      types.push(lastType)
+      repeat = 2 + 16 + (decode() << 4)
+      repeat += decode()
+    } else {
+      types.push(val)
+      lastType = val
+    }
+  }
+
+  // Lengths, offsets and CRCs
+  const map = []
+  const rawMap = Buffer.alloc(hunkCount * 12)
+  let current = firstOffset
+  let lastSelf = 0
+  let lastParent = 0
+  for (let hunk = 0; hunk < hunkCount; hunk++) {
+    let type = types[hunk]
+    let offset = current
+    let length = 0
+    let crc = 0
+    switch (type) {
+      case 0: case 1: case 2: case 3:
+        length = reader.read(lengthBits)
+        current += length
+        crc = reader.read(16)
+        break
+      case COMPRESSION_NONE:
+        length = hunkBytes
+        current += length
+        crc = reader.read(16)
+        break
+      case COMPRESSION_SELF:
+        offset = lastSelf = reader.read(selfBits)
+        break
+      case COMPRESSION_PARENT:
+        offset = lastParent = reader.read(parentBits)
+        break
+      case COMPRESSION_SELF_1:
+        lastSelf++
+        // falls through
+      case COMPRESSION_SELF_0:
+        type = COMPRESSION_SELF
+        offset = lastSelf
+        break
+      case COMPRESSION_PARENT_SELF:
+        type = COMPRESSION_PARENT
+        offset = lastParent = Math.floor((hunk * hunkBytes) / unitBytes)
+        break
+      case COMPRESSION_PARENT_1:
+        lastParent += hunkBytes / unitBytes
+        // falls through
+      case COMPRESSION_PARENT_0:
+        type = COMPRESSION_PARENT
+        offset = lastParent
+        break
+      default:
+        throw new Error(`unknown map entry type ${type} at hunk ${hunk}`)
+    }
+    rawMap[hunk * 12] = type
+    rawMap.writeUIntBE(length, hunk * 12 + 1, 3)
+    rawMap.writeUIntBE(offset, hunk * 12 + 4, 6)
+    rawMap.writeUInt16BE(crc, hunk * 12 + 10)
+    map.push({ type, length, offset, crc })
+  }
+
+  if (crc16(rawMap) !== mapCrc) throw new Error('hunk map checksum mismatch')
+  return map
+}
+
+// Header, metadata and map checks. Never throws; problems are collected.
+function inspect(filePath) {
+  const result = {
+    version: null,
+    tracks: [],
+    problems: [],
+    warnings: [],
+    ok: false,
+  }
+
+  let fd
+  try {
+    fd = fs.openSync(filePath, 'r')
+    const fileSize = fs.fstatSync(fd).size
+    if (fileSize < V5_HEADER_SIZE) throw new Error('file is too small to be a CHD')
+    const header = parseHeader(readAt(fd, 0, V5_HEADER_SIZE))
+    result.version = header.version
+    if (header.version !== 5) {
+      result.warnings.push(`CHD v${header.version} cannot be inspected; only v5 headers are supported`)
+      result.ok = true
+      return result
+    }
+
+    Object.assign(result, {
+      compressors: header.compressors.filter(Boolean),
+      logicalBytes: header.logicalBytes,
+      hunkBytes: header.hunkBytes,
+      unitBytes: header.unitBytes,
+      hunkCount: header.hunkCount,
+      rawSha1: header.rawSha1,
+      sha1: header.sha1,
+      hasParent: header.hasParent,
+    })
+    if (header.hasParent) result.warnings.push('this CHD is a diff and needs its parent to play')
+    if (header.mapOffset >= fileSize) throw new Error('hunk map lies beyond the end of the file (truncated?)')
+    if (header.metaOffset >= fileSize) throw new Error('metadata lies beyond the end of the file (truncated?)')
+
+    const metadata = readMetadata(fd, header, fileSize)
+    result.tracks = metadata
+      .filter((m) => TRACK_TAGS.includes(m.tag))
+      .map((m) => parseTrackMetadata(m.tag, m.data.toString('latin1')))
+      .sort((a, b) => a.number - b.number)
+    if (result.tracks.length === 0) result.warnings.push('no CD track metadata found')
+
+    const map = readMap(fd, header)
+    const end = map.reduce((max, e) => (
+      e.type <= COMPRESSION_NONE ? Math.max(max, e.offset + e.length) : max
+    ), 0)
+    if (end > fileSize) {
+      result.problems.push(`file is truncated: hunk data runs to ${end} bytes but the file is ${fileSize}`)
+    }
+    const unknown = map.filter((e) => e.type <= COMPRESSION_TYPE_3 && !header.compressors[e.type])
+    if (unknown.length) result.problems.push(`${unknown.length} hunk(s) reference an undefined compressor`)
+  } catch (e) {
+    result.problems.push(e.message)
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd)
+  }
+
+  result.ok = result.problems.length === 0
+  return result
+}
+
+// Per-file cache keyed by size and mtime
+const inspectCache = new Map()
+
+function inspectChd(filePath) {
+  let stat
+  try {
+    stat = fs.statSync(filePath)
+  } catch {
+    return null
+  }
+  const cached = inspectCache.get(filePath)
+  if (cached && cached.size === stat.size && cached.mtimeMs === stat.mtimeMs) return cached.info
+
+  const info = inspect(filePath)
+  inspectCache.set(filePath, { size: stat.size, mtimeMs: stat.mtimeMs, info })
+  return info
+}
+
+// --- CD sector ECC regeneration (cdzl stores sectors with sync/ECC stripped) ---
+
+const ECC_F_LUT = new Uint8Array(256)
+const ECC_B_LUT = new Uint8Array(256)
+for (let i = 0; i < 256; i++) {
+  const j = ((i << 1) ^ (i & 0x80 ? 0x11D : 0)) & 0xFF
+  ECC_F_LUT[i] = j
+  ECC_B_LUT[i ^ j] = i
+}
+
+function eccBlock(src, majorCount, minorCount, majorMult, minorInc, dest, destOffset) {
+  const size = majorCount * minorCount
+  for (let major = 0; major < majorCount; major++) {
+    let index = (major >> 1) * majorMult + (major & 1)
+    let a = 0
+    let b = 0
+    for (let minor = 0; minor < minorCount; minor++) {
+      const temp = src[index]
+      index += minorInc
+      if (index >= size) index -= size
+      a ^= temp
+      b ^= temp
+      a = ECC_F_LUT[a]
+    }
+    a = ECC_B_LUT[ECC_F_LUT[a] ^ b]
+    dest[destOffset + major] = a
+    dest[destOffset + major + majorCount] = a ^ b
+  }
+}
+
+function eccGenerate(sector) {
+  // Mode 2 sectors compute ECC with the 4-byte header treated as zero
+  const src = Buffer.from(sector.subarray(12, 2248 + 104))
+  if (sector[15] === 2) src.fill(0, 0, 4)
+  eccBlock(src, 86, 24, 2, 86, sector, 2076)
+  src.set(sector.subarray(2076, 2248), 2064)
+  eccBlock(src, 52, 43, 86, 88, sector, 2248)
+}
+
+// --- Hunk decoding ---
+
+async function decodeCdzl(src, hunkBytes) {
+  const frames = hunkBytes / CD_FRAME_SIZE
+  const complenBytes = hunkBytes < 65536 ? 2 : 3
+  const eccBytes = (frames + 7) >> 3
+  const headerBytes = eccBytes + complenBytes
+  const baseLength = src.readUIntBE(eccBytes, complenBytes)
+
+  const base = await inflateRaw(src.subarray(headerBytes, headerBytes + baseLength))
+  const subcode = await inflateRaw(src.subarray(headerBytes + baseLength))
+  if (base.length !== frames * CD_MAX_SECTOR_DATA || subcode.length !== frames * CD_MAX_SUBCODE_DATA) {
+    throw new Error('cdzl hunk decompressed to the wrong size')
+  }
+
+  const dest = Buffer.alloc(hunkBytes)
+  for (let f = 0; f < frames; f++) {
+    const sector = dest.subarray(f * CD_FRAME_SIZE, f * CD_FRAME_SIZE + CD_MAX_SECTOR_DATA)
+    base.copy(sector, 0, f * CD_MAX_SECTOR_DATA, (f + 1) * CD_MAX_SECTOR_DATA)
+    subcode.copy(dest, f * CD_FRAME_SIZE + CD_MAX_SECTOR_DATA, f * CD_MAX_SUBCODE_DATA, (f + 1) * CD_MAX_SUBCODE_DATA)
+    if (src[f >> 3] & (1 << (f & 7))) {
+      CD_SYNC_HEADER.copy(sector, 0)
+      eccGenerate(sector)
+    }
+  }
+  return dest
+}
+
+async function decodeHunk(codec, src, hunkBytes) {
+  if (codec === 'zlib') return inflateRaw(src)
+  if (codec === 'cdzl') return decodeCdzl(src, hunkBytes)
+  throw new Error(`codec ${codec} is not decoded natively`)
+}
+
+async function verifyNative(filePath, header, map, onProgress) {
+  const sha1 = crypto.createHash('sha1')
+  const handle = await fs.promises.open(filePath, 'r')
+  const decoded = new Map()
+  const selfTargets = new Set(map.filter((e) => e.type === COMPRESSION_SELF).map((e) => e.offset))
+
+  try {
+    for (let hunk = 0; hunk < map.length; hunk++) {
+      const entry = map[hunk]
+      let data
+      if (entry.type === COMPRESSION_SELF) {
+        data = decoded.get(entry.offset)
+      } else if (entry.type === COMPRESSION_PARENT) {
+        if (!header.compressed && entry.offset === 0) data = Buffer.alloc(header.hunkBytes)
+        else throw new Error(`hunk ${hunk} lives in the parent CHD`)
+      } else {
+        const raw = Buffer.alloc(entry.length)
+        const { bytesRead } = await handle.read(raw, 0, entry.length, entry.offset)
+        if (bytesRead < entry.length) throw new Error(`hunk ${hunk} is truncated`)
+        data = entry.type === COMPRESSION_NONE
+          ? raw
+          : await decodeHunk(header.compressors[entry.type], raw, header.hunkBytes)
+        if (entry.crc !== null && crc16(data) !== entry.crc) throw new Error(`hunk ${hunk} fails its CRC check`)
+      }
+      if (selfTargets.has(hunk)) decoded.set(hunk, data)
+
+      const remaining = header.logicalBytes - hunk * header.hunkBytes
+      sha1.update(remaining < data.length ? data.subarray(0, remaining) : data)
+      if (onProgress && hunk % 64 === 0) onProgress(hunk / map.length)
+    }
+  } finally {
+    await handle.close()
+  }
+  return sha1.digest('hex')
+}
+
+// Resolves to null when chdman is not installed, else { status, message }:
+// 'mismatch' only when chdman reports a bad checksum, 'error' when it could
+// not run, timed out or failed for another reason
+function verifyWithChdman(filePath) {
+  return new Promise((resolve) => {
+    const options = { maxBuffer: 1024 * 1024, timeout: CHDMAN_TIMEOUT_MS, killSignal: 'SIGKILL' }
+    execFile('chdman', ['verify', '--input', filePath], options, (err, stdout, stderr) => {
+      if (err && err.code === 'ENOENT') {
+        resolve(null)
+        return
+      }
+      const output = `${stdout}\n${stderr}`.trim()
+      const lastLine = (output.split('\n').filter(Boolean).pop() || '').replace(/\r.*$/, '').trim()
+      if (!err) resolve({ status: 'ok', message: lastLine })
+      else if (err.killed) resolve({ status: 'error', message: `chdman did not finish within ${CHDMAN_TIMEOUT_MS / 60000} minutes` })
+      else if (typeof err.code !== 'number') resolve({ status: 'error', message: `chdman could not run: ${err.message}` })
+      else if (CHDMAN_MISMATCH.test(output)) resolve({ status: 'mismatch', message: lastLine })
+      else resolve({ status: 'error', message: `chdman failed: ${lastLine || `exit code ${err.code}`}` })
+    })
+  })
+}
+
+// Full SHA-1 verification of the raw data against the header checksum.
+// Resolves to { status: 'ok' | 'mismatch' | 'error' | 'unsupported', message, expected, actual }
+async function verifyChd(filePath, onProgress) {
+  let header
+  let map
+  try {
+    const fd = fs.openSync(filePath, 'r')
+    try {
+      header = parseHeader(readAt(fd, 0, V5_HEADER_SIZE))
+      if (header.version !== 5) return { status: 'unsupported', message: `CHD v${header.version} is not supported` }
+      map = readMap(fd, header)
+    } finally {
+      fs.closeSync(fd)
+    }
+  } catch (e) {
+    return { status: 'error', message: e.message }
+  }
+
+  const used = new Set(map.filter((e) => e.type <= COMPRESSION_TYPE_3).map((e) => header.compressors[e.type]))
+  const foreign = Array.from(used).filter((c) => !NATIVE_CODECS.includes(c))
+  if (foreign.length > 0) {
+    const result = await verifyWithChdman(filePath)
+    if (!result) {
+      return {
+        status: 'unsupported',
+        message: `uses ${foreign.join(', ')} hunks; install chdman to verify this file`,
+      }
+    }
+    return { status: result.status, message: result.message || 'chdman verify', expected: header.rawSha1 }
+  }
+
+  try {
+    const actual = await verifyNative(filePath, header, map, onProgress)
+    return actual === header.rawSha1
+      ? { status: 'ok', message: 'raw SHA-1 matches header', expected: header.rawSha1, actual }
+      : { status: 'mismatch', message: 'raw SHA-1 does not match header', expected: header.rawSha1, actual }
+  } catch (e) {
+    return { status: 'error', message: e.message }
+  }
+}
+
+module.exports = {
+  crc16,
+  parseHeader,
+  inspectChd,
+  verifyChd,
+}
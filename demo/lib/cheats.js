@@ -0,0 +1,255 @@
+/**
+ * Cheat codes
+ *
+ * The core takes cheats through retro_cheat_set, exported to the page as
+ * _set_cheat(index, enabled, code), and reads each code as CodeBreaker /
+ * Action Replay words: pairs of 8-digit hex address and value words. It can
+ * add cheats but not remove one, so the emulator page calls _reset_cheat and
+ * sends the enabled set again whenever a cheat is switched off.
+ *
+ * Cheats are imported from two kinds of file:
+ *
+ *   CodeBreaker / Action Replay lists: a name line, then its code lines
+ *     Infinite health
+ *     0C2A51F4 00000064
+ *
+ *   libretro .cht: cheats = N, then cheat<i>_desc, cheat<i>_code (lines
+ *     joined with "+") and cheat<i>_enable
+ *
+ * and kept per game (by profile key, see core-options.js) with whether each
+ * one is enabled, so the enabled set is applied again at the next launch:
+ *
+ *   <profiles-dir>/cheats/<key>.json
+ *     { "cheats": [{ "id", "name", "code": ["0C2A51F4 00000064"], "enabled": false }] }
+ *
+ * A cheat's id is a hash of its code, so importing the same file twice does
+ * not list a cheat twice.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const coreOptions = require('./core-options')
+
+const MAX_CHEATS = 500
+const MAX_CODE_WORDS = 512
+const MAX_NAME_LENGTH = 100
+const MAX_FILE_BYTES = 1024 * 1024
+
+const HEX_WORD = /^[0-9A-Fa-f]{8}$/
+// Lines of a code list that are meant as code rather than a cheat's name
+const CODE_LINE = /^[0-9A-Fa-f]{6,}(?:[\s:+-]+[0-9A-Fa-f]+)*$/
+const CHT_LINE = /^\s*([A-Za-z0-9_]+)\s*=\s*(?:"([^"]*)"|(\S*))\s*$/
+const CHEAT_ID = /^[0-9a-f]{10}$/
+
+class CheatsError extends Error {
+  constructor(source, problems) {
+    super(`${source}: ${problems.join('; ')}`)
+    this.name = 'CheatsError'
+    this.source = source
+    this.problems = problems
+  }
+}
+
+function isValidCheatId(id) {
+  return typeof id === 'string' && CHEAT_ID.test(id)
+}
+
+// Split a code (a string, or an array of lines) into "XXXXXXXX YYYYYYYY"
+// lines. Returns { lines, problems }.
+function normalizeCode(code) {
+  const text = Array.isArray(code) ? code.join(' ') : code
+  if (typeof text !== 'string') return { lines: [], problems: ['code must be a string or a list of lines'] }
+  const words = text.split(/[\s+:,-]+/).filter(Boolean)
+  const problems = []
+  if (words.length === 0) problems.push('code is empty')
+  if (words.length > MAX_CODE_WORDS) problems.push(`code has ${words.length} words; at most ${MAX_CODE_WORDS}`)
+  const bad = words.filter((w) => !HEX_WORD.test(w))
+  if (bad.length > 0) problems.push(`${bad.slice(0, 3).map((w) => JSON.stringify(w)).join(', ')} ${bad.length === 1 ? 'is' : 'are'} not 8 hex digits`)
+  else if (words.length % 2 !== 0) problems.push('code words must come in address/value pairs')
+  if (problems.length > 0) return { lines: [], problems }
+  const lines = []
+  for (let i = 0; i < words.length; i += 2) lines.push(`${words[i]} ${words[i + 1]}`.toUpperCase())
+  return { lines, problems }
+}
+
+function cheatName(name) {
+  return typeof name === 'string' ? name.trim().slice(0, MAX_NAME_LENGTH) : ''
+}
+
+function cheatId(lines) {
+  return crypto.createHash('sha1').update(lines.join('\n')).digest('hex').slice(0, 10)
+}
+
+// libretro .cht: key = value lines, values optionally quoted
+function parseCht(text) {
+  const values = {}
+  for (const line of text.split(/\r?\n/)) {
+    const m = CHT_LINE.exec(line)
+    if (m) values[m[1].toLowerCase()] = m[2] !== undefined ? m[2] : m[3]
+  }
+  const count = Number(values.cheats)
+  if (!Number.isInteger(count) || count < 0) return { cheats: [], problems: ['missing "cheats = <count>" line'] }
+
+  const cheats = []
+  const problems = []
+  for (let i = 0; i < count; i++) {
+    const name = cheatName(values[`cheat${i}_desc`]) || `Cheat ${i + 1}`
+    if (values[`cheat${i}_code`] === undefined) {
+      problems.push(`cheat${i} (${name}): no cheat${i}_code line`)
+      continue
+    }
+    const code = normalizeCode(values[`cheat${i}_code`])
+    code.problems.forEach((p) => problems.push(`cheat${i} (${name}): ${p}`))
+    if (code.problems.length === 0) cheats.push({ name, code: code.lines, enabled: values[`cheat${i}_enable`] === 'true' })
+  }
+  return { cheats, problems }
+}
+
+// CodeBreaker / Action Replay lists: a name line followed by code lines.
+// Blank lines and lines starting with #, ; or // are ignored.
+function parseCodeList(text) {
+  const cheats = []
+  const problems = []
+  let current = null
+  let pending = []
+
+  function finish() {
+    if (!current) return
+    const code = normalizeCode(pending)
+    if (pending.length === 0) problems.push(`${current.name} (line ${current.line}): no code lines`)
+    else code.problems.forEach((p) => problems.push(`${current.name} (line ${current.line}): ${p}`))
+    if (pending.length > 0 && code.problems.length === 0) cheats.push({ name: current.name, code: code.lines, enabled: false })
+    current = null
+    pending = []
+  }
+
+  text.split(/\r?\n/).forEach((raw, i) => {
+    const line = raw.trim()
+    if (!line || line.startsWith('#') || line.startsWith(';') || line.startsWith('//')) return
+    if (CODE_LINE.test(line)) {
+      if (!current) current = { name: `Code ${cheats.length + 1}`, line: i + 1 }
+      pending.push(line)
+      return
+    }
+    finish()
+    current = { name: cheatName(line), line: i + 1 }
+  })
+  finish()
+  return { cheats, problems }
+}
+
+// Parse an uploaded cheat file. `format` is "cht" or "codes"; without one it
+// is picked from the file name or content. Throws CheatsError listing every
+// problem found.
+function parseCheatFile(text, { format, filename } = {}) {
+  const source = filename ? `cheat file ${filename}` : 'cheat file'
+  if (typeof text !== 'string' || !text.trim()) throw new CheatsError(source, ['file is empty'])
+  if (Buffer.byteLength(text) > MAX_FILE_BYTES) throw new CheatsError(source, [`file is larger than ${MAX_FILE_BYTES} bytes`])
+  if (format !== undefined && format !== 'cht' && format !== 'codes') throw new CheatsError(source, ['format must be "cht" or "codes"'])
+
+  const detected = format || (/\.cht$/i.test(filename || '') || /^\s*cheats\s*=\s*\d+\s*$/m.test(text) ? 'cht' : 'codes')
+  const { cheats, problems } = detected === 'cht' ? parseCht(text) : parseCodeList(text)
+  if (problems.length === 0 && cheats.length === 0) problems.push('no cheats found')
+  if (problems.length > 0) throw new CheatsError(source, problems)
+  return { format: detected, cheats }
+}
+
+// Check a cheat typed in by hand ({ name, code }) and normalize it
+function parseCheat(cheat) {
+  if (!cheat || typeof cheat !== 'object' || Array.isArray(cheat)) throw new CheatsError('cheat', ['expected { name, code }'])
+  const name = cheatName(cheat.name)
+  const code = normalizeCode(cheat.code)
+  const problems = [...(name ? [] : ['name is required']), ...code.problems]
+  if (problems.length > 0) throw new CheatsError(name ? `cheat ${name}` : 'cheat', problems)
+  return { name, code: code.lines, enabled: cheat.enabled === true }
+}
+
+function cheatsPath(profilesDir, key) {
+  if (!coreOptions.isValidProfileKey(key)) return null
+  return path.join(profilesDir, 'cheats', `${key}.json`)
+}
+
+// A game's cheats, in the order they were added; invalid files throw
+function readCheats(profilesDir, key) {
+  const file = cheatsPath(profilesDir, key)
+  if (!file) throw new CheatsError(`cheats for ${key}`, ['invalid game key'])
+  if (!fs.existsSync(file)) return []
+  let stored
+  try {
+    stored = JSON.parse(fs.readFileSync(file, 'utf8'))
+  } catch (e) {
+    throw new CheatsError(`cheats for ${key}`, [`${path.basename(file)} is not valid JSON (${e.message})`])
+  }
+  if (!stored || !Array.isArray(stored.cheats)) throw new CheatsError(`cheats for ${key}`, ['expected { cheats: [...] }'])
+  return stored.cheats.filter((c) => c && isValidCheatId(c.id) && Array.isArray(c.code))
+}
+
+function writeCheats(profilesDir, key, cheats) {
+  const file = cheatsPath(profilesDir, key)
+  fs.mkdirSync(path.dirname(file), { recursive: true })
+  const tmp = `${file}.${process.pid}.tmp`
+  fs.writeFileSync(tmp, JSON.stringify({ cheats }, null, 2) + '\n')
+  fs.renameSync(tmp, file)
+}
+
+// Add parsed cheats to a game's list, skipping codes it already has.
+// Returns { added, skipped, cheats }.
+function addCheats(profilesDir, key, parsed) {
+  const cheats = readCheats(profilesDir, key)
+  const added = []
+  let skipped = 0
+  for (const { name, code, enabled } of parsed) {
+    const id = cheatId(code)
+    if (cheats.some((c) => c.id === id) || added.some((c) => c.id === id)) {
+      skipped++
+      continue
+    }
+    added.push({ id, name, code, enabled: Boolean(enabled) })
+  }
+  if (cheats.length + added.length > MAX_CHEATS) {
+    throw new CheatsError(`cheats for ${key}`, [`a game can have at most ${MAX_CHEATS} cheats (has ${cheats.length}, adding ${added.length})`])
+  }
+  if (added.length > 0) writeCheats(profilesDir, key, [...cheats, ...added])
+  return { added, skipped, cheats: [...cheats, ...added] }
+}
+
+// Rename a cheat or switch it on or off ({ name?, enabled? }); null when the
+// game has no such cheat
+function updateCheat(profilesDir, key, id, changes) {
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) throw new CheatsError(`cheat ${id}`, ['expected { name?, enabled? }'])
+  const problems = []
+  if (changes.enabled !== undefined && typeof changes.enabled !== 'boolean') problems.push('enabled must be true or false')
+  if (changes.name !== undefined && !cheatName(changes.name)) problems.push('name must be a non-empty string')
+  if (problems.length > 0) throw new CheatsError(`cheat ${id}`, problems)
+
+  const cheats = readCheats(profilesDir, key)
+  const cheat = cheats.find((c) => c.id === id)
+  if (!cheat) return null
+  if (changes.enabled !== undefined) cheat.enabled = changes.enabled
+  if (changes.name !== undefined) cheat.name = cheatName(changes.name)
+  writeCheats(profilesDir, key, cheats)
+  return cheat
+}
+
+function deleteCheat(profilesDir, key, id) {
+  const cheats = readCheats(profilesDir, key)
+  const kept = cheats.filter((c) => c.id !== id)
+  if (kept.length === cheats.length) return false
+  writeCheats(profilesDir, key, kept)
+  return true
+}
+
+module.exports = {
+  MAX_CHEATS,
+  MAX_FILE_BYTES,
+  CheatsError,
+  isValidCheatId,
+  normalizeCode,
+  parseCheatFile,
+  parseCheat,
+  readCheats,
+  addCheats,
+  updateCheat,
+  deleteCheat,
+}
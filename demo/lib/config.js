@@ -0,0 +1,233 @@
+/**
+ * Demo server configuration
+ *
+ * Settings come from, in increasing priority: built-in defaults, a JSON
+ * config file (--config), environment variables, then command-line flags.
+ * Relative paths in the config file are resolved against the file's own
+ * directory; relative paths on the command line against the working directory.
+ */
+
+const fs = require('fs')
+const path = require('path')
+
+class ConfigError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'ConfigError'
+  }
+}
+
+// Directory settings: config key, CLI flag, environment variable, default
+// (relative to the demo directory)
+const DIRECTORIES = [
+  { key: 'romsDir', flag: '--roms-dir', env: 'ROMS_DIR', fallback: 'roms' },
+  { key: 'biosDir', flag: '--bios-dir', env: 'BIOS_DIR', fallback: 'bios' },
+  { key: 'dataDir', flag: '--data-dir', env: 'DATA_DIR', fallback: 'data' },
+  { key: 'coresDir', flag: '--cores-dir', env: 'CORES_DIR', fallback: 'cores' },
+  { key: 'savesDir', flag: '--saves-dir', env: 'SAVES_DIR', fallback: 'saves' },
+  { key: 'profilesDir', flag: '--profiles-dir', env: 'PROFILES_DIR', fallback: 'profiles' },
+  { key: 'benchmarksDir', flag: '--benchmarks-dir', env: 'BENCHMARKS_DIR', fallback: 'benchmarks' },
+  { key: 'uploadsDir', flag: '--uploads-dir', env: 'UPLOADS_DIR', fallback: 'uploads' },
+  { key: 'capturesDir', flag: '--captures-dir', env: 'CAPTURES_DIR', fallback: 'captures' },
+  { key: 'screenshotsDir', flag: '--screenshots-dir', env: 'SCREENSHOTS_DIR', fallback: path.join('..', 'screenshots') },
+  { key: 'certDir', flag: '--cert-dir', env: 'CERT_DIR', fallback: 'certs' },
+]
+
+const FILES = [
+  { key: 'linkSecretFile', flag: '--link-secret', env: 'LINK_SECRET_FILE', fallback: '.link-secret' },
+]
+
+const USAGE = `Usage: node server.js [port] [roms-dir] [options]
+
+Options:
+  --port <n>               Port to listen on (default 3000)
+  --host <addr>            Address to listen on (default 127.0.0.1; 0.0.0.0 for LAN)
+  --roms-dir <dir>         ROM library (default ./roms)
+  --bios-dir <dir>         BIOS files and sets (default ./bios)
+  --data-dir <dir>         EmulatorJS data with cores/ (default ./data)
+  --cores-dir <dir>        More core builds, one per subdirectory (default ./cores)
+  --default-core <name>    Core build used unless a launch or profile picks one
+  --saves-dir <dir>        VMU images and save files (default ./saves)
+  --profiles-dir <dir>     Core option profiles (default ./profiles)
+  --benchmarks-dir <dir>   Recorded benchmark sessions (default ./benchmarks)
+  --uploads-dir <dir>      Uploads in progress from the launcher (default ./uploads)
+  --max-upload <size>      Largest upload accepted, e.g. 700M or 4G (default 4G)
+  --captures-dir <dir>     In-game screenshots and launcher thumbnails (default ./captures)
+  --capture-delay <secs>   Take a thumbnail this long after boot; 0 turns it off (default 30)
+  --disc-cache <size>      Keep recently played discs in the browser's offline cache
+                           up to this size, e.g. 8G; 0 turns it off (default 0)
+  --screenshots-dir <dir>  Screenshots served under /screenshots/ (default ../screenshots)
+  --config <file>          JSON config file with any of the settings above
+  --https                  Serve HTTPS with a generated self-signed certificate
+  --cert <file>            HTTPS certificate (PEM); implies --https
+  --key <file>             HTTPS private key (PEM); implies --https
+  --cert-dir <dir>         Where a generated certificate is kept (default ./certs)
+  --export <dir>           Write a static site of the library to <dir> and exit
+  --export-links           Symlink files into the export instead of copying them
+  --help                   Show this help
+
+Config file keys: port, host, romsDir, biosDir, dataDir, coresDir,
+defaultCore, savesDir, profilesDir, benchmarksDir, uploadsDir, maxUpload,
+capturesDir, captureDelay, discCache, screenshotsDir, certDir, linkSecretFile, and https (true, or { "cert": "<file>", "key": "<file>" }).`
+
+const CONFIG_KEYS = ['port', 'host', 'https', 'defaultCore', 'maxUpload', 'captureDelay', 'discCache', ...DIRECTORIES.map((d) => d.key), ...FILES.map((f) => f.key)]
+
+function parsePort(value, source) {
+  const port = Number(value)
+  if (!Number.isInteger(port) || port < 1 || port > 65535) {
+    throw new ConfigError(`${source}: port must be a number from 1 to 65535, got ${JSON.stringify(value)}`)
+  }
+  return port
+}
+
+// Seconds after boot before the automatic thumbnail; 0 turns it off
+function parseCaptureDelay(value, source) {
+  const seconds = Number(value)
+  if (!Number.isFinite(seconds) || seconds < 0 || seconds > 3600) {
+    throw new ConfigError(`${source}: capture delay must be 0 to 3600 seconds, got ${JSON.stringify(value)}`)
+  }
+  return seconds
+}
+
+// A byte count or a size such as "700M" or "4G"; NaN when unreadable
+function parseSize(value) {
+  const m = /^(\d+(?:\.\d+)?)\s*([kmgt]?)i?b?$/i.exec(String(value).trim())
+  return m ? Math.floor(parseFloat(m[1]) * 1024 ** ' kmgt'.indexOf(m[2].toLowerCase() || ' ')) : NaN
+}
+
+// Upload size limit
+function parseUploadLimit(value, source) {
+  const bytes = parseSize(value)
+  if (!(bytes > 0)) throw new ConfigError(`${source}: upload limit must be a size such as 700M or 4G, got ${JSON.stringify(value)}`)
+  return bytes
+}
+
+// Browser disc cache quota; 0 or "off" turns the disc cache off
+function parseDiscCache(value, source) {
+  if (String(value).trim().toLowerCase() === 'off') return 0
+  const bytes = parseSize(value)
+  if (!(bytes >= 0)) throw new ConfigError(`${source}: disc cache must be a size such as 8G, or 0 to turn it off, got ${JSON.stringify(value)}`)
+  return bytes
+}
+
+// Split argv into flags and positionals; "--flag value" and "--flag=value"
+function parseArgs(argv) {
+  const valueFlags = ['--port', '--host', '--config', '--cert', '--key', '--default-core', '--max-upload', '--capture-delay', '--disc-cache', '--export',
+    ...DIRECTORIES.map((d) => d.flag), ...FILES.map((f) => f.flag)]
+  const flags = {}
+  const positionals = []
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    if (!arg.startsWith('--')) {
+      positionals.push(arg)
+      continue
+    }
+    const eq = arg.indexOf('=')
+    const name = eq === -1 ? arg : arg.slice(0, eq)
+    if (name === '--help' || name === '--https' || name === '--export-links') {
+      flags[name] = true
+    } else if (valueFlags.includes(name)) {
+      const value = eq === -1 ? argv[++i] : arg.slice(eq + 1)
+      if (value === undefined || value === '') throw new ConfigError(`${name} needs a value`)
+      flags[name] = value
+    } else {
+      throw new ConfigError(`unknown option ${name}`)
+    }
+  }
+  if (positionals.length > 2) throw new ConfigError(`unexpected argument ${positionals[2]}`)
+  return { flags, positionals }
+}
+
+function readConfigFile(file) {
+  let raw
+  try {
+    raw = JSON.parse(fs.readFileSync(file, 'utf8'))
+  } catch (e) {
+    throw new ConfigError(`${file}: ${e.code === 'ENOENT' ? 'file not found' : e.message}`)
+  }
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw new ConfigError(`${file}: expected a JSON object`)
+  const unknown = Object.keys(raw).filter((key) => !CONFIG_KEYS.includes(key))
+  if (unknown.length > 0) throw new ConfigError(`${file}: unknown setting${unknown.length > 1 ? 's' : ''} ${unknown.join(', ')}`)
+  return raw
+}
+
+// Resolve the full server configuration. `demoDir` anchors the defaults.
+function loadConfig({ argv, env, demoDir, cwd = process.cwd() }) {
+  const { flags, positionals } = parseArgs(argv)
+  if (flags['--help']) return { help: true }
+
+  const config = { port: 3000, host: '127.0.0.1', https: null, defaultCore: null, maxUpload: 4 * 1024 ** 3, captureDelay: 30, discCache: 0, configFile: null, exportDir: null, exportLinks: false }
+  for (const { key, fallback } of [...DIRECTORIES, ...FILES]) config[key] = path.join(demoDir, fallback)
+
+  if (flags['--config']) {
+    const file = path.resolve(cwd, flags['--config'])
+    const fileConfig = readConfigFile(file)
+    const base = path.dirname(file)
+    config.configFile = file
+    if (fileConfig.port !== undefined) config.port = parsePort(fileConfig.port, file)
+    if (fileConfig.host !== undefined) config.host = String(fileConfig.host)
+    if (fileConfig.defaultCore !== undefined) config.defaultCore = String(fileConfig.defaultCore)
+    if (fileConfig.maxUpload !== undefined) config.maxUpload = parseUploadLimit(fileConfig.maxUpload, file)
+    if (fileConfig.captureDelay !== undefined) config.captureDelay = parseCaptureDelay(fileConfig.captureDelay, file)
+    if (fileConfig.discCache !== undefined) config.discCache = parseDiscCache(fileConfig.discCache, file)
+    for (const { key } of [...DIRECTORIES, ...FILES]) {
+      if (fileConfig[key] !== undefined) config[key] = path.resolve(base, String(fileConfig[key]))
+    }
+    if (fileConfig.https === true) {
+      config.https = {}
+    } else if (fileConfig.https && typeof fileConfig.https === 'object') {
+      config.https = {}
+      if (fileConfig.https.cert) config.https.cert = path.resolve(base, fileConfig.https.cert)
+      if (fileConfig.https.key) config.https.key = path.resolve(base, fileConfig.https.key)
+    } else if (fileConfig.https !== undefined && fileConfig.https !== false) {
+      throw new ConfigError(`${file}: https must be true, false or { "cert", "key" }`)
+    }
+  }
+
+  for (const { key, env: name } of [...DIRECTORIES, ...FILES]) {
+    if (env[name]) config[key] = path.resolve(cwd, env[name])
+  }
+  if (env.DEFAULT_CORE) config.defaultCore = env.DEFAULT_CORE
+  if (env.MAX_UPLOAD) config.maxUpload = parseUploadLimit(env.MAX_UPLOAD, 'MAX_UPLOAD')
+  if (env.CAPTURE_DELAY) config.captureDelay = parseCaptureDelay(env.CAPTURE_DELAY, 'CAPTURE_DELAY')
+  if (env.DISC_CACHE) config.discCache = parseDiscCache(env.DISC_CACHE, 'DISC_CACHE')
+
+  if (positionals[0] !== undefined) config.port = parsePort(positionals[0], 'port argument')
+  if (positionals[1] !== undefined) config.romsDir = path.resolve(cwd, positionals[1])
+  if (flags['--port']) config.port = parsePort(flags['--port'], '--port')
+  if (flags['--host']) config.host = flags['--host']
+  if (flags['--default-core']) config.defaultCore = flags['--default-core']
+  if (flags['--max-upload']) config.maxUpload = parseUploadLimit(flags['--max-upload'], '--max-upload')
+  if (flags['--capture-delay']) config.captureDelay = parseCaptureDelay(flags['--capture-delay'], '--capture-delay')
+  if (flags['--disc-cache']) config.discCache = parseDiscCache(flags['--disc-cache'], '--disc-cache')
+  for (const { key, flag } of [...DIRECTORIES, ...FILES]) {
+    if (flags[flag]) config[key] = path.resolve(cwd, flags[flag])
+  }
+
+  if (flags['--export']) config.exportDir = path.resolve(cwd, flags['--export'])
+  if (flags['--export-links']) {
+    if (!config.exportDir) throw new ConfigError('--export-links needs --export <dir>')
+    config.exportLinks = true
+  }
+
+  if (flags['--https'] || flags['--cert'] || flags['--key']) config.https = config.https || {}
+  if (flags['--cert']) config.https.cert = path.resolve(cwd, flags['--cert'])
+  if (flags['--key']) config.https.key = path.resolve(cwd, flags['--key'])
+  if (config.https && Boolean(config.https.cert) !== Boolean(config.https.key)) {
+    throw new ConfigError('HTTPS needs both a certificate and a key (or neither, to generate one)')
+  }
+
+  return config
+}
+
+// Loopback addresses are a secure context even over plain HTTP
+function isLoopback(host) {
+  return host === 'localhost' || host === '::1' || /^127\./.test(host)
+}
+
+module.exports = {
+  USAGE,
+  ConfigError,
+  loadConfig,
+  isLoopback,
+}
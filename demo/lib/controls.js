@@ -0,0 +1,257 @@
+/**
+ * Dreamcast controller mapping profiles
+ *
+ * The emulator page runs with local storage disabled, so pad mappings made
+ * in the EmulatorJS menu are lost every session. Named mapping profiles are
+ * kept on the server instead and handed to EmulatorJS as EJS_defaultControls
+ * when the page is built:
+ *
+ *   <profiles-dir>/controls/<name>.json
+ *     {
+ *       "buttons": { "a": { "key": "z", "pad": "BUTTON_1" }, ... },
+ *       "analog": { "deadzone": 0.15, "curve": 1.5, "triggerDeadzone": 0.05, "triggerCurve": 1 }
+ *     }
+ *
+ * "key" is an EmulatorJS keyboard key name and "pad" a gamepad input, either
+ * may be "" to leave the control unbound. Deadzone and curve are applied to
+ * the gamepad's analog stick and triggers by the page itself, since
+ * EmulatorJS has no setting for them. Which profile each player uses is
+ * stored in the core options profiles (global or per game).
+ */
+
+const fs = require('fs')
+const path = require('path')
+
+// Dreamcast controls and the RetroPad index Flycast reads each one from
+// (EmulatorJS control numbering). A/B and X/Y are swapped relative to the
+// RetroPad labels because Flycast maps by button position.
+const DC_CONTROLS = [
+  { id: 'a', label: 'A', index: 0 },
+  { id: 'b', label: 'B', index: 8 },
+  { id: 'x', label: 'X', index: 1 },
+  { id: 'y', label: 'Y', index: 9 },
+  { id: 'start', label: 'Start', index: 3 },
+  { id: 'up', label: 'D-pad up', index: 4 },
+  { id: 'down', label: 'D-pad down', index: 5 },
+  { id: 'left', label: 'D-pad left', index: 6 },
+  { id: 'right', label: 'D-pad right', index: 7 },
+  { id: 'l', label: 'L trigger', index: 12 },
+  { id: 'r', label: 'R trigger', index: 13 },
+  { id: 'stickRight', label: 'Analog right', index: 16 },
+  { id: 'stickLeft', label: 'Analog left', index: 17 },
+  { id: 'stickDown', label: 'Analog down', index: 18 },
+  { id: 'stickUp', label: 'Analog up', index: 19 },
+]
+
+// Key names EmulatorJS understands for keyboard bindings
+const KEYBOARD_KEYS = [
+  'backspace', 'tab', 'enter', 'shift', 'ctrl', 'alt', 'pause/break', 'caps lock', 'escape', 'space',
+  'page up', 'page down', 'end', 'home', 'left arrow', 'up arrow', 'right arrow', 'down arrow',
+  'insert', 'delete',
+  ...'0123456789abcdefghijklmnopqrstuvwxyz'.split(''),
+  'left window key', 'right window key', 'select key',
+  ...Array.from({ length: 10 }, (_, i) => `numpad ${i}`),
+  'multiply', 'add', 'subtract', 'decimal point', 'divide',
+  ...Array.from({ length: 12 }, (_, i) => `f${i + 1}`),
+  'num lock', 'scroll lock', 'semi-colon', 'equal sign', 'comma', 'dash', 'period', 'forward slash',
+  'grave accent', 'open bracket', 'back slash', 'close braket', 'single quote',
+]
+
+// Gamepad inputs in EmulatorJS's names (standard gamepad layout)
+const PAD_INPUTS = [
+  'BUTTON_1', 'BUTTON_2', 'BUTTON_3', 'BUTTON_4',
+  'LEFT_TOP_SHOULDER', 'RIGHT_TOP_SHOULDER', 'LEFT_BOTTOM_SHOULDER', 'RIGHT_BOTTOM_SHOULDER',
+  'SELECT', 'START', 'LEFT_STICK', 'RIGHT_STICK',
+  'DPAD_UP', 'DPAD_DOWN', 'DPAD_LEFT', 'DPAD_RIGHT',
+  'LEFT_STICK_X:+1', 'LEFT_STICK_X:-1', 'LEFT_STICK_Y:+1', 'LEFT_STICK_Y:-1',
+  'RIGHT_STICK_X:+1', 'RIGHT_STICK_X:-1', 'RIGHT_STICK_Y:+1', 'RIGHT_STICK_Y:-1',
+]
+
+const DEFAULT_ANALOG = { deadzone: 0.1, curve: 1, triggerDeadzone: 0.05, triggerCurve: 1 }
+
+// Starting point for new profiles: the EmulatorJS defaults, expressed per
+// Dreamcast control
+const DEFAULT_BUTTONS = {
+  a: { key: 'x', pad: 'BUTTON_2' },
+  b: { key: 'z', pad: 'BUTTON_1' },
+  x: { key: 's', pad: 'BUTTON_4' },
+  y: { key: 'a', pad: 'BUTTON_3' },
+  start: { key: 'enter', pad: 'START' },
+  up: { key: 'up arrow', pad: 'DPAD_UP' },
+  down: { key: 'down arrow', pad: 'DPAD_DOWN' },
+  left: { key: 'left arrow', pad: 'DPAD_LEFT' },
+  right: { key: 'right arrow', pad: 'DPAD_RIGHT' },
+  l: { key: 'tab', pad: 'LEFT_BOTTOM_SHOULDER' },
+  r: { key: 'r', pad: 'RIGHT_BOTTOM_SHOULDER' },
+  stickRight: { key: 'h', pad: 'LEFT_STICK_X:+1' },
+  stickLeft: { key: 'f', pad: 'LEFT_STICK_X:-1' },
+  stickDown: { key: 'g', pad: 'LEFT_STICK_Y:+1' },
+  stickUp: { key: 't', pad: 'LEFT_STICK_Y:-1' },
+}
+
+// EmulatorJS's own player 1 bindings for inputs a Dreamcast pad does not
+// have (Select, shoulder buttons, stick clicks, right stick, state hotkeys),
+// kept so that replacing the default controls does not drop them
+const EJS_PLAYER1_EXTRAS = {
+  2: { value: 'v', value2: 'SELECT' },
+  10: { value: 'q', value2: 'LEFT_TOP_SHOULDER' },
+  11: { value: 'e', value2: 'RIGHT_TOP_SHOULDER' },
+  14: { value: '', value2: 'LEFT_STICK' },
+  15: { value: '', value2: 'RIGHT_STICK' },
+  20: { value: 'l', value2: 'RIGHT_STICK_X:+1' },
+  21: { value: 'j', value2: 'RIGHT_STICK_X:-1' },
+  22: { value: 'k', value2: 'RIGHT_STICK_Y:+1' },
+  23: { value: 'i', value2: 'RIGHT_STICK_Y:-1' },
+  24: { value: '1' },
+  25: { value: '2' },
+  26: { value: '3' },
+}
+
+// Players a controller profile can be assigned to (local two-player)
+const PLAYERS = ['1', '2']
+
+const SAFE_NAME = /^[A-Za-z0-9][A-Za-z0-9 ._()+,'&!-]{0,63}$/
+
+class ControlsError extends Error {
+  constructor(source, problems) {
+    super(`${source}: ${problems.join('; ')}`)
+    this.name = 'ControlsError'
+    this.source = source
+    this.problems = problems
+  }
+}
+
+function isValidMappingName(name) {
+  return typeof name === 'string' && SAFE_NAME.test(name) && !name.includes('..')
+}
+
+// Check a mapping ({ buttons, analog }); returns a list of problems
+function validateMapping(mapping) {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) return ['expected { buttons, analog }']
+  const problems = []
+  const buttons = mapping.buttons || {}
+  if (typeof buttons !== 'object' || Array.isArray(buttons)) {
+    problems.push('buttons must be an object')
+  } else {
+    for (const [id, binding] of Object.entries(buttons)) {
+      if (!DC_CONTROLS.some((c) => c.id === id)) {
+        problems.push(`unknown control ${id} (known: ${DC_CONTROLS.map((c) => c.id).join(', ')})`)
+        continue
+      }
+      if (!binding || typeof binding !== 'object') {
+        problems.push(`${id} must be { key, pad }`)
+        continue
+      }
+      if (binding.key && !KEYBOARD_KEYS.includes(binding.key)) problems.push(`${id}: unknown key ${JSON.stringify(binding.key)}`)
+      if (binding.pad && !PAD_INPUTS.includes(binding.pad)) problems.push(`${id}: unknown gamepad input ${JSON.stringify(binding.pad)}`)
+    }
+  }
+
+  const analog = mapping.analog || {}
+  if (typeof analog !== 'object' || Array.isArray(analog)) {
+    problems.push('analog must be an object')
+  } else {
+    for (const [key, value] of Object.entries(analog)) {
+      if (!(key in DEFAULT_ANALOG)) {
+        problems.push(`unknown analog setting ${key}`)
+      } else if (key.toLowerCase().includes('deadzone')) {
+        if (typeof value !== 'number' || !(value >= 0 && value < 0.9)) problems.push(`${key} must be a number from 0 to 0.9`)
+      } else if (typeof value !== 'number' || !(value >= 0.25 && value <= 4)) {
+        problems.push(`${key} must be an exponent from 0.25 to 4 (1 is linear)`)
+      }
+    }
+  }
+  return problems
+}
+
+// Every control bound (unlisted ones take the default) and every analog setting filled in
+function normalizeMapping(mapping) {
+  const buttons = {}
+  for (const { id } of DC_CONTROLS) {
+    const binding = (mapping.buttons || {})[id] || DEFAULT_BUTTONS[id]
+    buttons[id] = { key: binding.key || '', pad: binding.pad || '' }
+  }
+  return { buttons, analog: { ...DEFAULT_ANALOG, ...(mapping.analog || {}) } }
+}
+
+function mappingPath(profilesDir, name) {
+  if (!isValidMappingName(name)) return null
+  return path.join(profilesDir, 'controls', `${name}.json`)
+}
+
+// Read a mapping profile, or null when it does not exist; invalid files throw
+function readMapping(profilesDir, name) {
+  const file = mappingPath(profilesDir, name)
+  if (!file) throw new ControlsError(`controller profile ${name}`, ['invalid profile name'])
+  if (!fs.existsSync(file)) return null
+  let mapping
+  try {
+    mapping = JSON.parse(fs.readFileSync(file, 'utf8'))
+  } catch (e) {
+    throw new ControlsError(`controller profile ${name}`, [`${path.basename(file)} is not valid JSON (${e.message})`])
+  }
+  const problems = validateMapping(mapping)
+  if (problems.length > 0) throw new ControlsError(`controller profile ${name}`, problems)
+  return { name, ...normalizeMapping(mapping) }
+}
+
+function listMappings(profilesDir) {
+  let files = []
+  try {
+    files = fs.readdirSync(path.join(profilesDir, 'controls'))
+  } catch {}
+  return files
+    .filter((f) => f.endsWith('.json') && isValidMappingName(f.slice(0, -5)))
+    .map((f) => f.slice(0, -5))
+    .sort((a, b) => a.localeCompare(b))
+}
+
+function writeMapping(profilesDir, name, mapping) {
+  const file = mappingPath(profilesDir, name)
+  if (!file) throw new ControlsError(`controller profile ${name}`, ['invalid profile name'])
+  const problems = validateMapping(mapping)
+  if (problems.length > 0) throw new ControlsError(`controller profile ${name}`, problems)
+  const { buttons, analog } = normalizeMapping(mapping)
+  fs.mkdirSync(path.dirname(file), { recursive: true })
+  const tmp = `${file}.${process.pid}.tmp`
+  fs.writeFileSync(tmp, JSON.stringify({ buttons, analog }, null, 2) + '\n')
+  fs.renameSync(tmp, file)
+  return { name, buttons, analog }
+}
+
+function deleteMapping(profilesDir, name) {
+  const file = mappingPath(profilesDir, name)
+  if (!file || !fs.existsSync(file)) return false
+  fs.rmSync(file)
+  return true
+}
+
+// One player's EmulatorJS controls ({ <index>: { value: key, value2: pad } })
+// for EJS_defaultControls. `player` is the EmulatorJS player index (0-3);
+// without a mapping a player gets the EmulatorJS defaults.
+function toEjsControls(mapping, player) {
+  const controls = player === 0 ? { ...EJS_PLAYER1_EXTRAS } : {}
+  if (!mapping && player !== 0) return controls
+  const buttons = mapping ? mapping.buttons : DEFAULT_BUTTONS
+  for (const { id, index } of DC_CONTROLS) {
+    controls[index] = { value: buttons[id].key, value2: buttons[id].pad }
+  }
+  return controls
+}
+
+module.exports = {
+  DC_CONTROLS,
+  KEYBOARD_KEYS,
+  PAD_INPUTS,
+  DEFAULT_ANALOG,
+  DEFAULT_BUTTONS,
+  PLAYERS,
+  ControlsError,
+  isValidMappingName,
+  validateMapping,
+  readMapping,
+  listMappings,
+  writeMapping,
+  deleteMapping,
+  toEjsControls,
+}
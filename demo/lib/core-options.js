@@ -0,0 +1,240 @@
+/**
+ * Flycast core options: schema, validation and profiles
+ *
+ * The core drops option values it does not recognise with nothing more than a
+ * console warning, so every value is checked against SCHEMA before it reaches
+ * retroarch.cfg. Options are layered, later layers winning:
+ *
+ *   config/dreamcast-core-options.json   shipped WASM-tuned defaults
+ *   <profiles-dir>/global.json           global profile (launcher editor)
+ *   <profiles-dir>/games/<key>.json      per-game profile, keyed by product ID
+ *   ?coreOptions={...}                   URL override for a single launch
+ *
+ * Profile files hold { "options": { "reicast_...": "value" }, "core": "<build>",
+ * "controls": { "1": "<mapping>", "2": "<mapping>" } }, "core" naming the core
+ * build to launch with and "controls" the controller mapping profile per
+ * player (both optional; the game profile's choice wins over the global one).
+ */
+
+const fs = require('fs')
+const path = require('path')
+const cores = require('./cores')
+const controls = require('./controls')
+
+const ENABLED = ['disabled', 'enabled']
+
+// Every reicast_* option the core accepts, with its allowed values. Values
+// are the exact strings the core compares against, so "off" or "2" where the
+// core expects "disabled" or "2x" is rejected here instead of being ignored.
+const SCHEMA = [
+  { key: 'reicast_boot_to_bios', label: 'Boot to BIOS', category: 'System', values: ENABLED },
+  { key: 'reicast_hle_bios', label: 'HLE BIOS', category: 'System', values: ENABLED },
+  { key: 'reicast_region', label: 'Region', category: 'System', values: ['Default', 'Japan', 'USA', 'Europe'] },
+  { key: 'reicast_language', label: 'Language', category: 'System', values: ['Default', 'Japanese', 'English', 'German', 'French', 'Spanish', 'Italian'] },
+  { key: 'reicast_broadcast', label: 'Broadcast', category: 'System', values: ['Default', 'NTSC', 'PAL', 'PAL_M', 'PAL_N'] },
+  { key: 'reicast_cable_type', label: 'Cable type', category: 'System', values: ['TV (Composite)', 'TV (RGB)', 'VGA'] },
+  { key: 'reicast_gdrom_fast_loading', label: 'GD-ROM fast loading', category: 'System', values: ENABLED },
+  { key: 'reicast_enable_dsp', label: 'Audio DSP', category: 'System', values: ENABLED },
+
+  { key: 'reicast_internal_resolution', label: 'Internal resolution', category: 'Video',
+    values: ['320x240', '640x480', '800x600', '960x720', '1024x768', '1280x960', '1440x1080', '1600x1200', '1920x1440', '2560x1920'] },
+  { key: 'reicast_screen_rotation', label: 'Screen orientation', category: 'Video', values: ['horizontal', 'vertical'] },
+  { key: 'reicast_alpha_sorting', label: 'Alpha sorting', category: 'Video',
+    values: ['per-strip (fast, least accurate)', 'per-triangle (normal)', 'per-pixel (accurate)'] },
+  { key: 'reicast_mipmapping', label: 'Mipmapping', category: 'Video', values: ENABLED },
+  { key: 'reicast_fog', label: 'Fog effects', category: 'Video', values: ENABLED },
+  { key: 'reicast_volume_modifier_enable', label: 'Volume modifier', category: 'Video', values: ENABLED },
+  { key: 'reicast_anisotropic_filtering', label: 'Anisotropic filtering', category: 'Video', values: ['1', '2', '4', '8', '16'] },
+  { key: 'reicast_pvr2_filtering', label: 'PowerVR2 post-processing filter', category: 'Video', values: ENABLED },
+  { key: 'reicast_texupscale', label: 'Texture upscaling (xBRZ)', category: 'Video', values: ['disabled', '2x', '4x', '6x'] },
+  { key: 'reicast_texupscale_max_filtered_texture_size', label: 'Texture upscaling max size', category: 'Video', values: ['256', '512', '1024'] },
+  { key: 'reicast_enable_rttb', label: 'Render to texture buffer', category: 'Video', values: ENABLED },
+  { key: 'reicast_render_to_texture_upscaling', label: 'Render to texture upscaling', category: 'Video', values: ['1x', '2x', '3x', '4x', '8x'] },
+  { key: 'reicast_widescreen_hack', label: 'Widescreen hack', category: 'Video', values: ENABLED },
+  { key: 'reicast_widescreen_cheats', label: 'Widescreen cheats', category: 'Video', values: ENABLED },
+
+  { key: 'reicast_threaded_rendering', label: 'Threaded rendering', category: 'Performance', values: ENABLED },
+  { key: 'reicast_synchronous_rendering', label: 'Synchronous rendering', category: 'Performance', values: ENABLED },
+  { key: 'reicast_delay_frame_swapping', label: 'Delay frame swapping', category: 'Performance', values: ENABLED },
+  { key: 'reicast_frame_skipping', label: 'Frame skipping', category: 'Performance', values: ENABLED },
+  { key: 'reicast_framerate', label: 'Framerate', category: 'Performance', values: ['normal', 'fullspeed'] },
+
+  { key: 'reicast_enable_purupuru', label: 'Purupuru (rumble) pack', category: 'Input', values: ENABLED },
+  { key: 'reicast_digital_triggers', label: 'Digital triggers', category: 'Input', values: ENABLED },
+  { key: 'reicast_allow_service_buttons', label: 'Service buttons', category: 'Input', values: ENABLED },
+]
+
+const SCHEMA_BY_KEY = new Map(SCHEMA.map((o) => [o.key, o]))
+
+const GLOBAL_PROFILE = 'global'
+
+const SAFE_KEY = /^[A-Za-z0-9][A-Za-z0-9 ._()[\]+,'&!-]{0,127}$/
+
+class CoreOptionsError extends Error {
+  constructor(source, problems) {
+    super(`${source}: ${problems.join('; ')}`)
+    this.name = 'CoreOptionsError'
+    this.source = source
+    this.problems = problems
+  }
+}
+
+// Problems with an options object, one message per bad entry ([] if valid)
+function validateOptions(options) {
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    return ['options must be a JSON object of "reicast_*": "value" pairs']
+  }
+  const problems = []
+  for (const [key, value] of Object.entries(options)) {
+    const option = SCHEMA_BY_KEY.get(key)
+    if (!option) {
+      problems.push(`unknown option ${key}`)
+    } else if (!option.values.includes(value)) {
+      problems.push(`${key} = ${JSON.stringify(value)} is not valid (expected one of: ${option.values.join(', ')})`)
+    }
+  }
+  return problems
+}
+
+// Throw a CoreOptionsError naming `source` if any value is invalid
+function checkOptions(source, options) {
+  const problems = validateOptions(options)
+  if (problems.length > 0) throw new CoreOptionsError(source, problems)
+  return options
+}
+
+// Shipped defaults; keys starting with "_" are comments
+function loadDefaults(configPath) {
+  const raw = JSON.parse(fs.readFileSync(configPath, 'utf8'))
+  const options = Object.fromEntries(Object.entries(raw).filter(([key]) => !key.startsWith('_')))
+  return checkOptions(path.basename(configPath), options)
+}
+
+function isValidProfileKey(key) {
+  return typeof key === 'string' && SAFE_KEY.test(key) && !key.includes('..')
+}
+
+// Per-game profile key: the disc's product ID when the header has one, so
+// every dump and disc of a game shares a profile; else the ROM's game key
+function profileKeyFor(header, fallbackKey) {
+  const productNumber = header && header.productNumber ? header.productNumber.trim() : ''
+  return isValidProfileKey(productNumber) ? productNumber : fallbackKey
+}
+
+function profilePath(profilesDir, key) {
+  if (key === GLOBAL_PROFILE) return path.join(profilesDir, 'global.json')
+  if (!isValidProfileKey(key)) return null
+  return path.join(profilesDir, 'games', `${key}.json`)
+}
+
+function readProfileFile(profilesDir, key) {
+  const file = profilePath(profilesDir, key)
+  if (!file) throw new CoreOptionsError(`profile ${key}`, ['invalid profile name'])
+  if (!fs.existsSync(file)) return {}
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8')) || {}
+  } catch (e) {
+    throw new CoreOptionsError(`profile ${key}`, [`${path.basename(file)} is not valid JSON (${e.message})`])
+  }
+}
+
+// Read a profile's options ({} when it does not exist); invalid files throw
+function readProfile(profilesDir, key) {
+  return checkOptions(`profile ${key}`, readProfileFile(profilesDir, key).options || {})
+}
+
+// The core build a profile picks, or null
+function readProfileCore(profilesDir, key) {
+  const core = readProfileFile(profilesDir, key).core
+  if (core === undefined || core === null) return null
+  if (!cores.isValidBuildName(core)) throw new CoreOptionsError(`profile ${key}`, [`invalid core build name ${JSON.stringify(core)}`])
+  return core
+}
+
+// Controller mapping profile names per player ({ "1": "<mapping>" }), {} when none
+function readProfileControls(profilesDir, key) {
+  const assigned = readProfileFile(profilesDir, key).controls || {}
+  const problems = validateControls(assigned)
+  if (problems.length > 0) throw new CoreOptionsError(`profile ${key}`, problems)
+  return assigned
+}
+
+function validateControls(assigned) {
+  if (typeof assigned !== 'object' || Array.isArray(assigned)) return ['controls must map players to controller profile names']
+  const problems = []
+  for (const [player, name] of Object.entries(assigned)) {
+    if (!controls.PLAYERS.includes(player)) problems.push(`controls: unknown player ${player} (known: ${controls.PLAYERS.join(', ')})`)
+    else if (!controls.isValidMappingName(name)) problems.push(`controls: invalid controller profile name ${JSON.stringify(name)}`)
+  }
+  return problems
+}
+
+function hasProfile(profilesDir, key) {
+  const file = profilePath(profilesDir, key)
+  return Boolean(file && fs.existsSync(file))
+}
+
+// Validate and store a profile; no options, core build or controller
+// assignments removes it
+function writeProfile(profilesDir, key, options, { core = null, controls: assigned = {} } = {}) {
+  const file = profilePath(profilesDir, key)
+  if (!file) throw new CoreOptionsError(`profile ${key}`, ['invalid profile name'])
+  checkOptions(`profile ${key}`, options)
+  if (core !== null && !cores.isValidBuildName(core)) {
+    throw new CoreOptionsError(`profile ${key}`, [`invalid core build name ${JSON.stringify(core)}`])
+  }
+  const problems = validateControls(assigned)
+  if (problems.length > 0) throw new CoreOptionsError(`profile ${key}`, problems)
+  const hasControls = Object.keys(assigned).length > 0
+  if (Object.keys(options).length === 0 && core === null && !hasControls) {
+    fs.rmSync(file, { force: true })
+    return
+  }
+  const profile = { options }
+  if (core !== null) profile.core = core
+  if (hasControls) profile.controls = assigned
+  fs.mkdirSync(path.dirname(file), { recursive: true })
+  const tmp = `${file}.${process.pid}.tmp`
+  fs.writeFileSync(tmp, JSON.stringify(profile, null, 2) + '\n')
+  fs.renameSync(tmp, file)
+}
+
+// Merge the layers for one launch. Each layer is validated on its own so the
+// error names the file or parameter that holds the bad value.
+function resolveOptions({ configPath, profilesDir, profile, override }) {
+  const layers = [loadDefaults(configPath), readProfile(profilesDir, GLOBAL_PROFILE)]
+  if (profile && profile !== GLOBAL_PROFILE) layers.push(readProfile(profilesDir, profile))
+  if (override) layers.push(checkOptions('coreOptions parameter', override))
+  return Object.assign({}, ...layers)
+}
+
+// Core build picked by the profiles: the game profile's, else the global one
+function resolveCore({ profilesDir, profile }) {
+  const game = profile && profile !== GLOBAL_PROFILE ? readProfileCore(profilesDir, profile) : null
+  return game || readProfileCore(profilesDir, GLOBAL_PROFILE)
+}
+
+// Controller mapping profile name per player: the game profile's
+// assignment, else the global one; players with neither are left out
+function resolveControls({ profilesDir, profile }) {
+  const game = profile && profile !== GLOBAL_PROFILE ? readProfileControls(profilesDir, profile) : {}
+  return { ...readProfileControls(profilesDir, GLOBAL_PROFILE), ...game }
+}
+
+module.exports = {
+  SCHEMA,
+  GLOBAL_PROFILE,
+  CoreOptionsError,
+  validateOptions,
+  loadDefaults,
+  isValidProfileKey,
+  profileKeyFor,
+  readProfile,
+  readProfileCore,
+  readProfileControls,
+  hasProfile,
+  writeProfile,
+  resolveOptions,
+  resolveCore,
+  resolveControls,
+}
@@ -0,0 +1,141 @@
+/**
+ * Core build registry
+ *
+ * Several Flycast builds (v1 interpreter, upstream interpreter,
+ * ASYNCIFY_REMOVE, WASM JIT, ...) can be installed side by side:
+ *
+ *   <data-dir>/cores/flycast-wasm.data    build "default", described by the
+ *                                         repo's config/build.json and core.json
+ *   <cores-dir>/<name>/flycast-wasm.data  one more build per directory
+ *   <cores-dir>/<name>/build.json         { "version", "minimumEJSVersion", "label"? }
+ *   <cores-dir>/<name>/core.json          EmulatorJS core metadata (optional)
+ *
+ * Each build is checked for its files, its metadata and its
+ * minimumEJSVersion against the installed EmulatorJS.
+ */
+
+const fs = require('fs')
+const path = require('path')
+
+const CORE_FILE = 'flycast-wasm.data'
+const DEFAULT_BUILD = 'default'
+const CORE_NAME = 'flycast'
+
+const SAFE_NAME = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/
+
+function isValidBuildName(name) {
+  return typeof name === 'string' && SAFE_NAME.test(name) && !name.includes('..')
+}
+
+function readJson(file) {
+  try {
+    return { value: JSON.parse(fs.readFileSync(file, 'utf8')) }
+  } catch (e) {
+    return { error: e.code === 'ENOENT' ? null : `${path.basename(file)} is not valid JSON` }
+  }
+}
+
+// Numeric comparison of dotted versions ("4.2.10" > "4.2.9"); suffixes
+// such as "-beta" are ignored. Returns -1, 0 or 1.
+function compareVersions(a, b) {
+  const parts = (v) => String(v).split('-')[0].split('.').map((n) => parseInt(n, 10) || 0)
+  const pa = parts(a)
+  const pb = parts(b)
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const d = (pa[i] || 0) - (pb[i] || 0)
+    if (d !== 0) return d < 0 ? -1 : 1
+  }
+  return 0
+}
+
+// Inspect one build: files, metadata and EmulatorJS compatibility.
+// `ejsVersion` is the installed EmulatorJS version (null when unknown).
+function inspectBuild(name, coreFile, buildFile, coreJsonFile, ejsVersion) {
+  const problems = []
+  const warnings = []
+
+  let stat = null
+  try {
+    stat = fs.statSync(coreFile)
+  } catch {}
+  if (!stat || !stat.isFile()) problems.push(`${CORE_FILE} is missing`)
+
+  const build = readJson(buildFile)
+  const meta = build.value && typeof build.value === 'object' ? build.value : {}
+  if (build.error) problems.push(build.error)
+  else if (!build.value) warnings.push('no build.json; version unknown')
+
+  const coreJson = readJson(coreJsonFile)
+  if (coreJson.error) problems.push(coreJson.error)
+  else if (coreJson.value && coreJson.value.name && coreJson.value.name !== CORE_NAME) {
+    problems.push(`core.json is for core "${coreJson.value.name}", not "${CORE_NAME}"`)
+  }
+
+  const minimumEJSVersion = meta.minimumEJSVersion ? String(meta.minimumEJSVersion) : null
+  if (minimumEJSVersion) {
+    if (!ejsVersion) warnings.push(`needs EmulatorJS ${minimumEJSVersion} or newer; installed version unknown`)
+    else if (compareVersions(ejsVersion, minimumEJSVersion) < 0) {
+      problems.push(`needs EmulatorJS ${minimumEJSVersion} or newer, ${ejsVersion} is installed`)
+    }
+  }
+
+  return {
+    name,
+    label: meta.label ? String(meta.label) : null,
+    file: coreFile,
+    present: Boolean(stat && stat.isFile()),
+    size: stat ? stat.size : null,
+    modified: stat ? stat.mtime.toISOString() : null,
+    mtimeMs: stat ? stat.mtimeMs : null,
+    version: meta.version ? String(meta.version) : null,
+    minimumEJSVersion,
+    extensions: coreJson.value && Array.isArray(coreJson.value.extensions) ? coreJson.value.extensions : null,
+    usable: problems.length === 0,
+    problems,
+    warnings,
+  }
+}
+
+// Every registered build, "default" first when its core file is installed
+function scanBuilds({ dataDir, coresDir, configDir, ejsVersion }) {
+  const builds = []
+  const defaultFile = path.join(dataDir, 'cores', CORE_FILE)
+  if (fs.existsSync(defaultFile)) {
+    builds.push(inspectBuild(DEFAULT_BUILD, defaultFile,
+      path.join(configDir, 'build.json'), path.join(configDir, 'core.json'), ejsVersion))
+  }
+
+  let entries = []
+  try {
+    entries = fs.readdirSync(coresDir, { withFileTypes: true })
+  } catch {}
+  entries
+    .filter((e) => e.isDirectory() && isValidBuildName(e.name) && e.name !== DEFAULT_BUILD)
+    .map((e) => e.name)
+    .sort()
+    .forEach((name) => {
+      const dir = path.join(coresDir, name)
+      builds.push(inspectBuild(name, path.join(dir, CORE_FILE),
+        path.join(dir, 'build.json'), path.join(dir, 'core.json'), ejsVersion))
+    })
+  return builds
+}
+
+// The build used when neither the launch nor a profile picks one: the
+// configured one if usable, else "default", else the first usable build
+function pickDefault(builds, preferred) {
+  const usable = builds.filter((b) => b.usable)
+  return usable.find((b) => b.name === preferred)
+    || usable.find((b) => b.name === DEFAULT_BUILD)
+    || usable[0]
+    || null
+}
+
+module.exports = {
+  CORE_FILE,
+  DEFAULT_BUILD,
+  isValidBuildName,
+  compareVersions,
+  scanBuilds,
+  pickDefault,
+}
@@ -0,0 +1,254 @@
+/**
+ * GDI and CUE sheet parsing
+ *
+ * Multi-file disc images are a small text sheet plus one file per track (or
+ * one file shared by several tracks). The emulator needs every one of those
+ * files in its filesystem, so the server resolves the sheet up front, checks
+ * each referenced track against the sheet, and reports anything that would
+ * otherwise only surface as a hang at boot.
+ */
+
+const fs = require('fs')
+const path = require('path')
+
+const SHEET_EXTENSIONS = ['.gdi', '.cue']
+
+// Sector sizes for CUE track modes
+const CUE_SECTOR_SIZES = {
+  'AUDIO': 2352,
+  'CDG': 2448,
+  'MODE1/2048': 2048,
+  'MODE1/2352': 2352,
+  'MODE2/2048': 2048,
+  'MODE2/2324': 2324,
+  'MODE2/2336': 2336,
+  'MODE2/2352': 2352,
+  'CDI/2336': 2336,
+  'CDI/2352': 2352,
+}
+
+function isSheet(filePath) {
+  return SHEET_EXTENSIONS.includes(path.extname(filePath).toLowerCase())
+}
+
+// Split a sheet line into fields, keeping "quoted file names" together
+function splitFields(line) {
+  const fields = []
+  const re = /"([^"]*)"|(\S+)/g
+  let m
+  while ((m = re.exec(line)) !== null) {
+    fields.push(m[1] !== undefined ? m[1] : m[2])
+  }
+  return fields
+}
+
+// MSF (mm:ss:ff) to frame count
+function msfToFrames(msf) {
+  const m = /^(\d+):(\d+):(\d+)$/.exec(msf)
+  if (!m) return NaN
+  return (parseInt(m[1], 10) * 60 + parseInt(m[2], 10)) * 75 + parseInt(m[3], 10)
+}
+
+// Parse a .gdi sheet: first line is the track count, then one line per track:
+//   <number> <lba> <type> <sector size> <file name> <offset>
+function parseGdi(text) {
+  const lines = text.split(/\r?\n/).map((l) => l.trim()).filter(Boolean)
+  const problems = []
+  const declared = parseInt(lines[0], 10)
+  if (!Number.isInteger(declared) || declared < 1) {
+    return { declaredTracks: 0, tracks: [], problems: ['missing track count on first line'] }
+  }
+
+  const tracks = []
+  for (const line of lines.slice(1)) {
+    const f = splitFields(line)
+    if (f.length < 5) {
+      problems.push(`malformed track line: ${line}`)
+      continue
+    }
+    tracks.push({
+      number: parseInt(f[0], 10),
+      lba: parseInt(f[1], 10),
+      type: f[2] === '4' ? 'data' : 'audio',
+      sectorSize: parseInt(f[3], 10),
+      file: f[4],
+      offset: parseInt(f[5] || '0', 10),
+    })
+  }
+
+  if (tracks.length !== declared) {
+    problems.push(`sheet declares ${declared} tracks but lists ${tracks.length}`)
+  }
+  tracks.forEach((t, i) => {
+    if (t.number !== i + 1) problems.push(`track ${i + 1} is numbered ${t.number}`)
+    if (![2048, 2336, 2352].includes(t.sectorSize)) {
+      problems.push(`track ${t.number} has unsupported sector size ${t.sectorSize}`)
+    }
+  })
+
+  return { declaredTracks: declared, tracks, problems }
+}
+
+// Parse a .cue sheet. Tracks inherit the most recent FILE line.
+function parseCue(text) {
+  const tracks = []
+  const problems = []
+  let currentFile = null
+  let current = null
+
+  for (const raw of text.split(/\r?\n/)) {
+    const f = splitFields(raw.trim())
+    if (f.length === 0) continue
+    const cmd = f[0].toUpperCase()
+
+    if (cmd === 'FILE') {
+      currentFile = f[1] || null
+      if (!currentFile) problems.push('FILE line without a file name')
+    } else if (cmd === 'TRACK') {
+      const mode = (f[2] || '').toUpperCase()
+      if (!currentFile) problems.push(`track ${f[1]} appears before any FILE line`)
+      current = {
+        number: parseInt(f[1], 10),
+        type: mode === 'AUDIO' ? 'audio' : 'data',
+        mode,
+        sectorSize: CUE_SECTOR_SIZES[mode] || 0,
+        file: currentFile,
+        start: 0,
+      }
+      if (!current.sectorSize) problems.push(`track ${f[1]} has unknown mode ${f[2] || '(none)'}`)
+      tracks.push(current)
+    } else if (cmd === 'INDEX' && current && f[1] === '01') {
+      const frames = msfToFrames(f[2] || '')
+      if (Number.isNaN(frames)) problems.push(`track ${current.number} has bad INDEX 01 ${f[2]}`)
+      else current.start = frames
+    }
+  }
+
+  if (tracks.length === 0) problems.push('sheet lists no tracks')
+  tracks.forEach((t, i) => {
+    if (t.number !== i + 1) problems.push(`track ${i + 1} is numbered ${t.number}`)
+  })
+
+  return { declaredTracks: tracks.length, tracks, problems }
+}
+
+// Resolve a sheet on disk: parse it, locate every referenced file next to it,
+// and check that sizes line up with the declared sector sizes.
+//
+// Returns { format, sheet, tracks: [{ number, type, sectorSize, file, path, size }],
+//           files: [{ name, path, size }], problems: [], ok }
+function inspectSheet(sheetPath) {
+  const format = path.extname(sheetPath).slice(1).toLowerCase()
+  const dir = path.dirname(sheetPath)
+
+  let text
+  try {
+    text = fs.readFileSync(sheetPath, 'utf8')
+  } catch (e) {
+    return { format, sheet: sheetPath, tracks: [], files: [], problems: [`cannot read sheet: ${e.message}`], ok: false }
+  }
+
+  return resolveSheet(format, sheetPath, text, (file) => {
+    const trackPath = path.join(dir, file)
+    // Sheets must only reference files beside them
+    if (path.dirname(path.resolve(trackPath)) !== path.resolve(dir)) return { error: 'points outside the sheet directory' }
+    try {
+      return { path: trackPath, name: path.basename(trackPath), size: fs.statSync(trackPath).size }
+    } catch {
+      return null
+    }
+  })
+}
+
+// Check a sheet's text against the files it references. `locate(file)`
+// returns { path, name, size } for a referenced file, null when it is
+// missing, or { error } when the reference is not allowed; this is how the
+// same checks run on sheets inside archives.
+function resolveSheet(format, sheet, text, locate) {
+  const parsed = format === 'gdi' ? parseGdi(text) : parseCue(text)
+  const problems = parsed.problems.slice()
+  const files = new Map()
+
+  const tracks = parsed.tracks.map((t) => {
+    if (!t.file) return { ...t, path: null, size: 0 }
+    const found = locate(t.file)
+    if (found && found.error) {
+      problems.push(`track ${t.number} ${found.error}: ${t.file}`)
+      return { ...t, path: null, size: 0 }
+    }
+    if (!found) {
+      problems.push(`track ${t.number} file missing: ${t.file}`)
+      return { ...t, path: null, size: 0 }
+    }
+    if (!files.has(found.path)) files.set(found.path, { name: found.name, path: found.path, size: found.size })
+    return { ...t, path: found.path, size: found.size }
+  })
+
+  if (format === 'gdi') {
+    tracks.forEach((t) => {
+      if (!t.path || !t.sectorSize) return
+      if ((t.size - t.offset) % t.sectorSize !== 0) {
+        problems.push(`track ${t.number} size ${t.size} is not a multiple of ${t.sectorSize}`)
+      }
+    })
+  } else {
+    // CUE: each file must hold whole sectors, and each track must start inside its file
+    for (const file of files.values()) {
+      const fileTracks = tracks.filter((t) => t.path === file.path)
+      const sectorSize = fileTracks[0].sectorSize
+      if (!sectorSize) continue
+      if (fileTracks.some((t) => t.sectorSize !== sectorSize)) continue
+      if (file.size % sectorSize !== 0) {
+        problems.push(`${file.name} size ${file.size} is not a multiple of ${sectorSize}`)
+      }
+      for (const t of fileTracks) {
+        if (t.start * sectorSize >= file.size) {
+          problems.push(`track ${t.number} starts beyond the end of ${file.name}`)
+        }
+      }
+    }
+  }
+
+  return {
+    format,
+    sheet,
+    tracks,
+    files: Array.from(files.values()),
+    problems,
+    ok: problems.length === 0,
+  }
+}
+
+// Rewrite the file names a sheet references with `rename(file)`, keeping
+// every other line as it is. Names with spaces are quoted.
+function renameSheetFiles(format, text, rename) {
+  const quote = (name) => (/\s/.test(name) ? `"${name}"` : name)
+  let seenCount = false
+  return text.split(/(\r?\n)/).map((line, i) => {
+    if (i % 2 === 1 || !line.trim()) return line
+    const indent = /^\s*/.exec(line)[0]
+    const f = splitFields(line.trim())
+    if (format === 'gdi') {
+      // The first line is the track count
+      if (!seenCount) {
+        seenCount = true
+        return line
+      }
+      if (f.length < 5) return line
+      f[4] = quote(rename(f[4]))
+      return indent + f.join(' ')
+    }
+    if (f[0].toUpperCase() !== 'FILE' || !f[1]) return line
+    return `${indent}${f[0]} "${rename(f[1])}"${f.length > 2 ? ` ${f.slice(2).join(' ')}` : ''}`
+  }).join('')
+}
+
+module.exports = {
+  SHEET_EXTENSIONS,
+  isSheet,
+  parseGdi,
+  parseCue,
+  inspectSheet,
+  resolveSheet,
+  renameSheetFiles,
+}
@@ -0,0 +1,72 @@
+/**
+ * Escaping and Content-Security-Policy for generated pages
+ *
+ * Every page is a template string, so each interpolated value goes through
+ * the helper for its context: escapeHtml for text and attribute values,
+ * scriptJson for values inside inline <script> blocks. Inline scripts only
+ * run when they carry the per-response nonce from the page's CSP header, or,
+ * in a static export where every response is the same file, when their hash
+ * is listed in it.
+ */
+
+const crypto = require('crypto')
+
+// Text and quoted attribute values
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`)
+}
+
+// A JavaScript literal for `value` that is safe inside <script>: JSON with
+// "<", ">", "&" and the JS line separators escaped, so a value can never
+// close the script element or open an HTML comment
+function scriptJson(value) {
+  return JSON.stringify(value === undefined ? null : value)
+    .replace(/[<>&\u2028\u2029]/g, (c) => `\\u${c.charCodeAt(0).toString(16).padStart(4, '0')}`)
+}
+
+function createNonce() {
+  return crypto.randomBytes(16).toString('base64')
+}
+
+// 'sha256-...' sources for the inline <script> blocks of a page
+function scriptHashes(html) {
+  const hashes = []
+  for (const [, attributes, body] of html.matchAll(/<script\b([^>]*)>([\s\S]*?)<\/script>/gi)) {
+    if (/\ssrc=/i.test(attributes)) continue
+    hashes.push(`'sha256-${crypto.createHash('sha256').update(body, 'utf8').digest('base64')}'`)
+  }
+  return hashes
+}
+
+// CSP for one HTML response. With a nonce, only inline scripts carrying it
+// run; 'strict-dynamic' lets them load the EmulatorJS loader, which in turn
+// loads the core from a blob: URL. With `hashes` (scriptHashes of a static
+// page) the inline scripts are allowed by hash instead, and script files by
+// origin. With neither no script runs at all.
+function contentSecurityPolicy(nonce, hashes = null) {
+  let scriptSrc = "script-src 'none'"
+  if (nonce) scriptSrc = `script-src 'nonce-${nonce}' 'strict-dynamic' 'wasm-unsafe-eval'`
+  else if (hashes && hashes.length > 0) scriptSrc = `script-src 'self' blob: ${hashes.join(' ')} 'wasm-unsafe-eval'`
+  return [
+    "default-src 'self'",
+    scriptSrc,
+    "style-src 'self' 'unsafe-inline'",
+    "img-src 'self' data: blob:",
+    "media-src 'self' blob:",
+    "font-src 'self' data:",
+    "connect-src 'self' blob: data:",
+    "worker-src 'self' blob:",
+    "object-src 'none'",
+    "base-uri 'none'",
+    "form-action 'self'",
+    "frame-ancestors 'self'",
+  ].join('; ')
+}
+
+module.exports = {
+  escapeHtml,
+  scriptJson,
+  createNonce,
+  scriptHashes,
+  contentSecurityPolicy,
+}
@@ -0,0 +1,255 @@
+/**
+ * File responses: RFC 7233 ranges, conditional GET and pre-compressed assets
+ *
+ * Disc images are hundreds of megabytes and the core .data is several, so
+ * both ROM and static responses carry validators (ETag, Last-Modified) and
+ * honour If-None-Match / If-Modified-Since with 304, and Range / If-Range
+ * with 206, multipart/byteranges or 416.
+ */
+
+const fs = require('fs')
+const { randomBytes } = require('crypto')
+
+// More ranges than this in one request is treated as abuse and ignored
+const MAX_RANGES = 32
+
+// Pre-compressed siblings, in order of preference
+const ENCODINGS = [
+  { name: 'br', suffix: '.br' },
+  { name: 'gzip', suffix: '.gz' },
+]
+
+// Strong validator: changes whenever the file is replaced or rewritten
+function etagFor(stat, encoding) {
+  return `"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}${encoding ? `-${encoding}` : ''}"`
+}
+
+// HTTP dates have one-second resolution
+function modifiedSeconds(stat) {
+  return Math.floor(stat.mtimeMs / 1000)
+}
+
+// Parse a Range header against a representation of `size` bytes.
+// Returns null when the header should be ignored (absent, not bytes, or
+// malformed), 'unsatisfiable' for a 416, else a list of { start, end }
+// (inclusive) with overlapping or adjacent ranges coalesced.
+function parseRange(header, size) {
+  if (!header) return null
+  const match = /^\s*bytes\s*=\s*(.+)$/i.exec(header)
+  if (!match) return null
+
+  const specs = match[1].split(',').map((s) => s.trim()).filter(Boolean)
+  if (specs.length === 0 || specs.length > MAX_RANGES) return null
+
+  const ranges = []
+  for (const spec of specs) {
+    const m = /^(\d*)\s*-\s*(\d*)$/.exec(spec)
+    if (!m || (m[1] === '' && m[2] === '')) return null
+    if (m[1] === '') {
+      // Suffix range: the last N bytes
+      const length = parseInt(m[2], 10)
+      if (length > 0 && size > 0) ranges.push({ start: Math.max(0, size - length), end: size - 1 })
+      continue
+    }
+    const start = parseInt(m[1], 10)
+    const end = m[2] === '' ? Infinity : parseInt(m[2], 10)
+    if (end < start) return null
+    if (start < size) ranges.push({ start, end: Math.min(end, size - 1) })
+  }
+  if (ranges.length === 0) return 'unsatisfiable'
+
+  ranges.sort((a, b) => a.start - b.start)
+  const merged = [ranges[0]]
+  for (const r of ranges.slice(1)) {
+    const last = merged[merged.length - 1]
+    if (r.start <= last.end + 1) last.end = Math.max(last.end, r.end)
+    else merged.push(r)
+  }
+  return merged
+}
+
+// Encodings the client accepts, honouring q=0 and "*"
+function acceptedEncodings(header) {
+  const accepted = new Map()
+  String(header || '').split(',').forEach((part) => {
+    const [name, ...params] = part.trim().toLowerCase().split(';')
+    if (!name) return
+    const q = params.map((p) => /^\s*q\s*=\s*([\d.]+)/.exec(p)).find(Boolean)
+    accepted.set(name, q ? parseFloat(q[1]) : 1)
+  })
+  return (name) => {
+    if (accepted.has(name)) return accepted.get(name) > 0
+    return accepted.has('*') && accepted.get('*') > 0
+  }
+}
+
+// Pick a pre-compressed sibling the client accepts that is at least as new
+// as the original, or null to serve the file itself
+function pickEncoding(req, filePath, stat) {
+  const accepts = acceptedEncodings(req.headers['accept-encoding'])
+  for (const encoding of ENCODINGS) {
+    if (!accepts(encoding.name)) continue
+    try {
+      const sibling = fs.statSync(filePath + encoding.suffix)
+      if (sibling.isFile() && sibling.mtimeMs >= stat.mtimeMs) {
+        return { ...encoding, path: filePath + encoding.suffix, stat: sibling }
+      }
+    } catch {}
+  }
+  return null
+}
+
+function etagMatches(header, etag, weak) {
+  if (!header) return false
+  if (header.trim() === '*') return true
+  const bare = (tag) => tag.replace(/^W\//, '')
+  return header.split(',').map((t) => t.trim()).some((tag) => {
+    if (weak) return bare(tag) === bare(etag)
+    return !tag.startsWith('W/') && tag === etag
+  })
+}
+
+// True when the client's cached copy is still current (send 304)
+function notModified(req, etag, stat) {
+  const noneMatch = req.headers['if-none-match']
+  if (noneMatch) return etagMatches(noneMatch, etag, true)
+  const since = Date.parse(req.headers['if-modified-since'] || '')
+  return !Number.isNaN(since) && modifiedSeconds(stat) <= Math.floor(since / 1000)
+}
+
+// If-Range: ranges only apply while the validator still matches
+function rangeStillValid(req, etag, stat) {
+  const ifRange = req.headers['if-range']
+  if (!ifRange) return true
+  const value = ifRange.trim()
+  if (value.startsWith('"') || value.startsWith('W/')) return etagMatches(value, etag, false)
+  const date = Date.parse(value)
+  return !Number.isNaN(date) && Math.floor(date / 1000) === modifiedSeconds(stat)
+}
+
+// Resolves true once the file (or range) is written, false when reading
+// failed or the client went away; the read stream is closed either way
+function pipeFile(res, filePath, options) {
+  const stream = fs.createReadStream(filePath, options)
+  return new Promise((resolve) => {
+    const onClose = () => {
+      stream.destroy()
+      resolve(false)
+    }
+    res.once('close', onClose)
+    stream.on('error', () => {
+      res.off('close', onClose)
+      res.destroy()
+      resolve(false)
+    })
+    stream.on('end', () => {
+      res.off('close', onClose)
+      resolve(true)
+    })
+    stream.pipe(res, { end: false })
+  })
+}
+
+// Send one file. Options:
+//   headers        extra headers for every response (isolation headers)
+//   cacheControl   Cache-Control value
+//   contentType    Content-Type of the file
+//   precompressed  look for .br / .gz siblings
+// Returns false when the file does not exist, so the caller can 404.
+function sendFile(req, res, filePath, { headers = {}, cacheControl = 'no-cache', contentType, precompressed = false }) {
+  let stat
+  try {
+    stat = fs.statSync(filePath)
+  } catch {
+    return false
+  }
+  if (!stat.isFile()) return false
+
+  const encoding = precompressed ? pickEncoding(req, filePath, stat) : null
+  const bodyPath = encoding ? encoding.path : filePath
+  const bodyStat = encoding ? encoding.stat : stat
+  const etag = etagFor(bodyStat, encoding && encoding.name)
+  const size = bodyStat.size
+
+  const common = {
+    'ETag': etag,
+    'Last-Modified': new Date(modifiedSeconds(bodyStat) * 1000).toUTCString(),
+    'Cache-Control': cacheControl,
+    'Accept-Ranges': 'bytes',
+    ...(precompressed ? { 'Vary': 'Accept-Encoding' } : {}),
+    ...headers,
+  }
+  const isHead = req.method === 'HEAD'
+
+  if (notModified(req, etag, bodyStat)) {
+    res.writeHead(304, common)
+    res.end()
+    return true
+  }
+
+  const typed = {
+    ...common,
+    'Content-Type': contentType || 'application/octet-stream',
+    ...(encoding ? { 'Content-Encoding': encoding.name } : {}),
+  }
+
+  const ranges = rangeStillValid(req, etag, bodyStat) ? parseRange(req.headers.range, size) : null
+
+  if (ranges === 'unsatisfiable') {
+    res.writeHead(416, { ...common, 'Content-Range': `bytes */${size}`, 'Content-Length': 0 })
+    res.end()
+    return true
+  }
+
+  if (!ranges) {
+    res.writeHead(200, { ...typed, 'Content-Length': size })
+    if (isHead || size === 0) res.end()
+    else pipeFile(res, bodyPath).then((done) => done && res.end())
+    return true
+  }
+
+  if (ranges.length === 1) {
+    const { start, end } = ranges[0]
+    res.writeHead(206, { ...typed, 'Content-Range': `bytes ${start}-${end}/${size}`, 'Content-Length': end - start + 1 })
+    if (isHead) res.end()
+    else pipeFile(res, bodyPath, { start, end }).then((done) => done && res.end())
+    return true
+  }
+
+  // Several ranges: multipart/byteranges, each part with its own headers
+  const boundary = randomBytes(12).toString('hex')
+  const partHeaders = ranges.map(({ start, end }) => Buffer.from(
+    `\r\n--${boundary}\r\n`
+    + `Content-Type: ${typed['Content-Type']}\r\n`
+    + `Content-Range: bytes ${start}-${end}/${size}\r\n\r\n`))
+  const trailer = Buffer.from(`\r\n--${boundary}--\r\n`)
+  const length = partHeaders.reduce((n, h, i) => n + h.length + ranges[i].end - ranges[i].start + 1, trailer.length)
+
+  res.writeHead(206, {
+    ...common,
+    ...(encoding ? { 'Content-Encoding': encoding.name } : {}),
+    'Content-Type': `multipart/byteranges; boundary=${boundary}`,
+    'Content-Length': length,
+  })
+  if (isHead) {
+    res.end()
+    return true
+  }
+  writeParts(res, bodyPath, ranges, partHeaders, trailer)
+  return true
+}
+
+async function writeParts(res, filePath, ranges, partHeaders, trailer) {
+  for (let i = 0; i < ranges.length; i++) {
+    res.write(partHeaders[i])
+    if (!(await pipeFile(res, filePath, ranges[i]))) return
+  }
+  res.end(trailer)
+}
+
+module.exports = {
+  parseRange,
+  etagFor,
+  etagMatches,
+  sendFile,
+}
@@ -0,0 +1,238 @@
+/**
+ * Dreamcast IP.BIN boot header reader
+ *
+ * Every Dreamcast disc starts its boot data track with IP.BIN, whose first
+ * 256 bytes carry the software title, product number, version, release date,
+ * region and peripheral flags. The launcher uses these to show real game
+ * titles instead of file names like track01.gdi.
+ *
+ * Supported containers: GDI (track 1, falling back to the first high-density
+ * data track), CUE/BIN (first data track), CDI (first data track of the last
+ * session) and ISO.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const discSheets = require('./disc-sheets')
+
+const SIGNATURE = 'SEGA SEGAKATANA '
+const HEADER_SIZE = 256
+
+// Offsets of the 2048-byte user data area inside the sector layouts we meet
+// (cooked, raw mode 1, raw mode 2 form 1, mode 2 without sync)
+const USER_DATA_OFFSETS = [0, 16, 24, 8]
+
+const AREAS = { J: 'Japan', U: 'USA', E: 'Europe' }
+
+// Peripheral bit flags (hex string at 0x38)
+const PERIPHERALS = [
+  [0, 'Windows CE'],
+  [4, 'VGA box'],
+  [8, 'Other expansions'],
+  [9, 'Vibration pack'],
+  [10, 'Microphone'],
+  [11, 'Memory card'],
+  [13, 'C button'],
+  [14, 'D button'],
+  [15, 'X button'],
+  [16, 'Y button'],
+  [17, 'Z button'],
+  [18, 'Expanded D-pad'],
+  [19, 'Analog R trigger'],
+  [20, 'Analog L trigger'],
+  [21, 'Analog horizontal'],
+  [22, 'Analog vertical'],
+  [23, 'Expanded analog horizontal'],
+  [24, 'Expanded analog vertical'],
+  [25, 'Light gun'],
+  [26, 'Keyboard'],
+  [27, 'Mouse'],
+]
+
+function field(buf, start, length) {
+  return buf.toString('latin1', start, start + length).replace(/\0/g, ' ').trim()
+}
+
+// Decode the 256-byte IP.BIN header. Returns null when the signature is absent.
+function parseIpBin(buf) {
+  if (!buf || buf.length < HEADER_SIZE || buf.toString('latin1', 0, 16) !== SIGNATURE) return null
+
+  const deviceInfo = field(buf, 0x20, 16)
+  const areaSymbols = buf.toString('latin1', 0x30, 0x38)
+  const peripheralHex = field(buf, 0x38, 8)
+  const peripheralBits = parseInt(peripheralHex, 16) || 0
+  const date = field(buf, 0x50, 16)
+  const discMatch = /GD-ROM(\d+)\/(\d+)/.exec(deviceInfo)
+
+  return {
+    title: field(buf, 0x80, 128),
+    maker: field(buf, 0x10, 16),
+    company: field(buf, 0x70, 16),
+    productNumber: field(buf, 0x40, 10),
+    version: field(buf, 0x4A, 6),
+    releaseDate: /^\d{8}$/.test(date) ? `${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6, 8)}` : date,
+    bootFile: field(buf, 0x60, 16),
+    disc: discMatch ? { number: parseInt(discMatch[1], 10), total: parseInt(discMatch[2], 10) } : null,
+    regions: Object.keys(AREAS).filter((k, i) => areaSymbols[i] === k).map((k) => AREAS[k]),
+    peripheralFlags: peripheralHex,
+    peripherals: PERIPHERALS.filter(([bit]) => peripheralBits & (1 << bit)).map(([, name]) => name),
+  }
+}
+
+function readAt(fd, position, length) {
+  const buf = Buffer.alloc(length)
+  const n = fs.readSync(fd, buf, 0, length, position)
+  return buf.subarray(0, n)
+}
+
+// Read the header from the first sector of a track starting at `position`
+function readHeaderAt(filePath, position) {
+  const fd = fs.openSync(filePath, 'r')
+  try {
+    const sector = readAt(fd, position, 24 + HEADER_SIZE)
+    for (const offset of USER_DATA_OFFSETS) {
+      const header = parseIpBin(sector.subarray(offset, offset + HEADER_SIZE))
+      if (header) return header
+    }
+    return null
+  } finally {
+    fs.closeSync(fd)
+  }
+}
+
+function readFromSheet(sheetPath) {
+  const disc = discSheets.inspectSheet(sheetPath)
+  const dataTracks = disc.tracks.filter((t) => t.type === 'data' && t.path)
+  for (const t of dataTracks) {
+    const header = readHeaderAt(t.path, (t.offset || 0) + (t.start || 0) * t.sectorSize)
+    if (header) return header
+  }
+  return null
+}
+
+// DiscJuggler images keep their track table at the end of the file. Walk it
+// to find where each track's data starts.
+const CDI_V2 = 0x80000004
+const CDI_V3 = 0x80000005
+const CDI_V35 = 0x80000006
+const CDI_SECTOR_SIZES = { 0: 2048, 1: 2336, 2: 2352, 4: 2448 }
+const TRACK_START_MARK = Buffer.from([0, 0, 0x01, 0, 0, 0, 0xFF, 0xFF, 0xFF, 0xFF])
+// The session/track table at the end of a CDI is a few KB; a damaged offset
+// must not pull most of the image into memory
+const MAX_CDI_TABLE_BYTES = 4 * 1024 * 1024
+
+function parseCdiTracks(filePath) {
+  const size = fs.statSync(filePath).size
+  const fd = fs.openSync(filePath, 'r')
+  try {
+    const tail = readAt(fd, size - 8, 8)
+    const version = tail.readUInt32LE(0)
+    let headerOffset = tail.readUInt32LE(4)
+    if (![CDI_V2, CDI_V3, CDI_V35].includes(version)) throw new Error('not a DiscJuggler image')
+    if (version === CDI_V35) headerOffset = size - headerOffset
+    if (headerOffset <= 0 || headerOffset >= size) throw new Error('bad CDI header offset')
+    if (size - headerOffset > MAX_CDI_TABLE_BYTES) throw new Error('not a DiscJuggler image (track table too large)')
+
+    const table = readAt(fd, headerOffset, size - headerOffset)
+    let p = 0
+    const u8 = () => table.readUInt8((p += 1) - 1)
+    const u16 = () => table.readUInt16LE((p += 2) - 2)
+    const u32 = () => table.readUInt32LE((p += 4) - 4)
+
+    const sessions = []
+    let position = 0
+    const sessionCount = u16()
+    for (let s = 0; s < sessionCount; s++) {
+      const trackCount = u16()
+      const tracks = []
+      for (let t = 0; t < trackCount; t++) {
+        if (u32() !== 0) p += 8
+        for (let mark = 0; mark < 2; mark++) {
+          if (!table.subarray(p, p + 10).equals(TRACK_START_MARK)) throw new Error('missing CDI track start mark')
+          p += 10
+        }
+        p += 4
+        p += u8()
+        p += 11 + 4 + 4
+        if (u32() === 0x80000000) p += 8
+        p += 2
+        const pregap = u32()
+        const length = u32()
+        p += 6
+        const mode = u32()
+        p += 12
+        const startLba = u32()
+        const totalLength = u32()
+        p += 16
+        const sectorSize = CDI_SECTOR_SIZES[u32()]
+        if (!sectorSize) throw new Error('unknown CDI sector size')
+        p += 29
+        if (version !== CDI_V2) {
+          p += 5
+          if (u32() === 0xFFFFFFFF) p += 78
+        }
+
+        tracks.push({ mode, startLba, length, sectorSize, dataOffset: position + pregap * sectorSize })
+        position += totalLength * sectorSize
+      }
+      sessions.push(tracks)
+      p += 12
+      if (version !== CDI_V2) p += 1
+    }
+    return sessions
+  } finally {
+    fs.closeSync(fd)
+  }
+}
+
+function readFromCdi(filePath) {
+  const sessions = parseCdiTracks(filePath).filter((tracks) => tracks.length > 0)
+  // Self-booting discs put IP.BIN at the start of the last session's data track
+  for (const tracks of sessions.reverse()) {
+    for (const t of tracks.filter((track) => track.mode !== 0)) {
+      const header = readHeaderAt(filePath, t.dataOffset)
+      if (header) return header
+    }
+  }
+  return null
+}
+
+// Read the IP.BIN header of a disc image. Returns null if the format is not
+// supported or no boot header is found.
+function readDiscHeader(filePath) {
+  const ext = path.extname(filePath).toLowerCase()
+  try {
+    if (discSheets.isSheet(filePath)) return readFromSheet(filePath)
+    if (ext === '.cdi') return readFromCdi(filePath)
+    if (ext === '.iso') return readHeaderAt(filePath, 0)
+  } catch {
+    return null
+  }
+  return null
+}
+
+// Per-file cache keyed by size and mtime, so a library page load only opens
+// discs that are new or have changed since the last scan
+const headerCache = new Map()
+
+function getDiscHeader(filePath) {
+  let stat
+  try {
+    stat = fs.statSync(filePath)
+  } catch {
+    return null
+  }
+  const cached = headerCache.get(filePath)
+  if (cached && cached.size === stat.size && cached.mtimeMs === stat.mtimeMs) return cached.header
+
+  const header = readDiscHeader(filePath)
+  headerCache.set(filePath, { size: stat.size, mtimeMs: stat.mtimeMs, header })
+  return header
+}
+
+module.exports = {
+  parseIpBin,
+  parseCdiTracks,
+  readDiscHeader,
+  getDiscHeader,
+}
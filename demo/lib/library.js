@@ -0,0 +1,202 @@
+/**
+ * ROM library scanning
+ *
+ * One pass over the ROM directory that resolves GDI/CUE sheets (so their
+ * track files are part of the disc instead of games of their own), inspects
+ * CHD headers, looks inside .zip/.7z archives and reads IP.BIN metadata. The
+ * launcher, the JSON API and the file index all work from this list.
+ *
+ * Multi-disc games are listed once: discs are grouped by the disc tag in their
+ * file names ("Shenmue (Disc 2).chd") or by the GD-ROM<n>/<total> field and
+ * product number in IP.BIN, and the set is played through an M3U playlist.
+ *
+ * hashGame() fingerprints a game's content for netplay, where every peer
+ * must run the same dump.
+ */
+
+const fs = require('fs')
+const crypto = require('crypto')
+const path = require('path')
+const discSheets = require('./disc-sheets')
+const ipbin = require('./ipbin')
+const chd = require('./chd')
+const archives = require('./archives')
+
+const ROM_EXTENSIONS = ['.chd', '.cdi', '.gdi', '.cue', '.zip', '.7z', '.iso', '.bin']
+
+// "(Disc 2)", "[Disc 2 of 3]", "CD2", "- Disk 2" and the like in a file name
+const DISC_TAG = /[\s_.-]*[([]?\s*\b(?:disc|disk|cd|gd)\s*[-_]?\s*(\d{1,2})(?:\s*(?:of|\/)\s*(\d{1,2}))?\s*[)\]]?/i
+
+// Files in one directory with one of the given extensions
+function scanDir(dirPath, extensions) {
+  if (!fs.existsSync(dirPath)) return []
+  return fs.readdirSync(dirPath)
+    .filter((f) => extensions.includes(path.extname(f).toLowerCase()))
+    .map((f) => ({ name: f, path: path.join(dirPath, f) }))
+}
+
+function fileSize(filePath) {
+  try {
+    return fs.statSync(filePath).size
+  } catch {
+    return 0
+  }
+}
+
+// Disc number and set keys of one game, from its file name and IP.BIN
+function discIdentity(game) {
+  const base = path.basename(game.name, path.extname(game.name))
+  const tag = DISC_TAG.exec(base)
+  const keys = []
+  let number = null
+  let total = null
+  if (tag) {
+    number = parseInt(tag[1], 10)
+    total = tag[2] ? parseInt(tag[2], 10) : null
+    keys.push(`name:${base.replace(DISC_TAG, ' ').replace(/\s+/g, ' ').trim().toLowerCase()}`)
+  }
+  const ip = game.header && game.header.disc
+  if (ip && ip.total > 1) {
+    number = ip.number
+    total = ip.total
+    keys.push(`ip:${game.header.productNumber}:${game.header.title.toLowerCase()}`)
+  }
+  const setName = tag ? base.replace(DISC_TAG, '').trim() : game.header && game.header.title ? game.header.title : base
+  return { number, total, keys, setName }
+}
+
+// Merge the discs of each multi-disc game into its first disc, whose entry
+// gets `discs` (every disc's game entry plus `number`, in disc order) and
+// `missingDiscs`. Discs with problems, and groups where two files claim the
+// same disc number, are left as games of their own.
+function groupDiscSets(games) {
+  const identities = games.map((g) => (g.problems.length === 0 ? discIdentity(g) : { keys: [] }))
+
+  // Union the games that share any key
+  const parent = games.map((_, i) => i)
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])))
+  const owner = new Map()
+  identities.forEach((id, i) => id.keys.forEach((key) => {
+    if (owner.has(key)) parent[find(i)] = find(owner.get(key))
+    else owner.set(key, i)
+  }))
+
+  const groups = new Map()
+  identities.forEach((id, i) => {
+    if (id.keys.length === 0) return
+    const root = find(i)
+    if (!groups.has(root)) groups.set(root, [])
+    groups.get(root).push(i)
+  })
+
+  const merged = new Set()
+  const firsts = new Map()
+  for (const members of groups.values()) {
+    if (members.length < 2) continue
+    const numbers = members.map((i) => identities[i].number)
+    if (new Set(numbers).size !== numbers.length) continue
+    members.sort((a, b) => identities[a].number - identities[b].number)
+    const total = Math.max(...members.map((i) => identities[i].total || 0), ...numbers)
+    const present = new Set(numbers)
+    const first = members[0]
+    firsts.set(first, {
+      ...games[first],
+      setName: identities[first].setName,
+      discs: members.map((i) => ({ ...games[i], number: identities[i].number })),
+      missingDiscs: Array.from({ length: total }, (_, n) => n + 1).filter((n) => !present.has(n)),
+    })
+    members.forEach((i) => merged.add(i))
+  }
+
+  return games
+    .map((g, i) => firsts.get(i) || (merged.has(i) ? null : { ...g, setName: null, discs: null, missingDiscs: [] }))
+    .filter(Boolean)
+}
+
+// Resolves to the games in romsDir: [{ path, name, format, size, disc, chd, archive, header, problems, discs, missingDiscs }]
+// `disc` is the inspected sheet for GDI/CUE, `chd` the CHD header summary,
+// `archive` the inspected .zip/.7z (whose `format` is then the image's inside
+// it), `header` the IP.BIN metadata (null when unreadable, archived or the
+// disc is broken). `size` covers the sheet and every track file. A
+// multi-disc game is listed as its first disc, with `discs` and `setName`
+// (see groupDiscSets); `discs` is null for other games.
+async function scanGames(romsDir) {
+  const romFiles = scanDir(romsDir, ROM_EXTENSIONS)
+  // One archive at a time, so a library of .7z files does not start a 7-Zip
+  // process for each of them at once
+  const inspected = new Map()
+  for (const f of romFiles) {
+    if (archives.isArchive(f.path)) inspected.set(f.path, await archives.inspectArchive(f.path))
+  }
+
+  const discs = new Map()
+  const trackPaths = new Set()
+  romFiles.filter((f) => discSheets.isSheet(f.path)).forEach((f) => {
+    const disc = discSheets.inspectSheet(f.path)
+    discs.set(f.path, disc)
+    disc.files.forEach((t) => trackPaths.add(path.resolve(t.path)))
+  })
+
+  return groupDiscSets(romFiles
+    .filter((f) => !trackPaths.has(path.resolve(f.path)))
+    .map((f) => {
+      const disc = discs.get(f.path) || null
+      const archive = inspected.get(f.path) || null
+      const format = disc ? disc.format
+        : archive ? (archive.image ? archive.image.format : archive.format)
+          : path.extname(f.path).slice(1).toLowerCase()
+      const chdInfo = format === 'chd' && !archive ? chd.inspectChd(f.path) : null
+      const problems = disc ? disc.problems : chdInfo ? chdInfo.problems : archive ? archive.problems : []
+      return {
+        path: f.path,
+        name: f.name,
+        format,
+        size: fileSize(f.path) + (disc ? disc.files.reduce((n, t) => n + t.size, 0) : 0),
+        disc,
+        chd: chdInfo,
+        archive,
+        header: problems.length === 0 && !archive ? ipbin.getDiscHeader(f.path) : null,
+        problems,
+      }
+    }))
+}
+
+// Content hashes by path, size and mtime, so a file is only read once
+const hashCache = new Map()
+
+function hashFile(filePath) {
+  const stat = fs.statSync(filePath)
+  const key = `${path.resolve(filePath)}:${stat.size}:${stat.mtimeMs}`
+  if (!hashCache.has(key)) {
+    hashCache.set(key, new Promise((resolve, reject) => {
+      const hash = crypto.createHash('sha1')
+      fs.createReadStream(filePath)
+        .on('data', (chunk) => hash.update(chunk))
+        .on('end', () => resolve(hash.digest('hex')))
+        .on('error', (e) => {
+          hashCache.delete(key)
+          reject(e)
+        })
+    }))
+  }
+  return hashCache.get(key)
+}
+
+// SHA-1 fingerprint of a game's content: the data SHA-1 stored in a CHD
+// header, else the hash of every file (sheet and tracks, in sheet order).
+// Resolves to a hex string.
+async function hashGame(game) {
+  if (game.chd && game.chd.sha1) return game.chd.sha1
+  const files = [game.path, ...(game.disc ? game.disc.files.map((t) => t.path) : [])]
+  const hashes = []
+  for (const file of files) hashes.push(await hashFile(file))
+  if (hashes.length === 1) return hashes[0]
+  return crypto.createHash('sha1').update(hashes.join('\n')).digest('hex')
+}
+
+module.exports = {
+  ROM_EXTENSIONS,
+  scanDir,
+  scanGames,
+  hashGame,
+}
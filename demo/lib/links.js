@@ -0,0 +1,75 @@
+/**
+ * Stable file IDs and signed, expiring file URLs
+ *
+ * Files are identified by a hash of their path inside the library (ROM or
+ * BIOS directory), so IDs survive server restarts and bookmarked launch links
+ * keep working. The URLs that actually serve bytes carry an expiry time and an
+ * HMAC over the ID and expiry:
+ *
+ *   /file/<id>/<expires>/<signature>/<name>
+ *
+ * The key is kept in a file next to the server, so links also survive
+ * restarts; deleting that file revokes every link handed out so far.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+
+const DEFAULT_TTL_MS = 12 * 60 * 60 * 1000
+
+// Load the signing key, creating it on first run
+function loadSecret(secretFile) {
+  try {
+    const secret = fs.readFileSync(secretFile)
+    if (secret.length >= 32) return secret
+  } catch {}
+  const secret = crypto.randomBytes(32)
+  fs.writeFileSync(secretFile, secret, { mode: 0o600 })
+  return secret
+}
+
+// Stable ID for a file: `area` names the library root ("roms", "bios") and
+// relPath is the file's path inside it
+function fileId(area, relPath) {
+  return crypto.createHash('sha256')
+    .update(`${area}:${relPath.split(path.sep).join('/')}`)
+    .digest('base64url')
+    .slice(0, 16)
+}
+
+// IDs are 16 base64url characters; anything else is not worth a rescan
+function isFileId(id) {
+  return typeof id === 'string' && /^[A-Za-z0-9_-]{16}$/.test(id)
+}
+
+function createSigner(secret, { ttlMs = DEFAULT_TTL_MS } = {}) {
+  function signature(id, expires) {
+    return crypto.createHmac('sha256', secret).update(`${id}:${expires}`).digest('base64url').slice(0, 22)
+  }
+
+  // "<id>/<expires>/<signature>" path segments for a link valid for ttlMs
+  function sign(id, now = Date.now()) {
+    const expires = Math.floor((now + ttlMs) / 1000)
+    return `${id}/${expires}/${signature(id, expires)}`
+  }
+
+  // 'ok', 'expired' or 'invalid' (tampered, mistyped, or signed with an old key)
+  function verify(id, expires, sig, now = Date.now()) {
+    if (!/^\d{1,12}$/.test(String(expires)) || typeof sig !== 'string') return 'invalid'
+    const expected = Buffer.from(signature(id, expires))
+    const given = Buffer.from(sig)
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return 'invalid'
+    return Number(expires) * 1000 < now ? 'expired' : 'ok'
+  }
+
+  return { sign, verify, ttlMs }
+}
+
+module.exports = {
+  DEFAULT_TTL_MS,
+  loadSecret,
+  fileId,
+  isFileId,
+  createSigner,
+}
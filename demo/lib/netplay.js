@@ -0,0 +1,247 @@
+/**
+ * Netplay rooms
+ *
+ * The emulator page connects to /netplay over WebSocket on the server's own
+ * port, so netplay works on a LAN with nothing else running. A room belongs
+ * to one game; the host is player 1 and every peer that joins takes the next
+ * free player slot. A peer may only join when its fingerprint matches the
+ * room's: the same ROM content hash, core build and core options hash, so
+ * every emulator runs the same thing.
+ *
+ * Messages are JSON text frames with a "type":
+ *
+ *   -> { type: "create", game, coreBuild, optionsHash, name? }
+ *   <- { type: "created", room, peer }
+ *   -> { type: "join", room, game, coreBuild, optionsHash, name? }
+ *   <- { type: "joined", room, peer, peers }
+ *   -> { type: "list" }                 <- { type: "rooms", rooms }
+ *   -> { type: "signal", to, data }     relayed as { type: "signal", from, data }
+ *   -> { type: "leave" }
+ *   <- { type: "peer-joined", peer } / { type: "peer-left", peer }
+ *   <- { type: "room-closed", reason }
+ *   <- { type: "error", code, message, details? }
+ *
+ * "signal" carries WebRTC offers, answers and ICE candidates, so peers can
+ * open a direct data channel. The server only matches and introduces peers;
+ * it relays no game input and keeps no emulators in step, which is left to
+ * whatever runs over the data channels.
+ */
+
+const crypto = require('crypto')
+
+const MAX_PLAYERS = 4
+const HEARTBEAT_MS = 30000
+const ROOM_CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'
+const ROOM_CODE = /^[A-HJ-NP-Z2-9]{6}$/
+const PEER_NAME_MAX = 32
+
+function isValidRoomCode(code) {
+  return typeof code === 'string' && ROOM_CODE.test(code)
+}
+
+function newRoomCode(rooms) {
+  for (;;) {
+    const bytes = crypto.randomBytes(6)
+    const code = Array.from(bytes, (b) => ROOM_CODE_CHARS[b % ROOM_CODE_CHARS.length]).join('')
+    if (!rooms.has(code)) return code
+  }
+}
+
+function peerName(name, player) {
+  return typeof name === 'string' && name.trim() ? name.trim().slice(0, PEER_NAME_MAX) : `Player ${player}`
+}
+
+// Fields of two fingerprints that differ, as messages
+function fingerprintMismatches(room, peer) {
+  const problems = []
+  if (room.romHash !== peer.romHash) problems.push('ROM content differs from the host\'s dump')
+  if (room.coreBuild !== peer.coreBuild) problems.push(`core build ${peer.coreBuild} differs from the host's ${room.coreBuild}`)
+  if (room.optionsHash !== peer.optionsHash) problems.push('core options differ from the host\'s')
+  return problems
+}
+
+// The room service. `resolveGame(id)` returns a promise of
+// { id, key, title, romHash } for a library game ID, or null.
+function createRoomService({ resolveGame }) {
+  const rooms = new Map()
+  const peers = new Set()
+  let nextPeer = 1
+
+  function roomJson(room) {
+    return {
+      code: room.code,
+      game: room.game,
+      coreBuild: room.fingerprint.coreBuild,
+      optionsHash: room.fingerprint.optionsHash,
+      createdAt: room.createdAt,
+      players: Array.from(room.peers.values()).map(peerJson),
+      full: room.peers.size >= MAX_PLAYERS,
+    }
+  }
+
+  function peerJson(peer) {
+    return { id: peer.id, name: peer.name, player: peer.player, host: peer.host }
+  }
+
+  function send(ws, message) {
+    ws.send(JSON.stringify(message))
+  }
+
+  function sendError(ws, code, message, details) {
+    send(ws, { type: 'error', code, message, ...(details ? { details } : {}) })
+  }
+
+  function broadcast(room, message, except) {
+    for (const peer of room.peers.values()) {
+      if (peer !== except) send(peer.ws, message)
+    }
+  }
+
+  function leave(peer, reason) {
+    const room = peer.room
+    if (!room) return
+    peer.room = null
+    room.peers.delete(peer.id)
+    if (peer.host || room.peers.size === 0) {
+      rooms.delete(room.code)
+      broadcast(room, { type: 'room-closed', reason: reason || 'the host left' })
+      for (const other of room.peers.values()) other.room = null
+      return
+    }
+    broadcast(room, { type: 'peer-left', peer: peerJson(peer) })
+  }
+
+  // Everything needed to check a peer against a room, from what it sent
+  async function fingerprint(message) {
+    if (typeof message.coreBuild !== 'string' || typeof message.optionsHash !== 'string') {
+      return { error: ['coreBuild and optionsHash are required'] }
+    }
+    const game = await resolveGame(message.game)
+    if (!game) return { error: [`no game with id ${message.game}`] }
+    return {
+      game: { id: game.id, key: game.key, title: game.title },
+      romHash: game.romHash,
+      coreBuild: message.coreBuild,
+      optionsHash: message.optionsHash,
+    }
+  }
+
+  async function create(peer, message) {
+    if (peer.room) return sendError(peer.ws, 'already_in_room', `already in room ${peer.room.code}`)
+    const print = await fingerprint(message)
+    if (print.error) return sendError(peer.ws, 'invalid_request', print.error.join('; '), print.error)
+    if (peer.room || !peer.ws.open) return
+
+    const room = {
+      code: newRoomCode(rooms),
+      game: print.game,
+      fingerprint: { romHash: print.romHash, coreBuild: print.coreBuild, optionsHash: print.optionsHash },
+      peers: new Map(),
+      createdAt: new Date().toISOString(),
+    }
+    Object.assign(peer, { room, player: 1, host: true, name: peerName(message.name, 1) })
+    room.peers.set(peer.id, peer)
+    rooms.set(room.code, room)
+    send(peer.ws, { type: 'created', room: roomJson(room), peer: peerJson(peer) })
+  }
+
+  async function join(peer, message) {
+    if (peer.room) return sendError(peer.ws, 'already_in_room', `already in room ${peer.room.code}`)
+    if (!isValidRoomCode(message.room)) return sendError(peer.ws, 'invalid_request', 'room must be a 6 character room code')
+    const print = await fingerprint(message)
+    if (print.error) return sendError(peer.ws, 'invalid_request', print.error.join('; '), print.error)
+    if (peer.room || !peer.ws.open) return
+
+    const room = rooms.get(message.room)
+    if (!room) return sendError(peer.ws, 'room_not_found', `no room ${message.room}`)
+    const mismatches = fingerprintMismatches(room.fingerprint, print)
+    if (mismatches.length > 0) {
+      return sendError(peer.ws, 'fingerprint_mismatch', `cannot join ${room.code}: ${mismatches.join('; ')}`, mismatches)
+    }
+    const taken = new Set(Array.from(room.peers.values(), (p) => p.player))
+    const player = [1, 2, 3, 4].find((n) => !taken.has(n))
+    if (!player) return sendError(peer.ws, 'room_full', `room ${room.code} already has ${MAX_PLAYERS} players`)
+
+    Object.assign(peer, { room, player, host: false, name: peerName(message.name, player) })
+    room.peers.set(peer.id, peer)
+    send(peer.ws, {
+      type: 'joined',
+      room: roomJson(room),
+      peer: peerJson(peer),
+      peers: Array.from(room.peers.values()).filter((p) => p !== peer).map(peerJson),
+    })
+    broadcast(room, { type: 'peer-joined', peer: peerJson(peer) }, peer)
+  }
+
+  function relay(peer, message) {
+    const room = peer.room
+    if (!room) return sendError(peer.ws, 'not_in_room', 'join or create a room first')
+    const target = room.peers.get(message.to)
+    if (!target) return sendError(peer.ws, 'peer_not_found', `no peer ${message.to} in this room`)
+    send(target.ws, { type: 'signal', from: peer.id, data: message.data })
+  }
+
+  async function handleMessage(peer, text, isBinary) {
+    let message
+    try {
+      message = isBinary ? null : JSON.parse(text)
+    } catch {}
+    if (!message || typeof message !== 'object') return sendError(peer.ws, 'invalid_json', 'messages must be JSON objects')
+
+    switch (message.type) {
+      case 'create':
+        return create(peer, message)
+      case 'join':
+        return join(peer, message)
+      case 'list':
+        return send(peer.ws, { type: 'rooms', rooms: listRooms() })
+      case 'signal':
+        return relay(peer, message)
+      case 'leave':
+        return leave(peer, 'the host closed the room')
+      default:
+        return sendError(peer.ws, 'unknown_type', `unknown message type ${JSON.stringify(message.type)}`)
+    }
+  }
+
+  // Take over an accepted WebSocket connection
+  function handleConnection(ws) {
+    const peer = { id: `p${nextPeer++}`, ws, room: null, player: null, host: false, name: null, alive: true }
+    ws.on('pong', () => {
+      peer.alive = true
+    })
+    ws.on('message', (text, isBinary) => {
+      handleMessage(peer, text, isBinary).catch((e) => sendError(ws, 'internal_error', e.message))
+    })
+    ws.on('close', () => {
+      peers.delete(peer)
+      leave(peer, 'the host disconnected')
+    })
+    peers.add(peer)
+  }
+
+  // Drop connections that stopped answering pings (closed laptop lids, lost Wi-Fi)
+  const heartbeat = setInterval(() => {
+    for (const peer of peers) {
+      if (!peer.alive) {
+        peer.ws.close(1001, 'no answer to ping')
+        continue
+      }
+      peer.alive = false
+      peer.ws.ping()
+    }
+  }, HEARTBEAT_MS)
+  heartbeat.unref()
+
+  function listRooms() {
+    return Array.from(rooms.values()).map(roomJson)
+  }
+
+  return { handleConnection, listRooms }
+}
+
+module.exports = {
+  MAX_PLAYERS,
+  isValidRoomCode,
+  createRoomService,
+}
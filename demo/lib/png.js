@@ -0,0 +1,200 @@
+/**
+ * Minimal PNG encoder and decoder
+ *
+ * Writes 8-bit RGBA, non-interlaced PNGs using zlib from Node core, which is
+ * all the server needs to turn VMU icons into images the launcher can show.
+ * Reads the non-interlaced PNGs the core's screenshot command produces (any
+ * colour type, 8 or 16 bits per channel) so they can be downsized into
+ * launcher thumbnails.
+ */
+
+const zlib = require('zlib')
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])
+
+// Channels per colour type: grey, RGB, palette, grey + alpha, RGBA
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }
+const MAX_PIXELS = 16 * 1024 * 1024
+
+class PngError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'PngError'
+  }
+}
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256)
+  for (let n = 0; n < 256; n++) {
+    let c = n
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1
+    table[n] = c >>> 0
+  }
+  return table
+})()
+
+function crc32(buf) {
+  let c = 0xFFFFFFFF
+  for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xFF] ^ (c >>> 8)
+  return (c ^ 0xFFFFFFFF) >>> 0
+}
+
+function chunk(type, data) {
+  const length = Buffer.alloc(4)
+  length.writeUInt32BE(data.length)
+  const body = Buffer.concat([Buffer.from(type, 'latin1'), data])
+  const crc = Buffer.alloc(4)
+  crc.writeUInt32BE(crc32(body))
+  return Buffer.concat([length, body, crc])
+}
+
+// Encode width x height RGBA pixels (4 bytes per pixel, row-major) as a PNG
+function encodePng(width, height, rgba) {
+  const header = Buffer.alloc(13)
+  header.writeUInt32BE(width, 0)
+  header.writeUInt32BE(height, 4)
+  header[8] = 8 // bit depth
+  header[9] = 6 // colour type: RGBA
+  header[10] = 0 // compression
+  header[11] = 0 // filter
+  header[12] = 0 // interlace
+
+  // Every scanline gets filter type 0 (none)
+  const stride = width * 4
+  const raw = Buffer.alloc((stride + 1) * height)
+  for (let y = 0; y < height; y++) {
+    raw[y * (stride + 1)] = 0
+    Buffer.from(rgba.buffer, rgba.byteOffset + y * stride, stride).copy(raw, y * (stride + 1) + 1)
+  }
+
+  return Buffer.concat([
+    SIGNATURE,
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(raw)),
+    chunk('IEND', Buffer.alloc(0)),
+  ])
+}
+
+function paeth(a, b, c) {
+  const p = a + b - c
+  const pa = Math.abs(p - a)
+  const pb = Math.abs(p - b)
+  const pc = Math.abs(p - c)
+  return pa <= pb && pa <= pc ? a : pb <= pc ? b : c
+}
+
+// Undo the per-scanline filters; returns the unfiltered pixel bytes
+function unfilter(raw, height, stride, bpp) {
+  const pixels = Buffer.alloc(stride * height)
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)]
+    const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1))
+    const row = pixels.subarray(y * stride, (y + 1) * stride)
+    const prev = y > 0 ? pixels.subarray((y - 1) * stride, y * stride) : null
+    for (let x = 0; x < stride; x++) {
+      const a = x >= bpp ? row[x - bpp] : 0
+      const b = prev ? prev[x] : 0
+      const c = prev && x >= bpp ? prev[x - bpp] : 0
+      switch (filter) {
+        case 0: row[x] = line[x]; break
+        case 1: row[x] = line[x] + a; break
+        case 2: row[x] = line[x] + b; break
+        case 3: row[x] = line[x] + ((a + b) >> 1); break
+        case 4: row[x] = line[x] + paeth(a, b, c); break
+        default: throw new PngError(`unknown filter type ${filter} on row ${y}`)
+      }
+    }
+  }
+  return pixels
+}
+
+// Decode a PNG into { width, height, rgba } with 4 bytes per pixel
+function decodePng(buf) {
+  if (buf.length < SIGNATURE.length || !buf.subarray(0, SIGNATURE.length).equals(SIGNATURE)) {
+    throw new PngError('not a PNG file')
+  }
+  let header = null
+  let palette = null
+  let transparency = null
+  const data = []
+  let pos = SIGNATURE.length
+  while (pos + 12 <= buf.length) {
+    const length = buf.readUInt32BE(pos)
+    const type = buf.toString('latin1', pos + 4, pos + 8)
+    if (pos + 12 + length > buf.length) throw new PngError(`${type} chunk is truncated`)
+    if (crc32(buf.subarray(pos + 4, pos + 8 + length)) !== buf.readUInt32BE(pos + 8 + length)) {
+      throw new PngError(`${type} chunk fails its CRC check`)
+    }
+    const body = buf.subarray(pos + 8, pos + 8 + length)
+    pos += 12 + length
+    if (type === 'IHDR') {
+      header = {
+        width: body.readUInt32BE(0),
+        height: body.readUInt32BE(4),
+        bitDepth: body[8],
+        colorType: body[9],
+        interlace: body[12],
+      }
+    } else if (type === 'PLTE') {
+      palette = body
+    } else if (type === 'tRNS') {
+      transparency = body
+    } else if (type === 'IDAT') {
+      data.push(body)
+    } else if (type === 'IEND') {
+      break
+    }
+  }
+
+  if (!header) throw new PngError('missing IHDR chunk')
+  const { width, height, bitDepth, colorType, interlace } = header
+  const channels = CHANNELS[colorType]
+  if (!channels) throw new PngError(`unknown colour type ${colorType}`)
+  if (bitDepth !== 8 && !(bitDepth === 16 && colorType !== 3)) throw new PngError(`${bitDepth}-bit ${colorType === 3 ? 'palette ' : ''}images are not supported`)
+  if (interlace !== 0) throw new PngError('interlaced images are not supported')
+  if (width < 1 || height < 1 || width * height > MAX_PIXELS) throw new PngError(`unsupported size ${width}x${height}`)
+  if (colorType === 3 && !palette) throw new PngError('palette image without a PLTE chunk')
+
+  const bpp = channels * (bitDepth / 8)
+  const stride = width * bpp
+  let raw
+  try {
+    raw = zlib.inflateSync(Buffer.concat(data), { maxOutputLength: (stride + 1) * height })
+  } catch (e) {
+    throw new PngError(`image data is corrupt: ${e.message}`)
+  }
+  if (raw.length < (stride + 1) * height) throw new PngError('image data is truncated')
+  const pixels = unfilter(raw, height, stride, bpp)
+
+  // 16-bit samples keep their high byte
+  const step = bitDepth / 8
+  const sample = (i) => pixels[i * step]
+  const rgba = Buffer.alloc(width * height * 4)
+  for (let i = 0; i < width * height; i++) {
+    const o = i * 4
+    const s = i * channels
+    if (colorType === 3) {
+      const index = pixels[i]
+      rgba[o] = palette[index * 3]
+      rgba[o + 1] = palette[index * 3 + 1]
+      rgba[o + 2] = palette[index * 3 + 2]
+      rgba[o + 3] = transparency && index < transparency.length ? transparency[index] : 255
+    } else if (channels <= 2) {
+      rgba[o] = rgba[o + 1] = rgba[o + 2] = sample(s)
+      rgba[o + 3] = channels === 2 ? sample(s + 1) : 255
+    } else {
+      rgba[o] = sample(s)
+      rgba[o + 1] = sample(s + 1)
+      rgba[o + 2] = sample(s + 2)
+      rgba[o + 3] = channels === 4 ? sample(s + 3) : 255
+    }
+  }
+  return { width, height, rgba }
+}
+
+module.exports = {
+  PngError,
+  crc32,
+  encodePng,
+  decodePng,
+}
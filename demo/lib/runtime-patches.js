@@ -0,0 +1,66 @@
+/**
+ * Runtime patch toggles
+ *
+ * The WebGL2 and console patches live in patches/webgl2-compat.js, which the
+ * server serves to the emulator page. Every patch is on by default; a launch
+ * can switch individual patches off with ?patches={"name":false} (or
+ * "patches" in the JSON API launch body) to check whether a core build still
+ * needs the workaround. The page exposes how often each patch fired as
+ * window.flycastPatches.counts.
+ */
+
+const path = require('path')
+
+const PATCH_FILE = path.join(__dirname, '..', '..', 'patches', 'webgl2-compat.js')
+
+const PATCHES = [
+  { name: 'glVersion', description: 'Report GL_VERSION as OpenGL ES 3.0 so the GLES3 renderer is selected' },
+  { name: 'invalidEnum', description: 'Swallow GL_INVALID_ENUM so RetroArch does not abort video init' },
+  { name: 'texParameterGuard', description: 'Skip texParameter calls made with no texture bound' },
+  { name: 'warnFilter', description: 'Drop harmless __syscall_mprotect warnings from the console' },
+]
+
+const PATCH_NAMES = PATCHES.map((p) => p.name)
+
+class PatchTogglesError extends Error {
+  constructor(source, problems) {
+    super(`${source}: ${problems.join('; ')}`)
+    this.name = 'PatchTogglesError'
+    this.source = source
+    this.problems = problems
+  }
+}
+
+// Check a { name: boolean } object; returns a list of problems
+function validateToggles(toggles) {
+  if (!toggles || typeof toggles !== 'object' || Array.isArray(toggles)) return ['expected an object of patch names']
+  const problems = []
+  for (const [name, value] of Object.entries(toggles)) {
+    if (!PATCH_NAMES.includes(name)) {
+      problems.push(`unknown patch "${name}" (known: ${PATCH_NAMES.join(', ')})`)
+    } else if (typeof value !== 'boolean') {
+      problems.push(`${name} must be true or false`)
+    }
+  }
+  return problems
+}
+
+// Full toggle set for one launch: every patch on unless `override` turns it off
+function resolveToggles(source, override) {
+  if (override !== null && override !== undefined) {
+    const problems = validateToggles(override)
+    if (problems.length > 0) throw new PatchTogglesError(source, problems)
+  }
+  const toggles = {}
+  for (const name of PATCH_NAMES) toggles[name] = !override || override[name] !== false
+  return toggles
+}
+
+module.exports = {
+  PATCH_FILE,
+  PATCHES,
+  PATCH_NAMES,
+  PatchTogglesError,
+  validateToggles,
+  resolveToggles,
+}
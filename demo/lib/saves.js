@@ -0,0 +1,88 @@
+/**
+ * Server-side save file storage
+ *
+ * The emulator page runs with EJS_disableLocalStorage, so VMU images and core
+ * save files are synced here instead and restored into the Emscripten FS
+ * before the core boots. Files are stored per game:
+ *
+ *   <saves-dir>/<game>/dc/vmu_save_A1.bin     VMU images (system dir /dc/)
+ *   <saves-dir>/<game>/saves/<file>           core save files (savefile_directory)
+ */
+
+const fs = require('fs')
+const path = require('path')
+
+// Save areas the client may read and write, relative to a game's directory
+const AREAS = ['dc', 'saves']
+
+const MAX_SAVE_BYTES = 16 * 1024 * 1024
+
+const SAFE_NAME = /^[A-Za-z0-9][A-Za-z0-9 ._()[\]+,'&!-]{0,127}$/
+
+// Stable per-game key derived from the ROM file name (extension dropped)
+function gameKeyFor(romPath) {
+  return path.basename(romPath, path.extname(romPath))
+    .replace(/[^A-Za-z0-9 ._()[\]+,'&!-]/g, '_')
+    .replace(/^[^A-Za-z0-9]+/, '')
+    .slice(0, 128) || 'game'
+}
+
+function isValidName(name) {
+  return typeof name === 'string' && SAFE_NAME.test(name) && !name.includes('..')
+}
+
+// Resolve "<area>/<file>" inside a game's save directory, or null if invalid
+function resolveSavePath(savesDir, game, relPath) {
+  if (!isValidName(game)) return null
+  const parts = String(relPath || '').split('/')
+  if (parts.length !== 2 || !AREAS.includes(parts[0]) || !isValidName(parts[1])) return null
+  return path.join(savesDir, game, parts[0], parts[1])
+}
+
+// List a game's save files as [{ name: '<area>/<file>', size, modified }]
+function listSaves(savesDir, game) {
+  if (!isValidName(game)) return null
+  const files = []
+  for (const area of AREAS) {
+    const dir = path.join(savesDir, game, area)
+    if (!fs.existsSync(dir)) continue
+    for (const f of fs.readdirSync(dir)) {
+      if (!isValidName(f) || f.endsWith('.tmp')) continue
+      const stat = fs.statSync(path.join(dir, f))
+      if (!stat.isFile()) continue
+      files.push({ name: `${area}/${f}`, size: stat.size, modified: stat.mtime.toISOString() })
+    }
+  }
+  return files
+}
+
+// VMU images of a game: [{ card: 'A1', file: 'vmu_save_A1.bin', path }]
+function listCards(savesDir, game) {
+  if (!isValidName(game)) return []
+  const dir = path.join(savesDir, game, 'dc')
+  if (!fs.existsSync(dir)) return []
+  return fs.readdirSync(dir)
+    .map((f) => ({ match: /^vmu_save_([A-D][1-2])\.bin$/.exec(f), file: f }))
+    .filter((c) => c.match)
+    .map((c) => ({ card: c.match[1], file: c.file, path: path.join(dir, c.file) }))
+    .sort((a, b) => a.card.localeCompare(b.card))
+}
+
+// Write atomically: a crashed upload never leaves a half-written VMU behind
+function writeSave(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true })
+  const tmp = `${filePath}.${process.pid}.tmp`
+  fs.writeFileSync(tmp, data)
+  fs.renameSync(tmp, filePath)
+}
+
+module.exports = {
+  AREAS,
+  MAX_SAVE_BYTES,
+  gameKeyFor,
+  isValidName,
+  resolveSavePath,
+  listSaves,
+  listCards,
+  writeSave,
+}
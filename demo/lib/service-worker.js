@@ -0,0 +1,252 @@
+/**
+ * Offline cache service worker
+ *
+ * The server generates /sw.js from buildServiceWorker(). Once registered it
+ * keeps three kinds of response in the browser's Cache Storage:
+ *
+ *   EmulatorJS and core assets (/builds/, /data/)   cache first, in
+ *       "flycast-assets-<version>", precached on install. The version comes
+ *       from config/build.json plus a digest of the installed EmulatorJS and
+ *       core builds, so installing a new build starts a fresh cache and the
+ *       old one is deleted.
+ *   The launcher's API reads, playlists and disc manifests   network first,
+ *       falling back to the cached copy when the server is unreachable.
+ *   The launcher and emulator pages   network first too, in "flycast-pages":
+ *       one entry per game (the emulator page keyed by ?game= alone, since
+ *       launch settings and signed links change every time), the oldest
+ *       dropped beyond PAGE_LIMIT.
+ *   Disc images and BIOS files (/file/, /archive/)   cache first in
+ *       "flycast-discs", only when the server was started with a disc cache
+ *       quota. Least recently played entries are evicted to stay under it.
+ *
+ * Signed links change on every launch, so disc entries are keyed by the link
+ * without its expiry and signature. Cached responses are served with the
+ * COOP/COEP headers the emulator needs for SharedArrayBuffer.
+ *
+ * The launcher asks for usage and evicts entries by posting
+ * { type: "usage" | "evict" | "clear", key?, cache? } with a MessagePort.
+ */
+
+// Runs in the browser; kept in ES2017 like the page scripts' async code
+function serviceWorkerMain(VERSION, PRECACHE, DISC_QUOTA, ISOLATION) {
+  var ASSETS = 'flycast-assets-' + VERSION
+  var DISCS = 'flycast-discs'
+  var PAGES = 'flycast-pages'
+  var PAGE_LIMIT = 20
+  var DISC_INDEX = '/__flycast/discs.json'
+  var NETWORK_FIRST_API = ['/api/v1/games', '/api/v1/bios', '/api/v1/cores']
+
+  self.addEventListener('install', function(event) {
+    event.waitUntil(caches.open(ASSETS).then(function(cache) {
+      return cache.addAll(PRECACHE)
+    }).then(function() {
+      return self.skipWaiting()
+    }))
+  })
+
+  self.addEventListener('activate', function(event) {
+    event.waitUntil(caches.keys().then(function(names) {
+      return Promise.all(names.filter(function(name) {
+        return (name.indexOf('flycast-assets-') === 0 && name !== ASSETS) || (name === DISCS && DISC_QUOTA === 0)
+      }).map(function(name) { return caches.delete(name) }))
+    }).then(function() {
+      return self.clients.claim()
+    }))
+  })
+
+  function withIsolation(response) {
+    var headers = new Headers(response.headers)
+    Object.keys(ISOLATION).forEach(function(name) { headers.set(name, ISOLATION[name]) })
+    return new Response(response.body, { status: response.status, statusText: response.statusText, headers: headers })
+  }
+
+  // "/file/<id>/<expires>/<signature>/<name>" -> "/file/<id>/<name>"
+  function unsignedKey(url) {
+    var parts = url.pathname.split('/')
+    return url.origin + [''].concat(parts.slice(1, 3), parts.slice(5)).join('/')
+  }
+
+  async function cacheFirst(request) {
+    var cache = await caches.open(ASSETS)
+    var hit = await cache.match(request, { ignoreVary: true })
+    if (hit) return withIsolation(hit)
+    var response = await fetch(request)
+    if (response.status === 200) await cache.put(request, response.clone())
+    return response
+  }
+
+  // `key` caches under another URL (unsigned links, pages) in another cache;
+  // `limit` keeps only that many of the most recently stored entries
+  async function networkFirst(request, cacheName, key, limit) {
+    var cache = await caches.open(cacheName)
+    try {
+      var response = await fetch(request)
+      if (response.status === 200) {
+        await cache.delete(key || request)
+        await cache.put(key || request, response.clone())
+        if (limit) await trimPages(cache, limit)
+      }
+      return response
+    } catch (e) {
+      var hit = await cache.match(key || request, { ignoreVary: true })
+      if (!hit) throw e
+      return withIsolation(hit)
+    }
+  }
+
+  // Cache keys are listed in insertion order, and a page is deleted before it
+  // is stored again, so the first keys are the least recently loaded
+  async function trimPages(cache, limit) {
+    var keys = await cache.keys()
+    for (var i = 0; i < keys.length - limit; i++) await cache.delete(keys[i])
+  }
+
+  // "/emulator?game=<id>&bios=...&core=..." -> "/emulator?game=<id>"
+  function pageKey(url) {
+    var game = url.searchParams.get('game')
+    return url.origin + url.pathname + (game ? '?game=' + encodeURIComponent(game) : '')
+  }
+
+  // The disc index ({ entries: { <key>: { name, size, usedAt } } }) is read
+  // and written one update at a time
+  var indexQueue = Promise.resolve()
+
+  function updateIndex(update) {
+    var run = indexQueue.then(async function() {
+      var cache = await caches.open(DISCS)
+      var stored = await cache.match(DISC_INDEX)
+      var index = stored ? await stored.json() : { entries: {} }
+      var result = await update(index, cache)
+      await cache.put(DISC_INDEX, new Response(JSON.stringify(index), { headers: { 'Content-Type': 'application/json' } }))
+      return result
+    })
+    indexQueue = run.catch(function() {})
+    return run
+  }
+
+  // Drop least recently used discs until the cache fits the quota
+  async function trim(index, cache) {
+    var keys = Object.keys(index.entries).sort(function(a, b) { return index.entries[a].usedAt - index.entries[b].usedAt })
+    var total = keys.reduce(function(n, key) { return n + index.entries[key].size }, 0)
+    for (var i = 0; i < keys.length && total > DISC_QUOTA; i++) {
+      total -= index.entries[keys[i]].size
+      delete index.entries[keys[i]]
+      await cache.delete(keys[i])
+    }
+  }
+
+  async function storeDisc(key, response) {
+    var length = Number(response.headers.get('Content-Length'))
+    if (length > DISC_QUOTA) return
+    var cache = await caches.open(DISCS)
+    await cache.put(key, response)
+    var size = length || (await (await cache.match(key)).blob()).size
+    await updateIndex(function(index) {
+      index.entries[key] = { name: decodeURIComponent(key.split('/').pop()), size: size, usedAt: Date.now() }
+      return trim(index, cache)
+    })
+  }
+
+  async function discFirst(event, key) {
+    var cache = await caches.open(DISCS)
+    var hit = await cache.match(key)
+    if (hit) {
+      event.waitUntil(updateIndex(function(index) {
+        if (index.entries[key]) index.entries[key].usedAt = Date.now()
+      }))
+      return withIsolation(hit)
+    }
+    var response = await fetch(event.request)
+    if (response.status === 200) event.waitUntil(storeDisc(key, response.clone()).catch(function(e) {
+      console.warn('[flycast-wasm] Not cached:', key, e)
+    }))
+    return response
+  }
+
+  self.addEventListener('fetch', function(event) {
+    var request = event.request
+    if (request.method !== 'GET' || request.headers.has('Range')) return
+    var url = new URL(request.url)
+    if (url.origin !== self.location.origin) return
+    var p = url.pathname
+
+    if (p.indexOf('/builds/') === 0 || p.indexOf('/data/') === 0) {
+      event.respondWith(cacheFirst(request))
+    } else if (p.indexOf('/file/') === 0 || p.indexOf('/archive/') === 0) {
+      if (DISC_QUOTA > 0) event.respondWith(discFirst(event, unsignedKey(url)))
+    } else if (p.indexOf('/disc/') === 0 || p.indexOf('/playlist/') === 0) {
+      event.respondWith(networkFirst(request, DISC_QUOTA > 0 ? DISCS : ASSETS, unsignedKey(url)))
+    } else if (request.mode === 'navigate') {
+      // Other pages (options, memory cards, gallery) need the server anyway
+      if (p === '/' || p === '/emulator') event.respondWith(networkFirst(request, PAGES, pageKey(url), PAGE_LIMIT))
+    } else if (p.indexOf('/patches/') === 0 || NETWORK_FIRST_API.indexOf(p) !== -1) {
+      event.respondWith(networkFirst(request, ASSETS))
+    }
+  })
+
+  async function cacheBytes(cache) {
+    var requests = await cache.keys()
+    var bytes = 0
+    for (var i = 0; i < requests.length; i++) {
+      var response = await cache.match(requests[i])
+      bytes += Number(response.headers.get('Content-Length')) || (await response.blob()).size
+    }
+    return { entries: requests.length, bytes: bytes }
+  }
+
+  async function usage() {
+    var discs = await updateIndex(function(index) {
+      return Object.keys(index.entries).map(function(key) { return Object.assign({ key: key }, index.entries[key]) })
+    })
+    return {
+      version: VERSION,
+      discQuota: DISC_QUOTA,
+      assets: await cacheBytes(await caches.open(ASSETS)),
+      pages: await cacheBytes(await caches.open(PAGES)),
+      discs: discs.sort(function(a, b) { return b.usedAt - a.usedAt }),
+      storage: navigator.storage && navigator.storage.estimate ? await navigator.storage.estimate() : null,
+    }
+  }
+
+  function evict(key) {
+    return updateIndex(async function(index, cache) {
+      delete index.entries[key]
+      await cache.delete(key)
+    })
+  }
+
+  function clear(name) {
+    // Cached pages load the assets, so they go with them
+    if (name === 'assets') return Promise.all([caches.delete(ASSETS), caches.delete(PAGES)])
+    return updateIndex(async function(index, cache) {
+      for (var key of Object.keys(index.entries)) await cache.delete(key)
+      index.entries = {}
+    })
+  }
+
+  self.addEventListener('message', function(event) {
+    var port = event.ports[0]
+    var message = event.data || {}
+    if (!port) return
+    var work = message.type === 'usage' ? usage()
+      : message.type === 'evict' ? evict(message.key)
+        : message.type === 'clear' ? clear(message.cache)
+          : Promise.reject(new Error('unknown message ' + message.type))
+    event.waitUntil(work.then(function(result) {
+      port.postMessage({ ok: true, result: result })
+    }, function(e) {
+      port.postMessage({ ok: false, error: e.message })
+    }))
+  })
+}
+
+// Source of /sw.js. `precache` lists asset URLs fetched on install;
+// `discQuota` is in bytes, 0 when discs are not cached.
+function buildServiceWorker({ version, precache, discQuota, isolationHeaders }) {
+  const args = [version, precache, discQuota, isolationHeaders].map((v) => JSON.stringify(v)).join(', ')
+  return `// Generated by the Flycast WASM demo server; see demo/lib/service-worker.js\n(${serviceWorkerMain})(${args})\n`
+}
+
+module.exports = {
+  buildServiceWorker,
+}
@@ -0,0 +1,146 @@
+/**
+ * Save-state slots
+ *
+ * States made on the emulator page (the core's save_state_info) are uploaded
+ * here with a screenshot of the moment, so they outlive the browser session.
+ * Each game has numbered slots (1-99), named slots and an "auto" slot written
+ * when the tab closes:
+ *
+ *   <saves-dir>/<game>/states/<slot>.state   the core's state
+ *   <saves-dir>/<game>/states/<slot>.png     screenshot, when one was sent
+ *   <saves-dir>/<game>/states/<slot>.json    { slot, savedAt, size, coreBuild, optionsHash, screenshot }
+ *
+ * A state only loads reliably into the core build and core options it was
+ * made with, so both are recorded and the page warns before loading a state
+ * that differs. Saving to a slot replaces what was in it.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const png = require('./png')
+const saves = require('./saves')
+
+const MAX_STATE_BYTES = 64 * 1024 * 1024
+const MAX_SCREENSHOT_BYTES = 8 * 1024 * 1024
+const AUTO_SLOT = 'auto'
+
+const NUMBERED_SLOT = /^[1-9][0-9]?$/
+const NAMED_SLOT = /^[A-Za-z][A-Za-z0-9 ._-]{0,31}$/
+const FINGERPRINT = /^[A-Za-z0-9._-]{1,128}$/
+
+class StateError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'StateError'
+  }
+}
+
+function isValidSlot(slot) {
+  return typeof slot === 'string' && (NUMBERED_SLOT.test(slot) || (NAMED_SLOT.test(slot) && !slot.includes('..')))
+}
+
+function stateDir(savesDir, game) {
+  if (!saves.isValidName(game)) throw new StateError('invalid game key')
+  return path.join(savesDir, game, 'states')
+}
+
+function writeAtomic(file, data) {
+  const tmp = `${file}.${process.pid}.tmp`
+  fs.writeFileSync(tmp, data)
+  fs.renameSync(tmp, file)
+}
+
+function readMeta(dir, slot) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(dir, `${slot}.json`), 'utf8'))
+  } catch {
+    return null
+  }
+}
+
+// Numbered slots in order, then named ones by name, then the auto slot
+function compareSlots(a, b) {
+  const rank = (s) => (NUMBERED_SLOT.test(s) ? 0 : s === AUTO_SLOT ? 2 : 1)
+  return rank(a.slot) - rank(b.slot) || (rank(a.slot) === 0 ? Number(a.slot) - Number(b.slot) : a.slot.localeCompare(b.slot))
+}
+
+function listStates(savesDir, game) {
+  const dir = stateDir(savesDir, game)
+  let files = []
+  try {
+    files = fs.readdirSync(dir)
+  } catch {}
+  return files
+    .filter((f) => f.endsWith('.json') && isValidSlot(f.slice(0, -5)))
+    .map((f) => readMeta(dir, f.slice(0, -5)))
+    .filter(Boolean)
+    .sort(compareSlots)
+}
+
+function readState(savesDir, game, slot) {
+  if (!isValidSlot(slot)) return null
+  const dir = stateDir(savesDir, game)
+  const meta = readMeta(dir, slot)
+  return meta ? { ...meta, file: path.join(dir, `${slot}.state`) } : null
+}
+
+// Store a state in a slot. `coreBuild` and `optionsHash` identify what made
+// it; any screenshot the slot had is dropped until a new one is sent.
+function saveState(savesDir, game, slot, data, { coreBuild, optionsHash, now = Date.now() } = {}) {
+  if (!isValidSlot(slot)) throw new StateError('slot must be 1-99 or a name of up to 32 letters, digits, spaces, dots, dashes or underscores')
+  if (!FINGERPRINT.test(coreBuild || '') || !FINGERPRINT.test(optionsHash || '')) {
+    throw new StateError('coreBuild and optionsHash are required')
+  }
+  if (data.length === 0) throw new StateError('state is empty')
+  const dir = stateDir(savesDir, game)
+  const meta = { slot, savedAt: new Date(now).toISOString(), size: data.length, coreBuild, optionsHash, screenshot: false }
+  fs.mkdirSync(dir, { recursive: true })
+  fs.rmSync(path.join(dir, `${slot}.png`), { force: true })
+  writeAtomic(path.join(dir, `${slot}.state`), data)
+  writeAtomic(path.join(dir, `${slot}.json`), JSON.stringify(meta, null, 2) + '\n')
+  return meta
+}
+
+// Attach a PNG screenshot to a stored state; null when the slot is empty
+function saveScreenshot(savesDir, game, slot, data) {
+  const state = readState(savesDir, game, slot)
+  if (!state) return null
+  try {
+    png.decodePng(data)
+  } catch (e) {
+    if (e instanceof png.PngError) throw new StateError(`not a usable screenshot: ${e.message}`)
+    throw e
+  }
+  const dir = stateDir(savesDir, game)
+  const { file, ...meta } = state
+  writeAtomic(path.join(dir, `${slot}.png`), data)
+  meta.screenshot = true
+  writeAtomic(path.join(dir, `${slot}.json`), JSON.stringify(meta, null, 2) + '\n')
+  return meta
+}
+
+function screenshotPath(savesDir, game, slot) {
+  const state = readState(savesDir, game, slot)
+  return state && state.screenshot ? path.join(stateDir(savesDir, game), `${slot}.png`) : null
+}
+
+function deleteState(savesDir, game, slot) {
+  if (!readState(savesDir, game, slot)) return false
+  const dir = stateDir(savesDir, game)
+  for (const suffix of ['.json', '.state', '.png']) fs.rmSync(path.join(dir, slot + suffix), { force: true })
+  return true
+}
+
+module.exports = {
+  MAX_STATE_BYTES,
+  MAX_SCREENSHOT_BYTES,
+  AUTO_SLOT,
+  StateError,
+  isValidSlot,
+  listStates,
+  readState,
+  saveState,
+  saveScreenshot,
+  screenshotPath,
+  deleteState,
+}
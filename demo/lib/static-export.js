@@ -0,0 +1,147 @@
+/**
+ * Static site export
+ *
+ * `node server.js --export <dir>` writes the library as a site that any
+ * static host can serve. It keeps the server's URL layout, so the pages built
+ * for it differ only in where their file links point. Links are relative to
+ * the page, so the site works from any path on its host:
+ *
+ *   index.html                  launcher, a card per game linking to its page
+ *   play/<id>/index.html        emulator page, launch settings baked in
+ *   builds/<core>/              EmulatorJS data with that core build's core
+ *   patches/webgl2-compat.js    runtime patches
+ *   files/<id>/...              ROMs, tracks, BIOS files, disc manifests and
+ *                               playlists, under their library file IDs
+ *   thumbs/<id>.png             launcher card art
+ *
+ * SharedArrayBuffer needs cross-origin isolation, so the emulator only runs
+ * where the host sends COOP/COEP. The export writes them, with the CSP, in
+ * the formats common hosts read: _headers (Netlify, Cloudflare Pages),
+ * vercel.json (Vercel) and serve.json (`npx serve`, for trying it locally).
+ * A nonce would be the same in every response of a static file, so each
+ * page's CSP lists the hashes of its inline scripts instead, on that page's
+ * paths only.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const { pipeline } = require('stream/promises')
+
+class StaticExportError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'StaticExportError'
+  }
+}
+
+// Refuse to write over anything: the export goes into a new or empty
+// directory. Returns true when the directory was created.
+function prepareDir(dir) {
+  let entries = null
+  try {
+    entries = fs.readdirSync(dir)
+  } catch (e) {
+    if (e.code !== 'ENOENT') throw new StaticExportError(`${dir}: ${e.message}`)
+  }
+  if (entries && entries.length > 0) throw new StaticExportError(`${dir} is not empty; export into a new or empty directory`)
+  fs.mkdirSync(dir, { recursive: true })
+  return entries === null
+}
+
+// After a failed export: remove everything it wrote, and the directory too
+// if prepareDir created it
+function discardDir(dir, created) {
+  if (created) {
+    fs.rmSync(dir, { recursive: true, force: true })
+    return
+  }
+  for (const entry of fs.readdirSync(dir)) fs.rmSync(path.join(dir, entry), { recursive: true, force: true })
+}
+
+// Writer for one export. Destinations are site paths ("files/<id>/x.chd");
+// `link` symlinks source files instead of copying them. Each destination is
+// written once, so files shared by several games are only copied once.
+function createSite(dir, { link = false } = {}) {
+  const written = new Set()
+  const stats = { files: 0, bytes: 0, linked: 0 }
+
+  function target(dest) {
+    const file = path.join(dir, ...dest.split('/'))
+    if (path.relative(dir, file).startsWith('..')) throw new StaticExportError(`${dest} is outside the export`)
+    fs.mkdirSync(path.dirname(file), { recursive: true })
+    return file
+  }
+
+  function claim(dest) {
+    if (written.has(dest)) return false
+    written.add(dest)
+    return true
+  }
+
+  function file(src, dest) {
+    if (!claim(dest)) return
+    const out = target(dest)
+    if (link) {
+      fs.symlinkSync(path.resolve(src), out)
+      stats.linked++
+    } else {
+      fs.copyFileSync(src, out)
+      stats.bytes += fs.statSync(out).size
+    }
+    stats.files++
+  }
+
+  function write(dest, data) {
+    if (!claim(dest)) return
+    fs.writeFileSync(target(dest), data)
+    stats.files++
+    stats.bytes += Buffer.byteLength(data)
+  }
+
+  // Always written out, even with `link`: the bytes only exist in the stream
+  async function stream(readable, dest) {
+    if (!claim(dest)) {
+      readable.destroy()
+      return
+    }
+    const out = target(dest)
+    await pipeline(readable, fs.createWriteStream(out))
+    stats.files++
+    stats.bytes += fs.statSync(out).size
+  }
+
+  // Every file under srcDir, except the relative paths in `skip`
+  function tree(srcDir, destDir, { skip = [] } = {}) {
+    for (const entry of fs.readdirSync(srcDir, { withFileTypes: true, recursive: true })) {
+      if (!entry.isFile()) continue
+      const src = path.join(entry.parentPath || entry.path, entry.name)
+      const rel = path.relative(srcDir, src).split(path.sep).join('/')
+      if (!skip.includes(rel)) file(src, `${destDir}/${rel}`)
+    }
+  }
+
+  return { file, write, stream, tree, stats }
+}
+
+// Header files for static hosts: `headers` on every path, and each of
+// `pages` ({ paths, headers }) on its own paths. Page headers must not repeat
+// a global one, since hosts differ in how they merge a header set twice.
+function hostConfigs(headers, pages = []) {
+  const rules = [{ all: true, headers }]
+  for (const page of pages) page.paths.forEach((p) => rules.push({ path: p, headers: page.headers }))
+  const list = (h) => Object.entries(h).map(([key, value]) => ({ key, value }))
+  const host = (all) => rules.map((rule) => ({ source: rule.all ? all : rule.path, headers: list(rule.headers) }))
+  return {
+    _headers: rules.map((rule) => `${rule.all ? '/*' : rule.path}\n${Object.entries(rule.headers).map(([name, value]) => `  ${name}: ${value}\n`).join('')}`).join(''),
+    'vercel.json': JSON.stringify({ headers: host('/(.*)') }, null, 2) + '\n',
+    'serve.json': JSON.stringify({ headers: host('**') }, null, 2) + '\n',
+  }
+}
+
+module.exports = {
+  StaticExportError,
+  prepareDir,
+  discardDir,
+  createSite,
+  hostConfigs,
+}
@@ -0,0 +1,507 @@
+/**
+ * Browser uploads into the library
+ *
+ * The launcher uploads dropped files in chunks so multi-gigabyte disc images
+ * survive a flaky connection or a closed tab. An upload is one batch (one
+ * disc image, one GDI/CUE set with its tracks, or one BIOS set), staged in
+ * the uploads directory:
+ *
+ *   <uploads-dir>/<id>/upload.json       { id, kind, set, replace, files: [{ name, size }] }
+ *   <uploads-dir>/<id>/<name>.part       bytes received so far
+ *
+ * How many bytes a file has received is the size of its .part file, so an
+ * upload resumes where it stopped even after a server restart. Once every
+ * file is complete, the batch is checked by content (magic bytes, sheets
+ * resolved against their tracks, BIOS dumps identified the same way as
+ * demo/bios/) and only then moved into the library: track files before the
+ * sheet that names them, so a half-placed set never shows up as a game.
+ * Track files are renamed after their sheet ("Game (track01.bin)") and the
+ * sheet rewritten to match, since every GDI names its tracks alike. A batch
+ * that fails the checks goes back to .part files, so it can be completed
+ * again once the problem is fixed, or discarded.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const { Transform, pipeline } = require('stream')
+const { promisify } = require('util')
+const discSheets = require('./disc-sheets')
+const chd = require('./chd')
+const archives = require('./archives')
+const bios = require('./bios')
+
+const pipelineAsync = promisify(pipeline)
+
+const DEFAULT_MAX_BYTES = 4 * 1024 * 1024 * 1024
+const CHUNK_SIZE = 8 * 1024 * 1024
+const MAX_FILES = 100
+const MAX_NAME_BYTES = 200
+const STALE_MS = 24 * 60 * 60 * 1000
+const SNIFF_BYTES = 64 * 1024
+
+const KINDS = ['rom', 'bios']
+const UPLOAD_ID = /^[0-9a-f]{16}$/
+const BIOS_SET_NAME = /^[A-Za-z0-9][A-Za-z0-9._ -]{0,63}$/
+const RESERVED_NAMES = /^(con|prn|aux|nul|com[1-9]|lpt[1-9])(\.|$)/i
+// The batch's own metadata, beside its staged files
+const BATCH_FILE = 'upload.json'
+
+const CD_SYNC = Buffer.from([0x00, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0x00])
+const SEVEN_ZIP_MAGIC = Buffer.from([0x37, 0x7A, 0xBC, 0xAF, 0x27, 0x1C])
+const RAW_SECTOR = 2352
+const CDI_VERSIONS = [0x80000004, 0x80000005, 0x80000006]
+
+// Formats that are a game on their own, and those only valid as a sheet's track
+const IMAGE_FORMATS = ['chd', 'cdi', 'iso', 'zip', '7z']
+const TRACK_FORMATS = ['track', 'iso', 'audio']
+
+class UploadError extends Error {
+  constructor(status, code, message, details) {
+    super(message)
+    this.name = 'UploadError'
+    this.status = status
+    this.code = code
+    this.details = details
+  }
+}
+
+// A file name that is safe on every platform: no directories, control or
+// reserved characters, leading dots or device names. Null if nothing is left.
+function safeFileName(name) {
+  if (typeof name !== 'string') return null
+  let safe = name.normalize('NFC').split(/[\\/]/).pop()
+    .replace(/[\u0000-\u001f\u007f<>:"|?*]/g, '_')
+    .replace(/\s+/g, ' ')
+    .replace(/^[.\s]+|[.\s]+$/g, '')
+  if (RESERVED_NAMES.test(safe)) safe = `_${safe}`
+  while (Buffer.byteLength(safe) > MAX_NAME_BYTES) {
+    const ext = path.extname(safe)
+    safe = ext.length < safe.length - 1 ? safe.slice(0, -ext.length - 1) + ext : safe.slice(0, -1)
+  }
+  return safe || null
+}
+
+function readHead(filePath, length) {
+  const fd = fs.openSync(filePath, 'r')
+  try {
+    const buf = Buffer.alloc(length)
+    return buf.subarray(0, fs.readSync(fd, buf, 0, length, 0))
+  } finally {
+    fs.closeSync(fd)
+  }
+}
+
+// DiscJuggler images end with their version and the offset of the track table
+function isCdi(filePath, size) {
+  if (size < 16) return false
+  const fd = fs.openSync(filePath, 'r')
+  try {
+    const tail = Buffer.alloc(8)
+    fs.readSync(fd, tail, 0, 8, size - 8)
+    const version = tail.readUInt32LE(0)
+    const offset = tail.readUInt32LE(4)
+    if (!CDI_VERSIONS.includes(version)) return false
+    const table = version === CDI_VERSIONS[2] ? size - offset : offset
+    return table > 0 && table < size - 8
+  } finally {
+    fs.closeSync(fd)
+  }
+}
+
+function sheetFormat(head) {
+  if (head.includes(0)) return null
+  const text = head.toString('utf8')
+  const gdi = discSheets.parseGdi(text)
+  if (gdi.tracks.length > 0 && gdi.problems.length === 0) return 'gdi'
+  const cue = discSheets.parseCue(text)
+  if (cue.tracks.length > 0 && cue.problems.length === 0) return 'cue'
+  return null
+}
+
+// What a file is, from its content: chd, cdi, iso, zip, 7z, gdi, cue, track
+// (raw sectors with a CD sync header), audio (raw sectors, no header), or null
+function sniff(filePath) {
+  const size = fs.statSync(filePath).size
+  const head = readHead(filePath, SNIFF_BYTES)
+  if (head.toString('latin1', 0, 8) === 'MComprHD') return 'chd'
+  if (head.toString('latin1', 0, 4) === 'PK\u0003\u0004' || head.toString('latin1', 0, 4) === 'PK\u0005\u0006') return 'zip'
+  if (head.subarray(0, 6).equals(SEVEN_ZIP_MAGIC)) return '7z'
+  if (head.subarray(0, 12).equals(CD_SYNC)) return 'track'
+  if (head.toString('latin1', 0, 16) === 'SEGA SEGAKATANA ') return 'iso'
+  if (head.toString('latin1', 0x8001, 0x8006) === 'CD001') return 'iso'
+  if (isCdi(filePath, size)) return 'cdi'
+  if (size <= SNIFF_BYTES) {
+    const sheet = sheetFormat(head)
+    if (sheet) return sheet
+  }
+  if (size > 0 && size % RAW_SECTOR === 0) return 'audio'
+  return null
+}
+
+function fileSize(filePath) {
+  try {
+    return fs.statSync(filePath).size
+  } catch {
+    return 0
+  }
+}
+
+// Rename into place; across filesystems, copy beside the target first so the
+// final step is still a rename
+function moveInto(source, target) {
+  try {
+    fs.renameSync(source, target)
+  } catch (e) {
+    if (e.code !== 'EXDEV') throw e
+    const tmp = `${target}.upload-tmp`
+    fs.copyFileSync(source, tmp)
+    fs.renameSync(tmp, target)
+    fs.unlinkSync(source)
+  }
+}
+
+// Case-insensitive lookup, as the library and BIOS scans match names
+function existingFile(dir, name) {
+  try {
+    const match = fs.readdirSync(dir).find((f) => f.toLowerCase() === name.toLowerCase())
+    return match ? path.join(dir, match) : null
+  } catch {
+    return null
+  }
+}
+
+function withExtension(name, format) {
+  const ext = path.extname(name)
+  return `${ext ? name.slice(0, -ext.length) : name}.${format}`
+}
+
+// Library name of a track: prefixed with its sheet's name unless it already is
+function trackName(sheetName, name) {
+  const base = path.basename(sheetName, path.extname(sheetName))
+  return name.toLowerCase().startsWith(base.toLowerCase()) ? name : safeFileName(`${base} (${name})`)
+}
+
+// Check a ROM batch and work out where each file goes. Returns the moves in
+// placement order, or throws with every problem found.
+async function planRoms(dir, batch, romsDir) {
+  const problems = []
+  const files = batch.files.map((f) => ({ ...f, path: path.join(dir, f.name), target: f.name, format: sniff(path.join(dir, f.name)) }))
+
+  const sheets = files.filter((f) => f.format === 'gdi' || f.format === 'cue')
+  const tracks = new Set()
+  for (const sheet of sheets) {
+    const named = withExtension(sheet.name, sheet.format)
+    if (named !== sheet.name) {
+      fs.renameSync(sheet.path, path.join(dir, named))
+      Object.assign(sheet, { name: named, path: path.join(dir, named), target: named })
+    }
+    const disc = discSheets.inspectSheet(sheet.path)
+    disc.problems.forEach((p) => problems.push(`${sheet.name}: ${p}`))
+    for (const track of disc.files) {
+      const file = files.find((f) => f.path === track.path)
+      if (!file || file === sheet) continue
+      if (!tracks.has(file)) file.target = trackName(sheet.name, file.name)
+      tracks.add(file)
+      // Raw track data has no magic of its own; it only has to not be something else
+      if (file.format && !TRACK_FORMATS.includes(file.format)) {
+        problems.push(`${file.name}: listed as a track in ${sheet.name} but is a ${file.format.toUpperCase()} file`)
+      }
+    }
+  }
+
+  for (const file of files) {
+    if (sheets.includes(file) || tracks.has(file)) continue
+    if (file.format === 'track' || file.format === 'audio') {
+      problems.push(`${file.name}: a raw disc track, but no GDI or CUE sheet in this upload lists it`)
+    } else if (!IMAGE_FORMATS.includes(file.format)) {
+      problems.push(`${file.name}: not a recognised disc image, archive or sheet (checked by content, not extension)`)
+    } else {
+      const named = withExtension(file.name, file.format)
+      if (named !== file.name) {
+        fs.renameSync(file.path, path.join(dir, named))
+        Object.assign(file, { name: named, path: path.join(dir, named), target: named })
+      }
+      const info = file.format === 'chd' ? chd.inspectChd(file.path)
+        : archives.isArchive(file.path) ? await archives.inspectArchive(file.path) : null
+      if (info) info.problems.forEach((p) => problems.push(`${file.name}: ${p}`))
+    }
+  }
+
+  // Tracks first, then sheets, then standalone images
+  const ordered = [...tracks, ...sheets, ...files.filter((f) => !sheets.includes(f) && !tracks.has(f))]
+  for (const file of ordered) {
+    if (existingFile(romsDir, file.target)) problems.push(`${file.target} already exists in the library`)
+  }
+  if (problems.length > 0) throw new UploadError(422, 'upload_rejected', `upload rejected: ${problems.join('; ')}`, problems)
+
+  for (const sheet of sheets) {
+    const text = fs.readFileSync(sheet.path, 'utf8')
+    const renamed = discSheets.renameSheetFiles(sheet.format, text, (name) => {
+      const file = files.find((f) => f.name === name)
+      return file ? file.target : name
+    })
+    if (renamed !== text) fs.writeFileSync(sheet.path, renamed)
+  }
+
+  return {
+    moves: ordered.map((f) => ({ from: f.path, to: path.join(romsDir, f.target) })),
+    games: ordered.filter((f) => !tracks.has(f)).map((f) => path.join(romsDir, f.target)),
+  }
+}
+
+// Put a batch that failed its checks back as .part files under the names it
+// was uploaded with (images and sheets may have had their extension fixed)
+function unstage(dir, batch) {
+  for (const f of batch.files) {
+    const staged = [f.name, ...IMAGE_FORMATS, 'gdi', 'cue']
+      .map((format, i) => path.join(dir, i === 0 ? format : withExtension(f.name, format)))
+      .find((p) => fs.existsSync(p))
+    if (staged) fs.renameSync(staged, path.join(dir, `${f.name}.part`))
+  }
+}
+
+// Check a BIOS batch: each file is identified by size and hash as a boot ROM
+// or flash, whatever it was called, and stored under its canonical name
+function planBios(dir, batch, biosDir) {
+  const problems = []
+  const warnings = []
+  const setDir = batch.set === 'default' ? biosDir : path.join(biosDir, batch.set)
+  const roles = new Map()
+
+  for (const file of batch.files) {
+    const filePath = path.join(dir, file.name)
+    const size = fileSize(filePath)
+    const role = size === bios.BOOT_SIZE ? bios.BOOT_FILE : size === bios.FLASH_SIZE ? bios.FLASH_FILE : null
+    if (!role) {
+      problems.push(`${file.name}: ${size} bytes is neither a boot ROM (${bios.BOOT_SIZE}) nor a flash (${bios.FLASH_SIZE})`)
+      continue
+    }
+    if (roles.has(role)) {
+      problems.push(`${file.name}: a second ${role} in one upload`)
+      continue
+    }
+    const info = role === bios.BOOT_FILE ? bios.identifyBoot(filePath) : bios.identifyFlash(filePath)
+    if (info.status !== 'ok') warnings.push(`${role} (${file.name}): ${info.message}`)
+    roles.set(role, filePath)
+  }
+
+  const moves = []
+  for (const [role, from] of roles) {
+    const existing = existingFile(setDir, role)
+    if (existing && !batch.replace) problems.push(`${batch.set} set already has ${role}`)
+    moves.push({ from, to: existing || path.join(setDir, role) })
+  }
+  if (problems.length > 0) throw new UploadError(422, 'upload_rejected', `upload rejected: ${problems.join('; ')}`, problems)
+  return { moves, setDir, warnings }
+}
+
+// The upload store. `dir` holds batches in progress; finished ones go to
+// `romsDir` or `biosDir`. `maxBytes` caps the total size of one batch.
+function createUploadStore({ dir, romsDir, biosDir, maxBytes = DEFAULT_MAX_BYTES }) {
+  // Upload ID -> why it cannot be touched right now
+  const busy = new Map()
+
+  function batchDir(id) {
+    if (!UPLOAD_ID.test(id || '')) return null
+    return path.join(dir, id)
+  }
+
+  function load(id) {
+    const bdir = batchDir(id)
+    let batch = null
+    try {
+      batch = bdir && JSON.parse(fs.readFileSync(path.join(bdir, BATCH_FILE), 'utf8'))
+    } catch {}
+    if (!batch) throw new UploadError(404, 'upload_not_found', `no upload with id ${id}`)
+    return { batch, bdir }
+  }
+
+  function batchJson(batch, bdir) {
+    const files = batch.files.map((f) => ({ ...f, received: fileSize(path.join(bdir, `${f.name}.part`)) }))
+    return {
+      id: batch.id,
+      kind: batch.kind,
+      set: batch.set,
+      replace: batch.replace,
+      createdAt: batch.createdAt,
+      size: files.reduce((n, f) => n + f.size, 0),
+      received: files.reduce((n, f) => n + f.received, 0),
+      complete: files.every((f) => f.received === f.size),
+      files,
+    }
+  }
+
+  function lastActivity(bdir) {
+    try {
+      return Math.max(...fs.readdirSync(bdir).map((f) => fs.statSync(path.join(bdir, f)).mtimeMs))
+    } catch {
+      return 0
+    }
+  }
+
+  // Forget batches nobody has touched for a day
+  function removeStale() {
+    let ids = []
+    try {
+      ids = fs.readdirSync(dir).filter((f) => UPLOAD_ID.test(f))
+    } catch {}
+    const cutoff = Date.now() - STALE_MS
+    for (const id of ids) {
+      const bdir = path.join(dir, id)
+      if (lastActivity(bdir) < cutoff && !busy.has(id)) fs.rmSync(bdir, { recursive: true, force: true })
+    }
+    return ids.filter((id) => fs.existsSync(path.join(dir, id)))
+  }
+
+  function list() {
+    return removeStale().map((id) => {
+      try {
+        const { batch, bdir } = load(id)
+        return batchJson(batch, bdir)
+      } catch {
+        return null
+      }
+    }).filter(Boolean)
+  }
+
+  // Start a batch from { kind, files: [{ name, size }], set?, replace? }
+  function create(body) {
+    const problems = []
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      throw new UploadError(400, 'invalid_request', 'request body must be a JSON object')
+    }
+    const kind = body.kind === undefined ? 'rom' : body.kind
+    if (!KINDS.includes(kind)) problems.push(`kind must be one of ${KINDS.join(', ')}`)
+    const set = kind === 'bios' ? (body.set === undefined || body.set === '' ? 'default' : body.set) : null
+    if (kind === 'bios' && (typeof set !== 'string' || !BIOS_SET_NAME.test(set))) {
+      problems.push('set must be a BIOS set name (letters, digits, ".", "_", "-" and spaces)')
+    }
+    if (!Array.isArray(body.files) || body.files.length === 0 || body.files.length > MAX_FILES) {
+      problems.push(`files must list 1 to ${MAX_FILES} files`)
+    }
+
+    const files = []
+    for (const [i, f] of (Array.isArray(body.files) ? body.files : []).entries()) {
+      const name = safeFileName(f && f.name)
+      if (!name) {
+        problems.push(`files[${i}]: name is missing or has no usable characters`)
+      } else if (name.toLowerCase() === BATCH_FILE) {
+        problems.push(`files[${i}]: ${name} is reserved for the upload's own records`)
+      } else if (files.some((other) => other.name.toLowerCase() === name.toLowerCase())) {
+        problems.push(`files[${i}]: ${name} appears twice`)
+      } else if (files.some((other) => [`${other.name}.part`, other.name.replace(/\.part$/i, '')].some((n) => n.toLowerCase() === name.toLowerCase()))) {
+        // "x" and "x.part" would be staged as "x.part" and "x.part.part"
+        problems.push(`files[${i}]: ${name} clashes with how another file in this upload is staged`)
+      } else if (!f || !Number.isSafeInteger(f.size) || f.size < 1) {
+        problems.push(`files[${i}]: size must be a positive whole number of bytes`)
+      } else {
+        files.push({ name, size: f.size })
+      }
+    }
+    const total = files.reduce((n, f) => n + f.size, 0)
+    if (total > maxBytes) problems.push(`upload is ${total} bytes; the limit is ${maxBytes}`)
+    if (problems.length > 0) {
+      const status = total > maxBytes ? 413 : 400
+      throw new UploadError(status, status === 413 ? 'upload_too_large' : 'invalid_request', problems.join('; '), problems)
+    }
+
+    removeStale()
+    const id = crypto.randomBytes(8).toString('hex')
+    const bdir = path.join(dir, id)
+    fs.mkdirSync(bdir, { recursive: true })
+    const batch = { id, kind, set, replace: body.replace === true, createdAt: new Date().toISOString(), files }
+    for (const f of files) fs.writeFileSync(path.join(bdir, `${f.name}.part`), '')
+    fs.writeFileSync(path.join(bdir, BATCH_FILE), JSON.stringify(batch, null, 2) + '\n')
+    return batchJson(batch, bdir)
+  }
+
+  function get(id) {
+    const { batch, bdir } = load(id)
+    return batchJson(batch, bdir)
+  }
+
+  function remove(id) {
+    const { bdir } = load(id)
+    if (busy.has(id)) throw new UploadError(409, 'upload_busy', busy.get(id))
+    fs.rmSync(bdir, { recursive: true, force: true })
+  }
+
+  // Append a chunk of file `index`, streamed from `source`. `offset` must be
+  // the number of bytes already received, so a retried chunk cannot be
+  // written twice.
+  async function writeChunk(id, index, offset, source) {
+    const { batch, bdir } = load(id)
+    const file = batch.files[index]
+    if (!file) throw new UploadError(404, 'upload_file_not_found', `upload ${id} has no file ${index}`)
+    if (busy.has(id)) throw new UploadError(409, 'upload_busy', busy.get(id))
+    const partPath = path.join(bdir, `${file.name}.part`)
+    const received = fileSize(partPath)
+    if (offset !== received) {
+      throw new UploadError(409, 'offset_mismatch', `${file.name} has ${received} bytes, not ${offset}`, { received })
+    }
+
+    let remaining = file.size - received
+    const limit = new Transform({
+      transform(chunk, encoding, callback) {
+        remaining -= chunk.length
+        if (remaining < 0) return callback(new UploadError(413, 'chunk_too_large', `${file.name} is only ${file.size} bytes`))
+        callback(null, chunk)
+      },
+    })
+    busy.set(id, 'a chunk of this upload is still being received')
+    try {
+      await pipelineAsync(source, limit, fs.createWriteStream(partPath, { flags: 'a' }))
+    } finally {
+      busy.delete(id)
+    }
+    return { file: index, received: fileSize(partPath), size: file.size }
+  }
+
+  // Check a finished batch and move it into the library
+  async function complete(id) {
+    const { batch, bdir } = load(id)
+    if (busy.has(id)) throw new UploadError(409, 'upload_busy', busy.get(id))
+    const status = batchJson(batch, bdir)
+    if (!status.complete) {
+      const missing = status.files.filter((f) => f.received !== f.size)
+        .map((f) => `${f.name}: ${f.received} of ${f.size} bytes`)
+      throw new UploadError(409, 'upload_incomplete', `upload is not finished: ${missing.join('; ')}`, missing)
+    }
+
+    // Archives are listed without blocking, so the batch is held until the
+    // checks are done
+    busy.set(id, 'this upload is being checked')
+    for (const f of batch.files) fs.renameSync(path.join(bdir, `${f.name}.part`), path.join(bdir, f.name))
+    let plan
+    try {
+      plan = batch.kind === 'bios' ? planBios(bdir, batch, biosDir) : await planRoms(bdir, batch, romsDir)
+    } catch (e) {
+      unstage(bdir, batch)
+      throw e
+    } finally {
+      busy.delete(id)
+    }
+
+    // Renames replace existing files atomically, so a replaced BIOS file is
+    // never missing
+    fs.mkdirSync(batch.kind === 'bios' ? plan.setDir : romsDir, { recursive: true })
+    plan.moves.forEach((m) => moveInto(m.from, m.to))
+    fs.rmSync(bdir, { recursive: true, force: true })
+    if (batch.kind === 'bios') {
+      return { kind: 'bios', set: batch.set, placed: plan.moves.map((m) => m.to), warnings: plan.warnings }
+    }
+    return { kind: 'rom', placed: plan.moves.map((m) => m.to), games: plan.games, warnings: [] }
+  }
+
+  return { maxBytes, chunkSize: CHUNK_SIZE, list, create, get, remove, writeChunk, complete }
+}
+
+module.exports = {
+  DEFAULT_MAX_BYTES,
+  CHUNK_SIZE,
+  UploadError,
+  safeFileName,
+  sniff,
+  createUploadStore,
+}
@@ -0,0 +1,476 @@
+/**
+ * VMU (Visual Memory Unit) filesystem
+ *
+ * A VMU image is 256 blocks of 512 bytes: user data from block 0 up, the
+ * directory (13 blocks, growing down from 253), the FAT at 254 and the root
+ * block at 255. Each save is a chain of blocks in the FAT with a VMS header
+ * (descriptions, palette, icons) in its first block (second for mini-games).
+ *
+ * Saves move between cards and tools as VMS/VMI pairs: the VMS is the raw file
+ * and the VMI is a 108-byte descriptor with the VMU file name, mode and date.
+ *
+ * Every write rebuilds the card in memory and runs checkCard() over the result
+ * before it reaches disk, so a bad import can never leave a corrupt card.
+ */
+
+const { encodePng } = require('./png')
+
+const BLOCK_SIZE = 512
+const BLOCK_COUNT = 256
+const CARD_SIZE = BLOCK_SIZE * BLOCK_COUNT
+const ROOT_BLOCK = 255
+
+const FAT_FREE = 0xFFFC
+const FAT_END = 0xFFFA
+
+const TYPE_NONE = 0x00
+const TYPE_DATA = 0x33
+const TYPE_GAME = 0xCC
+
+const DIR_ENTRY_SIZE = 32
+const VMI_SIZE = 108
+
+// Eyecatch image sizes by type (none, 16-bit, 256-colour, 16-colour)
+const EYECATCH_SIZES = [0, 72 * 56 * 2, 512 + 72 * 56, 32 + 72 * 56 / 2]
+
+class VmuError extends Error {}
+
+function bcd(n) {
+  return ((Math.floor(n / 10) % 10) << 4) | (n % 10)
+}
+
+function fromBcd(b) {
+  return (b >> 4) * 10 + (b & 0x0F)
+}
+
+// 8-byte BCD timestamp (century, year, month, day, hour, minute, second, weekday)
+function readTimestamp(buf, offset) {
+  const year = fromBcd(buf[offset]) * 100 + fromBcd(buf[offset + 1])
+  const date = new Date(year, fromBcd(buf[offset + 2]) - 1, fromBcd(buf[offset + 3]),
+    fromBcd(buf[offset + 4]), fromBcd(buf[offset + 5]), fromBcd(buf[offset + 6]))
+  return Number.isNaN(date.getTime()) || year < 1998 ? null : date
+}
+
+function writeTimestamp(buf, offset, date) {
+  const year = date.getFullYear()
+  buf[offset] = bcd(Math.floor(year / 100))
+  buf[offset + 1] = bcd(year % 100)
+  buf[offset + 2] = bcd(date.getMonth() + 1)
+  buf[offset + 3] = bcd(date.getDate())
+  buf[offset + 4] = bcd(date.getHours())
+  buf[offset + 5] = bcd(date.getMinutes())
+  buf[offset + 6] = bcd(date.getSeconds())
+  buf[offset + 7] = bcd((date.getDay() + 6) % 7) // 0 = Monday
+}
+
+function text(buf, start, length) {
+  return buf.toString('latin1', start, start + length).replace(/\0.*$/s, '').trim()
+}
+
+// CRC used by VMS headers (CCITT, initial value 0)
+function vmsCrc(buf) {
+  let n = 0
+  for (let i = 0; i < buf.length; i++) {
+    n ^= buf[i] << 8
+    for (let c = 0; c < 8; c++) n = n & 0x8000 ? (n << 1) ^ 0x1021 : n << 1
+  }
+  return n & 0xFFFF
+}
+
+function readRoot(card) {
+  const root = card.subarray(ROOT_BLOCK * BLOCK_SIZE, (ROOT_BLOCK + 1) * BLOCK_SIZE)
+  return {
+    formatted: root.subarray(0, 16).every((b) => b === 0x55),
+    fatBlock: root.readUInt16LE(0x46),
+    fatSize: root.readUInt16LE(0x48),
+    dirBlock: root.readUInt16LE(0x4A),
+    dirSize: root.readUInt16LE(0x4C),
+    iconShape: root.readUInt16LE(0x4E),
+    userBlocks: root.readUInt16LE(0x50),
+  }
+}
+
+function fatEntry(card, root, block) {
+  return card.readUInt16LE(root.fatBlock * BLOCK_SIZE + block * 2)
+}
+
+function setFatEntry(card, root, block, value) {
+  card.writeUInt16LE(value, root.fatBlock * BLOCK_SIZE + block * 2)
+}
+
+// Byte offsets of every directory slot, in directory order
+function directorySlots(root) {
+  const slots = []
+  for (let b = 0; b < root.dirSize; b++) {
+    const base = (root.dirBlock - b) * BLOCK_SIZE
+    for (let e = 0; e < BLOCK_SIZE / DIR_ENTRY_SIZE; e++) slots.push(base + e * DIR_ENTRY_SIZE)
+  }
+  return slots
+}
+
+function readDirEntry(card, offset) {
+  return {
+    offset,
+    type: card[offset],
+    copyProtected: card[offset + 1] === 0xFF,
+    firstBlock: card.readUInt16LE(offset + 2),
+    name: text(card, offset + 4, 12),
+    rawName: Buffer.from(card.subarray(offset + 4, offset + 16)),
+    date: readTimestamp(card, offset + 0x10),
+    sizeBlocks: card.readUInt16LE(offset + 0x18),
+    headerOffset: card.readUInt16LE(offset + 0x1A),
+  }
+}
+
+// Follow a FAT chain; returns the block list or throws on loops/bad links
+function followChain(card, root, first, limit) {
+  const blocks = []
+  const seen = new Set()
+  let block = first
+  while (block !== FAT_END) {
+    if (block >= BLOCK_COUNT || block === FAT_FREE) throw new VmuError(`chain points at invalid block ${block}`)
+    if (seen.has(block)) throw new VmuError(`chain loops at block ${block}`)
+    if (blocks.length >= limit) throw new VmuError('chain is longer than the file size')
+    seen.add(block)
+    blocks.push(block)
+    block = fatEntry(card, root, block)
+  }
+  return blocks
+}
+
+// Structural check. Returns { problems, warnings }; a card with problems must
+// not be written.
+function checkCard(card) {
+  const problems = []
+  const warnings = []
+  if (!Buffer.isBuffer(card) || card.length !== CARD_SIZE) {
+    return { problems: [`card image must be ${CARD_SIZE} bytes`], warnings }
+  }
+  const root = readRoot(card)
+  if (!root.formatted) problems.push('card is not formatted (root block marker missing)')
+  if (root.fatBlock >= BLOCK_COUNT || root.fatSize !== 1) problems.push('bad FAT location in root block')
+  if (root.dirBlock >= BLOCK_COUNT || root.dirSize < 1 || root.dirBlock - root.dirSize + 1 < 0) {
+    problems.push('bad directory location in root block')
+  }
+  if (root.userBlocks < 1 || root.userBlocks > root.dirBlock - root.dirSize + 1) problems.push('bad user block count in root block')
+  if (problems.length) return { problems, warnings }
+
+  const owner = new Map()
+  let games = 0
+  for (const offset of directorySlots(root)) {
+    const entry = readDirEntry(card, offset)
+    if (entry.type === TYPE_NONE) continue
+    const label = entry.name || `entry at ${offset}`
+    if (entry.type !== TYPE_DATA && entry.type !== TYPE_GAME) {
+      problems.push(`${label}: unknown file type 0x${entry.type.toString(16)}`)
+      continue
+    }
+    if (entry.type === TYPE_GAME) games++
+    let blocks
+    try {
+      blocks = followChain(card, root, entry.firstBlock, entry.sizeBlocks)
+    } catch (e) {
+      problems.push(`${label}: ${e.message}`)
+      continue
+    }
+    if (blocks.length !== entry.sizeBlocks) {
+      problems.push(`${label}: directory says ${entry.sizeBlocks} blocks but the chain has ${blocks.length}`)
+    }
+    if (entry.headerOffset >= Math.max(entry.sizeBlocks, 1)) problems.push(`${label}: header offset outside the file`)
+    for (const b of blocks) {
+      if (b >= root.userBlocks) problems.push(`${label}: block ${b} is outside the user area`)
+      if (owner.has(b)) problems.push(`${label}: block ${b} is also used by ${owner.get(b)}`)
+      owner.set(b, label)
+    }
+  }
+  if (games > 1) problems.push('more than one mini-game on the card')
+
+  let lost = 0
+  for (let b = 0; b < root.userBlocks; b++) {
+    if (fatEntry(card, root, b) !== FAT_FREE && !owner.has(b)) lost++
+  }
+  if (lost) warnings.push(`${lost} block(s) are allocated but not used by any file`)
+
+  return { problems, warnings }
+}
+
+function freeBlocks(card, root) {
+  const free = []
+  for (let b = 0; b < root.userBlocks; b++) {
+    if (fatEntry(card, root, b) === FAT_FREE) free.push(b)
+  }
+  return free
+}
+
+function readFileData(card, root, entry) {
+  const blocks = followChain(card, root, entry.firstBlock, entry.sizeBlocks)
+  return Buffer.concat(blocks.map((b) => card.subarray(b * BLOCK_SIZE, (b + 1) * BLOCK_SIZE)))
+}
+
+// Decode a VMS header (at the start of `buf`)
+function parseVmsHeader(buf) {
+  if (buf.length < 0x80) return null
+  const iconCount = buf.readUInt16LE(0x40)
+  const eyecatchType = buf.readUInt16LE(0x44)
+  const palette = []
+  for (let i = 0; i < 16; i++) palette.push(buf.readUInt16LE(0x60 + i * 2))
+  return {
+    vmDescription: text(buf, 0x00, 16),
+    description: text(buf, 0x10, 32),
+    appId: text(buf, 0x30, 16),
+    iconCount,
+    animationSpeed: buf.readUInt16LE(0x42),
+    eyecatchType,
+    crc: buf.readUInt16LE(0x46),
+    dataSize: buf.readUInt32LE(0x48),
+    palette,
+    headerSize: 0x80 + iconCount * BLOCK_SIZE + (EYECATCH_SIZES[eyecatchType] || 0),
+  }
+}
+
+// Check the CRC of a data file's VMS header; null when it can't be checked
+function checkVmsCrc(vms, header) {
+  const end = header.headerSize + header.dataSize
+  if (end > vms.length || header.crc === 0) return null
+  const copy = Buffer.from(vms.subarray(0, end))
+  copy.writeUInt16LE(0, 0x46)
+  return vmsCrc(copy) === header.crc
+}
+
+// Render icon frame `index` (32x32, 4bpp, ARGB4444 palette) as a PNG
+function iconPng(vmsHeaderBuf, header, index = 0) {
+  if (!header || index >= header.iconCount) return null
+  const bitmap = vmsHeaderBuf.subarray(0x80 + index * BLOCK_SIZE, 0x80 + (index + 1) * BLOCK_SIZE)
+  if (bitmap.length < BLOCK_SIZE) return null
+  const rgba = Buffer.alloc(32 * 32 * 4)
+  for (let i = 0; i < 32 * 32; i++) {
+    const nibble = i & 1 ? bitmap[i >> 1] & 0x0F : bitmap[i >> 1] >> 4
+    const c = header.palette[nibble]
+    rgba[i * 4] = ((c >> 8) & 0xF) * 17
+    rgba[i * 4 + 1] = ((c >> 4) & 0xF) * 17
+    rgba[i * 4 + 2] = (c & 0xF) * 17
+    rgba[i * 4 + 3] = ((c >> 12) & 0xF) * 17
+  }
+  return encodePng(32, 32, rgba)
+}
+
+// Card summary for the browser
+function parseCard(card) {
+  const { problems, warnings } = checkCard(card)
+  if (problems.length && (!Buffer.isBuffer(card) || card.length !== CARD_SIZE || !readRoot(card).formatted)) {
+    return { problems, warnings, files: [], freeBlocks: 0, userBlocks: 0 }
+  }
+  const root = readRoot(card)
+  const files = []
+  for (const offset of directorySlots(root)) {
+    const entry = readDirEntry(card, offset)
+    if (entry.type !== TYPE_DATA && entry.type !== TYPE_GAME) continue
+    let header = null
+    let crcOk = null
+    try {
+      const data = readFileData(card, root, entry)
+      const vms = data.subarray(entry.headerOffset * BLOCK_SIZE)
+      header = parseVmsHeader(vms)
+      if (header && entry.type === TYPE_DATA) crcOk = checkVmsCrc(vms, header)
+    } catch {}
+    files.push({
+      name: entry.name,
+      type: entry.type === TYPE_GAME ? 'game' : 'data',
+      copyProtected: entry.copyProtected,
+      blocks: entry.sizeBlocks,
+      date: entry.date ? entry.date.toISOString() : null,
+      description: header ? header.description : '',
+      vmDescription: header ? header.vmDescription : '',
+      appId: header ? header.appId : '',
+      iconCount: header ? header.iconCount : 0,
+      crcOk,
+    })
+  }
+  return { problems, warnings, files, freeBlocks: freeBlocks(card, root).length, userBlocks: root.userBlocks }
+}
+
+function findEntry(card, root, name) {
+  for (const offset of directorySlots(root)) {
+    const entry = readDirEntry(card, offset)
+    if ((entry.type === TYPE_DATA || entry.type === TYPE_GAME) && entry.name === name) return entry
+  }
+  return null
+}
+
+// Raw file contents (the VMS) of a save
+function exportVms(card, name) {
+  const root = readRoot(card)
+  const entry = findEntry(card, root, name)
+  if (!entry) throw new VmuError(`no file named ${name}`)
+  return readFileData(card, root, entry)
+}
+
+// VMI resource names are up to 8 characters and must match the .VMS file name
+function resourceNameFor(name) {
+  return (name.toUpperCase().replace(/[^A-Z0-9_]/g, '') || 'SAVE').slice(0, 8)
+}
+
+function buildVmi(card, name) {
+  const root = readRoot(card)
+  const entry = findEntry(card, root, name)
+  if (!entry) throw new VmuError(`no file named ${name}`)
+  const data = readFileData(card, root, entry)
+  const header = parseVmsHeader(data.subarray(entry.headerOffset * BLOCK_SIZE))
+  const resourceName = resourceNameFor(name)
+  const date = entry.date || new Date()
+
+  const vmi = Buffer.alloc(VMI_SIZE)
+  const resource = Buffer.alloc(8)
+  resource.write(resourceName, 'latin1')
+  const sega = Buffer.from('SEGA', 'latin1')
+  for (let i = 0; i < 4; i++) vmi[i] = resource[i] & sega[i]
+  vmi.write((header ? header.description : name).slice(0, 32), 0x04, 'latin1')
+  vmi.write('flycast-wasm'.slice(0, 32), 0x24, 'latin1')
+  vmi.writeUInt16LE(date.getFullYear(), 0x44)
+  vmi[0x46] = date.getMonth() + 1
+  vmi[0x47] = date.getDate()
+  vmi[0x48] = date.getHours()
+  vmi[0x49] = date.getMinutes()
+  vmi[0x4A] = date.getSeconds()
+  vmi[0x4B] = date.getDay() // 0 = Sunday
+  vmi.writeUInt16LE(0, 0x4C) // VMI version
+  vmi.writeUInt16LE(1, 0x4E) // file number
+  resource.copy(vmi, 0x50)
+  entry.rawName.copy(vmi, 0x58)
+  vmi.writeUInt16LE((entry.type === TYPE_GAME ? 0x02 : 0) | (entry.copyProtected ? 0x01 : 0), 0x64)
+  vmi.writeUInt32LE(data.length, 0x68)
+  return { resourceName, vmi }
+}
+
+function parseVmi(vmi) {
+  if (!Buffer.isBuffer(vmi) || vmi.length < VMI_SIZE) throw new VmuError(`VMI must be ${VMI_SIZE} bytes`)
+  const resource = vmi.subarray(0x50, 0x58)
+  const sega = Buffer.from('SEGA', 'latin1')
+  for (let i = 0; i < 4; i++) {
+    if (vmi[i] !== (resource[i] & sega[i])) throw new VmuError('VMI checksum does not match its resource name')
+  }
+  const mode = vmi.readUInt16LE(0x64)
+  const year = vmi.readUInt16LE(0x44)
+  const date = new Date(year, vmi[0x46] - 1, vmi[0x47], vmi[0x48], vmi[0x49], vmi[0x4A])
+  return {
+    description: text(vmi, 0x04, 32),
+    resourceName: text(vmi, 0x50, 8),
+    rawName: Buffer.from(vmi.subarray(0x58, 0x64)),
+    name: text(vmi, 0x58, 12),
+    game: Boolean(mode & 0x02),
+    copyProtected: Boolean(mode & 0x01),
+    size: vmi.readUInt32LE(0x68),
+    date: Number.isNaN(date.getTime()) || year < 1998 ? new Date() : date,
+  }
+}
+
+// Validate the result of a modification and return it, or throw
+function commit(card) {
+  const { problems } = checkCard(card)
+  if (problems.length) throw new VmuError(`refusing to write an inconsistent card: ${problems.join('; ')}`)
+  return card
+}
+
+function requireWritable(card) {
+  const { problems } = checkCard(card)
+  if (problems.length) throw new VmuError(`card is damaged and will not be modified: ${problems.join('; ')}`)
+}
+
+// Add a VMS/VMI pair to a copy of the card and return the new card image
+function importSave(card, vms, vmiBuf) {
+  requireWritable(card)
+  const info = parseVmi(vmiBuf)
+  if (!info.name) throw new VmuError('VMI has an empty VMU file name')
+  if (!Buffer.isBuffer(vms) || vms.length < info.size) {
+    throw new VmuError(`VMS is ${vms ? vms.length : 0} bytes but the VMI says ${info.size}`)
+  }
+  const sizeBlocks = Math.ceil(info.size / BLOCK_SIZE)
+  if (sizeBlocks < 1) throw new VmuError('VMS is empty')
+
+  const headerOffset = info.game ? 1 : 0
+  const header = parseVmsHeader(vms.subarray(headerOffset * BLOCK_SIZE, info.size))
+  if (!header) throw new VmuError('VMS has no valid header')
+  if (header.iconCount < 1 || header.iconCount > 64) throw new VmuError(`VMS header has ${header.iconCount} icons`)
+  if (!info.game && header.headerSize + header.dataSize > info.size) {
+    throw new VmuError('VMS header describes more data than the file contains')
+  }
+
+  const next = Buffer.from(card)
+  const root = readRoot(next)
+  if (findEntry(next, root, info.name)) throw new VmuError(`a file named ${info.name} already exists; delete it first`)
+
+  // Mini-games must occupy contiguous blocks from 0; data files are
+  // allocated from the top of the user area down, like the Dreamcast does
+  const free = new Set(freeBlocks(next, root))
+  let blocks
+  if (info.game) {
+    for (const offset of directorySlots(root)) {
+      if (next[offset] === TYPE_GAME) throw new VmuError('the card already holds a mini-game')
+    }
+    blocks = Array.from({ length: sizeBlocks }, (_, i) => i)
+    if (!blocks.every((b) => free.has(b))) throw new VmuError(`mini-games need blocks 0-${sizeBlocks - 1} free`)
+  } else {
+    blocks = Array.from(free).sort((a, b) => b - a).slice(0, sizeBlocks)
+    if (blocks.length < sizeBlocks) throw new VmuError(`not enough space: needs ${sizeBlocks} blocks, ${free.size} free`)
+  }
+
+  const slot = directorySlots(root).find((offset) => next[offset] === TYPE_NONE)
+  if (slot === undefined) throw new VmuError('the card directory is full')
+
+  const padded = Buffer.alloc(sizeBlocks * BLOCK_SIZE)
+  vms.copy(padded, 0, 0, info.size)
+  blocks.forEach((b, i) => {
+    padded.copy(next, b * BLOCK_SIZE, i * BLOCK_SIZE, (i + 1) * BLOCK_SIZE)
+    setFatEntry(next, root, b, i + 1 < blocks.length ? blocks[i + 1] : FAT_END)
+  })
+
+  next.fill(0, slot, slot + DIR_ENTRY_SIZE)
+  next[slot] = info.game ? TYPE_GAME : TYPE_DATA
+  next[slot + 1] = info.copyProtected ? 0xFF : 0x00
+  next.writeUInt16LE(blocks[0], slot + 2)
+  info.rawName.copy(next, slot + 4)
+  writeTimestamp(next, slot + 0x10, info.date)
+  next.writeUInt16LE(sizeBlocks, slot + 0x18)
+  next.writeUInt16LE(headerOffset, slot + 0x1A)
+
+  return commit(next)
+}
+
+// Remove a file from a copy of the card and return the new card image
+function deleteSave(card, name) {
+  requireWritable(card)
+  const next = Buffer.from(card)
+  const root = readRoot(next)
+  const entry = findEntry(next, root, name)
+  if (!entry) throw new VmuError(`no file named ${name}`)
+  for (const b of followChain(next, root, entry.firstBlock, entry.sizeBlocks)) {
+    setFatEntry(next, root, b, FAT_FREE)
+  }
+  next.fill(0, entry.offset, entry.offset + DIR_ENTRY_SIZE)
+  return commit(next)
+}
+
+// Icon PNG for a named save
+function saveIconPng(card, name, index = 0) {
+  const root = readRoot(card)
+  const entry = findEntry(card, root, name)
+  if (!entry) return null
+  const data = readFileData(card, root, entry)
+  const vms = data.subarray(entry.headerOffset * BLOCK_SIZE)
+  return iconPng(vms, parseVmsHeader(vms), index)
+}
+
+module.exports = {
+  CARD_SIZE,
+  VmuError,
+  checkCard,
+  parseCard,
+  parseVmsHeader,
+  exportVms,
+  buildVmi,
+  parseVmi,
+  importSave,
+  deleteSave,
+  saveIconPng,
+  resourceNameFor,
+}
@@ -0,0 +1,268 @@
+/**
+ * Minimal WebSocket server (RFC 6455)
+ *
+ * Just enough for the netplay room service, so the demo server keeps
+ * running on Node's standard library: the opening handshake on an HTTP
+ * "upgrade" event, text and binary messages (fragmented or not), ping/pong
+ * and the closing handshake. Client frames must be masked, as the RFC
+ * requires; extensions such as permessage-deflate are never negotiated.
+ *
+ *   server.on('upgrade', (req, socket, head) => {
+ *     const problem = websocket.handshakeProblem(req)
+ *     if (problem) return websocket.reject(socket, 400, problem)
+ *     const ws = websocket.accept(req, socket, head)
+ *     ws.on('message', (text, isBinary) => ws.send(text))
+ *   })
+ */
+
+const crypto = require('crypto')
+const http = require('http')
+const { EventEmitter } = require('events')
+
+const GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11'
+const DEFAULT_MAX_MESSAGE = 64 * 1024
+const CLOSE_TIMEOUT_MS = 2000
+
+const OP_CONTINUATION = 0x0
+const OP_TEXT = 0x1
+const OP_BINARY = 0x2
+const OP_CLOSE = 0x8
+const OP_PING = 0x9
+const OP_PONG = 0xa
+
+// Close codes used here
+const CLOSE_NORMAL = 1000
+const CLOSE_GOING_AWAY = 1001
+const CLOSE_PROTOCOL_ERROR = 1002
+const CLOSE_INVALID_DATA = 1007
+const CLOSE_TOO_BIG = 1009
+
+// Why an upgrade request is not a valid WebSocket handshake, or null
+function handshakeProblem(req) {
+  if (req.method !== 'GET') return 'WebSocket handshakes must use GET'
+  if ((req.headers.upgrade || '').toLowerCase() !== 'websocket') return 'Upgrade header must be "websocket"'
+  if (!/\bupgrade\b/i.test(req.headers.connection || '')) return 'Connection header must include "Upgrade"'
+  if (req.headers['sec-websocket-version'] !== '13') return 'only WebSocket version 13 is supported'
+  const key = req.headers['sec-websocket-key'] || ''
+  if (Buffer.from(key, 'base64').length !== 16) return 'Sec-WebSocket-Key must be 16 bytes, base64 encoded'
+  return null
+}
+
+function acceptKey(key) {
+  return crypto.createHash('sha1').update(key + GUID).digest('base64')
+}
+
+// Answer an upgrade request with a plain HTTP error and close the socket
+function reject(socket, status, message) {
+  const body = `${message}\n`
+  socket.end([
+    `HTTP/1.1 ${status} ${http.STATUS_CODES[status] || 'Error'}`,
+    'Connection: close',
+    'Content-Type: text/plain; charset=utf-8',
+    `Content-Length: ${Buffer.byteLength(body)}`,
+    '',
+    body,
+  ].join('\r\n'))
+}
+
+// Complete the handshake for a request handshakeProblem() accepted
+function accept(req, socket, head, { maxMessage = DEFAULT_MAX_MESSAGE } = {}) {
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${acceptKey(req.headers['sec-websocket-key'])}`,
+    '',
+    '',
+  ].join('\r\n'))
+  return new WebSocketConnection(socket, head, maxMessage)
+}
+
+function encodeFrame(opcode, payload) {
+  const length = payload.length
+  let header
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length])
+  } else if (length < 0x10000) {
+    header = Buffer.alloc(4)
+    header[0] = 0x80 | opcode
+    header[1] = 126
+    header.writeUInt16BE(length, 2)
+  } else {
+    header = Buffer.alloc(10)
+    header[0] = 0x80 | opcode
+    header[1] = 127
+    header.writeBigUInt64BE(BigInt(length), 2)
+  }
+  return Buffer.concat([header, payload])
+}
+
+// One accepted connection. Events:
+//   'message' (data, isBinary)   data is a string for text messages, a Buffer otherwise
+//   'pong'    (payload)
+//   'close'   (code, reason)     emitted once, however the connection ended
+class WebSocketConnection extends EventEmitter {
+  constructor(socket, head, maxMessage) {
+    super()
+    this.socket = socket
+    this.maxMessage = maxMessage
+    this.buffer = head && head.length ? Buffer.from(head) : Buffer.alloc(0)
+    this.fragments = null
+    this.fragmentOpcode = 0
+    this.fragmentSize = 0
+    this.closeSent = false
+    this.closed = false
+    this.closeCode = 1006
+    this.closeReason = ''
+    this.decoder = new TextDecoder('utf-8', { fatal: true })
+
+    socket.setNoDelay(true)
+    socket.on('data', (chunk) => {
+      this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk
+      this.parse()
+    })
+    socket.on('error', () => socket.destroy())
+    socket.on('close', () => this.finish())
+    if (this.buffer.length) setImmediate(() => this.parse())
+  }
+
+  get open() {
+    return !this.closed && !this.closeSent
+  }
+
+  send(data) {
+    if (!this.open) return false
+    const isText = typeof data === 'string'
+    this.socket.write(encodeFrame(isText ? OP_TEXT : OP_BINARY, isText ? Buffer.from(data, 'utf8') : data))
+    return true
+  }
+
+  ping(payload = Buffer.alloc(0)) {
+    if (this.open) this.socket.write(encodeFrame(OP_PING, payload))
+  }
+
+  // Start the closing handshake; the socket is dropped if the peer does not answer
+  close(code = CLOSE_NORMAL, reason = '') {
+    if (this.closeSent || this.closed) return
+    this.closeSent = true
+    this.closeCode = code
+    this.closeReason = reason
+    const payload = Buffer.alloc(2 + Buffer.byteLength(reason))
+    payload.writeUInt16BE(code, 0)
+    payload.write(reason, 2)
+    this.socket.write(encodeFrame(OP_CLOSE, payload.subarray(0, 125)))
+    setTimeout(() => this.socket.destroy(), CLOSE_TIMEOUT_MS).unref()
+  }
+
+  finish() {
+    if (this.closed) return
+    this.closed = true
+    this.emit('close', this.closeCode, this.closeReason)
+  }
+
+  fail(code, reason) {
+    this.close(code, reason)
+    this.socket.end()
+  }
+
+  // Consume every complete frame in the buffer
+  parse() {
+    while (!this.closed && this.buffer.length >= 2) {
+      const b0 = this.buffer[0]
+      const b1 = this.buffer[1]
+      const fin = (b0 & 0x80) !== 0
+      const opcode = b0 & 0x0f
+      if (b0 & 0x70) return this.fail(CLOSE_PROTOCOL_ERROR, 'reserved bits set')
+      if (!(b1 & 0x80)) return this.fail(CLOSE_PROTOCOL_ERROR, 'client frames must be masked')
+
+      let length = b1 & 0x7f
+      let offset = 2
+      if (length === 126) {
+        if (this.buffer.length < 4) return
+        length = this.buffer.readUInt16BE(2)
+        offset = 4
+      } else if (length === 127) {
+        if (this.buffer.length < 10) return
+        const big = this.buffer.readBigUInt64BE(2)
+        if (big > BigInt(this.maxMessage)) return this.fail(CLOSE_TOO_BIG, 'message too big')
+        length = Number(big)
+        offset = 10
+      }
+      if (length > this.maxMessage) return this.fail(CLOSE_TOO_BIG, 'message too big')
+      if (this.buffer.length < offset + 4 + length) return
+
+      const mask = this.buffer.subarray(offset, offset + 4)
+      const payload = Buffer.from(this.buffer.subarray(offset + 4, offset + 4 + length))
+      for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i & 3]
+      this.buffer = this.buffer.subarray(offset + 4 + length)
+
+      if (opcode >= 0x8) {
+        if (!fin || length > 125) return this.fail(CLOSE_PROTOCOL_ERROR, 'invalid control frame')
+        this.control(opcode, payload)
+      } else {
+        this.data(opcode, fin, payload)
+      }
+    }
+  }
+
+  control(opcode, payload) {
+    if (opcode === OP_PING) {
+      if (this.open) this.socket.write(encodeFrame(OP_PONG, payload))
+    } else if (opcode === OP_PONG) {
+      this.emit('pong', payload)
+    } else if (opcode === OP_CLOSE) {
+      // Answer the peer's close (or finish ours) and end the TCP connection
+      if (!this.closeSent) {
+        this.closeCode = payload.length >= 2 ? payload.readUInt16BE(0) : 1005
+        this.closeReason = payload.length > 2 ? payload.toString('utf8', 2) : ''
+        this.closeSent = true
+        this.socket.write(encodeFrame(OP_CLOSE, payload.subarray(0, 2)))
+      }
+      this.socket.end()
+    } else {
+      this.fail(CLOSE_PROTOCOL_ERROR, 'unknown opcode')
+    }
+  }
+
+  data(opcode, fin, payload) {
+    if (opcode === OP_CONTINUATION) {
+      if (!this.fragments) return this.fail(CLOSE_PROTOCOL_ERROR, 'continuation without a message')
+    } else if (opcode === OP_TEXT || opcode === OP_BINARY) {
+      if (this.fragments) return this.fail(CLOSE_PROTOCOL_ERROR, 'new message inside a fragmented one')
+      this.fragments = []
+      this.fragmentOpcode = opcode
+      this.fragmentSize = 0
+    } else {
+      return this.fail(CLOSE_PROTOCOL_ERROR, 'unknown opcode')
+    }
+
+    this.fragmentSize += payload.length
+    if (this.fragmentSize > this.maxMessage) return this.fail(CLOSE_TOO_BIG, 'message too big')
+    this.fragments.push(payload)
+    if (!fin) return
+
+    const message = Buffer.concat(this.fragments)
+    const isBinary = this.fragmentOpcode === OP_BINARY
+    this.fragments = null
+    if (isBinary) {
+      this.emit('message', message, true)
+      return
+    }
+    let text
+    try {
+      text = this.decoder.decode(message)
+    } catch {
+      return this.fail(CLOSE_INVALID_DATA, 'text message is not valid UTF-8')
+    }
+    this.emit('message', text, false)
+  }
+}
+
+module.exports = {
+  CLOSE_NORMAL,
+  CLOSE_GOING_AWAY,
+  CLOSE_PROTOCOL_ERROR,
+  handshakeProblem,
+  reject,
+  accept,
+}
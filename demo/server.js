@@ -6,28 +6,99 @@
  * required for SharedArrayBuffer (COEP/COOP).
  *
  * Usage:
- *   node server.js [port] [roms-dir]
+ *   node server.js [port] [roms-dir] [options]    (--help lists every option)
  *
  * Examples:
  *   node server.js                          # port 3000, roms from ./roms/
  *   node server.js 3000 D:/Gaming/ROMs/DC   # port 3000, roms from D: drive
  *   ROMS_DIR=D:/path node server.js         # env var alternative
+ *   SAVES_DIR=D:/saves node server.js       # where VMU/save files are kept (default ./saves/)
+ *   PROFILES_DIR=D:/opts node server.js     # where core option profiles are kept (default ./profiles/)
+ *   node server.js --host 0.0.0.0 --https   # LAN access over HTTPS (self-signed certificate)
+ *   node server.js --config server.json     # settings from a JSON config file
+ *   node server.js --export ../site         # static site of the library, for static hosting
+ *
+ * Other devices need HTTPS: cross-origin isolation (SharedArrayBuffer) only
+ * works in a secure context, and plain HTTP is only secure on localhost.
+ *
+ * Games launch from bookmarkable links (/emulator?game=<id>&bios=<set>); the
+ * ROM and BIOS URLs inside the page are signed and expire after 12 hours.
+ * The signing key lives in ./.link-secret (--link-secret); delete it to
+ * revoke every link handed out so far.
  *
  * Requires:
  *   - EmulatorJS data in ./data/ (copy from EmulatorJS release)
- *   - Flycast core in ./data/cores/flycast-wasm.data
- *   - BIOS files in ./bios/ (dc_boot.bin + dc_flash.bin)
+ *   - Flycast core in ./data/cores/flycast-wasm.data; more builds in
+ *     ./cores/<name>/flycast-wasm.data with a build.json beside each
+ *   - BIOS files in ./bios/ (dc_boot.bin + dc_flash.bin); extra sets go in
+ *     subdirectories (./bios/<set>/dc_boot.bin + dc_flash.bin)
  *   - ROM files in ./roms/ or specify path via arg/env (any .chd, .cdi, .gdi, .cue/.bin, .zip)
  */
 
 const http = require('http')
+const https = require('https')
 const fs = require('fs')
+const os = require('os')
 const path = require('path')
-const { randomUUID } = require('crypto')
+const crypto = require('crypto')
+const discSheets = require('./lib/disc-sheets')
+const ipbin = require('./lib/ipbin')
+const chd = require('./lib/chd')
+const bios = require('./lib/bios')
+const saves = require('./lib/saves')
+const vmu = require('./lib/vmu')
+const coreOptions = require('./lib/core-options')
+const httpFiles = require('./lib/http-files')
+const links = require('./lib/links')
+const serverConfig = require('./lib/config')
+const certs = require('./lib/certs')
+const library = require('./lib/library')
+const archives = require('./lib/archives')
+const runtimePatches = require('./lib/runtime-patches')
+const benchmarks = require('./lib/benchmarks')
+const cores = require('./lib/cores')
+const controls = require('./lib/controls')
+const netplay = require('./lib/netplay')
+const websocket = require('./lib/websocket')
+const uploads = require('./lib/uploads')
+const captures = require('./lib/captures')
+const cheats = require('./lib/cheats')
+const states = require('./lib/states')
+const serviceWorker = require('./lib/service-worker')
+const staticExport = require('./lib/static-export')
+const { escapeHtml, scriptJson, createNonce, scriptHashes, contentSecurityPolicy } = require('./lib/html')
+
+let config
+try {
+  config = serverConfig.loadConfig({ argv: process.argv.slice(2), env: process.env, demoDir: __dirname })
+} catch (e) {
+  if (!(e instanceof serverConfig.ConfigError)) throw e
+  console.error(`Error: ${e.message}\n\n${serverConfig.USAGE}`)
+  process.exit(2)
+}
+if (config.help) {
+  console.log(serverConfig.USAGE)
+  process.exit(0)
+}
 
-const PORT = parseInt(process.argv[2] || '3000', 10)
-const ROMS_DIR = process.argv[3] || process.env.ROMS_DIR || null
-const ROOT = __dirname
+const PORT = config.port
+const HOST = config.host
+const ROMS_DIR = config.romsDir
+const BIOS_DIR = config.biosDir
+const DATA_DIR = config.dataDir
+const CORES_DIR = config.coresDir
+const DEFAULT_CORE = config.defaultCore
+const SAVES_DIR = config.savesDir
+const PROFILES_DIR = config.profilesDir
+const BENCHMARKS_DIR = config.benchmarksDir
+const SCREENSHOTS_DIR = config.screenshotsDir
+const UPLOADS_DIR = config.uploadsDir
+const CAPTURES_DIR = config.capturesDir
+const CAPTURE_DELAY = config.captureDelay
+const DISC_CACHE = config.discCache
+const CONFIG_DIR = path.join(__dirname, '..', 'config')
+const CORE_OPTIONS_FILE = path.join(CONFIG_DIR, 'dreamcast-core-options.json')
+const LINK_SECRET_FILE = config.linkSecretFile
 
 // MIME types
 const MIME = {
@@ -56,426 +127,4968 @@ const ISOLATION_HEADERS = {
   'Cross-Origin-Opener-Policy': 'same-origin',
   'Cross-Origin-Embedder-Policy': 'require-corp',
   'Cross-Origin-Resource-Policy': 'cross-origin',
-  'Access-Control-Allow-Origin': '*',
 }
 
-// Token-based file registry (prevents path traversal)
-const fileTokens = new Map()
+// Library index: stable file ID -> absolute path for every ROM, track and
+// BIOS file. Rebuilt (not appended to) from the library directories, so it
+// stays as large as the library. An unknown ID triggers a rescan at most once
+// per LOOKUP_RESCAN_MS, so a stream of made-up IDs cannot keep the server
+// walking the library.
+const signer = links.createSigner(links.loadSecret(LINK_SECRET_FILE))
+const LOOKUP_RESCAN_MS = 10 * 1000
+let fileIndex = new Map()
+let indexedAt = 0
+// The last library scan, as a promise of its games; dropped whenever the
+// index is rebuilt
+let gameList = null
+
+// Uploads from the launcher, staged until complete and checked
+const uploadStore = uploads.createUploadStore({
+  dir: UPLOADS_DIR,
+  romsDir: ROMS_DIR,
+  biosDir: BIOS_DIR,
+  maxBytes: config.maxUpload,
+})
 
-function registerFile(absolutePath) {
-  const token = randomUUID()
-  fileTokens.set(token, absolutePath)
-  const basename = path.basename(absolutePath)
-  return `/file/${token}/${encodeURIComponent(basename)}`
+function libraryDirs() {
+  return { roms: ROMS_DIR, bios: BIOS_DIR }
 }
 
-function getMime(filePath) {
-  return MIME[path.extname(filePath).toLowerCase()] || 'application/octet-stream'
+function fileIdFor(absolutePath) {
+  const resolved = path.resolve(absolutePath)
+  for (const [area, dir] of Object.entries(libraryDirs())) {
+    const rel = path.relative(path.resolve(dir), resolved)
+    if (rel && !rel.startsWith('..') && !path.isAbsolute(rel)) return links.fileId(area, rel)
+  }
+  return links.fileId('file', resolved)
 }
 
-function serveStatic(res, filePath) {
-  if (!fs.existsSync(filePath)) {
-    res.writeHead(404, ISOLATION_HEADERS)
-    res.end('Not found')
+function indexLibrary() {
+  const { roms, bios: biosDir } = libraryDirs()
+  const index = new Map()
+  const add = (filePath) => index.set(fileIdFor(filePath), filePath)
+  library.scanDir(roms, library.ROM_EXTENSIONS).forEach((f) => {
+    add(f.path)
+    if (discSheets.isSheet(f.path)) discSheets.inspectSheet(f.path).files.forEach((t) => add(t.path))
+  })
+  bios.scanBiosSets(biosDir).forEach((set) => {
+    if (set.boot.file) add(set.boot.file)
+    if (set.flash.file) add(set.flash.file)
+  })
+  fileIndex = index
+  indexedAt = Date.now()
+  gameList = null
+}
+
+function libraryGames() {
+  if (!gameList) {
+    const scan = library.scanGames(ROMS_DIR)
+    scan.catch(() => {
+      if (gameList === scan) gameList = null
+    })
+    gameList = scan
+  }
+  return gameList
+}
+
+function lookupFile(id) {
+  if (!links.isFileId(id)) return null
+  if (!fileIndex.has(id) && Date.now() - indexedAt >= LOOKUP_RESCAN_MS) indexLibrary()
+  return fileIndex.get(id) || null
+}
+
+// Signed, expiring URL serving one library file
+function fileUrl(absolutePath) {
+  const id = fileIdFor(absolutePath)
+  fileIndex.set(id, absolutePath)
+  return `/file/${signer.sign(id)}/${encodeURIComponent(path.basename(absolutePath))}`
+}
+
+// Check a "<id>/<expires>/<signature>" path; sends the error page and returns
+// null unless the link is valid and its file is still in the library
+function resolveSignedPath(res, parts) {
+  const [id, expires, signature] = parts
+  const status = signer.verify(id, expires, signature)
+  if (status === 'expired') {
+    sendErrorPage(res, 410, 'Link expired', 'This game link has expired. Go back to the launcher and start the game again to get a fresh one.')
+    return null
+  }
+  if (status !== 'ok') {
+    sendErrorPage(res, 403, 'Invalid link', 'This link is not valid. It was mistyped, or it was revoked when the server\'s link key changed.')
+    return null
+  }
+  const absolutePath = lookupFile(id)
+  if (!absolutePath || !fs.existsSync(absolutePath)) {
+    sendErrorPage(res, 410, 'No longer available', 'This file has been removed from the library or renamed.')
+    return null
+  }
+  return absolutePath
+}
+
+// Multi-file discs (GDI, CUE/BIN): a signed manifest per disc listing the
+// sheet and every track file, each with its own signed URL
+function discManifestUrl(sheetPath) {
+  return `/disc/${signer.sign(fileIdFor(sheetPath))}/manifest.json`
+}
+
+// Manifest of a sheet, or of the archive holding one, with each file linked
+// through `linkTo` (see signedLinks); { problems } when the disc is incomplete
+async function discManifest(sheetPath, linkTo) {
+  if (archives.isArchive(sheetPath)) {
+    const archive = await archives.inspectArchive(sheetPath)
+    const disc = archive.image && archive.image.disc
+    if (!disc || archive.problems.length > 0) return { problems: archive.problems }
+    const files = []
+    for (const f of disc.files) files.push({ filename: f.name, size: f.size, url: await linkTo.archiveEntry(sheetPath, f.path) })
+    return {
+      sheet: path.posix.basename(disc.sheet),
+      format: disc.format,
+      tracks: disc.tracks.map((t) => ({ number: t.number, type: t.type, file: t.file })),
+      files,
+    }
+  }
+  const disc = discSheets.inspectSheet(sheetPath)
+  if (!disc.ok) return { problems: disc.problems }
+  return {
+    sheet: path.basename(sheetPath),
+    format: disc.format,
+    tracks: disc.tracks.map((t) => ({ number: t.number, type: t.type, file: path.basename(t.path) })),
+    files: disc.files.map((f) => ({ filename: f.name, size: f.size, url: linkTo.file(f.path) })),
+  }
+}
+
+// The manifest URL names the sheet, or the archive holding it
+async function serveDiscManifest(res, parts) {
+  const sheetPath = resolveSignedPath(res, parts)
+  if (!sheetPath) return
+  const manifest = await discManifest(sheetPath, signedLinks)
+  if (manifest.problems) {
+    sendJson(res, 409, { error: 'disc is incomplete', problems: manifest.problems })
     return
   }
+  sendJson(res, 200, manifest)
+}
 
-  const stat = fs.statSync(filePath)
+// Multi-disc games are played from an M3U playlist. Each disc sits in its
+// own discN/ directory beside the playlist in the emulator's file system, so
+// track files of different discs never collide.
+function discSetFiles(game) {
+  return game.discs.map((disc) => ({
+    disc,
+    number: disc.number,
+    dir: `disc${disc.number}`,
+    filename: disc.archive ? path.posix.basename(disc.archive.image.entry) : disc.name,
+  }))
+}
+
+function playlistName(game) {
+  return `${saves.gameKeyFor(`${game.setName}.m3u`)}.m3u`
+}
+
+function playlistText(game) {
+  return discSetFiles(game).map((f) => `${f.dir}/${f.filename}`).join('\n') + '\n'
+}
+
+function playlistUrl(game) {
+  return `/playlist/${signer.sign(fileIdFor(game.path))}/${encodeURIComponent(playlistName(game))}`
+}
+
+// The link names the set's first disc
+async function servePlaylist(res, parts) {
+  const firstDisc = resolveSignedPath(res, parts)
+  if (!firstDisc) return
+  const game = await findGame(fileIdFor(firstDisc))
+  if (!game || !game.discs) {
+    sendErrorPage(res, 410, 'No longer available', 'This game is no longer a multi-disc set in the library.')
+    return
+  }
+  const body = playlistText(game)
   res.writeHead(200, {
-    'Content-Type': getMime(filePath),
-    'Content-Length': stat.size,
+    'Content-Type': 'audio/x-mpegurl',
+    'Content-Length': Buffer.byteLength(body),
+    'Cache-Control': 'private, no-cache',
     ...ISOLATION_HEADERS,
   })
-  fs.createReadStream(filePath).pipe(res)
+  res.end(body)
 }
 
-function serveTokenFile(res, req, token) {
-  const absolutePath = fileTokens.get(token)
-  if (!absolutePath || !fs.existsSync(absolutePath)) {
-    res.writeHead(404, ISOLATION_HEADERS)
-    res.end('Not found')
-    return
-  }
+// Signed URL streaming one file out of an archive, decompressed:
+//   /archive/<id>/<expires>/<signature>/<entry index>/<name>
+async function archiveEntryUrl(archivePath, entryName) {
+  const index = (await archives.inspectArchive(archivePath)).entries.findIndex((e) => e.name === entryName)
+  const id = fileIdFor(archivePath)
+  fileIndex.set(id, archivePath)
+  return `/archive/${signer.sign(id)}/${index}/${encodeURIComponent(path.posix.basename(entryName))}`
+}
 
-  const stat = fs.statSync(absolutePath)
-  const range = req.headers.range
+// How launch pages and disc manifests link to library files: signed server
+// URLs here, paths inside the site for a static export (see exportStaticSite)
+const signedLinks = {
+  file: fileUrl,
+  archiveEntry: archiveEntryUrl,
+  discManifest: discManifestUrl,
+  playlist: playlistUrl,
+}
 
-  // Support Range requests for large disk images
-  if (range) {
-    const parts = range.replace(/bytes=/, '').split('-')
-    const start = parseInt(parts[0], 10)
-    const end = parts[1] ? parseInt(parts[1], 10) : stat.size - 1
-    const chunkSize = end - start + 1
+async function serveArchiveEntry(req, res, parts) {
+  const archivePath = resolveSignedPath(res, parts.slice(0, 3))
+  if (!archivePath) return
+  const entry = (await archives.inspectArchive(archivePath)).entries[Number(parts[3])]
+  if (!/^\d+$/.test(parts[3] || '') || !entry) {
+    sendErrorPage(res, 410, 'No longer available', 'The archive has changed since this link was made. Start the game again from the launcher.')
+    return
+  }
 
-    res.writeHead(206, {
-      'Content-Range': `bytes ${start}-${end}/${stat.size}`,
-      'Accept-Ranges': 'bytes',
-      'Content-Length': chunkSize,
-      'Content-Type': getMime(absolutePath),
-      ...ISOLATION_HEADERS,
-    })
-    fs.createReadStream(absolutePath, { start, end }).pipe(res)
-  } else {
-    res.writeHead(200, {
-      'Content-Type': getMime(absolutePath),
-      'Content-Length': stat.size,
-      'Accept-Ranges': 'bytes',
-      ...ISOLATION_HEADERS,
-    })
-    fs.createReadStream(absolutePath).pipe(res)
+  let stream
+  try {
+    stream = await archives.openEntry(archivePath, entry.name)
+  } catch (e) {
+    sendErrorPage(res, 500, 'Cannot read archive', e.message)
+    return
+  }
+  res.writeHead(200, {
+    ...ISOLATION_HEADERS,
+    'Content-Type': getMime(entry.name),
+    'Content-Length': entry.size,
+    'Cache-Control': 'private, no-cache',
+    'Accept-Ranges': 'none',
+  })
+  if (req.method === 'HEAD') {
+    stream.destroy()
+    res.end()
+    return
   }
+  // A damaged entry fails mid-stream; cutting the connection lets the
+  // emulator see a short download instead of a silently truncated file
+  stream.on('error', (e) => {
+    console.error(`  Archive ${path.basename(archivePath)}: ${entry.name}: ${e.message}`)
+    res.destroy()
+  })
+  res.on('close', () => stream.destroy())
+  stream.pipe(res)
 }
 
-// Scan directories for files
-function scanDir(dirPath, extensions) {
-  if (!fs.existsSync(dirPath)) return []
-  return fs.readdirSync(dirPath)
-    .filter((f) => extensions.includes(path.extname(f).toLowerCase()))
-    .map((f) => ({ name: f, path: path.join(dirPath, f) }))
+// CHD SHA-1 verification runs on demand in the background. Results are kept
+// per file and dropped when the file's size or mtime changes.
+const chdVerifications = new Map()
+
+function getChdVerification(filePath) {
+  const entry = chdVerifications.get(filePath)
+  if (!entry) return { status: 'none' }
+  try {
+    const stat = fs.statSync(filePath)
+    if (stat.size === entry.size && stat.mtimeMs === entry.mtimeMs) return entry.state
+  } catch {}
+  chdVerifications.delete(filePath)
+  return { status: 'none' }
 }
 
-// Build the launcher page (game picker)
-function buildLauncherPage() {
-  const biosDir = path.join(ROOT, 'bios')
-  const romsDir = ROMS_DIR || path.join(ROOT, 'roms')
+function startChdVerification(filePath) {
+  const current = getChdVerification(filePath)
+  if (current.status === 'running') return current
 
-  const biosFiles = scanDir(biosDir, ['.bin'])
-  const romFiles = scanDir(romsDir, ['.chd', '.cdi', '.gdi', '.cue', '.zip', '.iso', '.bin'])
+  const stat = fs.statSync(filePath)
+  const entry = { size: stat.size, mtimeMs: stat.mtimeMs, state: { status: 'running', progress: 0 } }
+  chdVerifications.set(filePath, entry)
+  chd.verifyChd(filePath, (progress) => { entry.state.progress = progress })
+    .then((result) => { entry.state = { ...result, finishedAt: new Date().toISOString() } })
+    .catch((e) => { entry.state = { status: 'error', message: e.message, finishedAt: new Date().toISOString() } })
+  return entry.state
+}
 
-  const hasBoot = biosFiles.some((f) => f.name.toLowerCase() === 'dc_boot.bin')
-  const hasFlash = biosFiles.some((f) => f.name.toLowerCase() === 'dc_flash.bin')
-  const biosOk = hasBoot && hasFlash
+// Save files: GET /saves/<game> lists them, GET/PUT/DELETE
+// /saves/<game>/<area>/<file> reads, replaces or removes one. A PUT with
+// If-Match (or If-None-Match: * for a file the client has not seen) gets 412
+// instead of replacing a copy changed since, e.g. by the memory card browser.
+async function handleSaves(req, res, rest) {
+  const parts = rest.split('/').map(decodeSegment)
+  if (parts.includes(null)) {
+    sendJson(res, 400, { error: 'malformed percent-encoding in path' })
+    return
+  }
+  const game = parts[0]
 
-  // Filter out .bin files that are likely CD track data (not ROMs)
-  const gameFiles = romFiles.filter((f) => {
-    const ext = path.extname(f.name).toLowerCase()
-    // .bin files are ambiguous — only include if no .cue file references them
-    if (ext === '.bin') {
-      const cueName = f.name.replace(/\.bin$/i, '.cue')
-      const hasCue = romFiles.some((r) => r.name.toLowerCase() === cueName.toLowerCase())
-      return !hasCue // exclude .bin if a matching .cue exists (it's a track, not a standalone ROM)
+  if (parts.length === 1 && req.method === 'GET') {
+    const list = saves.listSaves(SAVES_DIR, game)
+    if (!list) {
+      sendJson(res, 400, { error: 'invalid game key' })
+      return
     }
-    return true
-  })
+    sendJson(res, 200, list)
+    return
+  }
 
-  const romListHtml = gameFiles.length > 0
-    ? gameFiles.map((r) => {
-        const url = registerFile(r.path)
-        return `<div class="game-card" onclick="launchGame('${url}', '${encodeURIComponent(r.name)}')">`
-          + `<div class="game-icon">&#9654;</div>`
-          + `<div class="game-name">${r.name}</div>`
-          + `</div>`
-      }).join('\n')
-    : '<p class="empty">No ROM files found. Place .chd, .cdi, .gdi, .cue, or .zip files in <code>demo/roms/</code></p>'
-
-  // Register BIOS URLs
-  let biosUrl = ''
-  let extraBiosJson = '[]'
-  if (biosOk) {
-    const bootFile = biosFiles.find((f) => f.name.toLowerCase() === 'dc_boot.bin')
-    const flashFile = biosFiles.find((f) => f.name.toLowerCase() === 'dc_flash.bin')
-    biosUrl = registerFile(bootFile.path)
-    extraBiosJson = JSON.stringify([{ filename: 'dc_flash.bin', url: registerFile(flashFile.path) }])
+  const filePath = saves.resolveSavePath(SAVES_DIR, game, parts.slice(1).join('/'))
+  if (!filePath) {
+    sendJson(res, 400, { error: 'invalid save file path' })
+    return
   }
 
-  return `<!DOCTYPE html>
-<html>
-<head>
-  <meta charset="utf-8">
-  <title>Flycast WASM — Dreamcast Emulator</title>
-  <style>
-    * { margin: 0; padding: 0; box-sizing: border-box; }
-    body {
-      background: #0a0a1a;
-      color: #e8e0f0;
-      font-family: 'Segoe UI', system-ui, -apple-system, sans-serif;
-      min-height: 100vh;
-      display: flex;
-      flex-direction: column;
-      align-items: center;
-    }
-    .header {
-      text-align: center;
-      padding: 40px 20px 20px;
-    }
-    .header h1 {
-      font-size: 28px;
-      font-weight: 300;
-      letter-spacing: 2px;
-      color: #ff2a6d;
-      margin-bottom: 8px;
-    }
-    .header p {
-      color: #6a6480;
-      font-size: 14px;
-    }
-    .status {
-      display: flex;
-      gap: 20px;
-      justify-content: center;
-      padding: 20px;
-      flex-wrap: wrap;
-    }
-    .status-item {
-      display: flex;
-      align-items: center;
-      gap: 8px;
-      font-size: 13px;
-      color: #b0a8c0;
-    }
-    .dot {
-      width: 8px;
-      height: 8px;
-      border-radius: 50%;
-    }
-    .dot.ok { background: #01ffc3; }
-    .dot.missing { background: #ff003c; }
-    .games {
-      max-width: 800px;
-      width: 100%;
-      padding: 20px;
-    }
-    .games h2 {
-      font-size: 16px;
-      font-weight: 600;
-      letter-spacing: 1px;
-      text-transform: uppercase;
-      color: #05d9e8;
-      margin-bottom: 16px;
-      padding-bottom: 8px;
-      border-bottom: 1px solid rgba(5, 217, 232, 0.2);
+  if (req.method === 'GET') {
+    serveStatic(req, res, filePath)
+  } else if (req.method === 'PUT') {
+    const data = await readBody(req, saves.MAX_SAVE_BYTES)
+    const current = fs.existsSync(filePath) ? httpFiles.etagFor(fs.statSync(filePath)) : null
+    const ifMatch = req.headers['if-match']
+    if ((ifMatch && !(current && httpFiles.etagMatches(ifMatch, current, false)))
+      || (current && req.headers['if-none-match'] === '*')) {
+      if (current) res.setHeader('ETag', current)
+      sendJson(res, 412, { error: 'save file changed on the server' })
+      return
     }
-    .game-card {
-      display: flex;
-      align-items: center;
-      gap: 12px;
-      padding: 14px 16px;
-      margin-bottom: 8px;
-      background: rgba(255,255,255,0.03);
-      border: 1px solid rgba(255,255,255,0.07);
-      border-radius: 10px;
-      cursor: pointer;
-      transition: all 0.15s;
+    saves.writeSave(filePath, data)
+    res.setHeader('ETag', httpFiles.etagFor(fs.statSync(filePath)))
+    sendJson(res, 200, { name: parts.slice(1).join('/'), size: data.length })
+  } else if (req.method === 'DELETE') {
+    if (fs.existsSync(filePath)) fs.unlinkSync(filePath)
+    res.writeHead(204, ISOLATION_HEADERS)
+    res.end()
+  } else {
+    res.writeHead(405, { Allow: 'GET, PUT, DELETE', ...ISOLATION_HEADERS })
+    res.end('Method not allowed')
+  }
+}
+
+// VMU browser API:
+//   GET    /vmu/<game>                                   cards with their files
+//   GET    /vmu/<game>/<card>/files/<name>/icon.png      icon preview
+//   GET    /vmu/<game>/<card>/files/<name>/vms|vmi       export
+//   DELETE /vmu/<game>/<card>/files/<name>               delete a save
+//   POST   /vmu/<game>/<card>/import                     { vms, vmi } as base64
+async function handleVmu(req, res, rest) {
+  const parts = rest.split('/').map(decodeSegment)
+  if (parts.includes(null)) {
+    sendJson(res, 400, { error: 'malformed percent-encoding in path' })
+    return
+  }
+  const cards = saves.listCards(SAVES_DIR, parts[0])
+
+  if (parts.length === 1) {
+    sendJson(res, 200, cards.map((c) => ({ card: c.card, ...vmu.parseCard(fs.readFileSync(c.path)) })))
+    return
+  }
+
+  const card = cards.find((c) => c.card === parts[1])
+  if (!card) {
+    sendJson(res, 404, { error: `no memory card ${parts[1]}` })
+    return
+  }
+  const image = fs.readFileSync(card.path)
+
+  try {
+    if (parts[2] === 'import' && req.method === 'POST') {
+      const body = await readJsonBody(req, 1024 * 1024)
+      const next = vmu.importSave(image, Buffer.from(body.vms || '', 'base64'), Buffer.from(body.vmi || '', 'base64'))
+      saves.writeSave(card.path, next)
+      sendJson(res, 200, { card: card.card, ...vmu.parseCard(next) })
+      return
     }
-    .game-card:hover {
-      background: rgba(255, 42, 109, 0.08);
-      border-color: rgba(255, 42, 109, 0.3);
-      transform: translateX(4px);
+
+    const name = parts[3]
+    if (parts[2] !== 'files' || !name) {
+      sendJson(res, 404, { error: 'not found' })
+      return
     }
-    .game-icon {
-      color: #ff2a6d;
-      font-size: 18px;
-      width: 32px;
-      text-align: center;
+
+    if (req.method === 'DELETE' && parts.length === 4) {
+      const next = vmu.deleteSave(image, name)
+      saves.writeSave(card.path, next)
+      sendJson(res, 200, { card: card.card, ...vmu.parseCard(next) })
+    } else if (parts[4] === 'icon.png') {
+      const png = vmu.saveIconPng(image, name)
+      if (!png) {
+        sendJson(res, 404, { error: 'no icon' })
+        return
+      }
+      res.writeHead(200, { 'Content-Type': 'image/png', 'Content-Length': png.length, ...ISOLATION_HEADERS })
+      res.end(png)
+    } else if (parts[4] === 'vms' || parts[4] === 'vmi') {
+      const resourceName = vmu.resourceNameFor(name)
+      const data = parts[4] === 'vms' ? vmu.exportVms(image, name) : vmu.buildVmi(image, name).vmi
+      res.writeHead(200, {
+        'Content-Type': 'application/octet-stream',
+        'Content-Length': data.length,
+        'Content-Disposition': `attachment; filename="${resourceName}.${parts[4].toUpperCase()}"`,
+        ...ISOLATION_HEADERS,
+      })
+      res.end(data)
+    } else {
+      sendJson(res, 404, { error: 'not found' })
     }
-    .game-name {
-      font-size: 15px;
-      font-weight: 500;
+  } catch (e) {
+    if (e instanceof vmu.VmuError || e instanceof SyntaxError) {
+      sendJson(res, 400, { error: e instanceof SyntaxError ? 'request body is not valid JSON' : e.message })
+      return
     }
-    .empty {
-      color: #6a6480;
-      font-size: 14px;
-      padding: 20px;
-      text-align: center;
+    throw e
+  }
+}
+
+// Core option profiles:
+//   GET    /profiles/<key>    { key, options, inherited, core, inheritedCore,
+//                              controls, inheritedControls } (inherited = layers below)
+//   PUT    /profiles/<key>    { options, core, controls }, validated before it is stored
+//   DELETE /profiles/<key>    back to inheriting everything
+async function handleProfile(req, res, rawKey) {
+  const key = decodeSegment(rawKey)
+  if (key !== coreOptions.GLOBAL_PROFILE && !coreOptions.isValidProfileKey(key)) {
+    sendJson(res, 400, { error: 'invalid profile name' })
+    return
+  }
+
+  try {
+    if (req.method === 'PUT') {
+      const body = await readJsonBody(req, 64 * 1024)
+      const core = (body && body.core) || null
+      if (core !== null && !coreBuilds().builds.some((b) => b.name === core)) {
+        sendJson(res, 400, { error: `no core build named ${JSON.stringify(core)}`, problems: [`no core build named ${JSON.stringify(core)}`] })
+        return
+      }
+      const assigned = (body && body.controls) || {}
+      const missing = Object.values(assigned)
+        .filter((name) => typeof name === 'string' && !controls.listMappings(PROFILES_DIR).includes(name))
+        .map((name) => `no controller profile named ${JSON.stringify(name)}`)
+      if (missing.length > 0) {
+        sendJson(res, 400, { error: missing.join('; '), problems: missing })
+        return
+      }
+      coreOptions.writeProfile(PROFILES_DIR, key, (body && body.options) || {}, { core, controls: assigned })
+    } else if (req.method === 'DELETE') {
+      coreOptions.writeProfile(PROFILES_DIR, key, {})
+    } else if (req.method !== 'GET') {
+      sendJson(res, 405, { error: 'method not allowed' })
+      return
     }
-    .empty code {
-      background: rgba(255,255,255,0.06);
-      padding: 2px 6px;
-      border-radius: 4px;
-      font-size: 13px;
+
+    const inherited = key === coreOptions.GLOBAL_PROFILE
+      ? coreOptions.loadDefaults(CORE_OPTIONS_FILE)
+      : coreOptions.resolveOptions({ configPath: CORE_OPTIONS_FILE, profilesDir: PROFILES_DIR })
+    const fallback = coreBuilds().fallback
+    const inheritedCore = key === coreOptions.GLOBAL_PROFILE
+      ? null
+      : coreOptions.readProfileCore(PROFILES_DIR, coreOptions.GLOBAL_PROFILE)
+    sendJson(res, 200, {
+      key,
+      options: coreOptions.readProfile(PROFILES_DIR, key),
+      inherited,
+      core: coreOptions.readProfileCore(PROFILES_DIR, key),
+      inheritedCore: inheritedCore || (fallback ? fallback.name : null),
+      controls: coreOptions.readProfileControls(PROFILES_DIR, key),
+      inheritedControls: key === coreOptions.GLOBAL_PROFILE
+        ? {}
+        : coreOptions.readProfileControls(PROFILES_DIR, coreOptions.GLOBAL_PROFILE),
+    })
+  } catch (e) {
+    if (e instanceof coreOptions.CoreOptionsError) {
+      sendJson(res, 400, { error: e.message, problems: e.problems })
+      return
     }
-    .footer {
-      padding: 30px;
-      text-align: center;
-      color: #3a3650;
-      font-size: 12px;
+    if (e instanceof SyntaxError) {
+      sendJson(res, 400, { error: 'request body is not valid JSON' })
+      return
     }
-    .footer a { color: #ff2a6d; text-decoration: none; }
-    .footer a:hover { text-decoration: underline; }
-  </style>
-</head>
-<body>
-  <div class="header">
-    <h1>FLYCAST WASM</h1>
-    <p>Sega Dreamcast emulation in the browser via WebAssembly</p>
-  </div>
-  <div class="status">
-    <div class="status-item">
-      <div class="dot ${hasBoot ? 'ok' : 'missing'}"></div>
-      dc_boot.bin ${hasBoot ? '' : '(missing)'}
-    </div>
-    <div class="status-item">
-      <div class="dot ${hasFlash ? 'ok' : 'missing'}"></div>
-      dc_flash.bin ${hasFlash ? '' : '(missing)'}
-    </div>
-    <div class="status-item">
-      <div class="dot ${gameFiles.length > 0 ? 'ok' : 'missing'}"></div>
-      ${gameFiles.length} ROM${gameFiles.length !== 1 ? 's' : ''} found
-    </div>
-  </div>
-  ${!biosOk ? '<p class="empty">Place <code>dc_boot.bin</code> and <code>dc_flash.bin</code> in <code>demo/bios/</code></p>' : ''}
-  <div class="games">
-    <h2>Games</h2>
-    ${romListHtml}
-  </div>
-  <div class="footer">
-    <a href="https://github.com/nasomers/flycast-wasm">github.com/nasomers/flycast-wasm</a>
-  </div>
-  <script>
-    var biosUrl = '${biosUrl}';
-    var extraBios = ${extraBiosJson};
+    throw e
+  }
+}
 
-    function launchGame(romUrl, romName) {
-      if (!biosUrl) {
-        alert('BIOS files missing. Place dc_boot.bin and dc_flash.bin in demo/bios/');
-        return;
-      }
-      var params = new URLSearchParams({
-        rom: romUrl,
-        core: 'flycast',
-        bios: biosUrl,
-        extraBios: JSON.stringify(extraBios),
-      });
-      window.location.href = '/emulator?' + params.toString();
-    }
-  </script>
-</body>
-</html>`
+// --- JSON API (v1) ---
+//
+//   GET  /api/v1/games                 library with format, size and metadata
+//   GET  /api/v1/games/<id>            one game
+//   POST /api/v1/games/<id>/launch     { bios?, core?, coreOptions?, patches?, overlay?, autosave?, netplay? } -> { url, ... }
+//   GET  /api/v1/games/<id>/screenshots            captured shots, newest first, and the card art
+//   POST /api/v1/games/<id>/screenshots[?auto=1]   store a PNG from the emulator page
+//   DELETE /api/v1/games/<id>/screenshots/<shot>   delete one
+//   GET  /api/v1/games/<id>/cheats                 the game's cheats and whether each is enabled
+//   POST /api/v1/games/<id>/cheats                 { file, filename?, format? } or { name, code }, validated
+//   PUT  /api/v1/games/<id>/cheats/<cheat>         { name?, enabled? }
+//   DELETE /api/v1/games/<id>/cheats/<cheat>       delete one
+//   GET  /api/v1/games/<id>/states                 save-state slots with core build and options hash
+//   GET  /api/v1/games/<id>/states/<slot>          the state itself
+//   PUT  /api/v1/games/<id>/states/<slot>?coreBuild=&optionsHash=   store a state in a slot
+//   DELETE /api/v1/games/<id>/states/<slot>        empty a slot
+//   GET/PUT /api/v1/games/<id>/states/<slot>/screenshot             the slot's PNG
+//   GET  /api/v1/games/<id>/verify     CHD SHA-1 verification state
+//   POST /api/v1/games/<id>/verify     start CHD SHA-1 verification
+//   GET  /api/v1/bios                  BIOS sets and the default set
+//   GET  /api/v1/core                  default core build and EmulatorJS status
+//   GET  /api/v1/cores                 every registered core build
+//   GET  /api/v1/patches               runtime patches that can be switched off
+//   GET  /api/v1/benchmarks            recorded sessions (?game=<key>)
+//   POST /api/v1/benchmarks            store a session from the overlay
+//   GET  /api/v1/benchmarks/<id>       one session with its samples
+//   GET  /api/v1/controls              controller profiles, Dreamcast controls, key and pad names
+//   GET  /api/v1/controls/<name>       one controller profile
+//   PUT  /api/v1/controls/<name>       { buttons, analog }, validated before it is stored
+//   DELETE /api/v1/controls/<name>     refused while a core options profile assigns it
+//   GET  /api/v1/netplay               open netplay rooms (the rooms themselves are on /netplay)
+//   GET  /api/v1/uploads               uploads in progress, the size limit and chunk size
+//   POST /api/v1/uploads               { kind: rom|bios, files: [{ name, size }], set?, replace? } -> upload
+//   GET  /api/v1/uploads/<id>          one upload with the bytes received per file
+//   PUT  /api/v1/uploads/<id>/files/<n>  next chunk of file n; Upload-Offset says where it starts
+//   POST /api/v1/uploads/<id>/complete check the files and move them into the library
+//   DELETE /api/v1/uploads/<id>        abandon an upload
+//   GET  /api/v1/health                setup checks; 503 until ready
+//
+// Errors are always { error: { code, message, details? } }.
+
+const API_VERSION = 1
+
+function sendApiError(res, status, code, message, details) {
+  sendJson(res, status, { error: { code, message, ...(details ? { details } : {}) } })
+}
+
+function gameJson(game) {
+  const saveKey = saves.gameKeyFor(game.path)
+  const profileKey = coreOptions.profileKeyFor(game.header, saveKey)
+  const shots = captures.listShots(CAPTURES_DIR, saveKey)
+  const cover = captures.coverShot(shots)
+  return {
+    id: fileIdFor(game.path),
+    file: game.name,
+    title: game.header && game.header.title ? game.header.title : game.setName || game.name,
+    format: game.format,
+    size: game.size,
+    tracks: game.disc ? game.disc.tracks.length
+      : game.chd && game.chd.tracks ? game.chd.tracks.length
+        : game.archive && game.archive.image && game.archive.image.disc ? game.archive.image.disc.tracks.length : null,
+    launchable: game.problems.length === 0,
+    problems: game.problems,
+    header: game.header,
+    chd: game.chd && game.chd.version
+      ? {
+          version: game.chd.version,
+          compressors: game.chd.compressors,
+          logicalBytes: game.chd.logicalBytes,
+          sha1: game.chd.sha1,
+          hasParent: game.chd.hasParent,
+          tracks: game.chd.tracks,
+          warnings: game.chd.warnings,
+          verification: getChdVerification(game.path),
+        }
+      : null,
+    archive: game.archive
+      ? {
+          format: game.archive.format,
+          image: game.archive.image ? game.archive.image.entry : null,
+          entries: game.archive.entries.map((e) => ({ name: e.name, size: e.size })),
+          ignored: game.archive.ignored,
+          warnings: game.archive.warnings,
+        }
+      : null,
+    discs: game.discs ? game.discs.map((d) => ({ number: d.number, file: d.name, format: d.format, size: d.size })) : null,
+    missingDiscs: game.missingDiscs,
+    saveKey,
+    thumbnail: cover ? shotJson(saveKey, cover).thumbnail : null,
+    screenshots: shots.length,
+    memoryCards: saves.listCards(SAVES_DIR, saveKey).map((c) => c.card),
+    profile: { key: profileKey, custom: coreOptions.hasProfile(PROFILES_DIR, profileKey) },
+  }
 }
 
-// Build the emulator page (with all runtime patches)
-function buildEmulatorPage(romUrl, biosUrl, extraBiosJson, coreOptionsJson) {
-  const dataUrl = '/data/'
-
-  let extraBiosFiles = []
-  try { extraBiosFiles = JSON.parse(extraBiosJson || '[]') } catch {}
-
-  let coreOptions = {}
-  try { coreOptions = JSON.parse(coreOptionsJson || '{}') } catch {}
-
-  // Default Dreamcast core options optimized for WASM
-  const defaultOptions = {
-    'reicast_boot_to_bios': 'disabled',
-    'reicast_hle_bios': 'disabled',
-    'reicast_threaded_rendering': 'disabled',
-    'reicast_synchronous_rendering': 'disabled',
-    'reicast_internal_resolution': '640x480',
-    'reicast_mipmapping': 'disabled',
-    'reicast_anisotropic_filtering': '1',
-    'reicast_texupscale': 'disabled',
-    'reicast_enable_rttb': 'disabled',
-    'reicast_enable_purupuru': 'disabled',
-    'reicast_alpha_sorting': 'per-strip (fast, least accurate)',
-    'reicast_delay_frame_swapping': 'disabled',
-    'reicast_frame_skipping': 'enabled',
-    'reicast_framerate': 'normal',
-    ...coreOptions,
-  }
-
-  const coreOptionsStr = Object.entries(defaultOptions)
-    .map(([k, v]) => `${k} = "${v}"`)
-    .join('\n') + '\n'
+function biosFileJson(info) {
+  const { file, ...rest } = info
+  return rest
+}
+
+function biosJson() {
+  const sets = bios.scanBiosSets(BIOS_DIR)
+  const defaultSet = bios.pickDefaultSet(sets)
+  return {
+    default: defaultSet ? defaultSet.name : null,
+    sets: sets.map((set) => ({
+      name: set.name,
+      usable: set.usable,
+      verified: set.verified,
+      region: set.region,
+      warnings: set.warnings,
+      boot: biosFileJson(set.boot),
+      flash: biosFileJson(set.flash),
+    })),
+  }
+}
+
+function readJsonFile(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'))
+  } catch {
+    return null
+  }
+}
+
+function emulatorJsVersion() {
+  const ejs = readJsonFile(path.join(DATA_DIR, 'version.json'))
+  return ejs && ejs.version ? String(ejs.version) : null
+}
+
+// Registered core builds (see lib/cores.js) and the one launches default to
+function coreBuilds() {
+  const builds = cores.scanBuilds({ dataDir: DATA_DIR, coresDir: CORES_DIR, configDir: CONFIG_DIR, ejsVersion: emulatorJsVersion() })
+  return { builds, fallback: cores.pickDefault(builds, DEFAULT_CORE) }
+}
+
+// Identity of a core build for benchmark sessions: name, version and a hash
+// of the core file, cached by size and mtime
+const coreHashes = new Map()
+
+function coreBuildId(build) {
+  const version = String(build.version || 'unknown').replace(/[^A-Za-z0-9._-]/g, '_')
+  if (!build.present) return `${build.name}-${version}`
+  const stamp = `${build.size}:${build.mtimeMs}`
+  let cached = coreHashes.get(build.file)
+  if (!cached || cached.stamp !== stamp) {
+    cached = { stamp, hash: crypto.createHash('sha256').update(fs.readFileSync(build.file)).digest('hex').slice(0, 8) }
+    coreHashes.set(build.file, cached)
+  }
+  return `${build.name}-${version}+${cached.hash}`
+}
+
+function buildJson(build, fallback) {
+  const { file, mtimeMs, ...rest } = build
+  return { ...rest, default: Boolean(fallback && fallback.name === build.name), id: coreBuildId(build) }
+}
+
+function coresJson() {
+  const { builds, fallback } = coreBuilds()
+  return {
+    default: fallback ? fallback.name : null,
+    builds: builds.map((b) => buildJson(b, fallback)),
+    emulatorjs: { present: fs.existsSync(path.join(DATA_DIR, 'loader.js')), version: emulatorJsVersion() },
+  }
+}
+
+// EmulatorJS files the offline cache fetches when the service worker installs
+const OFFLINE_ASSETS = ['loader.js', 'emulator.min.js', 'emulator.min.css', 'version.json']
+
+// What /sw.js caches. Its version is build.json's plus a digest of the
+// EmulatorJS version and core builds, so installing either starts a new cache.
+function serviceWorkerOptions() {
+  const meta = readJsonFile(path.join(CONFIG_DIR, 'build.json')) || {}
+  const { builds, fallback } = coreBuilds()
+  const digest = crypto.createHash('sha256').update(JSON.stringify([emulatorJsVersion(), builds.map(coreBuildId)])).digest('hex').slice(0, 8)
+  const files = OFFLINE_ASSETS.filter((f) => fs.existsSync(path.join(DATA_DIR, f)))
+  if (fallback && fallback.present) files.push(`cores/${cores.CORE_FILE}`)
+  return {
+    version: `${meta.version || 'dev'}-${digest}`,
+    precache: fallback ? files.map((f) => `/builds/${encodeURIComponent(fallback.name)}/${f}`) : [],
+    discQuota: DISC_CACHE,
+    isolationHeaders: ISOLATION_HEADERS,
+  }
+}
+
+// The default build in the shape /api/v1/core has always returned
+function coreJson() {
+  const { builds, fallback } = coreBuilds()
+  const build = fallback || builds[0] || null
+  const meta = readJsonFile(path.join(CONFIG_DIR, 'build.json')) || {}
+  return {
+    core: {
+      present: Boolean(build && build.present),
+      size: build ? build.size : null,
+      modified: build ? build.modified : null,
+      version: build ? build.version : meta.version || null,
+      minimumEJSVersion: build ? build.minimumEJSVersion : meta.minimumEJSVersion || null,
+      build: build ? coreBuildId(build) : null,
+      name: build ? build.name : null,
+    },
+    emulatorjs: {
+      present: fs.existsSync(path.join(DATA_DIR, 'loader.js')),
+      version: emulatorJsVersion(),
+    },
+  }
+}
+
+// Setup check details name server paths for the startup checklist; over HTTP
+// they are given relative to the configured directory they sit in
+// ("roms", "bios/jp"), and paths outside every one of them are left out
+function publicDetail(text) {
+  const roots = [
+    ['data', DATA_DIR], ['cores', CORES_DIR], ['roms', ROMS_DIR], ['bios', BIOS_DIR], ['saves', SAVES_DIR],
+    ['profiles', PROFILES_DIR], ['config', CONFIG_DIR],
+  ]
+    .map(([name, dir]) => [name, path.resolve(dir)])
+    .sort((a, b) => b[1].length - a[1].length)
+  let result = text
+  for (const [name, dir] of roots) result = result.split(dir).join(name)
+  return path.isAbsolute(result) ? null : result.split(path.sep).join('/')
+}
+
+// Everything the startup checklist and /api/v1/health report. `hint` says
+// how to fix a failed check.
+function setupChecks() {
+  const coreFile = path.join(DATA_DIR, 'cores', cores.CORE_FILE)
+  const { builds, fallback } = coreBuilds()
+  const coreChecks = builds.length > 0
+    ? builds.map((build) => ({
+        name: `Core build "${build.name}": ${build.version || 'version unknown'}${fallback && fallback.name === build.name ? ' (default)' : ''}`,
+        ok: build.usable,
+        warn: build.warnings.length > 0,
+        details: [build.file, ...build.problems, ...build.warnings],
+      }))
+    : [{ name: 'Flycast core', ok: false, details: [coreFile, CORES_DIR] }]
+  if (!fallback) coreChecks[0].hint = `Copy flycast-wasm.data to ${path.dirname(coreFile)} or ${path.join(CORES_DIR, '<name>')}`
+  if (DEFAULT_CORE && (!fallback || fallback.name !== DEFAULT_CORE)) {
+    coreChecks.push({
+      name: `Default core build "${DEFAULT_CORE}"`,
+      ok: false,
+      details: [fallback ? `not usable; launches use "${fallback.name}"` : 'not installed'],
+      hint: `Install the "${DEFAULT_CORE}" build in ${path.join(CORES_DIR, DEFAULT_CORE)} or change --default-core`,
+    })
+  }
+  const biosSets = bios.scanBiosSets(BIOS_DIR)
+  const biosChecks = biosSets.length > 0
+    ? biosSets.map((set) => ({
+        name: `BIOS set "${set.name}": ${[set.boot.version, set.region, set.flash.broadcast].filter(Boolean).join(' ') || 'unidentified'}`,
+        ok: set.usable,
+        warn: !set.verified,
+        details: [set.dir, ...set.warnings],
+      }))
+    : [{ name: 'BIOS (dc_boot.bin + dc_flash.bin)', ok: false, details: [BIOS_DIR] }]
+  if (!bios.pickDefaultSet(biosSets)) biosChecks[0].hint = `Place dc_boot.bin + dc_flash.bin in ${BIOS_DIR}`
+
+  let optionProblems = []
+  try {
+    coreOptions.resolveOptions({ configPath: CORE_OPTIONS_FILE, profilesDir: PROFILES_DIR })
+  } catch (e) {
+    optionProblems = e instanceof coreOptions.CoreOptionsError ? [`${e.source}:`, ...e.problems] : [e.message]
+  }
+
+  const secure = Boolean(tls) || serverConfig.isLoopback(HOST)
+  const httpsCheck = tls
+    ? {
+        name: tls.selfSigned ? 'HTTPS (self-signed certificate)' : 'HTTPS',
+        ok: true,
+        warn: tls.selfSigned,
+        details: [
+          tls.certFile + (tls.generated ? ' (generated)' : ''),
+          ...(tls.selfSigned ? ['Browsers will warn once per device; accept the certificate to continue'] : []),
+        ],
+      }
+    : {
+        name: 'Secure context',
+        ok: true,
+        warn: !secure,
+        details: secure ? [] : [`Other devices reach ${HOST} over plain HTTP, so SharedArrayBuffer is unavailable; use --https`],
+      }
+
+  return [
+    {
+      name: 'EmulatorJS data',
+      ok: fs.existsSync(path.join(DATA_DIR, 'loader.js')),
+      details: [DATA_DIR],
+      hint: `Copy EmulatorJS data/ directory to ${DATA_DIR}`,
+    },
+    ...coreChecks,
+    ...biosChecks,
+    {
+      name: 'Core options (defaults + global profile)',
+      ok: optionProblems.length === 0,
+      details: [PROFILES_DIR, ...optionProblems],
+      hint: 'Fix the core options listed above (config/dreamcast-core-options.json or the global profile)',
+    },
+    { name: 'ROMs directory', ok: fs.existsSync(ROMS_DIR), details: [ROMS_DIR], hint: `Create ${ROMS_DIR} and add .chd/.cdi/.gdi/.cue/.zip files` },
+    { name: 'Saves directory', ok: true, details: [SAVES_DIR] },
+    httpsCheck,
+  ]
+}
+
+// Title of the game a profile belongs to, for the options page heading
+async function profileTitle(key) {
+  const game = (await libraryGames())
+    .find((g) => coreOptions.profileKeyFor(g.header, saves.gameKeyFor(g.path)) === key)
+  if (!game) return key
+  return game.header && game.header.title ? game.header.title : game.name
+}
+
+async function findGame(id) {
+  const romPath = lookupFile(id)
+  if (!romPath) return null
+  return (await libraryGames()).find((g) => path.resolve(g.path) === path.resolve(romPath)) || null
+}
+
+async function handleApi(req, res, rest) {
+  const parts = rest.split('/').filter(Boolean).map(decodeSegment)
+  if (parts.includes(null)) {
+    sendApiError(res, 400, 'invalid_request', 'malformed percent-encoding in the URL')
+    return
+  }
+  const withId = ['games', 'benchmarks', 'controls', 'uploads'].includes(parts[0])
+  const subId = parts[0] === 'games' ? { screenshots: ':shot', cheats: ':cheat', states: ':slot' }[parts[2]] : { uploads: ':n' }[parts[0]]
+  const route = `${req.method} ${parts.map((p, i) => (withId && i === 1 ? ':id' : subId && i === 3 ? subId : p)).join('/')}`
+
+  switch (route) {
+    case 'GET ':
+      sendJson(res, 200, { version: API_VERSION, endpoints: ['games', 'bios', 'core', 'cores', 'patches', 'benchmarks', 'controls', 'netplay', 'uploads', 'health'] })
+      return
+
+    case 'GET games':
+      indexLibrary()
+      sendJson(res, 200, { games: (await libraryGames()).map(gameJson) })
+      return
+
+    case 'GET games/:id':
+    case 'GET games/:id/verify':
+    case 'POST games/:id/verify':
+    case 'POST games/:id/launch':
+    case 'GET games/:id/screenshots':
+    case 'POST games/:id/screenshots':
+    case 'DELETE games/:id/screenshots/:shot':
+    case 'GET games/:id/cheats':
+    case 'POST games/:id/cheats':
+    case 'PUT games/:id/cheats/:cheat':
+    case 'DELETE games/:id/cheats/:cheat':
+    case 'GET games/:id/states':
+    case 'GET games/:id/states/:slot':
+    case 'PUT games/:id/states/:slot':
+    case 'DELETE games/:id/states/:slot':
+    case 'GET games/:id/states/:slot/screenshot':
+    case 'PUT games/:id/states/:slot/screenshot': {
+      const game = await findGame(parts[1])
+      if (!game) {
+        sendApiError(res, 404, 'game_not_found', `no game with id ${parts[1]}`)
+        return
+      }
+      if (parts[2] === 'screenshots') {
+        await handleApiScreenshots(req, res, game, parts[3])
+        return
+      }
+      if (parts[2] === 'cheats') {
+        await handleApiCheats(req, res, game, parts[3])
+        return
+      }
+      if (parts[2] === 'states') {
+        await handleApiStates(req, res, game, parts[3], parts[4])
+        return
+      }
+      if (parts[2] === 'verify') {
+        if (!game.chd) {
+          sendApiError(res, 400, 'not_a_chd', 'only CHD images outside archives can be verified')
+          return
+        }
+        sendJson(res, 200, req.method === 'POST' ? startChdVerification(game.path) : getChdVerification(game.path))
+        return
+      }
+      if (parts[2] === 'launch') {
+        await handleApiLaunch(req, res, parts[1])
+        return
+      }
+      sendJson(res, 200, gameJson(game))
+      return
+    }
+
+    case 'GET bios':
+      sendJson(res, 200, biosJson())
+      return
+
+    case 'GET core':
+      sendJson(res, 200, coreJson())
+      return
+
+    case 'GET cores':
+      sendJson(res, 200, coresJson())
+      return
+
+    case 'GET patches':
+      sendJson(res, 200, { patches: runtimePatches.PATCHES.map((p) => ({ ...p, default: true })) })
+      return
+
+    case 'GET benchmarks': {
+      const game = new URL(req.url, 'http://localhost').searchParams.get('game')
+      sendJson(res, 200, { sessions: benchmarks.listSessions(BENCHMARKS_DIR, { game }) })
+      return
+    }
+
+    case 'POST benchmarks':
+      await handleApiBenchmark(req, res)
+      return
+
+    case 'GET benchmarks/:id': {
+      const session = benchmarks.readSession(BENCHMARKS_DIR, parts[1])
+      if (!session) {
+        sendApiError(res, 404, 'session_not_found', `no benchmark session with id ${parts[1]}`)
+        return
+      }
+      sendJson(res, 200, session)
+      return
+    }
+
+    case 'GET controls':
+      sendJson(res, 200, {
+        profiles: controls.listMappings(PROFILES_DIR),
+        players: controls.PLAYERS,
+        controls: controls.DC_CONTROLS.map(({ id, label }) => ({ id, label })),
+        keys: controls.KEYBOARD_KEYS,
+        padInputs: controls.PAD_INPUTS,
+        defaults: { buttons: controls.DEFAULT_BUTTONS, analog: controls.DEFAULT_ANALOG },
+      })
+      return
+
+    case 'GET controls/:id':
+    case 'PUT controls/:id':
+    case 'DELETE controls/:id':
+      await handleApiControls(req, res, parts[1])
+      return
+
+    case 'GET netplay':
+      sendJson(res, 200, { rooms: rooms.listRooms() })
+      return
+
+    case 'GET uploads':
+    case 'POST uploads':
+    case 'GET uploads/:id':
+    case 'DELETE uploads/:id':
+    case 'PUT uploads/:id/files/:n':
+    case 'POST uploads/:id/complete':
+      await handleApiUploads(req, res, route, parts)
+      return
+
+    case 'GET health': {
+      const checks = setupChecks().map(({ hint, ...c }) => ({
+        ...c,
+        warn: Boolean(c.warn),
+        details: c.details.map(publicDetail).filter(Boolean),
+      }))
+      const ready = checks.every((c) => c.ok)
+      sendJson(res, ready ? 200 : 503, { status: ready ? 'ready' : 'not_ready', checks })
+      return
+    }
+  }
+
+  const known = ['', 'games', 'games/:id', 'games/:id/verify', 'games/:id/launch', 'games/:id/screenshots',
+    'games/:id/screenshots/:shot', 'games/:id/cheats', 'games/:id/cheats/:cheat',
+    'games/:id/states', 'games/:id/states/:slot', 'games/:id/states/:slot/screenshot', 'bios', 'core', 'cores', 'patches',
+    'benchmarks', 'benchmarks/:id', 'controls', 'controls/:id', 'netplay', 'uploads', 'uploads/:id',
+    'uploads/:id/files/:n', 'uploads/:id/complete', 'health']
+  if (known.includes(route.slice(req.method.length + 1))) {
+    sendApiError(res, 405, 'method_not_allowed', `${req.method} is not supported here`)
+  } else {
+    sendApiError(res, 404, 'not_found', `no API endpoint /api/v${API_VERSION}/${parts.join('/')}`)
+  }
+}
+
+function shotJson(key, shot) {
+  const base = `/captures/${encodeURIComponent(key)}/${shot.id}`
+  return { ...shot, url: `${base}.png`, thumbnail: `${base}.thumb.png` }
+}
+
+// Screenshots of one game. The emulator page posts the core's PNG as is;
+// ?auto=1 marks the shot taken after the boot delay.
+async function handleApiScreenshots(req, res, game, shotId) {
+  const key = saves.gameKeyFor(game.path)
+  try {
+    if (req.method === 'POST') {
+      const data = await readBody(req, captures.MAX_SHOT_BYTES)
+      const auto = new URL(req.url, 'http://localhost').searchParams.get('auto') === '1'
+      sendJson(res, 201, shotJson(key, captures.saveShot(CAPTURES_DIR, key, data, { auto })))
+      return
+    }
+    if (req.method === 'DELETE') {
+      if (!captures.deleteShot(CAPTURES_DIR, key, shotId)) {
+        sendApiError(res, 404, 'screenshot_not_found', `no screenshot ${shotId} for this game`)
+        return
+      }
+      res.writeHead(204, ISOLATION_HEADERS)
+      res.end()
+      return
+    }
+    const shots = captures.listShots(CAPTURES_DIR, key)
+    const cover = captures.coverShot(shots)
+    sendJson(res, 200, { cover: cover ? cover.id : null, screenshots: shots.map((s) => shotJson(key, s)) })
+  } catch (e) {
+    if (!(e instanceof captures.CaptureError)) throw e
+    sendApiError(res, 400, 'invalid_screenshot', e.message)
+  }
+}
+
+// Cheats are kept by profile key, the same key the launch uses for core options
+function cheatKeyFor(game) {
+  return coreOptions.profileKeyFor(game.archive ? null : game.header, saves.gameKeyFor(game.path))
+}
+
+// Cheats of one game. POST imports a CodeBreaker / Action Replay list or a
+// libretro .cht file ({ file }) or adds one cheat typed in ({ name, code });
+// nothing is stored unless every cheat in it is valid.
+async function handleApiCheats(req, res, game, cheatId) {
+  const key = cheatKeyFor(game)
+  try {
+    if (req.method === 'POST' || req.method === 'PUT') {
+      let body
+      try {
+        body = await readJsonBody(req, cheats.MAX_FILE_BYTES * 2)
+      } catch (e) {
+        if (e.status) throw e
+        sendApiError(res, 400, 'invalid_json', 'request body is not valid JSON')
+        return
+      }
+      if (req.method === 'PUT') {
+        const cheat = cheats.updateCheat(PROFILES_DIR, key, cheatId, body)
+        if (!cheat) {
+          sendApiError(res, 404, 'cheat_not_found', `no cheat ${cheatId} for this game`)
+          return
+        }
+        sendJson(res, 200, cheat)
+        return
+      }
+      const parsed = body && typeof body.file === 'string'
+        ? cheats.parseCheatFile(body.file, { format: body.format, filename: body.filename }).cheats
+        : [cheats.parseCheat(body)]
+      sendJson(res, 201, cheats.addCheats(PROFILES_DIR, key, parsed))
+      return
+    }
+    if (req.method === 'DELETE') {
+      if (!cheats.deleteCheat(PROFILES_DIR, key, cheatId)) {
+        sendApiError(res, 404, 'cheat_not_found', `no cheat ${cheatId} for this game`)
+        return
+      }
+      res.writeHead(204, ISOLATION_HEADERS)
+      res.end()
+      return
+    }
+    sendJson(res, 200, { key, cheats: cheats.readCheats(PROFILES_DIR, key) })
+  } catch (e) {
+    if (!(e instanceof cheats.CheatsError)) throw e
+    sendApiError(res, 400, 'invalid_cheats', e.message, e.problems)
+  }
+}
+
+function stateJson(game, state) {
+  const base = `/api/v${API_VERSION}/games/${encodeURIComponent(fileIdFor(game.path))}/states/${encodeURIComponent(state.slot)}`
+  return { ...state, url: base, screenshotUrl: state.screenshot ? `${base}/screenshot` : null }
+}
+
+// Save-state slots of one game. The page PUTs the core's state as is, then
+// the screenshot taken with it.
+async function handleApiStates(req, res, game, slot, sub) {
+  const key = saves.gameKeyFor(game.path)
+  try {
+    if (slot === undefined) {
+      sendJson(res, 200, { states: states.listStates(SAVES_DIR, key).map((s) => stateJson(game, s)) })
+      return
+    }
+    if (req.method === 'PUT') {
+      const query = new URL(req.url, 'http://localhost').searchParams
+      if (sub === 'screenshot') {
+        const state = states.saveScreenshot(SAVES_DIR, key, slot, await readBody(req, states.MAX_SCREENSHOT_BYTES))
+        if (!state) {
+          sendApiError(res, 404, 'state_not_found', `slot ${slot} is empty`)
+          return
+        }
+        sendJson(res, 200, stateJson(game, state))
+        return
+      }
+      const data = await readBody(req, states.MAX_STATE_BYTES)
+      const state = states.saveState(SAVES_DIR, key, slot, data, {
+        coreBuild: query.get('coreBuild'),
+        optionsHash: query.get('optionsHash'),
+      })
+      sendJson(res, 200, stateJson(game, state))
+      return
+    }
+    if (req.method === 'DELETE') {
+      if (!states.deleteState(SAVES_DIR, key, slot)) {
+        sendApiError(res, 404, 'state_not_found', `slot ${slot} is empty`)
+        return
+      }
+      res.writeHead(204, ISOLATION_HEADERS)
+      res.end()
+      return
+    }
+    const file = sub === 'screenshot' ? states.screenshotPath(SAVES_DIR, key, slot) : (states.readState(SAVES_DIR, key, slot) || {}).file
+    if (!file) {
+      sendApiError(res, 404, 'state_not_found', sub === 'screenshot' ? `slot ${slot} has no screenshot` : `slot ${slot} is empty`)
+      return
+    }
+    serveStatic(req, res, file)
+  } catch (e) {
+    if (!(e instanceof states.StateError)) throw e
+    sendApiError(res, 400, 'invalid_state', e.message)
+  }
+}
+
+// Chunked uploads into the ROM library or a BIOS set. Chunks are streamed
+// straight to disk; the upload only reaches the library once it is complete
+// and its content has been checked.
+async function handleApiUploads(req, res, route, parts) {
+  try {
+    switch (route) {
+      case 'GET uploads':
+        sendJson(res, 200, { maxBytes: uploadStore.maxBytes, chunkSize: uploadStore.chunkSize, uploads: uploadStore.list() })
+        return
+
+      case 'POST uploads': {
+        let body
+        try {
+          body = await readJsonBody(req, 64 * 1024)
+        } catch (e) {
+          if (e.status) throw e
+          sendApiError(res, 400, 'invalid_json', 'request body is not valid JSON')
+          return
+        }
+        sendJson(res, 201, { ...uploadStore.create(body), chunkSize: uploadStore.chunkSize })
+        return
+      }
+
+      case 'GET uploads/:id':
+        sendJson(res, 200, uploadStore.get(parts[1]))
+        return
+
+      case 'DELETE uploads/:id':
+        uploadStore.remove(parts[1])
+        res.writeHead(204, ISOLATION_HEADERS)
+        res.end()
+        return
+
+      case 'PUT uploads/:id/files/:n': {
+        const offset = Number(req.headers['upload-offset'])
+        if (!/^\d+$/.test(parts[3]) || !Number.isSafeInteger(offset) || offset < 0) {
+          sendApiError(res, 400, 'invalid_request', 'PUT needs a file number and an Upload-Offset header')
+          return
+        }
+        sendJson(res, 200, await uploadStore.writeChunk(parts[1], Number(parts[3]), offset, req))
+        return
+      }
+
+      case 'POST uploads/:id/complete': {
+        const result = await uploadStore.complete(parts[1])
+        indexLibrary()
+        if (result.kind === 'bios') {
+          const set = biosJson().sets.find((s) => s.name === result.set)
+          sendJson(res, 201, { kind: 'bios', set, warnings: result.warnings })
+          return
+        }
+        const placed = result.games.map((p) => path.resolve(p))
+        const games = (await libraryGames())
+          .filter((g) => (g.discs || [g]).some((d) => placed.includes(path.resolve(d.path))))
+          .map(gameJson)
+        sendJson(res, 201, { kind: 'rom', games })
+        return
+      }
+    }
+  } catch (e) {
+    if (!(e instanceof uploads.UploadError)) throw e
+    if (res.headersSent) return
+    sendApiError(res, e.status, e.code, e.message, e.details)
+  }
+}
+
+// Validate a launch and hand back the bookmarkable emulator URL
+async function handleApiLaunch(req, res, id) {
+  let body
+  try {
+    // No body at all launches with the defaults
+    const empty = !req.headers['content-type'] && !Number(req.headers['content-length'] || 0) && !req.headers['transfer-encoding']
+    body = empty ? {} : await readJsonBody(req, 64 * 1024)
+  } catch (e) {
+    if (e.status) throw e
+    sendApiError(res, 400, 'invalid_json', 'request body is not valid JSON')
+    return
+  }
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    sendApiError(res, 400, 'invalid_request', 'request body must be a JSON object')
+    return
+  }
+
+  const params = new URLSearchParams({ game: id })
+  if (body.bios !== undefined) params.set('bios', String(body.bios))
+  if (body.core !== undefined) params.set('core', String(body.core))
+  if (body.coreOptions !== undefined) params.set('coreOptions', JSON.stringify(body.coreOptions))
+  if (body.patches !== undefined) params.set('patches', JSON.stringify(body.patches))
+  if (body.netplay) params.set('netplay', String(body.netplay))
+  if (body.overlay === true) params.set('overlay', '1')
+  if (body.autosave === true) params.set('autosave', '1')
+
+  const launch = await resolveLaunch(params)
+  if (launch.error) {
+    sendApiError(res, launch.error.status, launch.error.code, launch.error.message, launch.error.details)
+    return
+  }
+  sendJson(res, 200, {
+    url: `/emulator?${params}`,
+    game: id,
+    bios: launch.biosSet,
+    core: launch.core,
+    options: launch.options,
+    patches: launch.patches,
+    controls: Object.fromEntries(launch.controls.map((c) => [c.player, c.name])),
+    netplay: params.get('netplay'),
+  })
+}
+
+// Core options profiles that assign a controller profile to a player
+function controlsAssignedIn(name) {
+  let keys = []
+  try {
+    keys = fs.readdirSync(path.join(PROFILES_DIR, 'games'))
+      .filter((f) => f.endsWith('.json'))
+      .map((f) => f.slice(0, -5))
+      .filter((key) => coreOptions.isValidProfileKey(key))
+  } catch {}
+  return [coreOptions.GLOBAL_PROFILE, ...keys].filter((key) => {
+    try {
+      return Object.values(coreOptions.readProfileControls(PROFILES_DIR, key)).includes(name)
+    } catch {
+      return false
+    }
+  })
+}
+
+async function handleApiControls(req, res, name) {
+  if (!controls.isValidMappingName(name)) {
+    sendApiError(res, 400, 'invalid_name', `invalid controller profile name ${JSON.stringify(name)}`)
+    return
+  }
+
+  try {
+    if (req.method === 'PUT') {
+      let body
+      try {
+        body = await readJsonBody(req, 64 * 1024)
+      } catch (e) {
+        if (e.status) throw e
+        sendApiError(res, 400, 'invalid_json', 'request body is not valid JSON')
+        return
+      }
+      sendJson(res, 200, controls.writeMapping(PROFILES_DIR, name, body))
+      return
+    }
+
+    if (req.method === 'DELETE') {
+      const assigned = controlsAssignedIn(name)
+      if (assigned.length > 0) {
+        sendApiError(res, 409, 'controls_in_use', `controller profile ${name} is assigned in ${assigned.length} core options profile(s)`,
+          await Promise.all(assigned.map(async (key) => `assigned in ${await profileTitle(key)}`)))
+        return
+      }
+      if (!controls.deleteMapping(PROFILES_DIR, name)) {
+        sendApiError(res, 404, 'controls_not_found', `no controller profile named ${name}`)
+        return
+      }
+      res.writeHead(204, ISOLATION_HEADERS)
+      res.end()
+      return
+    }
+
+    const mapping = controls.readMapping(PROFILES_DIR, name)
+    if (!mapping) {
+      sendApiError(res, 404, 'controls_not_found', `no controller profile named ${name}`)
+      return
+    }
+    sendJson(res, 200, mapping)
+  } catch (e) {
+    if (!(e instanceof controls.ControlsError)) throw e
+    sendApiError(res, 400, 'invalid_controls', e.message, e.problems)
+  }
+}
+
+// Store a session recorded by the emulator page's performance overlay. The
+// body names the game by ID and repeats the options it was launched with;
+// both are checked again here before the session is filed under them.
+async function handleApiBenchmark(req, res) {
+  let body
+  try {
+    body = await readJsonBody(req, 256 * 1024)
+  } catch (e) {
+    if (e.status) throw e
+    sendApiError(res, 400, 'invalid_json', 'request body is not valid JSON')
+    return
+  }
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    sendApiError(res, 400, 'invalid_request', 'request body must be a JSON object')
+    return
+  }
+
+  const game = await findGame(body.game)
+  if (!game) {
+    sendApiError(res, 404, 'game_not_found', `no game with id ${body.game}`)
+    return
+  }
+  const problems = [
+    ...coreOptions.validateOptions(body.options || {}),
+    ...runtimePatches.validateToggles(body.patches || {}),
+  ]
+  if (problems.length > 0) {
+    sendApiError(res, 400, 'invalid_session', 'session options are not valid', problems)
+    return
+  }
+
+  let session
+  try {
+    session = benchmarks.createSession(body, {
+      game: {
+        key: saves.gameKeyFor(game.path),
+        title: game.header && game.header.title ? game.header.title : game.name,
+        file: game.name,
+      },
+      coreBuild: body.coreBuild,
+      options: body.options || {},
+      patches: runtimePatches.resolveToggles('patches', body.patches || {}),
+    })
+  } catch (e) {
+    if (!(e instanceof benchmarks.BenchmarkError)) throw e
+    sendApiError(res, 400, 'invalid_session', e.message, e.problems)
+    return
+  }
+  benchmarks.saveSession(BENCHMARKS_DIR, session)
+  const { samples, ...summary } = session
+  sendJson(res, 201, summary)
+}
+
+// decodeURIComponent, or null when the escapes are malformed ("%E0"), so
+// handlers can answer 400 instead of throwing a URIError
+function decodeSegment(value) {
+  try {
+    return decodeURIComponent(value)
+  } catch {
+    return null
+  }
+}
+
+function sendJson(res, status, value) {
+  const body = JSON.stringify(value)
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Content-Length': Buffer.byteLength(body),
+    ...ISOLATION_HEADERS,
+  })
+  res.end(body)
+}
+
+// HTML page with its Content-Security-Policy; `nonce` is the one the page's
+// inline scripts were built with (none for script-free pages)
+function sendHtml(res, status, body, { nonce = null, cacheControl = 'no-cache' } = {}) {
+  res.writeHead(status, {
+    'Content-Type': 'text/html; charset=utf-8',
+    'Content-Length': Buffer.byteLength(body),
+    'Cache-Control': cacheControl,
+    'Content-Security-Policy': contentSecurityPolicy(nonce),
+    ...ISOLATION_HEADERS,
+  })
+  res.end(body)
+}
+
+// Human-readable error page for links opened in the browser
+function sendErrorPage(res, status, title, message) {
+  const html = `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)} — Flycast WASM</title>
+  <style>
+    body {
+      background: #0a0a1a;
+      color: #e8e0f0;
+      font-family: 'Segoe UI', system-ui, -apple-system, sans-serif;
+      min-height: 100vh;
+      margin: 0;
+      display: flex;
+      flex-direction: column;
+      align-items: center;
+      justify-content: center;
+      text-align: center;
+      padding: 20px;
+    }
+    h1 { font-size: 24px; font-weight: 300; letter-spacing: 2px; color: #ff2a6d; margin-bottom: 12px; }
+    p { color: #b0a8c0; font-size: 14px; max-width: 480px; white-space: pre-line; }
+    a { color: #05d9e8; text-decoration: none; margin-top: 20px; font-size: 14px; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(title.toUpperCase())}</h1>
+  <p>${escapeHtml(message)}</p>
+  <a href="/">Back to games</a>
+</body>
+</html>`
+  sendHtml(res, status, html, { cacheControl: 'no-store' })
+}
+
+// A page handler that failed unexpectedly, unless it already started its response
+function sendPageFailure(res, e) {
+  if (!res.headersSent) sendErrorPage(res, 500, 'Server error', e.message)
+}
+
+// Collect a request body, rejecting anything over `limit` bytes
+function readBody(req, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = []
+    let size = 0
+    req.on('data', (chunk) => {
+      size += chunk.length
+      if (size > limit) {
+        reject(Object.assign(new Error(`request body exceeds ${limit} bytes`), { status: 413 }))
+        req.destroy()
+        return
+      }
+      chunks.push(chunk)
+    })
+    req.on('end', () => resolve(Buffer.concat(chunks)))
+    req.on('error', reject)
+  })
+}
+
+function mediaType(req) {
+  return (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase()
+}
+
+// Parse a JSON request body. Anything not sent as application/json gets 415,
+// so a cross-site form post can never reach a JSON handler.
+async function readJsonBody(req, limit) {
+  if (mediaType(req) !== 'application/json') {
+    throw Object.assign(new Error('request body must be sent as application/json'), { status: 415 })
+  }
+  return JSON.parse((await readBody(req, limit)).toString('utf8'))
+}
+
+// Content types any page can POST cross-site without a CORS preflight
+const FORM_CONTENT_TYPES = ['application/x-www-form-urlencoded', 'multipart/form-data', 'text/plain']
+
+// Requests that change state must come from this server's own pages (or from a
+// non-browser client, which sends no Origin). Returns why a write is refused,
+// or null to let it through.
+function refuseCrossSiteWrite(req) {
+  if (req.method === 'GET' || req.method === 'HEAD') return null
+  const site = req.headers['sec-fetch-site']
+  let sameOrigin = !site || site === 'same-origin' || site === 'none'
+  if (req.headers.origin) {
+    try {
+      sameOrigin = sameOrigin && new URL(req.headers.origin).host === req.headers.host
+    } catch {
+      sameOrigin = false
+    }
+  }
+  if (!sameOrigin) return { status: 403, code: 'cross_origin', message: 'requests from other sites may not change anything here' }
+  if (FORM_CONTENT_TYPES.includes(mediaType(req))) {
+    return { status: 415, code: 'unsupported_media_type', message: `${mediaType(req)} bodies are not accepted; send application/json` }
+  }
+  return null
+}
+
+function getMime(filePath) {
+  return MIME[path.extname(filePath).toLowerCase()] || 'application/octet-stream'
+}
+
+// Static assets revalidate on every use (cheap 304s); .br/.gz siblings are
+// served to clients that accept them
+function serveStatic(req, res, filePath) {
+  const sent = httpFiles.sendFile(req, res, filePath, {
+    headers: ISOLATION_HEADERS,
+    contentType: getMime(filePath),
+    precompressed: true,
+  })
+  if (!sent) {
+    res.writeHead(404, ISOLATION_HEADERS)
+    res.end('Not found')
+  }
+}
+
+// ROMs and BIOS files behind signed links, with range support for large
+// disc images
+function serveLibraryFile(req, res, parts) {
+  const absolutePath = resolveSignedPath(res, parts)
+  if (!absolutePath) return
+  const sent = httpFiles.sendFile(req, res, absolutePath, {
+    headers: ISOLATION_HEADERS,
+    cacheControl: 'private, no-cache',
+    contentType: getMime(absolutePath),
+  })
+  if (!sent) sendErrorPage(res, 410, 'No longer available', 'This file has been removed from the library or renamed.')
+}
+
+// Styles of the launcher, shared with the static export's launcher
+const LAUNCHER_STYLE = `    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body {
+      background: #0a0a1a;
+      color: #e8e0f0;
+      font-family: 'Segoe UI', system-ui, -apple-system, sans-serif;
+      min-height: 100vh;
+      display: flex;
+      flex-direction: column;
+      align-items: center;
+    }
+    .header {
+      text-align: center;
+      padding: 40px 20px 20px;
+    }
+    .header h1 {
+      font-size: 28px;
+      font-weight: 300;
+      letter-spacing: 2px;
+      color: #ff2a6d;
+      margin-bottom: 8px;
+    }
+    .header p {
+      color: #6a6480;
+      font-size: 14px;
+    }
+    .status {
+      display: flex;
+      gap: 20px;
+      justify-content: center;
+      padding: 20px;
+      flex-wrap: wrap;
+    }
+    .status-item {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      font-size: 13px;
+      color: #b0a8c0;
+    }
+    .dot {
+      width: 8px;
+      height: 8px;
+      border-radius: 50%;
+    }
+    .dot.ok { background: #01ffc3; }
+    .dot.missing { background: #ff003c; }
+    .dot.warn { background: #f5d300; }
+    .status-note { color: #6a6480; }
+    .status select {
+      background: #14142a;
+      color: #e8e0f0;
+      border: 1px solid rgba(255,255,255,0.15);
+      border-radius: 4px;
+      padding: 2px 6px;
+      font-size: 12px;
+    }
+    .bios-warnings {
+      list-style: none;
+      text-align: center;
+      color: #f5d300;
+      font-size: 13px;
+      padding: 0 20px 10px;
+    }
+    .games {
+      max-width: 800px;
+      width: 100%;
+      padding: 20px;
+    }
+    .games h2 {
+      font-size: 16px;
+      font-weight: 600;
+      letter-spacing: 1px;
+      text-transform: uppercase;
+      color: #05d9e8;
+      margin-bottom: 16px;
+      padding-bottom: 8px;
+      border-bottom: 1px solid rgba(5, 217, 232, 0.2);
+    }
+    .game-card {
+      display: flex;
+      align-items: center;
+      gap: 12px;
+      padding: 14px 16px;
+      margin-bottom: 8px;
+      background: rgba(255,255,255,0.03);
+      border: 1px solid rgba(255,255,255,0.07);
+      border-radius: 10px;
+      cursor: pointer;
+      transition: all 0.15s;
+    }
+    .game-card:hover {
+      background: rgba(255, 42, 109, 0.08);
+      border-color: rgba(255, 42, 109, 0.3);
+      transform: translateX(4px);
+    }
+    .game-icon {
+      color: #ff2a6d;
+      font-size: 18px;
+      width: 32px;
+      text-align: center;
+    }
+    .game-art {
+      width: 96px;
+      height: 72px;
+      object-fit: cover;
+      border-radius: 6px;
+      background: #000;
+      flex-shrink: 0;
+    }
+    .game-name {
+      font-size: 15px;
+      font-weight: 500;
+    }
+    .game-detail {
+      font-size: 12px;
+      color: #6a6480;
+      margin-top: 2px;
+    }
+    .badge {
+      display: inline-block;
+      font-size: 10px;
+      font-weight: 600;
+      letter-spacing: 0.5px;
+      text-transform: uppercase;
+      color: #05d9e8;
+      border: 1px solid rgba(5, 217, 232, 0.3);
+      border-radius: 4px;
+      padding: 1px 5px;
+      margin-left: 8px;
+      vertical-align: middle;
+    }
+    .game-card.broken {
+      cursor: not-allowed;
+      border-color: rgba(255, 0, 60, 0.3);
+    }
+    .game-card.broken:hover {
+      background: rgba(255,255,255,0.03);
+      transform: none;
+    }
+    .game-card.broken .game-icon { color: #ff003c; }
+    .game-chd {
+      font-size: 12px;
+      color: #6a6480;
+      margin-top: 4px;
+      cursor: default;
+    }
+    .game-chd summary { cursor: pointer; }
+    .game-tracks, .game-warnings {
+      list-style: none;
+      padding-left: 12px;
+    }
+    .game-warnings { color: #f5d300; padding-left: 0; }
+    .verify {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      margin-top: 4px;
+    }
+    .verify-status.ok { color: #01ffc3; }
+    .verify-status.mismatch, .verify-status.error { color: #ff003c; }
+    .verify-status.running { color: #05d9e8; }
+    .verify-btn {
+      background: none;
+      border: 1px solid rgba(255,255,255,0.15);
+      border-radius: 4px;
+      color: #b0a8c0;
+      font-size: 11px;
+      padding: 1px 8px;
+      cursor: pointer;
+    }
+    .verify-btn:hover { border-color: #ff2a6d; color: #ff2a6d; }
+    .game-links {
+      display: flex;
+      gap: 12px;
+      margin-top: 4px;
+    }
+    .game-link {
+      font-size: 12px;
+      color: #05d9e8;
+      text-decoration: none;
+    }
+    .game-link:hover { text-decoration: underline; }
+    .game-problems {
+      list-style: none;
+      font-size: 12px;
+      color: #ff6b8b;
+      margin-top: 4px;
+    }
+    .empty {
+      color: #6a6480;
+      font-size: 14px;
+      padding: 20px;
+      text-align: center;
+    }
+    .empty code {
+      background: rgba(255,255,255,0.06);
+      padding: 2px 6px;
+      border-radius: 4px;
+      font-size: 13px;
+    }
+    .drop-zones {
+      display: flex;
+      gap: 12px;
+    }
+    .drop-zone {
+      flex: 1;
+      display: flex;
+      flex-direction: column;
+      gap: 4px;
+      padding: 18px 16px;
+      border: 1px dashed rgba(255,255,255,0.2);
+      border-radius: 10px;
+      font-size: 13px;
+      color: #b0a8c0;
+      cursor: pointer;
+      transition: all 0.15s;
+    }
+    .drop-zone strong { color: #e8e0f0; font-weight: 500; }
+    .drop-zone:hover, .drop-zone.over {
+      border-color: #ff2a6d;
+      background: rgba(255, 42, 109, 0.08);
+    }
+    .upload-options {
+      display: flex;
+      gap: 16px;
+      align-items: center;
+      font-size: 12px;
+      color: #b0a8c0;
+      margin-top: 10px;
+    }
+    .upload-options input[type=text] {
+      background: #14142a;
+      color: #e8e0f0;
+      border: 1px solid rgba(255,255,255,0.15);
+      border-radius: 4px;
+      padding: 2px 6px;
+      font-size: 12px;
+      width: 120px;
+    }
+    .upload {
+      padding: 10px 16px;
+      margin-top: 8px;
+      background: rgba(255,255,255,0.03);
+      border: 1px solid rgba(255,255,255,0.07);
+      border-radius: 10px;
+      font-size: 13px;
+    }
+    .upload progress { width: 100%; height: 6px; margin-top: 6px; accent-color: #05d9e8; }
+    .upload.done { border-color: rgba(1, 255, 195, 0.3); }
+    .upload.failed { border-color: rgba(255, 0, 60, 0.3); }
+    .footer {
+      padding: 30px;
+      text-align: center;
+      color: #3a3650;
+      font-size: 12px;
+    }
+    .footer a { color: #ff2a6d; text-decoration: none; }
+    .footer a:hover { text-decoration: underline; }`
+
+// Build the launcher page (game picker). The page is a client of the JSON
+// API: games, BIOS sets and launch URLs all come from /api/v1.
+function buildLauncherPage(nonce) {
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Flycast WASM — Dreamcast Emulator</title>
+  <style>
+${LAUNCHER_STYLE}
+  </style>
+</head>
+<body>
+  <div class="header">
+    <h1>FLYCAST WASM</h1>
+    <p>Sega Dreamcast emulation in the browser via WebAssembly</p>
+  </div>
+  <div class="status" id="status">
+    <div class="status-item" id="bios-boot"></div>
+    <div class="status-item" id="bios-flash"></div>
+    <div class="status-item" id="bios-picker"></div>
+    <div class="status-item" id="core-picker"></div>
+    <div class="status-item" id="rom-count"></div>
+    <div class="status-item">
+      <a class="game-link" href="/options" id="global-options">Global core options</a>
+      <a class="game-link" href="/controls">Controllers</a>
+    </div>
+    <div class="status-item">
+      <label><input type="checkbox" id="perf-overlay"> Performance overlay</label>
+      <a class="game-link" href="/benchmarks">Benchmarks</a>
+    </div>
+    <div class="status-item">
+      <label><input type="checkbox" id="autosave-state"> Auto-save state on close</label>
+    </div>
+  </div>
+  <ul class="bios-warnings" id="bios-warnings"></ul>
+  <p class="empty" id="bios-missing" hidden>Place <code>dc_boot.bin</code> and <code>dc_flash.bin</code> in <code>demo/bios/</code></p>
+  <div class="games" id="netplay" hidden>
+    <h2>Netplay rooms</h2>
+    <div id="rooms"></div>
+  </div>
+  <div class="games">
+    <h2>Games</h2>
+    <div id="games"><p class="empty">Loading&hellip;</p></div>
+  </div>
+  <div class="games">
+    <h2>Add to library</h2>
+    <div class="drop-zones">
+      <label class="drop-zone" id="drop-rom">
+        <input type="file" id="pick-rom" multiple hidden>
+        <strong>Disc images</strong>
+        <span>Drop a .chd, .cdi, .iso, .zip or .7z, or a .gdi/.cue together with its track files</span>
+      </label>
+      <label class="drop-zone" id="drop-bios">
+        <input type="file" id="pick-bios" multiple hidden>
+        <strong>BIOS files</strong>
+        <span>Drop dc_boot.bin and dc_flash.bin; they are identified by content, whatever they are called</span>
+      </label>
+    </div>
+    <div class="upload-options">
+      <label>BIOS set <input type="text" id="upload-set" placeholder="default"></label>
+      <label><input type="checkbox" id="upload-replace"> Replace existing BIOS files</label>
+      <span class="status-note" id="upload-limit"></span>
+    </div>
+    <div id="uploads"></div>
+  </div>
+  <div class="games" id="offline-cache" hidden>
+    <h2>Offline cache</h2>
+    <div class="upload-options" id="offline-assets"></div>
+    <div id="offline-discs"></div>
+  </div>
+  <div class="footer">
+    <a href="https://github.com/nasomers/flycast-wasm">github.com/nasomers/flycast-wasm</a>
+  </div>
+  <script nonce="${nonce}">
+    var biosSets = [];
+    var defaultBiosSet = '';
+
+    function el(tag, cls, text) {
+      var e = document.createElement(tag);
+      if (cls) e.className = cls;
+      if (text !== undefined) e.textContent = text;
+      return e;
+    }
+
+    // fetch() against /api/v1, rejecting with the API's error message
+    function api(path, options) {
+      return fetch('/api/v1' + path, options).then(function(resp) {
+        return resp.json().then(function(body) {
+          if (!resp.ok) {
+            var err = new Error(body.error ? body.error.message : String(resp.status));
+            err.code = body.error && body.error.code;
+            err.details = body.error && body.error.details;
+            throw err;
+          }
+          return body;
+        });
+      });
+    }
+
+    function plural(n, word) {
+      return n + ' ' + word + (n !== 1 ? 's' : '');
+    }
+
+    function formatSize(bytes) {
+      if (bytes >= 1024 * 1024 * 1024) return (bytes / 1024 / 1024 / 1024).toFixed(1) + ' GB';
+      if (bytes >= 1024 * 1024) return (bytes / 1024 / 1024).toFixed(1) + ' MB';
+      return Math.max(1, Math.round(bytes / 1024)) + ' KB';
+    }
+
+    function selectedBiosSet() {
+      var picker = document.getElementById('bios-set');
+      var name = picker ? picker.value : defaultBiosSet;
+      for (var i = 0; i < biosSets.length; i++) {
+        if (biosSets[i].name === name && biosSets[i].usable) return biosSets[i];
+      }
+      return null;
+    }
+
+    function showBiosWarnings() {
+      var set = selectedBiosSet();
+      var list = document.getElementById('bios-warnings');
+      list.innerHTML = '';
+      (set ? set.warnings : []).forEach(function(w) {
+        list.appendChild(el('li', null, '\u26A0 ' + w));
+      });
+    }
+
+    function renderBiosFile(id, fileName, info) {
+      var item = document.getElementById(id);
+      item.innerHTML = '';
+      var status = info ? info.status : 'missing';
+      var dot = status === 'ok' ? 'ok' : (status === 'missing' || status === 'bad-size') ? 'missing' : 'warn';
+      item.appendChild(el('div', 'dot ' + dot));
+      item.appendChild(document.createTextNode(fileName + ' '));
+      var label = !info ? '(missing)' : status === 'ok' ? [info.version, info.message].filter(Boolean).join(' \u00B7 ') : info.message;
+      item.appendChild(el('span', 'status-note', label));
+      item.title = info && info.md5 ? 'MD5 ' + info.md5 : '';
+      if (id === 'bios-boot' && status === 'unknown') {
+        item.title += ' \u2014 other boot ROM revisions are not in the known-dump table yet; the region is taken from the flash';
+      }
+    }
+
+    function renderBios(status) {
+      biosSets = status.sets;
+      defaultBiosSet = status.default || '';
+      var shown = biosSets.filter(function(s) { return s.name === defaultBiosSet; })[0] || biosSets[0];
+      renderBiosFile('bios-boot', 'dc_boot.bin', shown && shown.boot);
+      renderBiosFile('bios-flash', 'dc_flash.bin', shown && shown.flash);
+      document.getElementById('bios-missing').hidden = Boolean(status.default);
+
+      var picker = document.getElementById('bios-picker');
+      picker.innerHTML = '';
+      if (biosSets.length > 1) {
+        var label = el('label', null, 'BIOS set');
+        label.htmlFor = 'bios-set';
+        var select = el('select');
+        select.id = 'bios-set';
+        select.onchange = showBiosWarnings;
+        biosSets.forEach(function(set) {
+          var details = set.boot.version ? set.boot.version + (set.region ? ', ' + set.region : '') : set.region;
+          var o = el('option', null, set.name + (details ? ' (' + details + ')' : '')
+            + (set.verified ? '' : set.usable ? ' \u26A0' : ' \u2014 unusable'));
+          o.value = set.name;
+          o.disabled = !set.usable;
+          o.selected = set.name === defaultBiosSet;
+          select.appendChild(o);
+        });
+        picker.appendChild(label);
+        picker.appendChild(select);
+      }
+      showBiosWarnings();
+    }
+
+    // Core builds: launches use the game's profile or the default build unless
+    // one is picked here
+    function renderCores(status) {
+      var picker = document.getElementById('core-picker');
+      picker.innerHTML = '';
+      if (!status.builds.length) return;
+      var describe = function(b) {
+        return b.name + (b.version ? ' ' + b.version : '') + (b.label ? ' \u2014 ' + b.label : '');
+      };
+      if (status.builds.length === 1) {
+        picker.appendChild(document.createTextNode('Core: ' + describe(status.builds[0])));
+        return;
+      }
+      var label = el('label', null, 'Core');
+      label.htmlFor = 'core-build';
+      var select = el('select');
+      select.id = 'core-build';
+      var auto = el('option', null, 'Game profile or default (' + (status.default || 'none usable') + ')');
+      auto.value = '';
+      select.appendChild(auto);
+      status.builds.forEach(function(b) {
+        var o = el('option', null, describe(b) + (b.default ? ' (default)' : b.usable ? '' : ' \u2014 unusable'));
+        o.value = b.name;
+        o.disabled = !b.usable;
+        select.appendChild(o);
+      });
+      picker.appendChild(label);
+      picker.appendChild(select);
+    }
+
+    function renderChd(game) {
+      var box = el('div', 'game-chd');
+      box.onclick = function(e) { e.stopPropagation(); };
+      if (game.chd.warnings.length) {
+        var warnings = el('ul', 'game-warnings');
+        game.chd.warnings.forEach(function(w) { warnings.appendChild(el('li', null, w)); });
+        box.appendChild(warnings);
+      }
+      if (game.chd.tracks.length) {
+        var details = el('details');
+        details.appendChild(el('summary', null, 'Tracks'));
+        var tracks = el('ul', 'game-tracks');
+        game.chd.tracks.forEach(function(t) {
+          tracks.appendChild(el('li', null, 'Track ' + t.number + ': ' + t.type
+            + (t.subtype !== 'NONE' ? ' (' + t.subtype + ')' : '') + ' \u00B7 ' + t.frames + ' frames'
+            + (t.pregap ? ' \u00B7 pregap ' + t.pregap : '')));
+        });
+        details.appendChild(tracks);
+        box.appendChild(details);
+      }
+      var verify = el('div', 'verify');
+      var state = game.chd.verification;
+      var label = el('span', 'verify-status ' + state.status, verifyLabel(state));
+      label.id = 'verify-' + game.id;
+      var button = el('button', 'verify-btn', 'Verify');
+      button.onclick = function() { verifyChd(game.id); };
+      verify.appendChild(label);
+      verify.appendChild(button);
+      box.appendChild(verify);
+      return box;
+    }
+
+    function link(text, href) {
+      var a = el('a', 'game-link', text);
+      a.href = href;
+      a.onclick = function(e) { e.stopPropagation(); };
+      return a;
+    }
+
+    function renderGame(game) {
+      var card = el('div', 'game-card' + (game.launchable ? '' : ' broken'));
+      if (game.launchable && game.thumbnail) {
+        var art = el('img', 'game-art');
+        art.src = game.thumbnail;
+        art.alt = '';
+        card.appendChild(art);
+      } else {
+        card.appendChild(el('div', 'game-icon', game.launchable ? '\u25B6' : '\u26A0'));
+      }
+      var info = el('div', 'game-info');
+      card.appendChild(info);
+
+      if (!game.launchable) {
+        card.title = 'This disc cannot be launched until it is fixed';
+        info.appendChild(el('div', 'game-name', game.file));
+        var problems = el('ul', 'game-problems');
+        game.problems.forEach(function(p) { problems.appendChild(el('li', null, p)); });
+        info.appendChild(problems);
+        return card;
+      }
+
+      var header = game.header;
+      card.onclick = function() { launchGame(game.id, null, header); };
+      if (header && header.peripherals.length) card.title = 'Supports: ' + header.peripherals.join(', ');
+
+      var name = el('div', 'game-name', game.title);
+      (header ? header.regions : []).forEach(function(region) { name.appendChild(el('span', 'badge', region)); });
+      if (game.discs) name.appendChild(el('span', 'badge', plural(game.discs.length, 'disc')));
+      info.appendChild(name);
+
+      var detail = [
+        header || game.archive ? game.file : '',
+        game.archive ? game.archive.format.toUpperCase() + ' \u2192 ' + game.archive.image
+          + (game.archive.ignored.length ? ' (' + plural(game.archive.ignored.length, 'other file') + ' ignored)' : '') : '',
+        game.format === 'gdi' || game.format === 'cue' ? game.format.toUpperCase() + ' \u00B7 ' + plural(game.tracks, 'track') : '',
+        game.chd ? 'CHD v' + game.chd.version + (game.tracks ? ' \u00B7 ' + plural(game.tracks, 'track') : '') : '',
+        formatSize(game.size),
+        header ? [header.productNumber, header.version, header.releaseDate].filter(Boolean).join(' \u00B7 ') : '',
+      ].filter(Boolean).join(' \u00B7 ');
+      if (detail) info.appendChild(el('div', 'game-detail', detail));
+      if (game.chd) info.appendChild(renderChd(game));
+      if (game.missingDiscs.length) {
+        var missing = el('ul', 'game-warnings');
+        missing.appendChild(el('li', null, (game.missingDiscs.length === 1 ? 'Disc ' : 'Discs ') + game.missingDiscs.join(', ') + ' not in the library'));
+        info.appendChild(missing);
+      }
+      if (game.archive && game.archive.warnings.length) {
+        var warnings = el('ul', 'game-problems');
+        game.archive.warnings.forEach(function(w) { warnings.appendChild(el('li', null, w)); });
+        info.appendChild(warnings);
+      }
+
+      var links = el('div', 'game-links');
+      links.appendChild(link('Core options' + (game.profile.custom ? ' (custom)' : ''),
+        '/options?profile=' + encodeURIComponent(game.profile.key)));
+      if (game.memoryCards.length) links.appendChild(link('Memory cards', '/vmu?game=' + encodeURIComponent(game.saveKey)));
+      if (game.screenshots) links.appendChild(link('Screenshots (' + game.screenshots + ')', '/gallery?game=' + encodeURIComponent(game.id)));
+      var hostLink = link('Host netplay', '#');
+      hostLink.onclick = function(e) {
+        e.preventDefault();
+        e.stopPropagation();
+        launchGame(game.id, 'host', header);
+      };
+      links.appendChild(hostLink);
+      info.appendChild(links);
+      return card;
+    }
+
+    function renderGames(games) {
+      var list = document.getElementById('games');
+      list.innerHTML = '';
+      var count = document.getElementById('rom-count');
+      count.innerHTML = '';
+      count.appendChild(el('div', 'dot ' + (games.length ? 'ok' : 'missing')));
+      count.appendChild(document.createTextNode(plural(games.length, 'ROM') + ' found'));
+      if (!games.length) {
+        var empty = el('p', 'empty', 'No ROM files found. Drop disc images below, or place .chd, .cdi, .gdi, .cue, or .zip files in ');
+        empty.appendChild(el('code', null, 'demo/roms/'));
+        list.appendChild(empty);
+      }
+      games.forEach(function(game) { list.appendChild(renderGame(game)); });
+    }
+
+    // A game's IP.BIN area symbols list the regions it boots in; a BIOS set of
+    // another region usually stops at the region lock screen
+    function regionMismatch(set, header) {
+      if (!set.region || !header || !header.regions.length || header.regions.indexOf(set.region) !== -1) return null;
+      return 'BIOS set "' + set.name + '" is ' + set.region + '; the game is for ' + header.regions.join(', ');
+    }
+
+    // Launch links only name the game and BIOS set, so they can be bookmarked;
+    // the emulator page signs fresh file URLs every time it is opened
+    function launchGame(gameId, netplay, header) {
+      var set = selectedBiosSet();
+      if (!set) {
+        alert('BIOS files missing. Place dc_boot.bin and dc_flash.bin in demo/bios/');
+        return;
+      }
+      if (set.warnings.length && !confirm('BIOS set "' + set.name + '" has problems:\\n\\n' + set.warnings.join('\\n') + '\\n\\nLaunch anyway?')) {
+        return;
+      }
+      var mismatch = regionMismatch(set, header);
+      if (mismatch && !confirm(mismatch + '.\\n\\nLaunch anyway?')) return;
+      api('/games/' + encodeURIComponent(gameId) + '/launch', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          bios: set.name,
+          core: document.getElementById('core-build') ? document.getElementById('core-build').value || undefined : undefined,
+          overlay: document.getElementById('perf-overlay').checked,
+          autosave: document.getElementById('autosave-state').checked,
+          netplay: netplay,
+        }),
+      }).then(function(launch) {
+        window.location.href = launch.url;
+      }).catch(function(e) {
+        // Server unreachable: the service worker serves the game's last page
+        if (e instanceof TypeError && navigator.serviceWorker && navigator.serviceWorker.controller) {
+          window.location.href = '/emulator?game=' + encodeURIComponent(gameId);
+          return;
+        }
+        alert('Cannot launch: ' + e.message);
+      });
+    }
+
+    function verifyLabel(state) {
+      switch (state.status) {
+        case 'running': return 'verifying ' + Math.round((state.progress || 0) * 100) + '%';
+        case 'ok': return '\u2713 SHA-1 verified';
+        case 'mismatch': return '\u2717 SHA-1 mismatch';
+        case 'error': return '\u2717 ' + state.message;
+        case 'unsupported': return '? ' + state.message;
+        default: return 'not verified';
+      }
+    }
+
+    function verifyChd(id) {
+      var label = document.getElementById('verify-' + id);
+      var url = '/games/' + encodeURIComponent(id) + '/verify';
+      function show(state) {
+        label.textContent = verifyLabel(state);
+        label.className = 'verify-status ' + state.status;
+        if (state.status === 'running') {
+          setTimeout(function() { api(url).then(show); }, 1000);
+        }
+      }
+      api(url, { method: 'POST' }).then(show).catch(function(e) { label.textContent = '\u2717 ' + e.message; });
+    }
+
+    // Open rooms on this server; joining launches the host's game with the room code
+    function renderRooms(body) {
+      var list = document.getElementById('rooms');
+      list.innerHTML = '';
+      document.getElementById('netplay').hidden = !body.rooms.length;
+      body.rooms.forEach(function(room) {
+        var card = el('div', 'game-card' + (room.full ? ' broken' : ''));
+        card.appendChild(el('div', 'game-icon', '\u21C4'));
+        var info = el('div', 'game-info');
+        info.appendChild(el('div', 'game-name', room.game.title + ' \u00B7 ' + room.code));
+        info.appendChild(el('div', 'game-detail', room.players.map(function(p) { return 'P' + p.player + ' ' + p.name; }).join(', ')
+          + ' \u00B7 core ' + room.coreBuild + (room.full ? ' \u00B7 full' : '')));
+        card.appendChild(info);
+        if (!room.full) card.onclick = function() { launchGame(room.game.id, room.code); };
+        list.appendChild(card);
+      });
+    }
+
+    function pollRooms() {
+      api('/netplay').then(renderRooms).catch(function() {});
+    }
+
+    // Uploads go up in chunks, each resumable from the bytes the server
+    // already has. Dropping the same files again picks up an interrupted
+    // upload, even after a reload, since its ID is kept in localStorage.
+    var uploadLimits = { maxBytes: 0, chunkSize: 8 * 1024 * 1024 };
+
+    function uploadKey(kind, set, files) {
+      return 'flycast-upload:' + kind + ':' + set + ':' + files.map(function(f) {
+        return f.name + ':' + f.size + ':' + f.lastModified;
+      }).join('|');
+    }
+
+    function uploadRow(title) {
+      var row = el('div', 'upload');
+      var label = el('div', null, title);
+      var note = el('div', 'game-detail');
+      var bar = el('progress');
+      row.appendChild(label);
+      row.appendChild(note);
+      row.appendChild(bar);
+      document.getElementById('uploads').appendChild(row);
+      var list = null;
+      return {
+        show: function(received, size) {
+          bar.max = size;
+          bar.value = received;
+          note.textContent = formatSize(received) + ' of ' + formatSize(size);
+        },
+        finish: function(ok, text, problems) {
+          row.className = 'upload ' + (ok ? 'done' : 'failed');
+          if (bar.parentNode) row.removeChild(bar);
+          note.textContent = text;
+          if (problems && problems.length) {
+            list = el('ul', ok ? 'game-warnings' : 'game-problems');
+            problems.forEach(function(p) { list.appendChild(el('li', null, p)); });
+            row.appendChild(list);
+          }
+        },
+        reset: function() {
+          row.className = 'upload';
+          if (list) row.removeChild(list);
+          list = null;
+          note.textContent = 'Checking\\u2026';
+        },
+        remove: function() { row.parentNode.removeChild(row); },
+        element: row,
+      };
+    }
+
+    // Send every missing chunk, one at a time. A dropped connection is retried
+    // from the offset the server reports.
+    function sendChunks(upload, files, row) {
+      var received = upload.files.map(function(f) { return f.received; });
+      var chunkSize = upload.chunkSize || uploadLimits.chunkSize;
+      var retries = 0;
+      function total() {
+        return received.reduce(function(n, r) { return n + r; }, 0);
+      }
+      function next() {
+        row.show(total(), upload.size);
+        var index = 0;
+        while (index < files.length && received[index] >= files[index].size) index++;
+        if (index >= files.length) return Promise.resolve(upload);
+        var offset = received[index];
+        return fetch('/api/v1/uploads/' + upload.id + '/files/' + index, {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/octet-stream', 'Upload-Offset': String(offset) },
+          body: files[index].slice(offset, offset + chunkSize),
+        }).then(function(resp) {
+          return resp.json().then(function(body) {
+            if (resp.ok) {
+              received[index] = body.received;
+              retries = 0;
+              return next();
+            }
+            if (body.error && body.error.code === 'offset_mismatch') {
+              received[index] = body.error.details.received;
+              return next();
+            }
+            var err = new Error(body.error ? body.error.message : String(resp.status));
+            err.code = body.error && body.error.code;
+            throw err;
+          });
+        }, function() {
+          if (++retries > 5) throw new Error('Connection lost. Drop the same files again to resume.');
+          return new Promise(function(resolve) { setTimeout(resolve, 1000 * retries); }).then(function() {
+            return api('/uploads/' + upload.id);
+          }).then(function(current) {
+            received = current.files.map(function(f) { return f.received; });
+            return next();
+          });
+        });
+      }
+      return next();
+    }
+
+    function uploadFiles(kind, fileList) {
+      var files = Array.prototype.slice.call(fileList);
+      if (!files.length) return;
+      var set = kind === 'bios' ? document.getElementById('upload-set').value.trim() : '';
+      var size = files.reduce(function(n, f) { return n + f.size; }, 0);
+      var row = uploadRow(files.length === 1 ? files[0].name : files[0].name + ' and ' + plural(files.length - 1, 'other file'));
+      if (uploadLimits.maxBytes && size > uploadLimits.maxBytes) {
+        row.finish(false, formatSize(size) + ' is over the server\\u2019s upload limit of ' + formatSize(uploadLimits.maxBytes));
+        return;
+      }
+      var key = uploadKey(kind, set, files);
+      var saved = localStorage.getItem(key);
+      (saved ? api('/uploads/' + saved).catch(function() { return null; }) : Promise.resolve(null)).then(function(upload) {
+        return upload || api('/uploads', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            kind: kind,
+            set: set || undefined,
+            replace: kind === 'bios' && document.getElementById('upload-replace').checked,
+            files: files.map(function(f) { return { name: f.name, size: f.size }; }),
+          }),
+        });
+      }).then(function(upload) {
+        localStorage.setItem(key, upload.id);
+        return sendChunks(upload, files, row);
+      }).then(function(upload) {
+        completeUpload(upload.id, row, key);
+      }, function(e) {
+        if (e.code === 'upload_not_found') localStorage.removeItem(key);
+        row.finish(false, '\\u2717 ' + e.message);
+      });
+    }
+
+    // A rejected upload stays on the server: fix the problem (say, remove the
+    // library file it clashes with) and check it again, or discard it
+    function completeUpload(id, row, key) {
+      api('/uploads/' + id + '/complete', { method: 'POST' }).then(function(result) {
+        if (key) localStorage.removeItem(key);
+        if (result.kind === 'bios') {
+          row.finish(true, '\\u2713 Added to BIOS set ' + result.set.name, result.set.warnings);
+          api('/bios').then(renderBios).catch(function() {});
+        } else {
+          row.finish(true, '\\u2713 Added ' + result.games.map(function(g) { return g.title; }).join(', '));
+          api('/games').then(renderGames).catch(function() {});
+        }
+      }).catch(function(e) {
+        if (e.code === 'upload_not_found' && key) localStorage.removeItem(key);
+        row.finish(false, '\\u2717 ' + (e.code === 'upload_rejected' ? 'Rejected' : e.message), e.code === 'upload_rejected' ? e.details : null);
+        if (e.code === 'upload_rejected') uploadActions(id, row, key);
+      });
+    }
+
+    function uploadActions(id, row, key) {
+      var actions = el('div', 'game-links');
+      var retry = el('button', 'verify-btn', 'Check again');
+      retry.onclick = function() {
+        row.element.removeChild(actions);
+        row.reset();
+        completeUpload(id, row, key);
+      };
+      var discard = el('button', 'verify-btn', 'Discard');
+      discard.onclick = function() {
+        if (key) localStorage.removeItem(key);
+        fetch('/api/v1/uploads/' + id, { method: 'DELETE' }).then(row.remove);
+      };
+      actions.appendChild(retry);
+      actions.appendChild(discard);
+      row.element.appendChild(actions);
+    }
+
+    // Uploads left unfinished (closed tab, lost connection) can be resumed by
+    // dropping the same files, or discarded; rejected ones checked again
+    function renderPendingUploads(body) {
+      uploadLimits = body;
+      document.getElementById('upload-limit').textContent = 'Up to ' + formatSize(body.maxBytes) + ' per upload';
+      body.uploads.forEach(function(upload) {
+        var row = uploadRow(upload.files.map(function(f) { return f.name; }).join(', ')
+          + (upload.kind === 'bios' ? ' (BIOS set ' + upload.set + ')' : ''));
+        row.show(upload.received, upload.size);
+        if (upload.complete) {
+          row.finish(false, 'All files received, but the upload did not pass its checks.');
+          uploadActions(upload.id, row, null);
+          return;
+        }
+        row.finish(false, formatSize(upload.received) + ' of ' + formatSize(upload.size) + ' received. Drop the same files to resume.');
+        var discard = el('button', 'verify-btn', 'Discard');
+        discard.onclick = function() {
+          fetch('/api/v1/uploads/' + upload.id, { method: 'DELETE' }).then(row.remove);
+        };
+        row.element.appendChild(discard);
+      });
+    }
+
+    function dropZone(kind) {
+      var zone = document.getElementById('drop-' + kind);
+      var picker = document.getElementById('pick-' + kind);
+      zone.ondragover = function(e) {
+        e.preventDefault();
+        zone.classList.add('over');
+      };
+      zone.ondragleave = function() { zone.classList.remove('over'); };
+      zone.ondrop = function(e) {
+        e.preventDefault();
+        zone.classList.remove('over');
+        uploadFiles(kind, e.dataTransfer.files);
+      };
+      picker.onchange = function() {
+        uploadFiles(kind, picker.files);
+        picker.value = '';
+      };
+    }
+
+    // Files dropped outside a zone would otherwise replace the page
+    window.addEventListener('dragover', function(e) { e.preventDefault(); });
+    window.addEventListener('drop', function(e) { e.preventDefault(); });
+    dropZone('rom');
+    dropZone('bios');
+    api('/uploads').then(renderPendingUploads).catch(function() {});
+
+    // Offline cache kept by the service worker (/sw.js): EmulatorJS and the
+    // core, and recently played discs when the server has a disc cache
+    function cacheRequest(message) {
+      return navigator.serviceWorker.ready.then(function(registration) {
+        return new Promise(function(resolve, reject) {
+          var channel = new MessageChannel();
+          channel.port1.onmessage = function(e) {
+            if (e.data.ok) resolve(e.data.result);
+            else reject(new Error(e.data.error));
+          };
+          registration.active.postMessage(message, [channel.port2]);
+        });
+      });
+    }
+
+    function refreshOfflineCache() {
+      return cacheRequest({ type: 'usage' }).then(renderOfflineCache);
+    }
+
+    function cacheButton(label, message) {
+      var button = el('button', 'verify-btn', label);
+      button.onclick = function() {
+        cacheRequest(message).then(refreshOfflineCache).catch(function(e) { alert(e.message); });
+      };
+      return button;
+    }
+
+    function renderOfflineCache(usage) {
+      document.getElementById('offline-cache').hidden = false;
+      var assets = document.getElementById('offline-assets');
+      assets.innerHTML = '';
+      assets.appendChild(el('span', null, 'EmulatorJS and core: ' + plural(usage.assets.entries, 'file') + ', '
+        + formatSize(usage.assets.bytes) + ' (build ' + usage.version + '), ' + plural(usage.pages.entries, 'page')));
+      assets.appendChild(cacheButton('Clear', { type: 'clear', cache: 'assets' }));
+      if (usage.storage) {
+        assets.appendChild(el('span', 'status-note', 'Browser storage ' + formatSize(usage.storage.usage) + ' of ' + formatSize(usage.storage.quota)));
+      }
+
+      var list = document.getElementById('offline-discs');
+      list.innerHTML = '';
+      if (!usage.discQuota) {
+        list.appendChild(el('p', 'empty', 'Discs are not kept offline. Start the server with --disc-cache 8G to keep recently played ones.'));
+        return;
+      }
+      var total = usage.discs.reduce(function(n, d) { return n + d.size; }, 0);
+      var summary = el('div', 'upload-options');
+      summary.appendChild(el('span', null, 'Recent discs: ' + formatSize(total) + ' of ' + formatSize(usage.discQuota)));
+      if (usage.discs.length) summary.appendChild(cacheButton('Clear all', { type: 'clear', cache: 'discs' }));
+      list.appendChild(summary);
+      usage.discs.forEach(function(disc) {
+        var row = el('div', 'upload');
+        row.appendChild(el('span', null, disc.name + ' \u00B7 ' + formatSize(disc.size) + ' \u00B7 played ' + new Date(disc.usedAt).toLocaleString() + ' '));
+        row.appendChild(cacheButton('Remove', { type: 'evict', key: disc.key }));
+        list.appendChild(row);
+      });
+    }
+
+    if ('serviceWorker' in navigator) {
+      navigator.serviceWorker.register('/sw.js').then(refreshOfflineCache).catch(function(e) {
+        console.warn('[flycast-wasm] Offline cache unavailable:', e.message);
+      });
+    }
+
+    api('/bios').then(renderBios).catch(function(e) { alert(e.message); });
+    pollRooms();
+    setInterval(pollRooms, 5000);
+    api('/cores').then(renderCores).catch(function() {});
+    api('/games').then(renderGames).catch(function(e) {
+      document.getElementById('games').textContent = 'Could not load the library: ' + e.message;
+    });
+    fetch('/profiles/global').then(function(r) { return r.json(); }).then(function(profile) {
+      if (profile.options && Object.keys(profile.options).length) {
+        document.getElementById('global-options').textContent += ' (custom)';
+      }
+    }).catch(function() {});
+  </script>
+</body>
+</html>`
+}
+
+// Build the core options editor for the global profile or one game's profile
+function buildOptionsPage(key, title, nonce) {
+  const isGlobal = key === coreOptions.GLOBAL_PROFILE
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Core options — Flycast WASM</title>
+  <style>
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body {
+      background: #0a0a1a;
+      color: #e8e0f0;
+      font-family: 'Segoe UI', system-ui, -apple-system, sans-serif;
+      min-height: 100vh;
+      display: flex;
+      flex-direction: column;
+      align-items: center;
+      padding: 40px 20px;
+    }
+    h1 {
+      font-size: 24px;
+      font-weight: 300;
+      letter-spacing: 2px;
+      color: #ff2a6d;
+      margin-bottom: 6px;
+    }
+    .sub { color: #6a6480; font-size: 13px; margin-bottom: 24px; text-align: center; }
+    .sub a { color: #05d9e8; text-decoration: none; }
+    form { max-width: 800px; width: 100%; }
+    h2 {
+      font-size: 16px;
+      font-weight: 600;
+      letter-spacing: 1px;
+      text-transform: uppercase;
+      color: #05d9e8;
+      padding-bottom: 8px;
+      margin: 20px 0 8px;
+      border-bottom: 1px solid rgba(5, 217, 232, 0.2);
+    }
+    .option {
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      gap: 12px;
+      padding: 6px 4px;
+      font-size: 14px;
+    }
+    .option.custom label { color: #ff2a6d; }
+    .option code { color: #6a6480; font-size: 11px; display: block; }
+    select {
+      background: #14142a;
+      color: #e8e0f0;
+      border: 1px solid rgba(255,255,255,0.15);
+      border-radius: 4px;
+      padding: 3px 6px;
+      font-size: 13px;
+      min-width: 240px;
+    }
+    .actions { display: flex; gap: 10px; margin-top: 24px; }
+    .actions button {
+      background: none;
+      border: 1px solid rgba(255,255,255,0.15);
+      border-radius: 4px;
+      color: #b0a8c0;
+      font-size: 13px;
+      padding: 6px 16px;
+      cursor: pointer;
+    }
+    .actions button:hover { border-color: #ff2a6d; color: #ff2a6d; }
+    .problems { list-style: none; color: #ff6b8b; font-size: 13px; margin-top: 16px; }
+    .saved { color: #01ffc3; font-size: 13px; margin-top: 16px; }
+  </style>
+</head>
+<body>
+  <h1>CORE OPTIONS</h1>
+  <p class="sub">
+    ${isGlobal
+      ? 'Global profile &middot; applies to every game unless a game profile overrides it'
+      : `${escapeHtml(title)} &middot; profile <code>${escapeHtml(key)}</code> &middot; overrides the global profile for this game`}
+    &middot; <a href="/">back to games</a>
+  </p>
+  <form id="options"></form>
+  <script nonce="${nonce}">
+    var KEY = ${scriptJson(key)};
+    var SCHEMA = ${scriptJson(coreOptions.SCHEMA)};
+    var url = '/profiles/' + encodeURIComponent(KEY);
+    var builds = [];
+    var mappings = [];
+
+    function el(tag, cls, text) {
+      var e = document.createElement(tag);
+      if (cls) e.className = cls;
+      if (text !== undefined) e.textContent = text;
+      return e;
+    }
+
+    function renderCore(form, profile) {
+      form.appendChild(el('h2', null, 'Core build'));
+      var row = el('div', 'option' + (profile.core ? ' custom' : ''));
+      var label = el('label', null, 'Flycast build to launch with');
+      label.htmlFor = 'core';
+      row.appendChild(label);
+      var select = el('select');
+      select.id = 'core';
+      select.appendChild(el('option', null, 'Inherit (' + (profile.inheritedCore || 'none installed') + ')'));
+      select.options[0].value = '';
+      builds.forEach(function(b) {
+        var o = el('option', null, b.name + (b.version ? ' ' + b.version : '') + (b.label ? ' \u2014 ' + b.label : '')
+          + (b.usable ? '' : ' (unusable)'));
+        o.value = b.name;
+        if (profile.core === b.name) o.selected = true;
+        select.appendChild(o);
+      });
+      row.appendChild(select);
+      form.appendChild(row);
+    }
+
+    // Controller profile per player; editing the profiles themselves is on /controls
+    function renderControls(form, profile) {
+      var heading = el('h2', null, 'Controllers ');
+      var edit = el('a', null, 'edit profiles');
+      edit.href = '/controls';
+      edit.style.cssText = 'font-size: 11px; color: #6a6480; text-transform: none;';
+      heading.appendChild(edit);
+      form.appendChild(heading);
+      var assigned = profile.controls || {};
+      var inherited = profile.inheritedControls || {};
+      ['1', '2'].forEach(function(player) {
+        var row = el('div', 'option' + (assigned[player] ? ' custom' : ''));
+        var label = el('label', null, 'Player ' + player);
+        label.htmlFor = 'controls-' + player;
+        row.appendChild(label);
+        var select = el('select');
+        select.id = 'controls-' + player;
+        select.appendChild(el('option', null, 'Inherit (' + (inherited[player] || 'EmulatorJS defaults') + ')'));
+        select.options[0].value = '';
+        mappings.forEach(function(name) {
+          var o = el('option', null, name);
+          o.value = name;
+          if (assigned[player] === name) o.selected = true;
+          select.appendChild(o);
+        });
+        row.appendChild(select);
+        form.appendChild(row);
+      });
+    }
+
+    function render(profile, problems) {
+      var form = document.getElementById('options');
+      form.innerHTML = '';
+      if (builds.length > 1 || profile.core) renderCore(form, profile);
+      renderControls(form, profile);
+      var category = null;
+      SCHEMA.forEach(function(opt) {
+        if (opt.category !== category) {
+          category = opt.category;
+          form.appendChild(el('h2', null, category));
+        }
+        var row = el('div', 'option' + (opt.key in profile.options ? ' custom' : ''));
+        var label = el('label', null, opt.label);
+        label.htmlFor = opt.key;
+        label.appendChild(el('code', null, opt.key));
+        row.appendChild(label);
+        var select = el('select');
+        select.id = select.name = opt.key;
+        var inherited = profile.inherited[opt.key];
+        select.appendChild(el('option', null, 'Inherit (' + (inherited !== undefined ? inherited : 'core default') + ')'));
+        select.options[0].value = '';
+        opt.values.forEach(function(v) {
+          var o = el('option', null, v);
+          o.value = v;
+          if (profile.options[opt.key] === v) o.selected = true;
+          select.appendChild(o);
+        });
+        row.appendChild(select);
+        form.appendChild(row);
+      });
+
+      var actions = el('div', 'actions');
+      var saveBtn = el('button', null, 'Save');
+      saveBtn.type = 'submit';
+      var resetBtn = el('button', null, 'Reset to inherited');
+      resetBtn.type = 'button';
+      resetBtn.onclick = reset;
+      actions.appendChild(saveBtn);
+      actions.appendChild(resetBtn);
+      form.appendChild(actions);
+
+      if (problems && problems.length) {
+        var list = el('ul', 'problems');
+        problems.forEach(function(p) { list.appendChild(el('li', null, '\\u2717 ' + p)); });
+        form.appendChild(list);
+      }
+    }
+
+    function handle(resp) {
+      return resp.json().then(function(body) {
+        if (!resp.ok) {
+          var err = new Error(body.error || resp.status);
+          err.problems = body.problems || [body.error];
+          throw err;
+        }
+        return body;
+      });
+    }
+
+    var current = null;
+
+    function show(profile, note) {
+      current = profile;
+      render(profile);
+      if (note) document.getElementById('options').appendChild(el('p', 'saved', note));
+    }
+
+    // A broken profile file still renders, so it can be overwritten or reset
+    function fail(e) {
+      render(current || { options: {}, inherited: {} }, e.problems || [e.message]);
+    }
+
+    function save(event) {
+      event.preventDefault();
+      var options = {};
+      SCHEMA.forEach(function(opt) {
+        var value = document.getElementById(opt.key).value;
+        if (value) options[opt.key] = value;
+      });
+      var coreSelect = document.getElementById('core');
+      var core = coreSelect ? coreSelect.value || null : (current && current.core) || null;
+      var controls = {};
+      ['1', '2'].forEach(function(player) {
+        var value = document.getElementById('controls-' + player).value;
+        if (value) controls[player] = value;
+      });
+      fetch(url, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ options: options, core: core, controls: controls }),
+      }).then(handle).then(function(p) { show(p, '\\u2713 Saved; applies the next time a game is launched'); }).catch(fail);
+    }
+
+    function reset() {
+      if (!confirm('Remove every custom option, core build and controller choice from this profile?')) return;
+      fetch(url, { method: 'DELETE' }).then(handle).then(function(p) { show(p, '\\u2713 Profile cleared'); }).catch(fail);
+    }
+
+    document.getElementById('options').onsubmit = save;
+    fetch('/api/v1/cores').then(function(r) { return r.json(); }).then(function(c) { builds = c.builds || []; })
+      .catch(function() {})
+      .then(function() { return fetch('/api/v1/controls'); })
+      .then(function(r) { return r.json(); }).then(function(c) { mappings = c.profiles || []; })
+      .catch(function() {})
+      .then(function() { return fetch(url); })
+      .then(handle).then(function(p) { show(p); }).catch(fail);
+  </script>
+</body>
+</html>`
+}
+
+// Build the memory card browser for one game
+function buildVmuPage(game, nonce) {
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Memory cards — Flycast WASM</title>
+  <style>
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body {
+      background: #0a0a1a;
+      color: #e8e0f0;
+      font-family: 'Segoe UI', system-ui, -apple-system, sans-serif;
+      min-height: 100vh;
+      display: flex;
+      flex-direction: column;
+      align-items: center;
+      padding: 40px 20px;
+    }
+    h1 {
+      font-size: 24px;
+      font-weight: 300;
+      letter-spacing: 2px;
+      color: #ff2a6d;
+      margin-bottom: 6px;
+    }
+    .sub { color: #6a6480; font-size: 13px; margin-bottom: 24px; }
+    .sub a { color: #05d9e8; text-decoration: none; }
+    .card { max-width: 800px; width: 100%; margin-bottom: 28px; }
+    .card h2 {
+      font-size: 16px;
+      font-weight: 600;
+      letter-spacing: 1px;
+      text-transform: uppercase;
+      color: #05d9e8;
+      padding-bottom: 8px;
+      margin-bottom: 12px;
+      border-bottom: 1px solid rgba(5, 217, 232, 0.2);
+      display: flex;
+      justify-content: space-between;
+    }
+    .card h2 span { color: #6a6480; font-weight: 400; text-transform: none; letter-spacing: 0; font-size: 13px; }
+    .save {
+      display: flex;
+      align-items: center;
+      gap: 12px;
+      padding: 10px 14px;
+      margin-bottom: 6px;
+      background: rgba(255,255,255,0.03);
+      border: 1px solid rgba(255,255,255,0.07);
+      border-radius: 10px;
+    }
+    .save img { width: 32px; height: 32px; image-rendering: pixelated; }
+    .save .info { flex: 1; }
+    .save .desc { font-size: 14px; font-weight: 500; }
+    .save .meta { font-size: 12px; color: #6a6480; }
+    .save a, .save button, .import button {
+      background: none;
+      border: 1px solid rgba(255,255,255,0.15);
+      border-radius: 4px;
+      color: #b0a8c0;
+      font-size: 11px;
+      padding: 2px 8px;
+      cursor: pointer;
+      text-decoration: none;
+    }
+    .save a:hover, .save button:hover, .import button:hover { border-color: #ff2a6d; color: #ff2a6d; }
+    .problems { list-style: none; color: #ff6b8b; font-size: 13px; margin-bottom: 8px; }
+    .warnings { list-style: none; color: #f5d300; font-size: 13px; margin-bottom: 8px; }
+    .import { display: flex; gap: 8px; align-items: center; font-size: 12px; color: #6a6480; margin-top: 10px; flex-wrap: wrap; }
+    .empty { color: #6a6480; font-size: 14px; text-align: center; }
+  </style>
+</head>
+<body>
+  <h1>MEMORY CARDS</h1>
+  <p class="sub">${escapeHtml(game)} &middot; <a href="/">back to games</a> &middot; changes apply the next time the game is launched</p>
+  <div id="cards"><p class="empty">Loading&hellip;</p></div>
+  <script nonce="${nonce}">
+    var GAME = ${scriptJson(game)};
+    var base = '/vmu/' + encodeURIComponent(GAME);
+
+    function el(tag, cls, text) {
+      var e = document.createElement(tag);
+      if (cls) e.className = cls;
+      if (text !== undefined) e.textContent = text;
+      return e;
+    }
+
+    function toBase64(buf) {
+      var bytes = new Uint8Array(buf), s = '';
+      for (var i = 0; i < bytes.length; i += 0x8000) {
+        s += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+      }
+      return btoa(s);
+    }
+
+    function fileUrl(card, name, suffix) {
+      return base + '/' + card + '/files/' + encodeURIComponent(name) + (suffix ? '/' + suffix : '');
+    }
+
+    function handle(resp) {
+      return resp.json().then(function(body) {
+        if (!resp.ok) throw new Error(body.error || resp.status);
+        return body;
+      });
+    }
+
+    function renderCard(c) {
+      var box = el('div', 'card');
+      var h = el('h2', null, 'VMU ' + c.card);
+      h.appendChild(el('span', null, c.freeBlocks + ' of ' + c.userBlocks + ' blocks free'));
+      box.appendChild(h);
+      if (c.problems.length) {
+        var p = el('ul', 'problems');
+        c.problems.forEach(function(t) { p.appendChild(el('li', null, '\u2717 ' + t)); });
+        box.appendChild(p);
+      }
+      if (c.warnings.length) {
+        var w = el('ul', 'warnings');
+        c.warnings.forEach(function(t) { w.appendChild(el('li', null, '\u26A0 ' + t)); });
+        box.appendChild(w);
+      }
+      if (!c.files.length && !c.problems.length) box.appendChild(el('p', 'empty', 'No saves on this card'));
+
+      c.files.forEach(function(f) {
+        var row = el('div', 'save');
+        var img = el('img');
+        img.alt = '';
+        if (f.iconCount) img.src = fileUrl(c.card, f.name, 'icon.png');
+        row.appendChild(img);
+        var info = el('div', 'info');
+        info.appendChild(el('div', 'desc', f.description || f.vmDescription || f.name));
+        info.appendChild(el('div', 'meta', [f.name, f.type === 'game' ? 'mini-game' : null, f.blocks + ' block' + (f.blocks !== 1 ? 's' : ''),
+          f.date ? new Date(f.date).toLocaleString() : null, f.copyProtected ? 'copy protected' : null,
+          f.crcOk === false ? 'CRC mismatch' : null].filter(Boolean).join(' \u00B7 ')));
+        row.appendChild(info);
+        var vms = el('a', null, 'VMS');
+        vms.href = fileUrl(c.card, f.name, 'vms');
+        var vmi = el('a', null, 'VMI');
+        vmi.href = fileUrl(c.card, f.name, 'vmi');
+        var del = el('button', null, 'Delete');
+        del.onclick = function() {
+          if (!confirm('Delete ' + f.name + ' from VMU ' + c.card + '?')) return;
+          fetch(fileUrl(c.card, f.name), { method: 'DELETE' }).then(handle).then(load).catch(function(e) { alert(e.message); });
+        };
+        row.appendChild(vms);
+        row.appendChild(vmi);
+        row.appendChild(del);
+        box.appendChild(row);
+      });
+
+      var imp = el('div', 'import');
+      imp.appendChild(el('span', null, 'Import VMS'));
+      var vmsInput = el('input');
+      vmsInput.type = 'file';
+      vmsInput.accept = '.vms,.VMS';
+      imp.appendChild(vmsInput);
+      imp.appendChild(el('span', null, 'VMI'));
+      var vmiInput = el('input');
+      vmiInput.type = 'file';
+      vmiInput.accept = '.vmi,.VMI';
+      imp.appendChild(vmiInput);
+      var go = el('button', null, 'Import');
+      go.onclick = function() {
+        if (!vmsInput.files[0] || !vmiInput.files[0]) {
+          alert('Pick both the .VMS and the .VMI file');
+          return;
+        }
+        Promise.all([vmsInput.files[0].arrayBuffer(), vmiInput.files[0].arrayBuffer()]).then(function(bufs) {
+          return fetch(base + '/' + c.card + '/import', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ vms: toBase64(bufs[0]), vmi: toBase64(bufs[1]) }),
+          });
+        }).then(handle).then(load).catch(function(e) { alert('Import failed: ' + e.message); });
+      };
+      imp.appendChild(go);
+      box.appendChild(imp);
+      return box;
+    }
+
+    function load() {
+      fetch(base).then(handle).then(function(cards) {
+        var root = document.getElementById('cards');
+        root.innerHTML = '';
+        if (!cards.length) root.appendChild(el('p', 'empty', 'No memory cards saved for this game yet. Play it once to create one.'));
+        cards.forEach(function(c) { root.appendChild(renderCard(c)); });
+      }).catch(function(e) { alert(e.message); });
+    }
+
+    load();
+  </script>
+</body>
+</html>`
+}
+
+// Build the screenshot gallery for one game (by library ID)
+function buildGalleryPage(gameId, nonce) {
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Screenshots — Flycast WASM</title>
+  <style>
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body {
+      background: #0a0a1a;
+      color: #e8e0f0;
+      font-family: 'Segoe UI', system-ui, -apple-system, sans-serif;
+      min-height: 100vh;
+      display: flex;
+      flex-direction: column;
+      align-items: center;
+      padding: 40px 20px;
+    }
+    h1 {
+      font-size: 24px;
+      font-weight: 300;
+      letter-spacing: 2px;
+      color: #ff2a6d;
+      margin-bottom: 6px;
+    }
+    .sub { color: #6a6480; font-size: 13px; margin-bottom: 24px; }
+    .sub a { color: #05d9e8; text-decoration: none; }
+    .shots {
+      max-width: 1000px;
+      width: 100%;
+      display: grid;
+      grid-template-columns: repeat(auto-fill, minmax(220px, 1fr));
+      gap: 16px;
+    }
+    .shot {
+      background: rgba(255,255,255,0.03);
+      border: 1px solid rgba(255,255,255,0.07);
+      border-radius: 10px;
+      overflow: hidden;
+    }
+    .shot.cover { border-color: rgba(255, 42, 109, 0.5); }
+    .shot img { display: block; width: 100%; aspect-ratio: 4 / 3; object-fit: cover; background: #000; }
+    .shot .meta {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      padding: 8px 10px;
+      font-size: 12px;
+      color: #6a6480;
+    }
+    .shot .meta span { flex: 1; }
+    .shot button {
+      background: none;
+      border: 1px solid rgba(255,255,255,0.15);
+      border-radius: 4px;
+      color: #b0a8c0;
+      font-size: 11px;
+      padding: 2px 8px;
+      cursor: pointer;
+    }
+    .shot button:hover { border-color: #ff2a6d; color: #ff2a6d; }
+    .empty { color: #6a6480; font-size: 14px; text-align: center; }
+  </style>
+</head>
+<body>
+  <h1 id="title">SCREENSHOTS</h1>
+  <p class="sub"><a href="/">back to games</a> &middot; F10 in the emulator takes a screenshot; the newest one taken that way is the card art</p>
+  <div class="shots" id="shots"><p class="empty">Loading&hellip;</p></div>
+  <script nonce="${nonce}">
+    var GAME_ID = ${scriptJson(gameId)};
+    var base = '/api/v1/games/' + encodeURIComponent(GAME_ID);
+
+    function el(tag, cls, text) {
+      var e = document.createElement(tag);
+      if (cls) e.className = cls;
+      if (text !== undefined) e.textContent = text;
+      return e;
+    }
+
+    function api(path, options) {
+      return fetch(base + path, options).then(function(resp) {
+        if (resp.status === 204) return null;
+        return resp.json().then(function(body) {
+          if (!resp.ok) throw new Error(body.error ? body.error.message : String(resp.status));
+          return body;
+        });
+      });
+    }
+
+    function render(body) {
+      var list = document.getElementById('shots');
+      list.innerHTML = '';
+      if (!body.screenshots.length) {
+        list.appendChild(el('p', 'empty', 'No screenshots yet. Play the game and press F10, or wait for the one taken after boot.'));
+        return;
+      }
+      body.screenshots.forEach(function(shot) {
+        var box = el('div', 'shot' + (shot.id === body.cover ? ' cover' : ''));
+        var link = el('a');
+        link.href = shot.url;
+        link.target = '_blank';
+        var img = el('img');
+        img.src = shot.thumbnail;
+        img.alt = 'Screenshot taken ' + shot.takenAt;
+        img.loading = 'lazy';
+        link.appendChild(img);
+        box.appendChild(link);
+        var meta = el('div', 'meta');
+        meta.appendChild(el('span', null, new Date(shot.takenAt).toLocaleString() + ' \\u00B7 ' + shot.width + '\\u00D7' + shot.height
+          + (shot.auto ? ' \\u00B7 after boot' : '') + (shot.id === body.cover ? ' \\u00B7 card art' : '')));
+        var del = el('button', null, 'Delete');
+        del.onclick = function() {
+          api('/screenshots/' + shot.id, { method: 'DELETE' }).then(load).catch(function(e) { alert(e.message); });
+        };
+        meta.appendChild(del);
+        box.appendChild(meta);
+        list.appendChild(box);
+      });
+    }
+
+    function load() {
+      return api('/screenshots').then(render);
+    }
+
+    api('').then(function(game) {
+      document.title = game.title + ' \\u2014 Screenshots';
+      document.getElementById('title').textContent = game.title.toUpperCase();
+      return load();
+    }).catch(function(e) {
+      document.getElementById('shots').textContent = 'Could not load screenshots: ' + e.message;
+    });
+  </script>
+</body>
+</html>`
+}
+
+// Build the benchmark browser: recorded sessions, and a side-by-side
+// comparison of the ones picked (?ids=<id>,<id>,...)
+function buildBenchmarksPage(nonce) {
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Benchmarks — Flycast WASM</title>
+  <style>
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body {
+      background: #0a0a1a;
+      color: #e8e0f0;
+      font-family: 'Segoe UI', system-ui, -apple-system, sans-serif;
+      min-height: 100vh;
+      display: flex;
+      flex-direction: column;
+      align-items: center;
+      padding: 40px 20px;
+    }
+    h1 {
+      font-size: 24px;
+      font-weight: 300;
+      letter-spacing: 2px;
+      color: #ff2a6d;
+      margin-bottom: 6px;
+    }
+    h2 {
+      font-size: 16px;
+      font-weight: 600;
+      letter-spacing: 1px;
+      text-transform: uppercase;
+      color: #05d9e8;
+      padding-bottom: 8px;
+      margin: 20px 0 12px;
+      border-bottom: 1px solid rgba(5, 217, 232, 0.2);
+    }
+    .sub { color: #6a6480; font-size: 13px; margin-bottom: 24px; text-align: center; }
+    .sub a { color: #05d9e8; text-decoration: none; }
+    section { max-width: 1000px; width: 100%; }
+    table { width: 100%; border-collapse: collapse; font-size: 13px; }
+    th { text-align: left; color: #6a6480; font-weight: 500; padding: 4px 8px; }
+    td { padding: 4px 8px; border-top: 1px solid rgba(255,255,255,0.06); }
+    td.num { text-align: right; font-variant-numeric: tabular-nums; }
+    .better { color: #01ffc3; }
+    .worse { color: #ff6b8b; }
+    .muted { color: #6a6480; }
+    code { color: #b0a8c0; font-size: 12px; }
+    .actions { display: flex; gap: 10px; align-items: center; margin-top: 12px; font-size: 13px; }
+    button, select {
+      background: #14142a;
+      border: 1px solid rgba(255,255,255,0.15);
+      border-radius: 4px;
+      color: #b0a8c0;
+      font-size: 13px;
+      padding: 4px 12px;
+    }
+    button { cursor: pointer; }
+    button:hover { border-color: #ff2a6d; color: #ff2a6d; }
+    canvas { width: 100%; height: 240px; margin-top: 16px; background: rgba(255,255,255,0.03); border-radius: 8px; }
+    .legend { display: flex; gap: 16px; flex-wrap: wrap; font-size: 12px; margin-top: 6px; }
+    .diffs { list-style: none; font-size: 13px; margin-top: 12px; color: #f5d300; }
+    .empty { color: #6a6480; font-size: 14px; text-align: center; padding: 20px; }
+  </style>
+</head>
+<body>
+  <h1>BENCHMARKS</h1>
+  <p class="sub">Sessions recorded with the performance overlay (F9 in a game, then Record) &middot; <a href="/">back to games</a></p>
+  <section id="compare" hidden>
+    <h2>Comparison</h2>
+    <div id="compare-body"></div>
+  </section>
+  <section>
+    <h2>Sessions</h2>
+    <div class="actions">
+      <select id="game-filter"><option value="">All games</option></select>
+      <button id="compare-button" type="button">Compare selected</button>
+    </div>
+    <div id="sessions"><p class="empty">Loading&hellip;</p></div>
+  </section>
+  <script nonce="${nonce}">
+    var COLORS = ['#ff2a6d', '#05d9e8', '#01ffc3', '#f5d300', '#b967ff', '#ff8c42'];
+    var params = new URLSearchParams(location.search);
+    var sessions = [];
+
+    function el(tag, cls, text) {
+      var e = document.createElement(tag);
+      if (cls) e.className = cls;
+      if (text !== undefined) e.textContent = text;
+      return e;
+    }
+
+    function api(path) {
+      return fetch('/api/v1' + path).then(function(resp) {
+        return resp.json().then(function(body) {
+          if (!resp.ok) throw new Error(body.error ? body.error.message : 'HTTP ' + resp.status);
+          return body;
+        });
+      });
+    }
+
+    function fixed(n, digits) {
+      return n === null || n === undefined ? '' : n.toFixed(digits === undefined ? 1 : digits);
+    }
+
+    function when(iso) {
+      return new Date(iso).toLocaleString();
+    }
+
+    function row(cells, header) {
+      var tr = el('tr');
+      cells.forEach(function(c) {
+        var td = el(header ? 'th' : 'td', c && c.cls, c && c.text !== undefined ? c.text : c);
+        if (c && c.node) td.appendChild(c.node);
+        tr.appendChild(td);
+      });
+      return tr;
+    }
+
+    function renderSessions() {
+      var game = document.getElementById('game-filter').value;
+      var root = document.getElementById('sessions');
+      root.innerHTML = '';
+      var shown = sessions.filter(function(s) { return !game || s.game.key === game; });
+      if (!shown.length) {
+        root.appendChild(el('p', 'empty', 'No sessions recorded yet.'));
+        return;
+      }
+      var selected = (params.get('ids') || '').split(',');
+      var table = el('table');
+      table.appendChild(row(['', 'Recorded', 'Game', 'Core build', 'Options', 'Length', 'Emulated FPS', 'Frame p95', 'In budget'], true));
+      shown.forEach(function(s) {
+        var box = el('input');
+        box.type = 'checkbox';
+        box.value = s.id;
+        box.checked = selected.indexOf(s.id) !== -1;
+        table.appendChild(row([
+          { node: box },
+          when(s.recordedAt),
+          s.game.title,
+          { node: el('code', null, s.coreBuild) },
+          { node: el('code', null, s.optionsHash) },
+          { cls: 'num', text: Math.round(s.durationMs / 1000) + 's' },
+          { cls: 'num', text: fixed(s.summary.emuFps.avg) },
+          { cls: 'num', text: fixed(s.summary.frameMs.p95) + ' ms' },
+          { cls: 'num', text: fixed(s.summary.inBudget, 0) + '%' },
+        ]));
+      });
+      root.appendChild(table);
+    }
+
+    // Percentage change against the first run, coloured by whether higher is better
+    function delta(value, base, higherIsBetter) {
+      if (!base || higherIsBetter === undefined) return null;
+      var pct = (value - base) * 100 / base;
+      if (Math.abs(pct) < 0.5) return null;
+      var good = higherIsBetter ? pct > 0 : pct < 0;
+      return el('span', good ? 'better' : 'worse', ' (' + (pct > 0 ? '+' : '') + pct.toFixed(0) + '%)');
+    }
+
+    function metricRow(label, runs, pick, unit, higherIsBetter) {
+      var cells = [label];
+      runs.forEach(function(run, i) {
+        var value = pick(run);
+        var span = el('span', null, fixed(value) + unit);
+        var wrap = el('span');
+        wrap.appendChild(span);
+        var d = i > 0 ? delta(value, pick(runs[0]), higherIsBetter) : null;
+        if (d) wrap.appendChild(d);
+        cells.push({ cls: 'num', node: wrap });
+      });
+      return row(cells);
+    }
+
+    // Settings that differ between the runs being compared
+    function differences(runs) {
+      var out = [];
+      ['options', 'patches'].forEach(function(group) {
+        var keys = {};
+        runs.forEach(function(r) { Object.keys(r[group] || {}).forEach(function(k) { keys[k] = true; }); });
+        Object.keys(keys).sort().forEach(function(k) {
+          var values = runs.map(function(r) { return String((r[group] || {})[k]); });
+          if (values.some(function(v) { return v !== values[0]; })) out.push(k + ': ' + values.join(' / '));
+        });
+      });
+      if (runs.some(function(r) { return r.coreBuild !== runs[0].coreBuild; })) {
+        out.unshift('core build: ' + runs.map(function(r) { return r.coreBuild; }).join(' / '));
+      }
+      return out;
+    }
+
+    function drawChart(canvas, runs) {
+      var ratio = window.devicePixelRatio || 1;
+      canvas.width = canvas.clientWidth * ratio;
+      canvas.height = canvas.clientHeight * ratio;
+      var ctx = canvas.getContext('2d');
+      ctx.scale(ratio, ratio);
+      var w = canvas.clientWidth, h = canvas.clientHeight, pad = 30;
+      var maxT = 1, maxFps = 60;
+      runs.forEach(function(r) {
+        r.samples.forEach(function(s) {
+          maxT = Math.max(maxT, s.t);
+          maxFps = Math.max(maxFps, s.emuFps);
+        });
+      });
+      ctx.strokeStyle = 'rgba(255,255,255,0.1)';
+      ctx.fillStyle = '#6a6480';
+      ctx.font = '11px sans-serif';
+      [0, 30, 60].forEach(function(fps) {
+        var y = h - pad - (h - 2 * pad) * fps / maxFps;
+        ctx.beginPath();
+        ctx.moveTo(pad, y);
+        ctx.lineTo(w - 10, y);
+        ctx.stroke();
+        ctx.fillText(String(fps), 4, y + 4);
+      });
+      runs.forEach(function(r, i) {
+        ctx.strokeStyle = COLORS[i % COLORS.length];
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        r.samples.forEach(function(s, j) {
+          var x = pad + (w - pad - 10) * s.t / maxT;
+          var y = h - pad - (h - 2 * pad) * s.emuFps / maxFps;
+          if (j === 0) ctx.moveTo(x, y);
+          else ctx.lineTo(x, y);
+        });
+        ctx.stroke();
+      });
+    }
+
+    function renderComparison(runs) {
+      var section = document.getElementById('compare');
+      var root = document.getElementById('compare-body');
+      root.innerHTML = '';
+      section.hidden = false;
+
+      var table = el('table');
+      var head = [''];
+      runs.forEach(function(r, i) {
+        var cell = el('span', null, r.game.title + ' · ' + when(r.recordedAt));
+        cell.style.color = COLORS[i % COLORS.length];
+        head.push({ node: cell });
+      });
+      table.appendChild(row(head, true));
+      table.appendChild(row(['Core build'].concat(runs.map(function(r) { return { node: el('code', null, r.coreBuild) }; }))));
+      table.appendChild(row(['Options'].concat(runs.map(function(r) { return { node: el('code', null, r.optionsHash) }; }))));
+      table.appendChild(metricRow('Emulated FPS (avg)', runs, function(r) { return r.summary.emuFps.avg; }, '', true));
+      table.appendChild(metricRow('Emulated FPS (min)', runs, function(r) { return r.summary.emuFps.min; }, '', true));
+      table.appendChild(metricRow('Frame time (avg)', runs, function(r) { return r.summary.frameMs.avg; }, ' ms', false));
+      table.appendChild(metricRow('Frame time (p95)', runs, function(r) { return r.summary.frameMs.p95; }, ' ms', false));
+      table.appendChild(metricRow('Frame time (p99)', runs, function(r) { return r.summary.frameMs.p99; }, ' ms', false));
+      table.appendChild(metricRow('Frame time (max)', runs, function(r) { return r.summary.frameMs.max; }, ' ms', false));
+      table.appendChild(metricRow('Frames in budget', runs, function(r) { return r.summary.inBudget; }, '%', true));
+      table.appendChild(metricRow('Length', runs, function(r) { return r.durationMs / 1000; }, ' s'));
+      root.appendChild(table);
+
+      var diffs = differences(runs);
+      if (diffs.length) {
+        var list = el('ul', 'diffs');
+        diffs.forEach(function(d) { list.appendChild(el('li', null, 'Δ ' + d)); });
+        root.appendChild(list);
+      } else if (runs.length > 1) {
+        root.appendChild(el('p', 'muted', 'Same core build, options and patches.'));
+      }
+
+      var canvas = el('canvas');
+      root.appendChild(canvas);
+      var legend = el('div', 'legend');
+      runs.forEach(function(r, i) {
+        var item = el('span', null, '■ ' + r.game.title + ' · ' + r.coreBuild + ' · ' + r.optionsHash);
+        item.style.color = COLORS[i % COLORS.length];
+        legend.appendChild(item);
+      });
+      root.appendChild(legend);
+      drawChart(canvas, runs);
+    }
+
+    function compare(ids) {
+      if (!ids.length) return;
+      Promise.all(ids.map(function(id) { return api('/benchmarks/' + encodeURIComponent(id)); }))
+        .then(renderComparison)
+        .catch(function(e) { alert('Cannot compare: ' + e.message); });
+    }
+
+    document.getElementById('compare-button').onclick = function() {
+      var ids = [];
+      document.querySelectorAll('#sessions input:checked').forEach(function(box) { ids.push(box.value); });
+      if (!ids.length) return;
+      params.set('ids', ids.join(','));
+      history.replaceState(null, '', '?' + params);
+      compare(ids);
+    };
+
+    document.getElementById('game-filter').onchange = function() {
+      if (this.value) params.set('game', this.value);
+      else params.delete('game');
+      history.replaceState(null, '', '?' + params);
+      renderSessions();
+    };
+
+    api('/benchmarks').then(function(body) {
+      sessions = body.sessions;
+      var filter = document.getElementById('game-filter');
+      var seen = {};
+      sessions.forEach(function(s) {
+        if (seen[s.game.key]) return;
+        seen[s.game.key] = true;
+        var o = el('option', null, s.game.title);
+        o.value = s.game.key;
+        filter.appendChild(o);
+      });
+      filter.value = seen[params.get('game')] ? params.get('game') : '';
+      renderSessions();
+    }).catch(function(e) {
+      document.getElementById('sessions').textContent = 'Could not load sessions: ' + e.message;
+    });
+    compare((params.get('ids') || '').split(',').filter(Boolean));
+  </script>
+</body>
+</html>`
+}
+
+// Build the controller profile editor: Dreamcast pad bindings for keyboard
+// and gamepad, plus analog deadzone and curve (?profile=<name> opens one)
+function buildControlsPage(nonce) {
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Controllers — Flycast WASM</title>
+  <style>
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body {
+      background: #0a0a1a;
+      color: #e8e0f0;
+      font-family: 'Segoe UI', system-ui, -apple-system, sans-serif;
+      min-height: 100vh;
+      display: flex;
+      flex-direction: column;
+      align-items: center;
+      padding: 40px 20px;
+    }
+    h1 {
+      font-size: 24px;
+      font-weight: 300;
+      letter-spacing: 2px;
+      color: #ff2a6d;
+      margin-bottom: 6px;
+    }
+    h2 {
+      font-size: 16px;
+      font-weight: 600;
+      letter-spacing: 1px;
+      text-transform: uppercase;
+      color: #05d9e8;
+      padding-bottom: 8px;
+      margin: 20px 0 8px;
+      border-bottom: 1px solid rgba(5, 217, 232, 0.2);
+    }
+    .sub { color: #6a6480; font-size: 13px; margin-bottom: 24px; text-align: center; }
+    .sub a { color: #05d9e8; text-decoration: none; }
+    section { max-width: 800px; width: 100%; }
+    table { width: 100%; border-collapse: collapse; font-size: 13px; }
+    th { text-align: left; color: #6a6480; font-weight: 500; padding: 4px 8px; }
+    td { padding: 4px 8px; border-top: 1px solid rgba(255,255,255,0.06); }
+    .actions { display: flex; gap: 10px; align-items: center; margin-top: 12px; font-size: 13px; }
+    button, select, input {
+      background: #14142a;
+      border: 1px solid rgba(255,255,255,0.15);
+      border-radius: 4px;
+      color: #b0a8c0;
+      font-size: 13px;
+      padding: 4px 10px;
+    }
+    select { min-width: 180px; }
+    input[type=number] { width: 90px; }
+    button { cursor: pointer; }
+    button:hover { border-color: #ff2a6d; color: #ff2a6d; }
+    .hint { color: #6a6480; font-size: 12px; }
+    .problems { list-style: none; color: #ff6b8b; font-size: 13px; margin-top: 16px; }
+    .saved { color: #01ffc3; font-size: 13px; margin-top: 16px; }
+    .empty { color: #6a6480; font-size: 14px; text-align: center; padding: 20px; }
+  </style>
+</head>
+<body>
+  <h1>CONTROLLERS</h1>
+  <p class="sub">
+    Dreamcast pad mappings &middot; assign them per player in the
+    <a href="/options">global</a> or a game's core options &middot; <a href="/">back to games</a>
+  </p>
+  <section>
+    <div class="actions">
+      <select id="profile-picker"></select>
+      <input id="new-name" type="text" placeholder="New profile name" maxlength="64">
+      <button id="create-button" type="button">Create</button>
+    </div>
+  </section>
+  <section id="editor"><p class="empty">Loading&hellip;</p></section>
+  <script nonce="${nonce}">
+    var params = new URLSearchParams(location.search);
+    var info = null;
+    var current = null;
+
+    var ANALOG_FIELDS = [
+      { key: 'deadzone', label: 'Stick deadzone', hint: '0 to 0.9 of full travel', step: '0.01' },
+      { key: 'curve', label: 'Stick curve', hint: 'exponent; 1 is linear, above 1 finer near center', step: '0.05' },
+      { key: 'triggerDeadzone', label: 'Trigger deadzone', hint: '0 to 0.9 of full travel', step: '0.01' },
+      { key: 'triggerCurve', label: 'Trigger curve', hint: 'exponent; 1 is linear', step: '0.05' },
+    ];
+
+    function el(tag, cls, text) {
+      var e = document.createElement(tag);
+      if (cls) e.className = cls;
+      if (text !== undefined) e.textContent = text;
+      return e;
+    }
+
+    function api(path, init) {
+      return fetch('/api/v1' + path, init).then(function(resp) {
+        if (resp.status === 204) return null;
+        return resp.json().then(function(body) {
+          if (!resp.ok) {
+            var err = new Error(body.error ? body.error.message : 'HTTP ' + resp.status);
+            err.problems = body.error && body.error.details;
+            throw err;
+          }
+          return body;
+        });
+      });
+    }
+
+    function picker(id, values, selected) {
+      var select = el('select');
+      select.id = id;
+      select.appendChild(el('option', null, '(unbound)'));
+      select.options[0].value = '';
+      values.forEach(function(v) {
+        var o = el('option', null, v);
+        o.value = v;
+        if (v === selected) o.selected = true;
+        select.appendChild(o);
+      });
+      return select;
+    }
+
+    function renderPicker() {
+      var select = document.getElementById('profile-picker');
+      select.innerHTML = '';
+      if (!info.profiles.length) select.appendChild(el('option', null, 'No profiles yet'));
+      info.profiles.forEach(function(name) {
+        var o = el('option', null, name);
+        o.value = name;
+        if (current && current.name === name) o.selected = true;
+        select.appendChild(o);
+      });
+      select.disabled = !info.profiles.length;
+    }
+
+    function render(mapping, problems, note) {
+      var editor = document.getElementById('editor');
+      editor.innerHTML = '';
+      if (!mapping) {
+        editor.appendChild(el('p', 'empty', 'Create a profile to start from the EmulatorJS default bindings.'));
+        return;
+      }
+      editor.appendChild(el('h2', null, mapping.name));
+      var table = el('table');
+      var head = el('tr');
+      ['Dreamcast', 'Keyboard', 'Gamepad'].forEach(function(h) { head.appendChild(el('th', null, h)); });
+      table.appendChild(head);
+      info.controls.forEach(function(control) {
+        var binding = mapping.buttons[control.id] || { key: '', pad: '' };
+        var row = el('tr');
+        row.appendChild(el('td', null, control.label));
+        var key = el('td');
+        key.appendChild(picker('key-' + control.id, info.keys, binding.key));
+        row.appendChild(key);
+        var pad = el('td');
+        pad.appendChild(picker('pad-' + control.id, info.padInputs, binding.pad));
+        row.appendChild(pad);
+        table.appendChild(row);
+      });
+      editor.appendChild(table);
+
+      editor.appendChild(el('h2', null, 'Analog'));
+      var analog = el('table');
+      ANALOG_FIELDS.forEach(function(field) {
+        var row = el('tr');
+        row.appendChild(el('td', null, field.label));
+        var cell = el('td');
+        var input = el('input');
+        input.type = 'number';
+        input.id = 'analog-' + field.key;
+        input.step = field.step;
+        input.value = mapping.analog[field.key];
+        cell.appendChild(input);
+        row.appendChild(cell);
+        row.appendChild(el('td', 'hint', field.hint));
+        analog.appendChild(row);
+      });
+      editor.appendChild(analog);
+
+      var actions = el('div', 'actions');
+      var saveButton = el('button', null, 'Save');
+      saveButton.type = 'button';
+      saveButton.onclick = save;
+      var deleteButton = el('button', null, 'Delete');
+      deleteButton.type = 'button';
+      deleteButton.onclick = remove;
+      actions.appendChild(saveButton);
+      actions.appendChild(deleteButton);
+      editor.appendChild(actions);
+
+      if (problems && problems.length) {
+        var list = el('ul', 'problems');
+        problems.forEach(function(p) { list.appendChild(el('li', null, '\\u2717 ' + p)); });
+        editor.appendChild(list);
+      }
+      if (note) editor.appendChild(el('p', 'saved', note));
+    }
+
+    function collect() {
+      var mapping = { buttons: {}, analog: {} };
+      info.controls.forEach(function(control) {
+        mapping.buttons[control.id] = {
+          key: document.getElementById('key-' + control.id).value,
+          pad: document.getElementById('pad-' + control.id).value,
+        };
+      });
+      ANALOG_FIELDS.forEach(function(field) {
+        mapping.analog[field.key] = parseFloat(document.getElementById('analog-' + field.key).value);
+      });
+      return mapping;
+    }
+
+    function put(name, mapping) {
+      return api('/controls/' + encodeURIComponent(name), {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(mapping),
+      });
+    }
+
+    function fail(e) {
+      render(current, e.problems || [e.message]);
+    }
+
+    function save() {
+      put(current.name, collect()).then(function(m) {
+        current = m;
+        render(m, null, '\\u2713 Saved; applies the next time a game is launched');
+      }).catch(fail);
+    }
+
+    function remove() {
+      if (!confirm('Delete controller profile ' + current.name + '?')) return;
+      api('/controls/' + encodeURIComponent(current.name), { method: 'DELETE' }).then(function() {
+        current = null;
+        return load();
+      }).catch(fail);
+    }
+
+    function openProfile(name) {
+      if (!name) {
+        current = null;
+        render(null);
+        return Promise.resolve();
+      }
+      return api('/controls/' + encodeURIComponent(name)).then(function(m) {
+        current = m;
+        renderPicker();
+        render(m);
+        history.replaceState(null, '', '?profile=' + encodeURIComponent(name));
+      }).catch(function(e) {
+        current = { name: name, buttons: info.defaults.buttons, analog: info.defaults.analog };
+        render(current, e.problems || [e.message]);
+      });
+    }
+
+    function create() {
+      var name = document.getElementById('new-name').value.trim();
+      if (!name) return;
+      if (info.profiles.indexOf(name) !== -1) {
+        openProfile(name);
+        return;
+      }
+      put(name, info.defaults).then(function() {
+        document.getElementById('new-name').value = '';
+        return load(name);
+      }).catch(function(e) { alert(e.message); });
+    }
+
+    function load(name) {
+      return api('/controls').then(function(body) {
+        info = body;
+        var wanted = name || (current && current.name) || params.get('profile');
+        if (info.profiles.indexOf(wanted) === -1) wanted = info.profiles[0];
+        current = wanted ? { name: wanted } : null;
+        renderPicker();
+        return openProfile(wanted);
+      }).catch(function(e) {
+        document.getElementById('editor').textContent = 'Could not load controller profiles: ' + e.message;
+      });
+    }
+
+    document.getElementById('profile-picker').onchange = function() { openProfile(this.value); };
+    document.getElementById('create-button').onclick = create;
+    load();
+  </script>
+</body>
+</html>`
+}
+
+// Build the emulator page; the runtime patches come from patches/webgl2-compat.js.
+// `root` is where builds/ and patches/ are: the server root, or a path
+// relative to the page in a static export.
+function buildEmulatorPage({ romUrl, biosUrl, extraBios, options, patches, core, controls: players, netplay: netplayContext, cheats: cheatsContext, states: statesContext, capture, discUrl, discSet, game, perf, root = '/' }, nonce) {
+  // EmulatorJS data as seen through the chosen core build (see /builds/)
+  const dataUrl = `${root}builds/${encodeURIComponent(core)}/`
+  const savesUrl = game && saves.isValidName(game) ? `/saves/${encodeURIComponent(game)}` : ''
+
+  const coreOptionsStr = Object.entries(options)
+    .map(([k, v]) => `${k} = "${v}"`)
+    .join('\n') + '\n'
+
+  // Controller profiles replace EmulatorJS's default controls for every
+  // player; a player without one keeps the EmulatorJS default
+  const assigned = (player) => players.find((p) => p.player === player) || null
+  const defaultControls = players.length === 0 ? null : Object.fromEntries([0, 1, 2, 3].map((i) => {
+    const mapping = assigned(String(i + 1))
+    return [i, controls.toEjsControls(mapping, i)]
+  }))
+  const analog = controls.PLAYERS.map((player) => (assigned(player) ? assigned(player).analog : null))
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Flycast WASM</title>
+  <style>
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body { background: #000; overflow: hidden; width: 100vw; height: 100vh; }
+    #game { width: 100vw; height: 100vh; }
+  </style>
+</head>
+<body>
+  <div id="game"></div>
+
+  <script nonce="${nonce}" src="${root}patches/webgl2-compat.js"></script>
+  <script nonce="${nonce}">
+    // === Runtime patches (counts in flycastPatches.counts) ===
+    flycastPatches.install(${scriptJson(patches)});
+
+    // === EmulatorJS configuration ===
+    EJS_DEBUG_XX = false;
+    EJS_player = '#game';
+    EJS_core = 'flycast';
+    EJS_gameUrl = ${scriptJson(romUrl)};
+    EJS_pathtodata = ${scriptJson(dataUrl)};
+    ${biosUrl ? `EJS_biosUrl = ${scriptJson(biosUrl)};` : ''}
+    EJS_startOnLoaded = true;
+    EJS_color = '#ff2a6d';
+    EJS_disableLocalStorage = true;
+    EJS_defaultOptions = ${scriptJson(options)};
+    ${defaultControls ? `EJS_defaultControls = ${scriptJson(defaultControls)};` : ''}
+  </script>
+${players.length === 0 ? '' : `
+  <script nonce="${nonce}">
+    // === Controller analog shaping ===
+    // EmulatorJS has no deadzone or response curve setting, so the assigned
+    // controller profiles' values are applied to what navigator.getGamepads()
+    // reports, before EmulatorJS reads it: the Nth connected pad is shaped
+    // with player N's settings.
+    (function() {
+      var ANALOG = ${scriptJson(analog)};
+      if (!navigator.getGamepads) return;
+      var origGetGamepads = navigator.getGamepads.bind(navigator);
+
+      // Deadzone removed and the rest rescaled to 0..1, then raised to the curve exponent
+      function shape(value, deadzone, curve) {
+        var magnitude = Math.abs(value);
+        if (magnitude <= deadzone) return 0;
+        var scaled = Math.min(1, (magnitude - deadzone) / (1 - deadzone));
+        return (value < 0 ? -1 : 1) * Math.pow(scaled, curve);
+      }
+
+      // Radial deadzone, so diagonals are not clipped to the axes
+      function shapeStick(axes, x, y, settings) {
+        var magnitude = Math.sqrt(axes[x] * axes[x] + axes[y] * axes[y]);
+        if (!magnitude) return;
+        var factor = shape(magnitude, settings.deadzone, settings.curve) / magnitude;
+        axes[x] *= factor;
+        axes[y] *= factor;
+      }
+
+      navigator.getGamepads = function() {
+        var pads = origGetGamepads();
+        var shaped = [];
+        var connected = 0;
+        for (var i = 0; i < pads.length; i++) {
+          var pad = pads[i];
+          var settings = pad ? ANALOG[connected++] : null;
+          if (!settings) {
+            shaped.push(pad);
+            continue;
+          }
+          var axes = Array.prototype.slice.call(pad.axes);
+          if (axes.length >= 2) shapeStick(axes, 0, 1, settings);
+          if (axes.length >= 4) shapeStick(axes, 2, 3, settings);
+          // Analog triggers are buttons 6 and 7 in the standard layout
+          var buttons = Array.prototype.map.call(pad.buttons, function(button, index) {
+            if (pad.mapping !== 'standard' || (index !== 6 && index !== 7)) return button;
+            var value = shape(button.value, settings.triggerDeadzone, settings.triggerCurve);
+            return { pressed: button.pressed && value > 0, touched: button.touched, value: value };
+          });
+          shaped.push({
+            id: pad.id, index: pad.index, connected: pad.connected, mapping: pad.mapping,
+            timestamp: pad.timestamp, axes: axes, buttons: buttons, vibrationActuator: pad.vibrationActuator,
+          });
+        }
+        return shaped;
+      };
+    })();
+  </script>
+`}
+  <script nonce="${nonce}">
+    // === Save file sync ===
+    // Local storage is disabled, so VMU images (/dc/vmu_save_*.bin) and core
+    // save files are restored from the server before boot and pushed back
+    // whenever they change.
+    var flycastSaves = (function() {
+      var SAVES_URL = ${scriptJson(savesUrl)};
+      var SYNC_INTERVAL_MS = 10000;
+      var dirs = { dc: '/dc', saves: '/data/saves' };
+      var known = {};
+      // Server ETag of each file as last restored or uploaded; uploads are
+      // conditional on it, so a card changed elsewhere is not overwritten
+      var etags = {};
+      var conflicts = {};
+      var restoredCoreSaves = false;
+      var busy = false;
+      var hooks = null;
+
+      // Cheap change detection so unchanged files are not re-uploaded
+      function signature(data) {
+        var h = 0x811c9dc5;
+        for (var i = 0; i < data.length; i++) {
+          h ^= data[i];
+          h = Math.imul(h, 0x01000193);
+        }
+        return data.length + ':' + (h >>> 0);
+      }
+
+      function listDir(FS, dir) {
+        try {
+          return FS.readdir(dir).filter(function(f) { return f !== '.' && f !== '..'; });
+        } catch(e) {
+          return [];
+        }
+      }
+
+      function saveFiles(FS) {
+        var files = [];
+        listDir(FS, dirs.dc).forEach(function(f) {
+          if (/^vmu_save_.*\\.bin$/.test(f)) files.push({ name: 'dc/' + f, path: dirs.dc + '/' + f });
+        });
+        listDir(FS, dirs.saves).forEach(function(f) {
+          var p = dirs.saves + '/' + f;
+          try {
+            if (FS.isFile(FS.stat(p).mode)) files.push({ name: 'saves/' + f, path: p });
+          } catch(e) {}
+        });
+        return files;
+      }
+
+      // Before boot: write the server's copies into the FS
+      async function restore(FS) {
+        if (!SAVES_URL) return;
+        try {
+          var cfg = new TextDecoder().decode(FS.readFile('/home/web_user/.config/retroarch/retroarch.cfg'));
+          var m = /savefile_directory\\s*=\\s*"([^"]*)"/.exec(cfg);
+          if (m && m[1]) dirs.saves = m[1];
+        } catch(e) {}
+
+        var list = await (await fetch(SAVES_URL)).json();
+        for (var i = 0; i < list.length; i++) {
+          var parts = list[i].name.split('/');
+          var dir = dirs[parts[0]];
+          if (!dir) continue;
+          var resp = await fetch(SAVES_URL + '/' + parts.map(encodeURIComponent).join('/'));
+          if (!resp.ok) continue;
+          var data = new Uint8Array(await resp.arrayBuffer());
+          try { FS.mkdirTree(dir); } catch(e) {}
+          FS.writeFile(dir + '/' + parts[1], data);
+          known[list[i].name] = signature(data);
+          etags[list[i].name] = resp.headers.get('ETag');
+          if (parts[0] === 'saves') restoredCoreSaves = true;
+        }
+        if (list.length) console.log('[flycast-wasm] Restored ' + list.length + ' save file(s)');
+      }
+
+      // Flush the core's saves to the FS, then upload whatever changed.
+      // leaving marks the sync as the page is hidden or unloaded: uploads
+      // under the 64KB keepalive budget then outlive the page. A VMU image is
+      // 128KB, so it only gets through on the hidden sync, which runs while
+      // the page is still alive.
+      async function sync(emu, leaving) {
+        if (!SAVES_URL || busy || !emu.gameManager || !emu.gameManager.FS) return;
+        busy = true;
+        try {
+          var FS = emu.gameManager.FS;
+          try { hooks.saveFiles(); } catch(e) {}
+          try {
+            var savePath = hooks.saveFilePath();
+            if (savePath && savePath.lastIndexOf('/') > 0) dirs.saves = savePath.slice(0, savePath.lastIndexOf('/'));
+          } catch(e) {}
+
+          var files = saveFiles(FS);
+          for (var i = 0; i < files.length; i++) {
+            var data = FS.readFile(files[i].path);
+            var sig = signature(data);
+            if (known[files[i].name] === sig || conflicts[files[i].name]) continue;
+            var headers = { 'Content-Type': 'application/octet-stream' };
+            if (etags[files[i].name]) headers['If-Match'] = etags[files[i].name];
+            else headers['If-None-Match'] = '*';
+            var resp = await fetch(SAVES_URL + '/' + files[i].name.split('/').map(encodeURIComponent).join('/'), {
+              method: 'PUT',
+              headers: headers,
+              body: data,
+              keepalive: Boolean(leaving) && data.length < 65536,
+            });
+            if (resp.ok) {
+              known[files[i].name] = sig;
+              etags[files[i].name] = resp.headers.get('ETag');
+            } else if (resp.status === 412) {
+              conflicts[files[i].name] = true;
+              console.warn('[flycast-wasm] ' + files[i].name + ' was changed on the server (memory card browser or another tab); '
+                + 'not overwriting it. Reload to play with the server copy.');
+            } else {
+              console.warn('[flycast-wasm] Save upload failed:', files[i].name, resp.status);
+            }
+          }
+        } catch(e) {
+          console.warn('[flycast-wasm] Save sync failed:', e);
+        } finally {
+          busy = false;
+        }
+      }
+
+      // After boot: bind the core's save hooks and start syncing
+      function start(emu) {
+        if (!SAVES_URL) return;
+        var Module = emu.gameManager.Module || emu.Module;
+        hooks = {
+          saveFilePath: Module.cwrap('save_file_path', 'string', []),
+          saveFiles: Module.cwrap('cmd_savefiles', '', []),
+          refreshSaveFiles: Module.cwrap('refresh_save_files', 'null', []),
+        };
+        // Have the core re-read save files restored into savefile_directory
+        if (restoredCoreSaves) {
+          try { hooks.refreshSaveFiles(); } catch(e) {}
+        }
+        setInterval(function() { sync(emu); }, SYNC_INTERVAL_MS);
+        document.addEventListener('visibilitychange', function() {
+          if (document.visibilityState === 'hidden') sync(emu, true);
+        });
+        window.addEventListener('pagehide', function() { sync(emu, true); });
+      }
+
+      return { restore: restore, sync: sync, start: start };
+    })();
+  </script>
+
+  <script nonce="${nonce}">
+    // === Performance overlay ===
+    // Emulated FPS from the core's frame counter, host frame time from
+    // requestAnimationFrame, and the share of host frames within the 60 Hz
+    // budget. F9 (or ?overlay=1) shows it; Record captures a fixed-length
+    // session and stores it on the server for the /benchmarks comparison
+    // (not offered on a static export, which has no server to store it).
+    var flycastPerf = (function() {
+      var PERF = ${scriptJson({ ...perf, options, patches })};
+      var BUDGET_MS = 1000 / 60;
+      // A frame that made vsync can still measure slightly long from timer jitter
+      var BUDGET_SLACK = 1.25;
+      var RECORD_SECONDS = 30;
+
+      var getFrameCount = null;
+      var panel = null, text = null, button = null, status = null;
+      var last = 0;
+      var win = null;
+      var recording = null;
+
+      function el(tag, css, textContent) {
+        var e = document.createElement(tag);
+        if (css) e.style.cssText = css;
+        if (textContent !== undefined) e.textContent = textContent;
+        return e;
+      }
+
+      function buildPanel() {
+        panel = el('div', 'position:fixed;top:8px;left:8px;z-index:10000;padding:6px 10px;border-radius:6px;'
+          + 'background:rgba(0,0,0,0.7);color:#01ffc3;font:12px/1.5 monospace;display:none');
+        text = el('div', null, 'waiting for first frame…');
+        button = el('button', 'margin-top:4px;background:none;border:1px solid #01ffc3;border-radius:4px;'
+          + 'color:#01ffc3;font:11px monospace;padding:1px 8px;cursor:pointer', 'Record ' + RECORD_SECONDS + 's');
+        button.onclick = function() { record(RECORD_SECONDS); };
+        status = el('div', 'color:#b0a8c0');
+        panel.appendChild(text);
+        if (PERF.record) panel.appendChild(button);
+        panel.appendChild(status);
+        document.body.appendChild(panel);
+        if (PERF.overlay) toggle();
+      }
+
+      function toggle() {
+        if (panel) panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+      }
+
+      function newWindow(now) {
+        return { start: now, frames: getFrameCount(), hostFrames: 0, frameMsSum: 0, inBudget: 0 };
+      }
+
+      function show(sample) {
+        text.textContent = 'EMU ' + sample.emuFps.toFixed(1) + ' fps · HOST ' + sample.frameMs.toFixed(1)
+          + ' ms · ' + Math.round(sample.inBudget) + '% in budget'
+          + (recording ? ' · REC ' + Math.floor(sample.t / 1000) + '/' + recording.durationMs / 1000 + 's' : '');
+      }
+
+      function percentile(sorted, p) {
+        if (!sorted.length) return 0;
+        return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p / 100))];
+      }
+
+      function tick(now) {
+        requestAnimationFrame(tick);
+        if (last) {
+          var dt = now - last;
+          win.hostFrames++;
+          win.frameMsSum += dt;
+          if (dt <= BUDGET_MS * BUDGET_SLACK) win.inBudget++;
+          if (recording) recording.frameTimes.push(dt);
+        }
+        last = now;
+        if (now - win.start < 1000) return;
+
+        var frames = getFrameCount();
+        var sample = {
+          t: recording ? now - recording.start : 0,
+          emuFps: Math.max(0, frames - win.frames) * 1000 / (now - win.start),
+          frameMs: win.hostFrames ? win.frameMsSum / win.hostFrames : 0,
+          inBudget: win.hostFrames ? win.inBudget * 100 / win.hostFrames : 0,
+        };
+        if (recording) {
+          recording.samples.push(sample);
+          recording.emuFrames += Math.max(0, frames - win.frames);
+        }
+        flycastPerf.latest = sample;
+        show(sample);
+        win = newWindow(now);
+        if (recording && now - recording.start >= recording.durationMs) finish(now);
+      }
+
+      // Record a number of seconds of play, then POST the session to the server
+      function record(seconds) {
+        if (!getFrameCount || recording) return;
+        var now = performance.now();
+        win = newWindow(now);
+        last = now;
+        recording = { start: now, durationMs: seconds * 1000, frameTimes: [], samples: [], emuFrames: 0 };
+        button.disabled = true;
+        status.textContent = 'Recording…';
+      }
+
+      function finish(now) {
+        var rec = recording;
+        recording = null;
+        var times = rec.frameTimes.slice().sort(function(a, b) { return a - b; });
+        var total = times.reduce(function(n, t) { return n + t; }, 0);
+        var fps = rec.samples.map(function(s) { return s.emuFps; });
+        var durationMs = now - rec.start;
+        var session = {
+          game: PERF.gameId,
+          coreBuild: PERF.coreBuild,
+          options: PERF.options,
+          patches: PERF.patches,
+          durationMs: durationMs,
+          budgetMs: BUDGET_MS,
+          summary: {
+            emuFps: {
+              avg: rec.emuFrames * 1000 / durationMs,
+              min: Math.min.apply(null, fps),
+              max: Math.max.apply(null, fps),
+            },
+            frameMs: {
+              avg: times.length ? total / times.length : 0,
+              p50: percentile(times, 50),
+              p95: percentile(times, 95),
+              p99: percentile(times, 99),
+              max: times.length ? times[times.length - 1] : 0,
+            },
+            inBudget: times.length ? times.filter(function(t) { return t <= BUDGET_MS * BUDGET_SLACK; }).length * 100 / times.length : 0,
+            hostFrames: times.length,
+            emuFrames: rec.emuFrames,
+          },
+          samples: rec.samples,
+          userAgent: navigator.userAgent,
+        };
+        status.textContent = 'Saving…';
+        fetch('/api/v1/benchmarks', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(session),
+        }).then(function(resp) {
+          return resp.json().then(function(body) {
+            if (!resp.ok) throw new Error(body.error ? body.error.message : 'HTTP ' + resp.status);
+            return body;
+          });
+        }).then(function(saved) {
+          status.textContent = '';
+          var link = el('a', 'color:#05d9e8', 'Saved ' + saved.summary.emuFps.avg.toFixed(1) + ' fps avg — compare');
+          link.href = '/benchmarks?game=' + encodeURIComponent(saved.game.key) + '&ids=' + encodeURIComponent(saved.id);
+          link.target = '_blank';
+          status.appendChild(link);
+        }).catch(function(e) {
+          status.textContent = 'Not saved: ' + e.message;
+        }).then(function() {
+          button.disabled = false;
+        });
+      }
+
+      function start(emu) {
+        var Module = emu.gameManager.Module || emu.Module;
+        getFrameCount = Module.cwrap('get_current_frame_count', 'number', []);
+        buildPanel();
+        win = newWindow(performance.now());
+        requestAnimationFrame(tick);
+        window.addEventListener('keydown', function(e) {
+          if (e.key === 'F9') {
+            e.preventDefault();
+            toggle();
+          }
+        }, true);
+      }
+
+      return { start: start, record: record, toggle: toggle, latest: null };
+    })();
+  </script>
+
+  <script nonce="${nonce}">
+    // === Netplay ===
+    // Rooms live on this server's /netplay WebSocket. The host is player 1;
+    // whoever joins takes the next player slot. The socket carries WebRTC
+    // signalling, and the host opens a direct data channel to every peer (no
+    // ICE servers, so only LAN candidates). That is as far as it goes: pad
+    // input is not shared and the emulators are not kept in step, so each
+    // player still plays their own game. send() and onMessage() expose the
+    // channels for a sync layer to be built on. F8 shows the panel.
+    var flycastNetplay = (function() {
+      var NETPLAY = ${scriptJson(netplayContext)};
+      var ws = null;
+      var me = null;
+      var room = null;
+      var peers = {};
+      var listeners = [];
+      var panel = null, statusLine = null, peerList = null, controls = null;
+
+      function el(tag, css, textContent) {
+        var e = document.createElement(tag);
+        if (css) e.style.cssText = css;
+        if (textContent !== undefined) e.textContent = textContent;
+        return e;
+      }
+
+      function button(label, onclick) {
+        var b = el('button', 'margin:4px 4px 0 0;background:none;border:1px solid #05d9e8;border-radius:4px;'
+          + 'color:#05d9e8;font:11px monospace;padding:1px 8px;cursor:pointer', label);
+        b.onclick = onclick;
+        return b;
+      }
+
+      function buildPanel() {
+        panel = el('div', 'position:fixed;top:8px;right:8px;z-index:10000;padding:6px 10px;border-radius:6px;'
+          + 'background:rgba(0,0,0,0.7);color:#05d9e8;font:12px/1.5 monospace;max-width:280px;display:none');
+        statusLine = el('div', null, 'Netplay: not connected');
+        peerList = el('div', 'color:#b0a8c0');
+        controls = el('div');
+        panel.appendChild(statusLine);
+        panel.appendChild(peerList);
+        panel.appendChild(controls);
+        document.body.appendChild(panel);
+        render();
+      }
+
+      function toggle() {
+        if (panel) panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+      }
+
+      function setStatus(text) {
+        if (statusLine) statusLine.textContent = text;
+      }
+
+      function render() {
+        if (!panel) return;
+        peerList.innerHTML = '';
+        controls.innerHTML = '';
+        if (room) {
+          setStatus('Room ' + room.code + ' · you are player ' + me.player);
+          Object.keys(peers).forEach(function(id) {
+            var peer = peers[id];
+            var direct = peer.channel && peer.channel.readyState === 'open';
+            peerList.appendChild(el('div', null, 'P' + peer.info.player + ' ' + peer.info.name + (direct ? ' · connected' : ' · connecting')));
+          });
+          if (!Object.keys(peers).length) peerList.appendChild(el('div', null, 'Waiting for players; share the room code'));
+          peerList.appendChild(el('div', 'color:#7a7290', 'Signalling only: input is not shared yet'));
+          controls.appendChild(button('Leave', leave));
+          return;
+        }
+        controls.appendChild(button('Host', host));
+        var code = el('input', 'width:70px;margin-right:4px;background:#14142a;border:1px solid #05d9e8;'
+          + 'border-radius:4px;color:#e8e0f0;font:11px monospace;padding:1px 4px;text-transform:uppercase');
+        code.placeholder = 'CODE';
+        code.maxLength = 6;
+        controls.appendChild(code);
+        controls.appendChild(button('Join', function() { join(code.value.trim().toUpperCase()); }));
+      }
+
+      function send(message) {
+        if (ws && ws.readyState === 1) ws.send(JSON.stringify(message));
+      }
+
+      function connect() {
+        if (ws && ws.readyState <= 1) {
+          return ws.readyState === 1 ? Promise.resolve() : new Promise(function(resolve) { ws.addEventListener('open', resolve); });
+        }
+        return new Promise(function(resolve, reject) {
+          ws = new WebSocket((location.protocol === 'https:' ? 'wss://' : 'ws://') + location.host + '/netplay');
+          ws.onopen = function() { resolve(); };
+          ws.onerror = function() { reject(new Error('cannot reach the netplay server')); };
+          ws.onmessage = function(e) {
+            try {
+              handle(JSON.parse(e.data));
+            } catch (err) {
+              console.error('[flycast-wasm] Netplay message failed:', err);
+            }
+          };
+          ws.onclose = function() {
+            ws = null;
+            if (room) setStatus('Netplay: disconnected from the server');
+            reset();
+          };
+        });
+      }
+
+      function fingerprint(type) {
+        return { type: type, game: NETPLAY.gameId, coreBuild: NETPLAY.coreBuild, optionsHash: NETPLAY.optionsHash };
+      }
+
+      function host() {
+        setStatus('Netplay: opening a room…');
+        connect().then(function() { send(fingerprint('create')); }).catch(function(e) { setStatus('✗ ' + e.message); });
+      }
+
+      function join(code) {
+        setStatus('Netplay: joining ' + code + '…');
+        var message = fingerprint('join');
+        message.room = code;
+        connect().then(function() { send(message); }).catch(function(e) { setStatus('✗ ' + e.message); });
+      }
+
+      function leave() {
+        send({ type: 'leave' });
+        reset();
+        setStatus('Netplay: left the room');
+      }
+
+      function reset() {
+        Object.keys(peers).forEach(removePeer);
+        room = null;
+        me = null;
+        render();
+      }
+
+      function addPeer(info) {
+        peers[info.id] = { info: info, pc: null, channel: null };
+      }
+
+      function removePeer(id) {
+        var peer = peers[id];
+        if (!peer) return;
+        if (peer.pc) peer.pc.close();
+        delete peers[id];
+      }
+
+      // --- WebRTC: the host offers a data channel to every peer that joins ---
+      function peerConnection(id) {
+        var pc = new RTCPeerConnection({ iceServers: [] });
+        pc.onicecandidate = function(e) {
+          if (e.candidate) send({ type: 'signal', to: id, data: { candidate: e.candidate } });
+        };
+        pc.ondatachannel = function(e) { attach(id, e.channel); };
+        peers[id].pc = pc;
+        return pc;
+      }
+
+      function attach(id, channel) {
+        if (!peers[id]) return;
+        peers[id].channel = channel;
+        channel.onmessage = function(e) { receive(id, e.data); };
+        channel.onopen = render;
+        channel.onclose = render;
+      }
+
+      function offer(id) {
+        if (typeof RTCPeerConnection === 'undefined') return;
+        var pc = peerConnection(id);
+        attach(id, pc.createDataChannel('netplay'));
+        pc.createOffer().then(function(description) {
+          return pc.setLocalDescription(description);
+        }).then(function() {
+          send({ type: 'signal', to: id, data: { description: pc.localDescription } });
+        }).catch(function(e) { console.warn('[flycast-wasm] Netplay offer failed:', e); });
+      }
+
+      function signal(from, data) {
+        var peer = peers[from];
+        if (!peer || typeof RTCPeerConnection === 'undefined') return;
+        var pc = peer.pc || peerConnection(from);
+        if (data.candidate) {
+          pc.addIceCandidate(data.candidate).catch(function() {});
+        } else if (data.description) {
+          pc.setRemoteDescription(data.description).then(function() {
+            if (data.description.type !== 'offer') return;
+            return pc.createAnswer().then(function(description) {
+              return pc.setLocalDescription(description);
+            }).then(function() {
+              send({ type: 'signal', to: from, data: { description: pc.localDescription } });
+            });
+          }).catch(function(e) { console.warn('[flycast-wasm] Netplay answer failed:', e); });
+        }
+      }
+
+      // --- Data channels, for whatever runs on top of the room ---
+      // Send a JSON value to every peer with an open channel; returns how many got it
+      function broadcastData(data) {
+        var text = JSON.stringify(data);
+        var sent = 0;
+        Object.keys(peers).forEach(function(id) {
+          var channel = peers[id].channel;
+          if (channel && channel.readyState === 'open') {
+            channel.send(text);
+            sent++;
+          }
+        });
+        return sent;
+      }
+
+      function receive(id, text) {
+        var peer = peers[id];
+        if (!room || !peer) return;
+        var data;
+        try {
+          data = JSON.parse(text);
+        } catch (e) {
+          return;
+        }
+        listeners.forEach(function(listener) { listener(data, peer.info); });
+      }
+
+      function onMessage(listener) {
+        listeners.push(listener);
+      }
+
+      function handle(message) {
+        switch (message.type) {
+          case 'created':
+          case 'joined':
+            room = message.room;
+            me = message.peer;
+            (message.peers || []).forEach(addPeer);
+            render();
+            break;
+          case 'peer-joined':
+            addPeer(message.peer);
+            if (me && me.host) offer(message.peer.id);
+            render();
+            break;
+          case 'peer-left':
+            removePeer(message.peer.id);
+            render();
+            break;
+          case 'room-closed':
+            reset();
+            setStatus('Netplay: room closed, ' + message.reason);
+            break;
+          case 'signal':
+            signal(message.from, message.data || {});
+            break;
+          case 'error':
+            setStatus('✗ ' + message.message);
+            console.warn('[flycast-wasm] Netplay:', message.code, message.details || message.message);
+            break;
+        }
+      }
+
+      function start() {
+        buildPanel();
+        window.addEventListener('keydown', function(e) {
+          if (e.key === 'F8') {
+            e.preventDefault();
+            toggle();
+          }
+        }, true);
+        if (NETPLAY.host || NETPLAY.room) {
+          toggle();
+          if (NETPLAY.host) host();
+          else join(NETPLAY.room);
+        }
+      }
+
+      return {
+        // Whether the page can use netplay at all (exported pages cannot)
+        enabled: Boolean(NETPLAY),
+        // Whether this page is in a room right now
+        get active() { return Boolean(room); },
+        start: start,
+        host: host,
+        join: join,
+        leave: leave,
+        toggle: toggle,
+        send: broadcastData,
+        onMessage: onMessage,
+      };
+    })();
+  </script>
+
+  <script nonce="${nonce}">
+    // === Screenshots ===
+    // F10 captures the current frame with the core's screenshot command and
+    // stores it on the server. One more is taken a while after boot (the
+    // server's --capture-delay), so every game that has been played gets card
+    // art in the launcher. The core writes the PNG to /screenshot.png.
+    var flycastShots = (function() {
+      var CAPTURE = ${scriptJson(capture)};
+      var TIMEOUT_MS = 5000;
+      var takeScreenshot = null;
+      var FS = null;
+      var busy = false;
+      var toast = null;
+      var toastTimer = null;
+
+      function notify(text) {
+        if (!toast) {
+          toast = document.createElement('div');
+          toast.style.cssText = 'position:fixed;bottom:16px;left:16px;z-index:10000;padding:6px 12px;border-radius:6px;'
+            + 'background:rgba(10,10,26,0.85);color:#e8e0f0;font:12px system-ui,sans-serif;pointer-events:none;';
+          document.body.appendChild(toast);
+        }
+        toast.textContent = text;
+        toast.hidden = false;
+        clearTimeout(toastTimer);
+        toastTimer = setTimeout(function() { toast.hidden = true; }, 2500);
+      }
+
+      // Ask the core for a frame and wait for its PNG to appear
+      function capture() {
+        try { FS.unlink('/screenshot.png'); } catch(e) {}
+        takeScreenshot();
+        var started = Date.now();
+        return new Promise(function(resolve, reject) {
+          (function poll() {
+            try {
+              var data = FS.readFile('/screenshot.png');
+              if (data.length) return resolve(data);
+            } catch(e) {}
+            if (Date.now() - started > TIMEOUT_MS) return reject(new Error('the core wrote no screenshot'));
+            setTimeout(poll, 50);
+          })();
+        });
+      }
+
+      function take(auto) {
+        if (busy || !takeScreenshot) return Promise.resolve(null);
+        busy = true;
+        return capture().then(function(data) {
+          return fetch(CAPTURE.url + (auto ? '?auto=1' : ''), {
+            method: 'POST',
+            headers: { 'Content-Type': 'image/png' },
+            body: data,
+          });
+        }).then(function(resp) {
+          return resp.json().then(function(body) {
+            if (!resp.ok) throw new Error(body.error ? body.error.message : 'HTTP ' + resp.status);
+            if (!auto) notify('Screenshot saved');
+            return body;
+          });
+        }).catch(function(e) {
+          console.warn('[flycast-wasm] Screenshot failed:', e);
+          if (!auto) notify('Screenshot not saved: ' + e.message);
+          return null;
+        }).then(function(shot) {
+          busy = false;
+          return shot;
+        });
+      }
+
+      function start(emu) {
+        var Module = emu.gameManager.Module || emu.Module;
+        FS = emu.gameManager.FS;
+        takeScreenshot = Module.cwrap('cmd_take_screenshot', '', []);
+        window.addEventListener('keydown', function(e) {
+          if (e.key === 'F10') {
+            e.preventDefault();
+            take(false);
+          }
+        }, true);
+        if (CAPTURE.delay > 0) setTimeout(function() { take(true); }, CAPTURE.delay * 1000);
+      }
+
+      return { active: Boolean(CAPTURE), start: start, take: take, capture: capture };
+    })();
+  </script>
+
+  <script nonce="${nonce}">
+    // === Cheats ===
+    // The game's stored cheats, toggled from a panel (F7). The core cannot
+    // drop a single cheat, so every change resets them and sends the enabled
+    // set again. Toggles, imports and new codes are saved on the server, so
+    // the same cheats are on at the next launch. A static export has nowhere
+    // to save them (no url), so there they are only toggled for the session.
+    var flycastCheats = (function() {
+      var CHEATS = ${scriptJson(cheatsContext)};
+      var list = CHEATS.list.slice();
+      var setCheat = null, resetCheat = null;
+      var panel = null, rows = null, message = null;
+
+      function el(tag, css, textContent) {
+        var e = document.createElement(tag);
+        if (css) e.style.cssText = css;
+        if (textContent !== undefined) e.textContent = textContent;
+        return e;
+      }
+
+      function button(label, onclick) {
+        var b = el('button', 'margin:4px 4px 0 0;background:none;border:1px solid #05d9e8;border-radius:4px;'
+          + 'color:#05d9e8;font:11px monospace;padding:1px 8px;cursor:pointer', label);
+        b.onclick = onclick;
+        return b;
+      }
+
+      function api(path, options) {
+        return fetch(CHEATS.url + path, options).then(function(resp) {
+          if (resp.status === 204) return null;
+          return resp.json().then(function(body) {
+            if (!resp.ok) throw new Error(body.error.details ? body.error.details.join('\\n') : body.error.message);
+            return body;
+          });
+        });
+      }
+
+      function apply() {
+        if (!setCheat) return;
+        resetCheat();
+        list.filter(function(c) { return c.enabled; }).forEach(function(cheat, index) {
+          setCheat(index, 1, cheat.code.join(' '));
+        });
+      }
+
+      function say(text, error) {
+        message.textContent = text;
+        message.style.color = error ? '#ff2a6d' : '#b0a8c0';
+      }
+
+      function render() {
+        if (!panel) return;
+        rows.innerHTML = '';
+        if (!list.length) rows.appendChild(el('div', 'color:#b0a8c0', 'No cheats for this game yet'));
+        list.forEach(function(cheat) {
+          var row = el('label', 'display:flex;gap:6px;align-items:center;cursor:pointer');
+          var box = el('input');
+          box.type = 'checkbox';
+          box.checked = cheat.enabled;
+          box.onchange = function() { toggle(cheat, box.checked); };
+          row.appendChild(box);
+          row.appendChild(el('span', null, cheat.name));
+          row.title = cheat.code.join('\\n');
+          rows.appendChild(row);
+        });
+      }
+
+      function toggle(cheat, enabled) {
+        cheat.enabled = enabled;
+        apply();
+        if (!CHEATS.url) return;
+        api('/' + cheat.id, {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ enabled: enabled }),
+        }).then(function() {
+          say('');
+        }).catch(function(e) {
+          say('Not saved: ' + e.message, true);
+        });
+      }
+
+      function add(body) {
+        return api('', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(body),
+        }).then(function(result) {
+          list = result.cheats;
+          apply();
+          render();
+          say(result.added.length + ' added' + (result.skipped ? ', ' + result.skipped + ' already listed' : ''));
+          return true;
+        }).catch(function(e) {
+          say(e.message, true);
+          return false;
+        });
+      }
+
+      function buildPanel() {
+        panel = el('div', 'position:fixed;bottom:8px;right:8px;z-index:10000;padding:6px 10px;border-radius:6px;'
+          + 'background:rgba(0,0,0,0.7);color:#05d9e8;font:12px/1.5 monospace;width:280px;max-height:70vh;overflow:auto;display:none');
+        panel.appendChild(el('div', 'color:#e8e0f0', 'Cheats'));
+        rows = el('div');
+        panel.appendChild(rows);
+        message = el('div', 'white-space:pre-wrap;color:#b0a8c0');
+        if (!CHEATS.url) {
+          panel.appendChild(message);
+          document.body.appendChild(panel);
+          render();
+          return;
+        }
+
+        var field = 'width:100%;margin-top:4px;background:#14142a;border:1px solid #05d9e8;border-radius:4px;'
+          + 'color:#e8e0f0;font:11px monospace;padding:1px 4px';
+        var name = el('input', field);
+        name.placeholder = 'Name';
+        var code = el('textarea', field + ';height:48px;resize:vertical');
+        code.placeholder = 'XXXXXXXX YYYYYYYY';
+        var file = el('input', 'display:none');
+        file.type = 'file';
+        file.accept = '.cht,.txt';
+        file.onchange = function() {
+          var picked = file.files[0];
+          file.value = '';
+          if (!picked) return;
+          picked.text().then(function(text) { add({ file: text, filename: picked.name }); });
+        };
+        panel.appendChild(name);
+        panel.appendChild(code);
+        panel.appendChild(button('Add', function() {
+          add({ name: name.value, code: code.value }).then(function(ok) {
+            if (!ok) return;
+            name.value = '';
+            code.value = '';
+          });
+        }));
+        panel.appendChild(button('Import file', function() { file.click(); }));
+        panel.appendChild(file);
+        panel.appendChild(message);
+        document.body.appendChild(panel);
+        render();
+      }
+
+      function start(emu) {
+        var Module = emu.gameManager.Module || emu.Module;
+        setCheat = Module.cwrap('set_cheat', 'number', ['number', 'number', 'string']);
+        resetCheat = Module.cwrap('reset_cheat', null, []);
+        buildPanel();
+        window.addEventListener('keydown', function(e) {
+          if (e.key === 'F7') {
+            e.preventDefault();
+            panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+          }
+        }, true);
+        if (list.some(function(c) { return c.enabled; })) apply();
+      }
+
+      return { start: start, apply: apply };
+    })();
+  </script>
+
+  <script nonce="${nonce}">
+    // === Save states ===
+    // Numbered and named save-state slots kept on the server, each with a
+    // screenshot. F6 shows the slot picker. A state only loads reliably
+    // into the core build and options it was made with, so loading one that
+    // differs asks first. With auto-save on, the state goes to the "auto"
+    // slot when the tab is closed (not when it is only hidden: a state is
+    // several megabytes).
+    var flycastStates = (function() {
+      var STATES = ${scriptJson(statesContext)};
+      var AUTO_SLOT = 'auto';
+      var gameManager = null;
+      var slots = [];
+      var pending = null;
+      var panel = null, rows = null, message = null, autosaveBox = null;
+
+      function el(tag, css, textContent) {
+        var e = document.createElement(tag);
+        if (css) e.style.cssText = css;
+        if (textContent !== undefined) e.textContent = textContent;
+        return e;
+      }
+
+      function button(label, onclick) {
+        var b = el('button', 'margin:4px 4px 0 0;background:none;border:1px solid #05d9e8;border-radius:4px;'
+          + 'color:#05d9e8;font:11px monospace;padding:1px 8px;cursor:pointer', label);
+        b.onclick = onclick;
+        return b;
+      }
+
+      function request(url, options) {
+        return fetch(url, options).then(function(resp) {
+          if (resp.ok) return resp;
+          return resp.json().then(function(body) { throw new Error(body.error.message); });
+        });
+      }
+
+      function say(text, error) {
+        message.textContent = text;
+        message.style.color = error ? '#ff2a6d' : '#b0a8c0';
+      }
+
+      // Why a state may not load into this session
+      function mismatches(state) {
+        var problems = [];
+        if (state.coreBuild !== STATES.coreBuild) problems.push('saved with core build ' + state.coreBuild + ', running ' + STATES.coreBuild);
+        if (state.optionsHash !== STATES.optionsHash) problems.push('saved with different core options');
+        return problems;
+      }
+
+      function refresh() {
+        return request(STATES.url).then(function(resp) { return resp.json(); }).then(function(body) {
+          slots = body.states;
+          render();
+        }).catch(function(e) {
+          say('Cannot list states: ' + e.message, true);
+        });
+      }
+
+      function upload(slot, data, keepalive) {
+        var query = '?coreBuild=' + encodeURIComponent(STATES.coreBuild) + '&optionsHash=' + encodeURIComponent(STATES.optionsHash);
+        return request(STATES.url + '/' + encodeURIComponent(slot) + query, {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/octet-stream' },
+          body: data,
+          keepalive: keepalive && data.length < 65536,
+        });
+      }
+
+      function save(slot) {
+        if (!slot) return;
+        var data;
+        try {
+          data = gameManager.getState();
+        } catch(e) {
+          say('The core could not save a state: ' + e.message, true);
+          return;
+        }
+        say('Saving to ' + slot + '…');
+        upload(slot, data).then(function() {
+          return flycastShots.capture().then(function(png) {
+            return request(STATES.url + '/' + encodeURIComponent(slot) + '/screenshot', {
+              method: 'PUT',
+              headers: { 'Content-Type': 'image/png' },
+              body: png,
+            });
+          }).catch(function(e) {
+            console.warn('[flycast-wasm] State screenshot failed:', e);
+          });
+        }).then(function() {
+          say('Saved to ' + slot);
+          return refresh();
+        }).catch(function(e) {
+          say('Not saved: ' + e.message, true);
+        });
+      }
+
+      function load(state) {
+        var problems = mismatches(state);
+        if (problems.length && !confirm('This state may not load correctly:\\n\\n' + problems.join('\\n') + '\\n\\nLoad anyway?')) return;
+        say('Loading ' + state.slot + '…');
+        request(state.url).then(function(resp) { return resp.arrayBuffer(); }).then(function(buf) {
+          gameManager.loadState(new Uint8Array(buf));
+          say('Loaded ' + state.slot);
+        }).catch(function(e) {
+          say('Not loaded: ' + e.message, true);
+        });
+      }
+
+      function remove(state) {
+        if (!confirm('Delete the state in ' + state.slot + '?')) return;
+        request(state.url, { method: 'DELETE' }).then(refresh).catch(function(e) {
+          say('Not deleted: ' + e.message, true);
+        });
+      }
+
+      // Only the state: the main loop stops while the page unloads, so no
+      // screenshot would be taken
+      function autosave() {
+        if (!autosaveBox.checked || !gameManager || pending) return;
+        var data;
+        try {
+          data = gameManager.getState();
+        } catch(e) {
+          return;
+        }
+        pending = upload(AUTO_SLOT, data, true).catch(function(e) {
+          console.warn('[flycast-wasm] Auto-save failed:', e);
+        }).then(function() {
+          pending = null;
+        });
+      }
+
+      function render() {
+        if (!panel) return;
+        rows.innerHTML = '';
+        if (!slots.length) rows.appendChild(el('div', 'color:#b0a8c0', 'No saved states yet'));
+        slots.forEach(function(state) {
+          var row = el('div', 'display:flex;gap:6px;align-items:center;margin-top:4px');
+          var shot = state.screenshotUrl ? el('img', 'width:64px;height:48px;object-fit:cover;border-radius:3px')
+            : el('div', 'width:64px;height:48px;border:1px dashed #444;border-radius:3px');
+          if (state.screenshotUrl) shot.src = state.screenshotUrl + '?v=' + encodeURIComponent(state.savedAt);
+          row.appendChild(shot);
+          var info = el('div', 'flex:1;min-width:0');
+          info.appendChild(el('div', 'color:#e8e0f0', (state.slot === AUTO_SLOT ? 'Auto-save' : /^[0-9]+$/.test(state.slot) ? 'Slot ' + state.slot : state.slot)));
+          info.appendChild(el('div', 'color:#b0a8c0;font-size:10px', new Date(state.savedAt).toLocaleString()));
+          var problems = mismatches(state);
+          if (problems.length) {
+            var warn = el('div', 'color:#ff2a6d;font-size:10px', '\\u26A0 ' + (state.coreBuild !== STATES.coreBuild ? 'other core build' : 'other options'));
+            warn.title = problems.join('\\n');
+            info.appendChild(warn);
+          }
+          info.appendChild(button('Load', function() { load(state); }));
+          info.appendChild(button('Delete', function() { remove(state); }));
+          row.appendChild(info);
+          rows.appendChild(row);
+        });
+      }
+
+      function buildPanel() {
+        panel = el('div', 'position:fixed;top:8px;left:50%;transform:translateX(-50%);z-index:10000;padding:6px 10px;border-radius:6px;'
+          + 'background:rgba(0,0,0,0.7);color:#05d9e8;font:12px/1.5 monospace;width:300px;max-height:80vh;overflow:auto;display:none');
+        panel.appendChild(el('div', 'color:#e8e0f0', 'Save states'));
+        var field = 'background:#14142a;border:1px solid #05d9e8;border-radius:4px;color:#e8e0f0;font:11px monospace;padding:1px 4px;margin-right:4px';
+        var controls = el('div');
+        var number = el('select', field);
+        for (var n = 1; n <= 9; n++) {
+          var option = el('option', null, 'Slot ' + n);
+          option.value = String(n);
+          number.appendChild(option);
+        }
+        controls.appendChild(number);
+        controls.appendChild(button('Save', function() { save(number.value); }));
+        var named = el('div');
+        var name = el('input', field + ';width:140px');
+        name.placeholder = 'Name';
+        name.maxLength = 32;
+        named.appendChild(name);
+        named.appendChild(button('Save as', function() { save(name.value.trim()); }));
+        var auto = el('label', 'display:block;margin-top:4px;cursor:pointer');
+        autosaveBox = el('input');
+        autosaveBox.type = 'checkbox';
+        autosaveBox.checked = STATES.autosave;
+        auto.appendChild(autosaveBox);
+        auto.appendChild(document.createTextNode(' Auto-save when the tab closes'));
+        rows = el('div');
+        message = el('div', 'color:#b0a8c0');
+        panel.appendChild(controls);
+        panel.appendChild(named);
+        panel.appendChild(auto);
+        panel.appendChild(message);
+        panel.appendChild(rows);
+        document.body.appendChild(panel);
+        render();
+      }
+
+      function start(emu) {
+        gameManager = emu.gameManager;
+        buildPanel();
+        refresh();
+        window.addEventListener('keydown', function(e) {
+          if (e.key === 'F6') {
+            e.preventDefault();
+            panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+            if (panel.style.display === 'block') refresh();
+          }
+        }, true);
+        // The close prompt is what lets the auto-save finish: a state is far
+        // over the 64KB a keepalive request may carry, and browsers cancel
+        // other requests once the page is gone. So with auto-save on, every
+        // close asks to stay while the state uploads.
+        window.addEventListener('beforeunload', function(e) {
+          autosave();
+          if (pending) {
+            e.preventDefault();
+            e.returnValue = '';
+          }
+        });
+      }
+
+      return { active: Boolean(STATES), start: start, save: save, refresh: refresh };
+    })();
+  </script>
+
+  <script nonce="${nonce}">
+    // === Disc swap ===
+    // Multi-disc games boot from the server's M3U playlist. The first disc is
+    // fetched into its discN/ directory before the core starts; the others
+    // are fetched when they are swapped in (F4), and the disc taken out is
+    // dropped from memory.
+    var flycastDiscs = (function() {
+      var DISCS = ${scriptJson(discSet)};
+      var FS = null, romDir = '';
+      var loaded = {};
+      var getDiskCount = null, getCurrentDisk = null, setCurrentDisk = null;
+      var panel = null, statusLine = null, controls = null;
+      var busy = false;
+
+      function el(tag, css, textContent) {
+        var e = document.createElement(tag);
+        if (css) e.style.cssText = css;
+        if (textContent !== undefined) e.textContent = textContent;
+        return e;
+      }
+
+      function button(label, onclick) {
+        var b = el('button', 'margin:4px 4px 0 0;background:none;border:1px solid #05d9e8;border-radius:4px;'
+          + 'color:#05d9e8;font:11px monospace;padding:1px 8px;cursor:pointer', label);
+        b.onclick = onclick;
+        return b;
+      }
 
-  return `<!DOCTYPE html>
-<html>
-<head>
-  <meta charset="utf-8">
-  <title>Flycast WASM</title>
-  <style>
-    * { margin: 0; padding: 0; box-sizing: border-box; }
-    body { background: #000; overflow: hidden; width: 100vw; height: 100vh; }
-    #game { width: 100vw; height: 100vh; }
-  </style>
-</head>
-<body>
-  <div id="game"></div>
+      function fetchFile(url) {
+        return fetch(url).then(function(resp) {
+          if (!resp.ok) throw new Error(url + ' returned HTTP ' + resp.status);
+          return resp.arrayBuffer();
+        });
+      }
 
-  <script>
-    // === Console noise suppression ===
-    (function() {
-      var origWarn = console.warn;
-      console.warn = function() {
-        if (arguments.length > 0 && typeof arguments[0] === 'string') {
-          var msg = arguments[0];
-          if (msg.indexOf('__syscall_mprotect') !== -1) return;
-          if (msg.indexOf('is not a valid value') !== -1) return;
-        }
-        return origWarn.apply(console, arguments);
-      };
-    })();
+      // Write a disc (and the tracks its sheet names) into its directory
+      async function load(disc) {
+        if (loaded[disc.dir]) return;
+        var dir = romDir + '/' + disc.dir;
+        try { FS.mkdir(dir); } catch(e) {}
+        var files = [{ filename: disc.filename, url: disc.url }];
+        if (disc.manifest) {
+          var manifest = await (await fetch(disc.manifest)).json();
+          files = files.concat(manifest.files);
+        }
+        for (var i = 0; i < files.length; i++) {
+          FS.writeFile(dir + '/' + files[i].filename, new Uint8Array(await fetchFile(files[i].url)));
+        }
+        loaded[disc.dir] = files.map(function(f) { return dir + '/' + f.filename; });
+        console.log('[flycast-wasm] Loaded disc ' + disc.number + ' (' + files.length + ' file(s))');
+      }
 
-    // === WebGL2 compatibility patches ===
-    (function() {
-      var origGetContext = HTMLCanvasElement.prototype.getContext;
-      HTMLCanvasElement.prototype.getContext = function(type, attrs) {
-        var ctx = origGetContext.call(this, type, attrs);
-        if (ctx && (type === 'webgl2' || type === 'experimental-webgl2') && !ctx.__flycastPatched) {
-          ctx.__flycastPatched = true;
-          var origGetParam = ctx.getParameter.bind(ctx);
-
-          // Patch A: GL_VERSION string override
-          ctx.getParameter = function(pname) {
-            if (pname === 0x1F02 || pname === ctx.VERSION) {
-              return 'OpenGL ES 3.0 WebGL 2.0';
-            }
-            if (pname === 0x8B8C || pname === ctx.SHADING_LANGUAGE_VERSION) {
-              return 'OpenGL ES GLSL ES 3.00';
-            }
-            return origGetParam(pname);
-          };
+      function unload(disc) {
+        (loaded[disc.dir] || []).forEach(function(file) {
+          try { FS.unlink(file); } catch(e) {}
+        });
+        delete loaded[disc.dir];
+      }
 
-          // Patch B: GL_INVALID_ENUM suppression
-          var origGetError = ctx.getError.bind(ctx);
-          ctx.getError = function() {
-            var err = origGetError();
-            while (err === 0x500) { err = origGetError(); }
-            return err;
-          };
+      function prepare(fs, romPath) {
+        FS = fs;
+        romDir = romPath.lastIndexOf('/') > 0 ? romPath.slice(0, romPath.lastIndexOf('/')) : '';
+        return load(DISCS[0]);
+      }
 
-          // Patch C: texParameteri/f unbound texture guard
-          var texBindings = {};
-          texBindings[ctx.TEXTURE_2D] = ctx.TEXTURE_BINDING_2D;
-          texBindings[ctx.TEXTURE_CUBE_MAP] = ctx.TEXTURE_BINDING_CUBE_MAP;
-          if (ctx.TEXTURE_3D) texBindings[ctx.TEXTURE_3D] = ctx.TEXTURE_BINDING_3D;
-          if (ctx.TEXTURE_2D_ARRAY) texBindings[ctx.TEXTURE_2D_ARRAY] = ctx.TEXTURE_BINDING_2D_ARRAY;
-
-          var origTexParameteri = ctx.texParameteri.bind(ctx);
-          ctx.texParameteri = function(target, pname, param) {
-            var b = texBindings[target];
-            if (b && !origGetParam(b)) return;
-            return origTexParameteri(target, pname, param);
-          };
+      function render(text) {
+        if (!panel) return;
+        var index = getCurrentDisk();
+        statusLine.textContent = text || 'Disc ' + (DISCS[index] ? DISCS[index].number : index + 1) + ' of ' + getDiskCount();
+        controls.innerHTML = '';
+        DISCS.forEach(function(disc, i) {
+          if (i !== index) controls.appendChild(button('Insert disc ' + disc.number, function() { insert(i); }));
+        });
+      }
 
-          var origTexParameterf = ctx.texParameterf.bind(ctx);
-          ctx.texParameterf = function(target, pname, param) {
-            var b = texBindings[target];
-            if (b && !origGetParam(b)) return;
-            return origTexParameterf(target, pname, param);
-          };
+      async function insert(index) {
+        if (busy) return;
+        busy = true;
+        var previous = DISCS[getCurrentDisk()];
+        try {
+          render('Loading disc ' + DISCS[index].number + '…');
+          await load(DISCS[index]);
+          setCurrentDisk(index);
+          if (previous && previous !== DISCS[index] && getCurrentDisk() === index) unload(previous);
+          render();
+        } catch(e) {
+          console.error('[flycast-wasm] Disc swap failed:', e);
+          render('Disc ' + DISCS[index].number + ' not loaded: ' + e.message);
         }
-        return ctx;
-      };
-    })();
+        busy = false;
+      }
 
-    // === EmulatorJS configuration ===
-    EJS_DEBUG_XX = false;
-    EJS_player = '#game';
-    EJS_core = 'flycast';
-    EJS_gameUrl = '${romUrl}';
-    EJS_pathtodata = '${dataUrl}';
-    ${biosUrl ? `EJS_biosUrl = '${biosUrl}';` : ''}
-    EJS_startOnLoaded = true;
-    EJS_color = '#ff2a6d';
-    EJS_disableLocalStorage = true;
-    EJS_defaultOptions = ${JSON.stringify(defaultOptions)};
+      function start(emu) {
+        var Module = emu.gameManager.Module || emu.Module;
+        getDiskCount = Module.cwrap('get_disk_count', 'number', []);
+        getCurrentDisk = Module.cwrap('get_current_disk', 'number', []);
+        setCurrentDisk = Module.cwrap('set_current_disk', null, ['number']);
+        panel = el('div', 'position:fixed;bottom:48px;left:8px;z-index:10000;padding:6px 10px;border-radius:6px;'
+          + 'background:rgba(0,0,0,0.7);color:#05d9e8;font:12px/1.5 monospace;max-width:280px;display:none');
+        statusLine = el('div');
+        controls = el('div');
+        panel.appendChild(statusLine);
+        panel.appendChild(controls);
+        document.body.appendChild(panel);
+        render();
+        window.addEventListener('keydown', function(e) {
+          if (e.key === 'F4') {
+            e.preventDefault();
+            panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+            render();
+          }
+        }, true);
+      }
+
+      return { active: Boolean(DISCS), prepare: prepare, start: start, insert: insert };
+    })();
   </script>
 
-  <script>
+  <script nonce="${nonce}">
     // === Unified startGame patch: BIOS + core options + system_directory ===
     // Single wrapper avoids race conditions between separate patches.
     (function() {
-      var EXTRA_BIOS = ${JSON.stringify(extraBiosFiles)};
-      var CORE_OPTS = ${JSON.stringify(coreOptionsStr)};
+      var EXTRA_BIOS = ${scriptJson(extraBios)};
+      var DISC_MANIFEST = ${scriptJson(discUrl || '')};
+      var CORE_OPTS = ${scriptJson(coreOptionsStr)};
       var BIOS_FILES = ['dc_boot.bin', 'dc_flash.bin'];
       var iv = setInterval(function() {
         var emu = window.EJS_emulator;
@@ -499,6 +5112,24 @@ function buildEmulatorPage(romUrl, biosUrl, extraBiosJson, coreOptionsJson) {
                 }
               }
 
+              // 1b. Multi-file discs: fetch every track the sheet references and
+              // place it beside the sheet so the core can resolve it
+              if (DISC_MANIFEST) {
+                var romPath = this.fileName || '';
+                var romDir = romPath.lastIndexOf('/') > 0 ? romPath.slice(0, romPath.lastIndexOf('/')) : '';
+                var manifest = await (await fetch(DISC_MANIFEST)).json();
+                for (var t = 0; t < manifest.files.length; t++) {
+                  var track = manifest.files[t];
+                  var trackResp = await fetch(track.url);
+                  if (!trackResp.ok) throw new Error('Track ' + track.filename + ' returned HTTP ' + trackResp.status);
+                  FS.writeFile(romDir + '/' + track.filename, new Uint8Array(await trackResp.arrayBuffer()));
+                }
+                console.log('[flycast-wasm] Loaded ' + manifest.files.length + ' track file(s) for ' + manifest.sheet);
+              }
+
+              // 1c. Multi-disc games: the first disc goes in beside the playlist
+              if (flycastDiscs.active) await flycastDiscs.prepare(FS, this.fileName || '');
+
               // 2. Create /dc/ and copy ALL BIOS files there (now that dc_flash.bin exists)
               var biosDir = '/dc';
               try {
@@ -515,6 +5146,13 @@ function buildEmulatorPage(romUrl, biosUrl, extraBiosJson, coreOptionsJson) {
                 } catch(e) {}
               }
 
+              // 2b. Restore VMU and core save files from the server
+              try {
+                await flycastSaves.restore(FS);
+              } catch(e) {
+                console.error('[flycast-wasm] Failed to restore save files:', e);
+              }
+
               // 3. Write core options before callMain
               if (this.Module && this.Module.callbacks) {
                 var origCb = this.Module.callbacks.setupCoreSettingFile;
@@ -550,137 +5188,770 @@ function buildEmulatorPage(romUrl, biosUrl, extraBiosJson, coreOptionsJson) {
           } catch(e) {
             console.error('[flycast-wasm] startGame patch failed:', e);
           }
-          return origStartGame.apply(this, arguments);
+          var result = await origStartGame.apply(this, arguments);
+          try {
+            flycastSaves.start(this);
+          } catch(e) {
+            console.error('[flycast-wasm] Save sync unavailable:', e);
+          }
+          try {
+            flycastPerf.start(this);
+          } catch(e) {
+            console.error('[flycast-wasm] Performance overlay unavailable:', e);
+          }
+          if (flycastNetplay.enabled) {
+            try {
+              flycastNetplay.start();
+            } catch(e) {
+              console.error('[flycast-wasm] Netplay unavailable:', e);
+            }
+          }
+          if (flycastShots.active) {
+            try {
+              flycastShots.start(this);
+            } catch(e) {
+              console.error('[flycast-wasm] Screenshots unavailable:', e);
+            }
+          }
+          try {
+            flycastCheats.start(this);
+          } catch(e) {
+            console.error('[flycast-wasm] Cheats unavailable:', e);
+          }
+          if (flycastStates.active) {
+            try {
+              flycastStates.start(this);
+            } catch(e) {
+              console.error('[flycast-wasm] Save states unavailable:', e);
+            }
+          }
+          if (flycastDiscs.active) {
+            try {
+              flycastDiscs.start(this);
+            } catch(e) {
+              console.error('[flycast-wasm] Disc swap unavailable:', e);
+            }
+          }
+          return result;
         };
       }, 50);
     })();
   </script>
 
-  <script src="${dataUrl}loader.js"></script>
+  <script nonce="${nonce}" src="${dataUrl}loader.js"></script>
+</body>
+</html>`
+}
+
+// Resolve /emulator?game=<id>&bios=<set>[&core=<build>][&coreOptions=<json>]
+// [&patches=<json>][&overlay=1][&autosave=1][&netplay=host|<room>] into the page inputs, signing fresh URLs for
+// the game and BIOS files (or linking them through `linkTo`, for a static
+// export). Only values the server handed out are accepted: a game ID from the
+// library (not a track or BIOS file), a BIOS set name, a registered core
+// build, core option values from the schema and runtime patch names.
+async function resolveLaunch(params, linkTo = signedLinks) {
+  const found = await findGame(params.get('game') || '')
+  const romPath = found && found.path
+  if (!romPath || !fs.existsSync(romPath)) {
+    return { error: { status: 404, code: 'game_not_found', title: 'Game not found', message: 'This game is no longer in the library. It may have been removed or renamed.' } }
+  }
+
+  let discUrl = ''
+  let romUrl = null
+  let discSet = null
+  if (found.discs) {
+    // Multi-disc games: the playlist boots, each disc is fetched when it goes in
+    romUrl = linkTo.playlist(found)
+    discSet = []
+    for (const { disc, number, dir, filename } of discSetFiles(found)) {
+      discSet.push({
+        number,
+        dir,
+        filename,
+        url: disc.archive ? await linkTo.archiveEntry(disc.path, disc.archive.image.entry) : linkTo.file(disc.path),
+        manifest: (disc.archive ? disc.archive.image.disc : discSheets.isSheet(disc.path)) ? await linkTo.discManifest(disc.path) : null,
+      })
+    }
+  } else if (found.archive) {
+    // Archives: the image inside is streamed out, tracks and all
+    const archive = found.archive
+    if (!archive.image || archive.problems.length > 0) {
+      return { error: { status: 409, code: 'game_not_launchable', title: 'Archive not playable', message: archive.problems.join('\n'), details: archive.problems } }
+    }
+    romUrl = await linkTo.archiveEntry(romPath, archive.image.entry)
+    if (archive.image.disc) discUrl = await linkTo.discManifest(romPath)
+  } else if (discSheets.isSheet(romPath)) {
+    const disc = discSheets.inspectSheet(romPath)
+    if (!disc.ok) {
+      return { error: { status: 409, code: 'game_not_launchable', title: 'Disc incomplete', message: disc.problems.join('\n'), details: disc.problems } }
+    }
+    discUrl = await linkTo.discManifest(romPath)
+  }
+  if (!romUrl) romUrl = linkTo.file(romPath)
+
+  const biosSets = bios.scanBiosSets(BIOS_DIR)
+  const setName = params.get('bios')
+  const named = setName ? biosSets.find((s) => s.name === setName) : null
+  const set = setName ? named && named.usable && named : bios.pickDefaultSet(biosSets)
+  if (!set) {
+    let message = 'Place dc_boot.bin and dc_flash.bin in demo/bios/'
+    if (setName) message = named ? `BIOS set "${named.name}" is missing or unusable.` : 'There is no BIOS set with that name.'
+    return { error: { status: 409, code: 'bios_unavailable', title: 'BIOS missing', message } }
+  }
+
+  // Core options: defaults -> global profile -> game profile -> URL override
+  const game = saves.gameKeyFor(romPath)
+  const profile = coreOptions.profileKeyFor(found.archive ? null : ipbin.getDiscHeader(romPath), game)
+  let options
+  let coreName
+  try {
+    coreName = params.get('core') || coreOptions.resolveCore({ profilesDir: PROFILES_DIR, profile })
+    let override = null
+    if (params.has('coreOptions')) {
+      try {
+        override = JSON.parse(params.get('coreOptions'))
+      } catch {
+        throw new coreOptions.CoreOptionsError('coreOptions parameter', ['not valid JSON'])
+      }
+    }
+    options = coreOptions.resolveOptions({ configPath: CORE_OPTIONS_FILE, profilesDir: PROFILES_DIR, profile, override })
+  } catch (e) {
+    if (!(e instanceof coreOptions.CoreOptionsError)) throw e
+    return {
+      error: {
+        status: 400,
+        code: 'invalid_core_options',
+        title: 'Invalid core options',
+        message: `${e.source}:\n${e.problems.join('\n')}`,
+        details: e.problems,
+      },
+    }
+  }
+
+  // Core build: ?core=<name>, else the game or global profile's, else the default
+  const { builds, fallback } = coreBuilds()
+  const picked = coreName ? builds.find((b) => b.name === coreName) : null
+  const build = coreName ? picked && picked.usable && picked : fallback
+  if (!build) {
+    let message = 'No usable Flycast core build is installed.'
+    if (coreName) message = picked ? `Core build "${picked.name}" is not usable:\n${picked.problems.join('\n')}` : 'There is no core build with that name.'
+    return { error: { status: 409, code: 'core_unavailable', title: 'Core build unavailable', message } }
+  }
+
+  // Runtime patches: all on unless ?patches={"name":false} turns some off
+  let patches
+  try {
+    let override = null
+    if (params.has('patches')) {
+      try {
+        override = JSON.parse(params.get('patches'))
+      } catch {
+        throw new runtimePatches.PatchTogglesError('patches parameter', ['not valid JSON'])
+      }
+    }
+    patches = runtimePatches.resolveToggles('patches parameter', override)
+  } catch (e) {
+    if (!(e instanceof runtimePatches.PatchTogglesError)) throw e
+    return {
+      error: {
+        status: 400,
+        code: 'invalid_patches',
+        title: 'Invalid runtime patches',
+        message: `${e.source}:\n${e.problems.join('\n')}`,
+        details: e.problems,
+      },
+    }
+  }
+
+  // Controller mapping profiles assigned to each player by the game or global profile
+  const players = []
+  try {
+    const assigned = coreOptions.resolveControls({ profilesDir: PROFILES_DIR, profile })
+    for (const player of controls.PLAYERS) {
+      if (!assigned[player]) continue
+      const mapping = controls.readMapping(PROFILES_DIR, assigned[player])
+      if (!mapping) {
+        return {
+          error: {
+            status: 409,
+            code: 'controls_unavailable',
+            title: 'Controller profile missing',
+            message: `Player ${player} is assigned the controller profile "${assigned[player]}", which no longer exists.`,
+          },
+        }
+      }
+      players.push({ player, ...mapping })
+    }
+  } catch (e) {
+    if (!(e instanceof controls.ControlsError || e instanceof coreOptions.CoreOptionsError)) throw e
+    return {
+      error: {
+        status: 400,
+        code: 'invalid_controls',
+        title: 'Invalid controller profile',
+        message: `${e.source}:\n${e.problems.join('\n')}`,
+        details: e.problems,
+      },
+    }
+  }
+
+  // Cheats stored for this game; the enabled ones are applied once it boots
+  let gameCheats
+  try {
+    gameCheats = cheats.readCheats(PROFILES_DIR, profile)
+  } catch (e) {
+    if (!(e instanceof cheats.CheatsError)) throw e
+    return {
+      error: {
+        status: 400,
+        code: 'invalid_cheats',
+        title: 'Invalid cheats file',
+        message: `${e.source}:\n${e.problems.join('\n')}`,
+        details: e.problems,
+      },
+    }
+  }
+
+  // Netplay: ?netplay=host opens a room for this game, ?netplay=<code> joins one
+  const netplayParam = params.get('netplay')
+  if (netplayParam && netplayParam !== 'host' && !netplay.isValidRoomCode(netplayParam)) {
+    return {
+      error: {
+        status: 400,
+        code: 'invalid_netplay',
+        title: 'Invalid netplay room',
+        message: 'netplay must be "host" or a 6 character room code.',
+      },
+    }
+  }
+
+  return {
+    biosSet: set.name,
+    romUrl,
+    biosUrl: linkTo.file(set.boot.file),
+    extraBios: [{ filename: bios.FLASH_FILE, url: linkTo.file(set.flash.file) }],
+    options,
+    patches,
+    core: build.name,
+    controls: players,
+    netplay: {
+      host: netplayParam === 'host',
+      room: netplayParam && netplayParam !== 'host' ? netplayParam : null,
+      gameId: fileIdFor(romPath),
+      coreBuild: coreBuildId(build),
+      optionsHash: benchmarks.optionsHash(options),
+    },
+    discUrl,
+    discSet,
+    game,
+    states: {
+      url: `/api/v${API_VERSION}/games/${encodeURIComponent(fileIdFor(romPath))}/states`,
+      coreBuild: coreBuildId(build),
+      optionsHash: benchmarks.optionsHash(options),
+      autosave: params.get('autosave') === '1',
+    },
+    cheats: {
+      url: `/api/v${API_VERSION}/games/${encodeURIComponent(fileIdFor(romPath))}/cheats`,
+      list: gameCheats,
+    },
+    capture: {
+      url: `/api/v${API_VERSION}/games/${encodeURIComponent(fileIdFor(romPath))}/screenshots`,
+      delay: CAPTURE_DELAY,
+    },
+    perf: {
+      overlay: params.get('overlay') === '1',
+      gameId: fileIdFor(romPath),
+      coreBuild: coreBuildId(build),
+      record: true,
+    },
+  }
+}
+
+// Launcher of a static export: a card per exported game linking to its
+// page, rendered here since there is no API to ask
+function buildStaticLauncherPage(games) {
+  const cards = games.map((game) => {
+    const header = game.header
+    const badges = [...(header ? header.regions : []), ...(game.discs ? [`${game.discs.length} discs`] : [])]
+    const detail = [header || game.archive ? game.file : '', header ? [header.productNumber, header.version, header.releaseDate].filter(Boolean).join(' \u00B7 ') : '']
+      .filter(Boolean).join(' \u00B7 ')
+    return `    <a class="game-card" href="${escapeHtml(game.url)}">
+      ${game.thumbnail ? `<img class="game-art" src="${escapeHtml(game.thumbnail)}" alt="">` : '<div class="game-icon">&#9654;</div>'}
+      <div class="game-info">
+        <div class="game-name">${escapeHtml(game.title)}${badges.map((b) => `<span class="badge">${escapeHtml(b)}</span>`).join('')}</div>
+        <div class="game-detail">${escapeHtml(detail)}</div>
+      </div>
+    </a>`
+  })
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Flycast WASM — Dreamcast Emulator</title>
+  <style>
+${LAUNCHER_STYLE}
+    a.game-card { color: inherit; text-decoration: none; }
+  </style>
+</head>
+<body>
+  <div class="header">
+    <h1>FLYCAST WASM</h1>
+    <p>Sega Dreamcast emulation in the browser via WebAssembly</p>
+  </div>
+  <div class="games">
+    <h2>Games</h2>
+${cards.length ? cards.join('\n') : '    <p class="empty">No games were exported.</p>'}
+  </div>
+  <div class="footer">
+    <a href="https://github.com/nasomers/flycast-wasm">github.com/nasomers/flycast-wasm</a>
+  </div>
 </body>
 </html>`
 }
 
-// HTTP server
-const server = http.createServer((req, res) => {
+// --export <dir>: write the library as a static site (see lib/static-export.js).
+// Each launchable game gets the page a plain launch from the launcher would:
+// the default BIOS set, and the core build, options, controls and cheats of
+// its profile. What needs this server (save sync, save states, screenshots,
+// netplay, recording benchmarks) is left out of the pages. A failed export
+// removes what it wrote.
+async function exportStaticSite(dir, { link }) {
+  indexLibrary()
+  if (!bios.pickDefaultSet(bios.scanBiosSets(BIOS_DIR))) throw new staticExport.StaticExportError(`no usable BIOS set in ${BIOS_DIR}`)
+  if (!coreBuilds().fallback) throw new staticExport.StaticExportError('no usable Flycast core build is installed')
+  const created = staticExport.prepareDir(dir)
+  try {
+    return await writeStaticSite(dir, { link })
+  } catch (e) {
+    staticExport.discardDir(dir, created)
+    throw e
+  }
+}
+
+async function writeStaticSite(dir, { link }) {
+  const site = staticExport.createSite(dir, { link })
+  const archiveEntries = new Map()
+  const pageHeaders = []
+  // Every game page is play/<id>/index.html, so links from it go up two levels
+  const root = '../../'
+  const siteUrl = (dest) => root + dest.split('/').map(encodeURIComponent).join('/')
+  const fileDest = (absolutePath, name) => `files/${fileIdFor(absolutePath)}/${name}`
+  const writePage = (dest, paths, html) => {
+    site.write(dest, html)
+    pageHeaders.push({ paths, headers: { 'Content-Security-Policy': contentSecurityPolicy(null, scriptHashes(html)) } })
+  }
+
+  // Library files go under files/<id>/; archive entries are written out
+  // once every page is built
+  const linkTo = {
+    file(absolutePath) {
+      const dest = fileDest(absolutePath, path.basename(absolutePath))
+      site.file(absolutePath, dest)
+      return siteUrl(dest)
+    },
+    async archiveEntry(archivePath, entryName) {
+      const index = (await archives.inspectArchive(archivePath)).entries.findIndex((e) => e.name === entryName)
+      const dest = fileDest(archivePath, `${index}/${path.posix.basename(entryName)}`)
+      archiveEntries.set(dest, async () => site.stream(await archives.openEntry(archivePath, entryName), dest))
+      return siteUrl(dest)
+    },
+    async discManifest(sheetPath) {
+      const dest = fileDest(sheetPath, 'manifest.json')
+      site.write(dest, JSON.stringify(await discManifest(sheetPath, linkTo)))
+      return siteUrl(dest)
+    },
+    playlist(game) {
+      const dest = fileDest(game.path, playlistName(game))
+      site.write(dest, playlistText(game))
+      return siteUrl(dest)
+    },
+  }
+
+  const exported = []
+  const skipped = []
+  const coreNames = new Set()
+  for (const game of await libraryGames()) {
+    if (game.problems.length > 0) {
+      skipped.push(`${game.name}: ${game.problems.join('; ')}`)
+      continue
+    }
+    const id = fileIdFor(game.path)
+    const launch = await resolveLaunch(new URLSearchParams({ game: id }), linkTo)
+    if (launch.error) {
+      skipped.push(`${game.name}: ${launch.error.message.split('\n').join('; ')}`)
+      continue
+    }
+    // Scripts are allowed by hash, so the pages carry no nonce
+    const page = buildEmulatorPage({
+      ...launch,
+      game: null,
+      netplay: null,
+      states: null,
+      capture: null,
+      cheats: { ...launch.cheats, url: null },
+      perf: { ...launch.perf, record: false },
+      root,
+    }, '').replaceAll(' nonce=""', '')
+    writePage(`play/${id}/index.html`, [`/play/${id}`, `/play/${id}/`, `/play/${id}/index.html`], page)
+    coreNames.add(launch.core)
+
+    const json = gameJson(game)
+    const cover = captures.coverShot(captures.listShots(CAPTURES_DIR, json.saveKey))
+    if (cover) site.file(captures.resolveImage(CAPTURES_DIR, json.saveKey, `${cover.id}.thumb.png`), `thumbs/${id}.png`)
+    exported.push({ ...json, url: `play/${id}/`, thumbnail: cover ? `thumbs/${id}.png` : null })
+  }
+
+  // EmulatorJS data once per core build the pages use, with that build's core
+  const { builds } = coreBuilds()
+  for (const name of coreNames) {
+    const build = builds.find((b) => b.name === name)
+    site.tree(DATA_DIR, `builds/${name}`, { skip: [`cores/${cores.CORE_FILE}`] })
+    site.file(build.file, `builds/${name}/cores/${cores.CORE_FILE}`)
+  }
+  site.file(runtimePatches.PATCH_FILE, 'patches/webgl2-compat.js')
+  for (const write of archiveEntries.values()) await write()
+
+  writePage('index.html', ['/', '/index.html'], buildStaticLauncherPage(exported))
+  const headers = staticExport.hostConfigs(ISOLATION_HEADERS, pageHeaders)
+  for (const [name, body] of Object.entries(headers)) site.write(name, body)
+  return { games: exported.length, skipped, ...site.stats }
+}
+
+// HTTP(S) server
+function handleRequest(req, res) {
   const url = new URL(req.url, `http://127.0.0.1:${PORT}`)
   const pathname = url.pathname
 
+  const refused = refuseCrossSiteWrite(req)
+  if (refused) {
+    if (pathname.startsWith('/api/')) sendApiError(res, refused.status, refused.code, refused.message)
+    else sendJson(res, refused.status, { error: refused.message })
+    return
+  }
+
   // Launcher page
   if (pathname === '/' || pathname === '/index.html') {
-    const html = buildLauncherPage()
-    res.writeHead(200, {
-      'Content-Type': 'text/html',
-      'Content-Length': Buffer.byteLength(html),
-      ...ISOLATION_HEADERS,
-    })
-    res.end(html)
+    const nonce = createNonce()
+    sendHtml(res, 200, buildLauncherPage(nonce), { nonce })
     return
   }
 
   // Emulator page
   if (pathname === '/emulator') {
-    const romUrl = url.searchParams.get('rom') || ''
-    const biosUrlParam = url.searchParams.get('bios') || ''
-    const extraBios = url.searchParams.get('extraBios') || '[]'
-    const coreOptions = url.searchParams.get('coreOptions') || '{}'
+    resolveLaunch(url.searchParams).then((launch) => {
+      if (launch.error) {
+        sendErrorPage(res, launch.error.status, launch.error.title, launch.error.message)
+        return
+      }
+      const nonce = createNonce()
+      sendHtml(res, 200, buildEmulatorPage(launch, nonce), { nonce, cacheControl: 'no-store' })
+    }).catch((e) => sendPageFailure(res, e))
+    return
+  }
+
+  // Library files (ROMs, tracks, BIOS) behind signed links
+  if (pathname.startsWith('/file/')) {
+    serveLibraryFile(req, res, pathname.split('/').slice(2, 5))
+    return
+  }
+
+  // JSON API
+  if (pathname.startsWith(`/api/v${API_VERSION}/`) || pathname === `/api/v${API_VERSION}`) {
+    handleApi(req, res, pathname.slice(`/api/v${API_VERSION}`.length)).catch((e) => {
+      const code = { 413: 'body_too_large', 415: 'unsupported_media_type' }[e.status] || 'internal_error'
+      if (!res.headersSent) sendApiError(res, e.status || 500, code, e.message)
+    })
+    return
+  }
+
+  // Core options editor (global profile, or ?profile=<key> for one game)
+  if (pathname === '/options') {
+    const key = url.searchParams.get('profile') || coreOptions.GLOBAL_PROFILE
+    if (key !== coreOptions.GLOBAL_PROFILE && !coreOptions.isValidProfileKey(key)) {
+      res.writeHead(400, ISOLATION_HEADERS)
+      res.end('Invalid profile')
+      return
+    }
+    const title = key === coreOptions.GLOBAL_PROFILE ? Promise.resolve(key) : profileTitle(key)
+    title.then((text) => {
+      const nonce = createNonce()
+      sendHtml(res, 200, buildOptionsPage(key, text, nonce), { nonce })
+    }).catch((e) => sendPageFailure(res, e))
+    return
+  }
+
+  if (pathname.startsWith('/profiles/')) {
+    handleProfile(req, res, pathname.slice(10)).catch((e) => {
+      if (!res.headersSent) sendJson(res, e.status || 500, { error: e.message })
+    })
+    return
+  }
+
+  // Benchmark sessions and comparison
+  if (pathname === '/benchmarks') {
+    const nonce = createNonce()
+    sendHtml(res, 200, buildBenchmarksPage(nonce), { nonce })
+    return
+  }
+
+  // Controller mapping profiles
+  if (pathname === '/controls') {
+    const nonce = createNonce()
+    sendHtml(res, 200, buildControlsPage(nonce), { nonce })
+    return
+  }
+
+  // Memory card browser
+  if (pathname === '/vmu') {
+    const game = url.searchParams.get('game') || ''
+    if (!saves.isValidName(game)) {
+      res.writeHead(400, ISOLATION_HEADERS)
+      res.end('Invalid game')
+      return
+    }
+    const nonce = createNonce()
+    sendHtml(res, 200, buildVmuPage(game, nonce), { nonce })
+    return
+  }
+
+  // Screenshot gallery of one game, and the stored images
+  if (pathname === '/gallery') {
+    const nonce = createNonce()
+    sendHtml(res, 200, buildGalleryPage(url.searchParams.get('game') || '', nonce), { nonce })
+    return
+  }
+
+  if (pathname.startsWith('/captures/')) {
+    const [game, file] = pathname.slice(10).split('/').map(decodeSegment)
+    if (game === null || file === null) {
+      res.writeHead(400, ISOLATION_HEADERS)
+      res.end('Bad request')
+      return
+    }
+    const filePath = captures.resolveImage(CAPTURES_DIR, game, file)
+    if (!filePath) {
+      res.writeHead(404, ISOLATION_HEADERS)
+      res.end('Not found')
+      return
+    }
+    serveStatic(req, res, filePath)
+    return
+  }
+
+  if (pathname.startsWith('/vmu/')) {
+    handleVmu(req, res, pathname.slice(5)).catch((e) => {
+      if (!res.headersSent) sendJson(res, e.status || 500, { error: e.message })
+    })
+    return
+  }
+
+  // Save files (VMU images, core saves)
+  if (pathname.startsWith('/saves/')) {
+    handleSaves(req, res, pathname.slice(7)).catch((e) => {
+      if (!res.headersSent) sendJson(res, e.status || 500, { error: e.message })
+    })
+    return
+  }
+
+  // Disc manifests (GDI/CUE track sets)
+  if (pathname.startsWith('/disc/')) {
+    serveDiscManifest(res, pathname.split('/').slice(2, 5)).catch((e) => {
+      if (!res.headersSent) sendJson(res, 500, { error: e.message })
+    })
+    return
+  }
+
+  // Generated M3U playlists of multi-disc games
+  if (pathname.startsWith('/playlist/')) {
+    servePlaylist(res, pathname.split('/').slice(2, 5)).catch((e) => sendPageFailure(res, e))
+    return
+  }
+
+  // Files inside .zip/.7z ROMs, decompressed on the fly
+  if (pathname.startsWith('/archive/')) {
+    serveArchiveEntry(req, res, pathname.split('/').slice(2, 6)).catch((e) => sendPageFailure(res, e))
+    return
+  }
 
-    const html = buildEmulatorPage(romUrl, biosUrlParam, extraBios, coreOptions)
+  // Offline cache service worker, registered by the launcher
+  if (pathname === '/sw.js') {
+    const body = serviceWorker.buildServiceWorker(serviceWorkerOptions())
     res.writeHead(200, {
-      'Content-Type': 'text/html',
-      'Content-Length': Buffer.byteLength(html),
+      'Content-Type': 'text/javascript',
+      'Content-Length': Buffer.byteLength(body),
+      'Cache-Control': 'no-cache',
       ...ISOLATION_HEADERS,
     })
-    res.end(html)
+    res.end(body)
     return
   }
 
-  // Token-based file serving (ROMs, BIOS)
-  if (pathname.startsWith('/file/')) {
-    const parts = pathname.split('/')
-    const token = parts[2]
-    serveTokenFile(res, req, token)
+  // Runtime patch bundle loaded by the emulator page
+  if (pathname === '/patches/webgl2-compat.js') {
+    serveStatic(req, res, runtimePatches.PATCH_FILE)
+    return
+  }
+
+  // EmulatorJS data with one core build swapped in: /builds/<name>/cores/
+  // flycast-wasm.data is that build's core, everything else is DATA_DIR
+  if (pathname.startsWith('/builds/')) {
+    const [rawName, ...rest] = pathname.slice(8).split('/')
+    const name = decodeSegment(rawName)
+    const build = cores.isValidBuildName(name) ? coreBuilds().builds.find((b) => b.name === name) : null
+    if (!build) {
+      res.writeHead(404, ISOLATION_HEADERS)
+      res.end('Unknown core build')
+      return
+    }
+    const relPath = rest.join('/')
+    if (relPath === `cores/${cores.CORE_FILE}`) {
+      serveStatic(req, res, build.file)
+      return
+    }
+    const filePath = path.join(DATA_DIR, relPath)
+    if (!filePath.startsWith(DATA_DIR)) {
+      res.writeHead(403, ISOLATION_HEADERS)
+      res.end('Forbidden')
+      return
+    }
+    serveStatic(req, res, filePath)
     return
   }
 
   // Static file serving (EmulatorJS data)
   if (pathname.startsWith('/data/')) {
     const relPath = pathname.slice(6) // strip /data/
-    const filePath = path.join(ROOT, 'data', relPath)
+    const filePath = path.join(DATA_DIR, relPath)
     // Prevent path traversal
-    if (!filePath.startsWith(path.join(ROOT, 'data'))) {
+    if (!filePath.startsWith(DATA_DIR)) {
       res.writeHead(403, ISOLATION_HEADERS)
       res.end('Forbidden')
       return
     }
-    serveStatic(res, filePath)
+    serveStatic(req, res, filePath)
     return
   }
 
   // Screenshots
   if (pathname.startsWith('/screenshots/')) {
-    const filePath = path.join(ROOT, '..', 'screenshots', pathname.slice(13))
-    if (!filePath.startsWith(path.join(ROOT, '..', 'screenshots'))) {
+    const filePath = path.join(SCREENSHOTS_DIR, pathname.slice(13))
+    if (!filePath.startsWith(SCREENSHOTS_DIR)) {
       res.writeHead(403, ISOLATION_HEADERS)
       res.end('Forbidden')
       return
     }
-    serveStatic(res, filePath)
+    serveStatic(req, res, filePath)
     return
   }
 
   res.writeHead(404, ISOLATION_HEADERS)
   res.end('Not found')
+}
+
+let tls = null
+if (config.https) {
+  try {
+    tls = certs.loadTls({ ...config.https, certDir: config.certDir, host: HOST })
+  } catch (e) {
+    console.error(`Error: ${e.message}`)
+    process.exit(1)
+  }
+}
+
+const server = tls
+  ? https.createServer({ cert: tls.cert, key: tls.key }, handleRequest)
+  : http.createServer(handleRequest)
+
+// Netplay rooms on /netplay, over the same port as the pages. Only pages
+// served by this server may connect.
+const rooms = netplay.createRoomService({
+  resolveGame: async (id) => {
+    const game = await findGame(id)
+    if (!game || game.problems.length > 0) return null
+    return {
+      id,
+      key: saves.gameKeyFor(game.path),
+      title: game.header && game.header.title ? game.header.title : game.name,
+      romHash: await library.hashGame(game),
+    }
+  },
+})
+
+server.on('upgrade', (req, socket, head) => {
+  const pathname = new URL(req.url, 'http://localhost').pathname
+  if (pathname !== '/netplay') {
+    websocket.reject(socket, 404, 'Not found')
+    return
+  }
+  let originHost = null
+  try {
+    originHost = req.headers.origin ? new URL(req.headers.origin).host : null
+  } catch {}
+  if (req.headers.origin && originHost !== req.headers.host) {
+    websocket.reject(socket, 403, 'Cross-origin netplay connections are not allowed')
+    return
+  }
+  const problem = websocket.handshakeProblem(req)
+  if (problem) {
+    websocket.reject(socket, 400, problem)
+    return
+  }
+  rooms.handleConnection(websocket.accept(req, socket, head))
 })
 
-server.listen(PORT, '127.0.0.1', () => {
+// Addresses to open the launcher at: the listen host, or every local IPv4
+// address when listening on all interfaces
+function launcherUrls() {
+  const scheme = tls ? 'https' : 'http'
+  const hosts = HOST === '0.0.0.0' || HOST === '::'
+    ? ['127.0.0.1', ...Object.values(os.networkInterfaces()).flat()
+      .filter((a) => a && a.family === 'IPv4' && !a.internal).map((a) => a.address)]
+    : [HOST.includes(':') ? `[${HOST}]` : HOST]
+  return hosts.map((h) => `${scheme}://${h}:${PORT}`)
+}
+
+function showStartup() {
   console.log('')
   console.log('  ╔══════════════════════════════════════════╗')
   console.log('  ║        FLYCAST WASM DEMO SERVER          ║')
   console.log('  ╠══════════════════════════════════════════╣')
-  console.log(`  ║  http://127.0.0.1:${PORT}                   ║`)
+  launcherUrls().forEach((u) => console.log(`  ║  ${u.padEnd(40)}║`))
   console.log('  ╚══════════════════════════════════════════╝')
   console.log('')
 
-  // Check setup
-  const dataDir = path.join(ROOT, 'data')
-  const biosDir = path.join(ROOT, 'bios')
-  const romsDir = ROMS_DIR || path.join(ROOT, 'roms')
-  const coreFile = path.join(dataDir, 'cores', 'flycast-wasm.data')
-
-  if (ROMS_DIR) {
-    console.log(`  ROMs: ${ROMS_DIR}`)
+  if (config.configFile) {
+    console.log(`  Config: ${config.configFile}`)
     console.log('')
   }
 
-  const checks = [
-    { name: 'EmulatorJS data', ok: fs.existsSync(path.join(dataDir, 'loader.js')) },
-    { name: 'Flycast core', ok: fs.existsSync(coreFile) },
-    { name: 'dc_boot.bin', ok: fs.existsSync(path.join(biosDir, 'dc_boot.bin')) },
-    { name: 'dc_flash.bin', ok: fs.existsSync(path.join(biosDir, 'dc_flash.bin')) },
-    { name: 'ROMs directory', ok: fs.existsSync(romsDir) },
-  ]
-
+  // Check setup
+  const checks = setupChecks()
   checks.forEach((c) => {
-    console.log(`  ${c.ok ? '\x1b[32m✓\x1b[0m' : '\x1b[31m✗\x1b[0m'} ${c.name}`)
+    const mark = !c.ok ? '\x1b[31m✗\x1b[0m' : c.warn ? '\x1b[33m!\x1b[0m' : '\x1b[32m✓\x1b[0m'
+    console.log(`  ${mark} ${c.name}`)
+    if (c.details) c.details.forEach((d) => console.log(`      ${d}`))
   })
   console.log('')
 
-  const missing = checks.filter((c) => !c.ok)
-  if (missing.length > 0) {
+  const hints = checks.filter((c) => !c.ok && c.hint).map((c) => c.hint)
+  if (hints.length > 0) {
     console.log('  Setup needed:')
-    if (!fs.existsSync(path.join(dataDir, 'loader.js'))) {
-      console.log('    Copy EmulatorJS data/ directory to demo/data/')
-    }
-    if (!fs.existsSync(coreFile)) {
-      console.log('    Copy flycast-wasm.data to demo/data/cores/')
-    }
-    if (!fs.existsSync(path.join(biosDir, 'dc_boot.bin')) || !fs.existsSync(path.join(biosDir, 'dc_flash.bin'))) {
-      console.log('    Place dc_boot.bin + dc_flash.bin in demo/bios/')
-    }
-    if (!fs.existsSync(romsDir)) {
-      console.log('    Create demo/roms/ and add .chd/.cdi/.gdi/.cue/.zip files')
-    }
+    hints.forEach((h) => console.log(`    ${h}`))
     console.log('')
   }
-})
+}
+
+// --export writes the static site and exits instead of serving
+if (config.exportDir) {
+  exportStaticSite(config.exportDir, { link: config.exportLinks }).then((result) => {
+    console.log(`  Exported ${result.games} game${result.games === 1 ? '' : 's'} to ${config.exportDir}`)
+    console.log(`      ${result.files} files, ${(result.bytes / 1024 / 1024).toFixed(1)} MB written${result.linked ? `, ${result.linked} linked` : ''}`)
+    result.skipped.forEach((s) => console.log(`      skipped ${s}`))
+    process.exit(0)
+  }, (e) => {
+    console.error(e instanceof staticExport.StaticExportError ? `Error: ${e.message}` : e.stack)
+    process.exit(1)
+  })
+} else {
+  server.listen(PORT, HOST, showStartup)
+}